@@ -0,0 +1,49 @@
+// __tests__/barcodes.test.js
+const { QUIET_ZONE, encodeCode128, barcodeModules } = require('../utils/barcodes');
+
+// Widths of a list of symbol patterns, as encodeCode128 lays them out
+const widthsOf = (...patterns) => patterns.join('').split('').map(Number);
+
+// Every symbol is 11 modules wide and the stop code 13
+const symbolCount = (widths) => (widths.reduce((sum, width) => sum + width, 0) - 13) / 11;
+
+describe('encodeCode128', () => {
+  it('packs even digit strings two to a symbol with set C', () => {
+    // Start C (105), 12, 34, checksum (105 + 12 + 34 * 2) % 103 = 82, stop
+    expect(encodeCode128('1234').widths).toEqual(widthsOf('211232', '112232', '131123', '121241', '2331112'));
+  });
+
+  it('encodes text with set B', () => {
+    // Start B (104), A (33), B (34), checksum (104 + 33 + 34 * 2) % 103 = 102, stop
+    expect(encodeCode128('AB').widths).toEqual(widthsOf('211214', '111323', '131123', '411131', '2331112'));
+  });
+
+  it('switches sets where it saves symbols', () => {
+    // Start B, A, B, switch to C, 12, 34, 56, checksum
+    expect(symbolCount(encodeCode128('AB123456').widths)).toBe(8);
+    // Start C, 12, 34, switch to B, 5, checksum
+    expect(symbolCount(encodeCode128('12345').widths)).toBe(6);
+    // A short digit run stays in set B: start B, A, 1, 2, checksum
+    expect(symbolCount(encodeCode128('A12').widths)).toBe(5);
+  });
+
+  it('accepts numbers as well as strings', () => {
+    expect(encodeCode128(1234)).toEqual(encodeCode128('1234'));
+  });
+
+  it('rejects empty, long and non-ASCII values', () => {
+    expect(encodeCode128('').error).toBe('Barcode values must be 1 to 48 characters');
+    expect(encodeCode128(null).error).toBe('Barcode values must be 1 to 48 characters');
+    expect(encodeCode128('x'.repeat(49)).error).toBe('Barcode values must be 1 to 48 characters');
+    expect(encodeCode128('café').error).toBe('Barcode values may only use printable ASCII characters');
+    expect(encodeCode128('a\tb').error).toBe('Barcode values may only use printable ASCII characters');
+  });
+});
+
+describe('barcodeModules', () => {
+  it('adds the quiet zone on both sides', () => {
+    const { widths } = encodeCode128('1234');
+
+    expect(barcodeModules(widths)).toBe(4 * 11 + 13 + QUIET_ZONE * 2);
+  });
+});
@@ -0,0 +1,25 @@
+// __tests__/csv.test.js
+const { formatCell, toCsvRow } = require('../utils/csv');
+
+describe('formatCell', () => {
+  it('prefixes text that spreadsheets would run as a formula', () => {
+    expect(formatCell('=HYPERLINK("http://evil","x")')).toBe('"\'=HYPERLINK(""http://evil"",""x"")"');
+    expect(formatCell('+212600000000')).toBe("'+212600000000");
+    expect(formatCell('-2+3')).toBe("'-2+3");
+    expect(formatCell('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(formatCell('\t=1')).toBe("'\t=1");
+    expect(formatCell('\r=1')).toBe('"\'\r=1"');
+  });
+
+  it('leaves numbers and ordinary text alone', () => {
+    expect(formatCell(-5)).toBe('-5');
+    expect(formatCell(12.5)).toBe('12.5');
+    expect(formatCell('Ali Benali')).toBe('Ali Benali');
+    expect(formatCell('a=b')).toBe('a=b');
+    expect(formatCell(null)).toBe('');
+  });
+
+  it('still quotes cells with separators', () => {
+    expect(toCsvRow(['a,b', 'say "hi"', '=1,2'])).toBe('"a,b","say ""hi""","\'=1,2"');
+  });
+});
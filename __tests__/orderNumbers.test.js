@@ -0,0 +1,81 @@
+// __tests__/orderNumbers.test.js
+const { DEFAULT_SEQUENCE, validateSequence, formatOrderNumber, takeNumber } = require('../utils/orderNumbers');
+
+// A one-table stand-in for the Supabase client. onUpdate runs before each
+// update is applied, to play the part of a concurrent request.
+const fakeDb = (rows, onUpdate = () => {}) => ({
+  from: () => {
+    const filters = [];
+    let changes = null;
+    const matching = () => rows.filter(row => filters.every(([column, value]) => row[column] === value));
+
+    const query = {
+      select: () => query,
+      update: (values) => { changes = values; return query; },
+      eq: (column, value) => { filters.push([column, value]); return query; },
+      maybeSingle: async () => {
+        onUpdate(rows);
+        const [row] = matching();
+        if (row && changes) Object.assign(row, changes);
+        return { data: row ? { ...row } : null, error: null };
+      },
+      single: async () => ({ data: { ...matching()[0] }, error: null })
+    };
+    return query;
+  }
+});
+
+describe('validateSequence', () => {
+  it('accepts the default sequence and partial changes', () => {
+    expect(validateSequence(DEFAULT_SEQUENCE)).toBeNull();
+    expect(validateSequence({ prefix: 'INV/2026#' })).toBeNull();
+    expect(validateSequence({})).toBeNull();
+  });
+
+  it('rejects bad prefixes, padding and next values', () => {
+    expect(validateSequence({ prefix: 'has space' })).toMatch(/^Prefix/);
+    expect(validateSequence({ prefix: 'x'.repeat(21) })).toMatch(/^Prefix/);
+    expect(validateSequence({ padding: 13 })).toMatch(/^Padding/);
+    expect(validateSequence({ padding: 1.5 })).toMatch(/^Padding/);
+    expect(validateSequence({ next_value: 0 })).toMatch(/^Next value/);
+  });
+});
+
+describe('formatOrderNumber', () => {
+  it('pads the value after the prefix', () => {
+    expect(formatOrderNumber(DEFAULT_SEQUENCE, 42)).toBe('ORD-000042');
+    expect(formatOrderNumber({ prefix: '', padding: 0 }, 42)).toBe('42');
+    expect(formatOrderNumber({ prefix: 'A', padding: 2 }, 1234)).toBe('A1234');
+  });
+});
+
+describe('takeNumber', () => {
+  it('hands out consecutive numbers', async () => {
+    const rows = [{ id: 'seq1', ...DEFAULT_SEQUENCE }];
+    const db = fakeDb(rows);
+
+    expect(await takeNumber(db, 'order_sequences', { ...rows[0] })).toBe('ORD-000001');
+    expect(await takeNumber(db, 'order_sequences', { ...rows[0] })).toBe('ORD-000002');
+    expect(rows[0].next_value).toBe(3);
+  });
+
+  it('rereads the counter when another request took the number first', async () => {
+    const rows = [{ id: 'seq1', ...DEFAULT_SEQUENCE }];
+    let raced = false;
+    const db = fakeDb(rows, (table) => {
+      if (!raced) table[0].next_value += 1;
+      raced = true;
+    });
+
+    expect(await takeNumber(db, 'order_sequences', { ...rows[0] })).toBe('ORD-000002');
+    expect(rows[0].next_value).toBe(3);
+  });
+
+  it('gives up under constant contention', async () => {
+    const rows = [{ id: 'seq1', ...DEFAULT_SEQUENCE }];
+    const db = fakeDb(rows, (table) => { table[0].next_value += 1; });
+
+    await expect(takeNumber(db, 'order_sequences', { ...rows[0] }))
+      .rejects.toThrow('Numbering is under heavy contention, please retry');
+  });
+});
@@ -0,0 +1,109 @@
+// __tests__/orderPricing.test.js
+const { toCents, fromCents, isAmount, priceOrder, totalMatches } = require('../utils/orderPricing');
+
+const PRODUCTS = [
+  { id: 'p1', tenant_id: 't1', store_id: 's1', sku: 'TSHIRT', name: 'T-shirt', price: 19.99, active: true,
+    variants: [{ sku: 'TSHIRT-XL', name: 'XL', price: 21.5 }, { sku: 'TSHIRT-S', name: 'S' }] },
+  { id: 'p2', tenant_id: 't1', store_id: null, sku: 'MUG', name: 'Mug', price: 0.1, active: true },
+  { id: 'p3', tenant_id: 't1', store_id: 's1', sku: 'OLD', name: 'Old', price: 5, active: false },
+  { id: 'p4', tenant_id: 't1', store_id: 's2', sku: 'OTHER', name: 'Other', price: 5, active: true },
+  { id: 'p5', tenant_id: 't2', store_id: 's1', sku: 'FOREIGN', name: 'Foreign', price: 5, active: true }
+];
+
+// Just enough of the Supabase query builder for loadProducts
+const fakeDb = (rows) => ({
+  from: () => {
+    const filters = [];
+    const query = {
+      select: () => query,
+      eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+      in: (column, values) => { filters.push(row => values.includes(row[column])); return query; },
+      contains: (column, [match]) => {
+        filters.push(row => (row[column] || []).some(item => item.sku === match.sku));
+        return query;
+      },
+      then: (resolve) => resolve({ data: rows.filter(row => filters.every(f => f(row))), error: null })
+    };
+    return query;
+  }
+});
+
+const price = (options) => priceOrder(fakeDb(PRODUCTS), { tenantId: 't1', storeId: 's1', ...options });
+
+describe('cents helpers', () => {
+  it('converts without float drift', () => {
+    expect(toCents(0.1 + 0.2)).toBe(30);
+    expect(toCents('19.99')).toBe(1999);
+    expect(fromCents(1999)).toBe(19.99);
+  });
+
+  it('accepts only non-negative numbers as amounts', () => {
+    expect(isAmount(0)).toBe(true);
+    expect(isAmount('12.5')).toBe(true);
+    expect(isAmount(-1)).toBe(false);
+    expect(isAmount('')).toBe(false);
+    expect(isAmount(null)).toBe(false);
+    expect(isAmount('abc')).toBe(false);
+  });
+
+  it('matches totals to the cent', () => {
+    expect(totalMatches('30.30', 0.1 * 3 + 30)).toBe(true);
+    expect(totalMatches(30.31, 30.3)).toBe(false);
+  });
+});
+
+describe('priceOrder', () => {
+  it('prices products, variants and shipping from the catalog', async () => {
+    const result = await price({
+      items: [
+        { product_id: 'p1', quantity: 2 },
+        { sku: 'TSHIRT-XL', quantity: 1 },
+        { product_id: 'p1', variant_sku: 'TSHIRT-S', quantity: 1 },
+        { sku: 'MUG', quantity: 3 }
+      ],
+      shippingFee: '4.50'
+    });
+
+    expect(result.items.map(line => [line.sku, line.unit_price, line.line_total])).toEqual([
+      ['TSHIRT', 19.99, 39.98],
+      ['TSHIRT-XL', 21.5, 21.5],
+      ['TSHIRT-S', 19.99, 19.99],
+      ['MUG', 0.1, 0.3]
+    ]);
+    expect(result.items[1].name).toBe('T-shirt - XL');
+    expect(result.subtotal).toBe(81.77);
+    expect(result.shipping_total).toBe(4.5);
+    expect(result.total).toBe(86.27);
+  });
+
+  it('applies percentage and fixed discounts, never below zero', async () => {
+    const items = [{ sku: 'TSHIRT', quantity: 1 }];
+
+    const percentage = await price({ items, discount: { type: 'percentage', value: 10 } });
+    expect(percentage.discount_total).toBe(2);
+    expect(percentage.total).toBe(17.99);
+
+    const fixed = await price({ items, discount: { type: 'fixed', value: 50 }, shippingFee: 3 });
+    expect(fixed.discount_total).toBe(19.99);
+    expect(fixed.total).toBe(3);
+  });
+
+  it('rejects invalid items and discounts', async () => {
+    expect((await price({ items: [] })).error).toBe('Order must contain at least one item');
+    expect((await price({ items: [{ sku: 'MUG', quantity: 1.5 }] })).error)
+      .toBe('Each item needs a positive whole quantity');
+    expect((await price({ items: [{ quantity: 1 }] })).error).toBe('Each item needs a product_id or sku');
+    expect((await price({ items: [{ sku: 'MUG', quantity: 1 }], discount: { type: 'percentage', value: 150 } })).error)
+      .toBe('Percentage discount cannot exceed 100');
+  });
+
+  it('refuses products that are missing, inactive, from another store or another tenant', async () => {
+    expect((await price({ items: [{ sku: 'NOPE', quantity: 1 }] })).error).toBe('Product not found: NOPE');
+    expect((await price({ items: [{ sku: 'FOREIGN', quantity: 1 }] })).error).toBe('Product not found: FOREIGN');
+    expect((await price({ items: [{ product_id: 'p1', variant_sku: 'TSHIRT-M', quantity: 1 }] })).error)
+      .toBe('Variant not found: TSHIRT-M');
+    expect((await price({ items: [{ sku: 'OLD', quantity: 1 }] })).error).toBe('Product is not available: OLD');
+    expect((await price({ items: [{ sku: 'OTHER', quantity: 1 }] })).error)
+      .toBe('Product OTHER is not sold by this store');
+  });
+});
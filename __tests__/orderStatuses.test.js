@@ -0,0 +1,53 @@
+// __tests__/orderStatuses.test.js
+const {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  REASON_REQUIRED,
+  isOrderStatus,
+  canTransition
+} = require('../config/orderStatuses');
+
+describe('ORDER_TRANSITIONS', () => {
+  it('covers every status and only leads to known statuses', () => {
+    expect(Object.keys(ORDER_TRANSITIONS).sort()).toEqual([...ORDER_STATUSES].sort());
+
+    Object.values(ORDER_TRANSITIONS).forEach(targets =>
+      targets.forEach(target => expect(ORDER_STATUSES).toContain(target)));
+  });
+
+  it('keeps returned and cancelled final', () => {
+    expect(ORDER_TRANSITIONS.returned).toEqual([]);
+    expect(ORDER_TRANSITIONS.cancelled).toEqual([]);
+  });
+
+  it('only asks for reasons on known statuses', () => {
+    REASON_REQUIRED.forEach(status => expect(isOrderStatus(status)).toBe(true));
+  });
+});
+
+describe('isOrderStatus', () => {
+  it('accepts known statuses only', () => {
+    expect(isOrderStatus('pending')).toBe(true);
+    expect(isOrderStatus('out_for_delivery')).toBe(true);
+    expect(isOrderStatus('Pending')).toBe(false);
+    expect(isOrderStatus(undefined)).toBe(false);
+  });
+});
+
+describe('canTransition', () => {
+  it('allows the normal delivery path', () => {
+    expect(canTransition('pending', 'confirmed')).toBe(true);
+    expect(canTransition('confirmed', 'processing')).toBe(true);
+    expect(canTransition('processing', 'shipped')).toBe(true);
+    expect(canTransition('shipped', 'out_for_delivery')).toBe(true);
+    expect(canTransition('out_for_delivery', 'delivered')).toBe(true);
+  });
+
+  it('refuses skipped, backward and unknown moves', () => {
+    expect(canTransition('pending', 'shipped')).toBe(false);
+    expect(canTransition('delivered', 'pending')).toBe(false);
+    expect(canTransition('cancelled', 'pending')).toBe(false);
+    expect(canTransition('unknown', 'pending')).toBe(false);
+    expect(canTransition('pending', 'pending')).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+// __tests__/returns.test.js
+const {
+  buildReturnItems,
+  receiveItems,
+  returnValue,
+  isFullyReturned,
+  orderRevenue
+} = require('../utils/returns');
+
+const ORDER = {
+  items: [
+    { sku: 'TSHIRT', product_id: 'p1', name: 'T-shirt', unit_price: 19.99, quantity: 2 },
+    { sku: 'MUG', product_id: 'p2', name: 'Mug', unit_price: 0.1, quantity: 3 }
+  ]
+};
+
+describe('buildReturnItems', () => {
+  it('returns everything left when no items are given', () => {
+    const previous = { items: [{ sku: 'TSHIRT', quantity: 1 }] };
+    const { items } = buildReturnItems(ORDER, [previous], undefined);
+
+    expect(items.map(item => [item.sku, item.quantity])).toEqual([['TSHIRT', 1], ['MUG', 3]]);
+    expect(items[0]).toMatchObject({ product_id: 'p1', unit_price: 19.99, received_quantity: 0, restocked_quantity: 0 });
+  });
+
+  it('merges a SKU listed twice, keeping the first reason', () => {
+    const { items } = buildReturnItems(ORDER, [], [
+      { sku: 'MUG', quantity: 1 },
+      { sku: 'MUG', quantity: 1, reason: 'damaged' },
+      { sku: 'MUG', quantity: 1, reason: 'other' }
+    ]);
+
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ sku: 'MUG', quantity: 3, reason: 'damaged' });
+  });
+
+  it('refuses items beyond what can still be returned', () => {
+    const previous = { items: [{ sku: 'TSHIRT', quantity: 2 }, { sku: 'MUG', quantity: 3 }] };
+
+    expect(buildReturnItems(ORDER, [previous], undefined).error)
+      .toBe('Every item of this order is already being returned');
+    expect(buildReturnItems(ORDER, [], [{ sku: 'TSHIRT', quantity: 3 }]).error)
+      .toBe('Only 2 of TSHIRT can still be returned');
+  });
+
+  it('rejects bad item lines', () => {
+    expect(buildReturnItems(ORDER, [], []).error).toBe('Items must be a non-empty array');
+    expect(buildReturnItems(ORDER, [], [{ sku: 'HAT', quantity: 1 }]).error).toBe('Item HAT is not part of this order');
+    expect(buildReturnItems(ORDER, [], [{ sku: 'MUG', quantity: 0 }]).error)
+      .toBe('Each item needs a positive whole quantity');
+    expect(buildReturnItems(ORDER, [], [{ sku: 'MUG', quantity: 1, reason: 'bored' }]).error)
+      .toMatch(/^Item reason must be one of/);
+  });
+});
+
+describe('receiveItems', () => {
+  const returnItems = [
+    { sku: 'TSHIRT', unit_price: 19.99, quantity: 2, received_quantity: 0, restocked_quantity: 0 },
+    { sku: 'MUG', unit_price: 0.1, quantity: 3, received_quantity: 0, restocked_quantity: 0 }
+  ];
+
+  it('receives everything as resellable by default', () => {
+    const { items } = receiveItems(returnItems, undefined);
+
+    expect(items.map(item => [item.received_quantity, item.restocked_quantity])).toEqual([[2, 2], [3, 3]]);
+  });
+
+  it('only restocks resellable items', () => {
+    const { items } = receiveItems(returnItems, [
+      { sku: 'MUG', quantity: 2, condition: 'resellable' },
+      { sku: 'MUG', quantity: 1, condition: 'damaged' }
+    ]);
+
+    expect(items[0]).toMatchObject({ received_quantity: 0, restocked_quantity: 0 });
+    expect(items[1]).toMatchObject({ received_quantity: 3, restocked_quantity: 2 });
+  });
+
+  it('rejects bad received lines', () => {
+    expect(receiveItems(returnItems, {}).error).toBe('Items must be an array');
+    expect(receiveItems(returnItems, [{ sku: 'HAT', quantity: 1 }]).error).toBe('Item HAT is not part of this return');
+    expect(receiveItems(returnItems, [{ sku: 'MUG', quantity: -1 }]).error)
+      .toBe('Each item needs a whole quantity of zero or more');
+    expect(receiveItems(returnItems, [{ sku: 'MUG', quantity: 1, condition: 'lost' }]).error)
+      .toMatch(/^Item condition must be one of/);
+    expect(receiveItems(returnItems, [{ sku: 'TSHIRT', quantity: 3 }]).error).toBe('Only 2 of TSHIRT were returned');
+  });
+});
+
+describe('returnValue', () => {
+  it('totals items at their sold price without float drift', () => {
+    expect(returnValue([{ unit_price: 0.1, quantity: 3 }, { unit_price: 19.99, quantity: 2 }])).toBe(40.28);
+  });
+});
+
+describe('isFullyReturned', () => {
+  it('checks received quantities across returns', () => {
+    const first = { items: [{ sku: 'TSHIRT', received_quantity: 2 }, { sku: 'MUG', received_quantity: 1 }] };
+    const second = { items: [{ sku: 'MUG', received_quantity: 2 }] };
+
+    expect(isFullyReturned(ORDER, [first])).toBe(false);
+    expect(isFullyReturned(ORDER, [first, second])).toBe(true);
+  });
+});
+
+describe('orderRevenue', () => {
+  it('counts delivered orders less refunds', () => {
+    expect(orderRevenue({ status: 'delivered', total: 100 })).toBe(100);
+    expect(orderRevenue({ status: 'delivered', total: 100, refunded_total: 30.5 })).toBe(69.5);
+    expect(orderRevenue({ status: 'delivered', total: 100, refunded_total: 150 })).toBe(0);
+  });
+
+  it('counts nothing for orders that were never paid for', () => {
+    expect(orderRevenue({ status: 'cancelled', total: 100 })).toBe(0);
+    expect(orderRevenue({ status: 'refused', total: 100 })).toBe(0);
+    expect(orderRevenue({ status: 'returned', total: 100 })).toBe(0);
+  });
+
+  it('keeps what is left of a returned order after a partial refund', () => {
+    expect(orderRevenue({ status: 'returned', total: 100, refunded_total: 40 })).toBe(60);
+  });
+});
@@ -0,0 +1,59 @@
+// __tests__/totp.test.js
+const { generateSecret, verifyTotp, provisioningUri, hotp, currentStep } = require('../utils/totp');
+
+// The RFC 4226 test secret, "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('hotp', () => {
+  it('matches the RFC 4226 test values', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    expected.forEach((code, counter) => expect(hotp(RFC_SECRET, counter)).toBe(code));
+  });
+});
+
+describe('verifyTotp', () => {
+  // 59 seconds past the epoch is step 1, the first RFC 6238 test time
+  beforeEach(() => jest.spyOn(Date, 'now').mockReturnValue(59 * 1000));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('returns the step of a valid code', () => {
+    expect(currentStep()).toBe(1);
+    expect(verifyTotp(RFC_SECRET, '287082')).toBe(1);
+  });
+
+  it('accepts codes one step either side', () => {
+    expect(verifyTotp(RFC_SECRET, '755224')).toBe(0);
+    expect(verifyTotp(RFC_SECRET, '359152')).toBe(2);
+    expect(verifyTotp(RFC_SECRET, '969429')).toBeNull();
+  });
+
+  it('rejects codes at or before the last used step', () => {
+    expect(verifyTotp(RFC_SECRET, '287082', { afterStep: 1 })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '359152', { afterStep: 1 })).toBe(2);
+  });
+
+  it('rejects anything but six digits', () => {
+    expect(verifyTotp(RFC_SECRET, '28708')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '2870822')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef')).toBeNull();
+  });
+});
+
+describe('generateSecret', () => {
+  it('makes distinct 160-bit base32 secrets', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+});
+
+describe('provisioningUri', () => {
+  it('builds an otpauth URI with the issuer and account', () => {
+    const uri = provisioningUri(RFC_SECRET, 'ali@example.com');
+
+    expect(uri.startsWith('otpauth://totp/ODIONS%3Aali%40example.com?')).toBe(true);
+    expect(new URL(uri).searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(new URL(uri).searchParams.get('period')).toBe('30');
+  });
+});
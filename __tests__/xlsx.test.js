@@ -0,0 +1,83 @@
+// __tests__/xlsx.test.js
+const { PassThrough } = require('stream');
+const { createZip } = require('../utils/zip');
+const { parseXlsx, createXlsxStream } = require('../utils/xlsx');
+
+// Write rows with createXlsxStream and collect the file
+async function writeXlsx(header, rows) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  const xlsx = await createXlsxStream(output, { header });
+  await xlsx.writeRows(rows);
+  await xlsx.end();
+
+  return Buffer.concat(chunks);
+}
+
+describe('createXlsxStream and parseXlsx', () => {
+  it('round-trips text, numbers and empty cells', async () => {
+    const buffer = await writeXlsx(['order', 'total', 'note'], [
+      ['ORD-1', 12.5, 'Fish & <chips> "to go"'],
+      ['ORD-2', null, { gift: true }],
+      ['ORD-3', 0, 'line one\nline two']
+    ]);
+
+    expect(parseXlsx(buffer)).toEqual([
+      ['order', 'total', 'note'],
+      ['ORD-1', '12.5', 'Fish & <chips> "to go"'],
+      ['ORD-2', '', '{"gift":true}'],
+      ['ORD-3', '0', 'line one\nline two']
+    ]);
+  });
+
+  it('drops control characters XML cannot hold', async () => {
+    expect(parseXlsx(await writeXlsx(null, [['a\u0001b\tc']]))).toEqual([['ab\tc']]);
+  });
+});
+
+describe('parseXlsx', () => {
+  const sheetXml = (rows) => '<worksheet><sheetData>' + rows + '</sheetData></worksheet>';
+
+  it('reads shared strings, cell references and row numbers', () => {
+    const buffer = createZip([
+      {
+        name: 'xl/sharedStrings.xml',
+        data: '<sst><si><t>Name</t></si><si><r><t>Al</t></r><r><t>i</t></r><rPh><t>x</t></rPh></si></sst>'
+      },
+      {
+        name: 'xl/worksheets/sheet1.xml',
+        data: sheetXml(
+          '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1"><v>3</v></c></row>' +
+          '<row r="3"><c r="B3" t="s"><v>1</v></c><c r="AA3" t="str"><f>A1</f><v>x &amp; y</v></c></row>'
+        )
+      }
+    ]);
+
+    const rows = parseXlsx(buffer);
+
+    expect(rows[0]).toEqual(['Name', '', '3']);
+    expect(rows[1]).toEqual([]);
+    expect(rows[2][1]).toBe('Ali');
+    expect(rows[2][26]).toBe('x & y');
+  });
+
+  it('follows the workbook to the first sheet', () => {
+    const buffer = createZip([
+      { name: 'xl/workbook.xml', data: '<workbook><sheets><sheet name="Orders" sheetId="1" r:id="rId7"/></sheets></workbook>' },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        data: '<Relationships><Relationship Id="rId7" Target="worksheets/orders.xml"/></Relationships>'
+      },
+      { name: 'xl/worksheets/sheet1.xml', data: sheetXml('<row r="1"><c r="A1" t="inlineStr"><is><t>wrong</t></is></c></row>') },
+      { name: 'xl/worksheets/orders.xml', data: sheetXml('<row r="1"><c r="A1" t="inlineStr"><is><t>right</t></is></c></row>') }
+    ]);
+
+    expect(parseXlsx(buffer)).toEqual([['right']]);
+  });
+
+  it('throws when there is no worksheet', () => {
+    expect(() => parseXlsx(createZip([{ name: 'readme.txt', data: 'hi' }]))).toThrow('Workbook has no worksheet');
+  });
+});
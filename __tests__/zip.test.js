@@ -0,0 +1,77 @@
+// __tests__/zip.test.js
+const { PassThrough } = require('stream');
+const { crc32, createZip, createZipStream, readZip } = require('../utils/zip');
+
+// Offset of the first central directory entry, read from the end record
+const centralOffset = (archive) => archive.readUInt32LE(archive.length - 22 + 16);
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('gives the same result when fed in chunks', () => {
+    const whole = crc32(Buffer.from('hello world'));
+    expect(crc32(Buffer.from(' world'), crc32(Buffer.from('hello')))).toBe(whole);
+  });
+});
+
+describe('createZip and readZip', () => {
+  it('round-trips text and binary entries', () => {
+    const binary = Buffer.from([0, 1, 2, 250, 255]);
+    const entries = readZip(createZip([
+      { name: 'a.txt', data: 'héllo' },
+      { name: 'dir/b.bin', data: binary },
+      { name: 'empty.txt', data: '' }
+    ]));
+
+    expect(Object.keys(entries)).toEqual(['a.txt', 'dir/b.bin', 'empty.txt']);
+    expect(entries['a.txt'].toString('utf8')).toBe('héllo');
+    expect(entries['dir/b.bin'].equals(binary)).toBe(true);
+    expect(entries['empty.txt'].length).toBe(0);
+  });
+
+  it('only reads the entries asked for', () => {
+    const archive = createZip([{ name: 'a.txt', data: 'a' }, { name: 'b.txt', data: 'b' }]);
+    expect(Object.keys(readZip(archive, { only: ['b.txt'] }))).toEqual(['b.txt']);
+  });
+
+  it('refuses entries larger than the cap', () => {
+    const archive = createZip([{ name: 'big.txt', data: 'x'.repeat(1000) }]);
+    expect(() => readZip(archive, { maxEntrySize: 999 })).toThrow('Zip entry big.txt is too large');
+  });
+
+  it('refuses entries that inflate past the size their header gives', () => {
+    const archive = createZip([{ name: 'big.txt', data: 'x'.repeat(1000) }]);
+    archive.writeUInt32LE(10, centralOffset(archive) + 24);
+
+    expect(() => readZip(archive)).toThrow(/larger than its header says/);
+  });
+
+  it('rejects files that are not zip archives', () => {
+    expect(() => readZip(Buffer.from('not a zip archive at all'))).toThrow('Not a zip archive');
+  });
+});
+
+describe('createZipStream', () => {
+  it('writes an archive readZip can read back', async () => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+
+    const zip = createZipStream(output);
+    await zip.addFile('small.txt', 'one go');
+
+    const entry = await zip.openEntry('rows.csv');
+    for (let i = 0; i < 100; i++) await entry.write(`${i},row ${i}\r\n`);
+    await entry.end();
+    await zip.end();
+
+    const entries = readZip(Buffer.concat(chunks));
+    const rows = entries['rows.csv'].toString().split('\r\n');
+
+    expect(entries['small.txt'].toString()).toBe('one go');
+    expect(rows[0]).toBe('0,row 0');
+    expect(rows[99]).toBe('99,row 99');
+  });
+});
@@ -0,0 +1,42 @@
+// config/orderStatuses.js
+
+// Order lifecycle, in the order an order normally moves through it
+const ORDER_STATUSES = [
+  'pending',
+  'confirmed',
+  'processing',
+  'shipped',
+  'out_for_delivery',
+  'delivered',
+  'refused',
+  'returned',
+  'cancelled'
+];
+
+// Statuses each status can move to. returned and cancelled are final.
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['out_for_delivery', 'delivered', 'returned'],
+  out_for_delivery: ['delivered', 'refused'],
+  delivered: ['returned'],
+  refused: ['returned'],
+  returned: [],
+  cancelled: []
+};
+
+// Transitions into these statuses must say why
+const REASON_REQUIRED = ['cancelled', 'refused', 'returned'];
+
+const isOrderStatus = (status) => ORDER_STATUSES.includes(status);
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  REASON_REQUIRED,
+  isOrderStatus,
+  canTransition
+};
@@ -0,0 +1,113 @@
+// config/permissions.js
+
+// Every action a role can be granted
+const PERMISSIONS = [
+  'orders:read',
+  'orders:write',
+  'orders:settings',
+  'returns:read',
+  'returns:write',
+  'returns:approve',
+  'confirmations:work',
+  'confirmations:manage',
+  'customers:read',
+  'customers:write',
+  'stores:read',
+  'stores:write',
+  'products:read',
+  'products:write',
+  'inventory:read',
+  'inventory:manage',
+  'delivery:read',
+  'delivery:manage',
+  'remittances:read',
+  'remittances:manage',
+  'campaigns:read',
+  'campaigns:write',
+  'campaigns:send',
+  'audiences:read',
+  'audiences:write',
+  'chatbots:read',
+  'chatbots:write',
+  'analytics:read',
+  'audit:read',
+  'roles:manage',
+  'members:manage',
+  'api_keys:manage',
+  'tenant:export',
+  'users:admin',
+  'tenants:admin'
+];
+
+// Platform-wide permissions that tenant-defined roles can never grant
+const PLATFORM_PERMISSIONS = ['users:admin', 'tenants:admin'];
+
+// Built-in roles. Tenants can define additional roles in the tenant_roles table.
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  manager: PERMISSIONS.filter(p => !PLATFORM_PERMISSIONS.includes(p)),
+  user: [
+    'orders:read',
+    'returns:read',
+    'customers:read',
+    'stores:read',
+    'products:read',
+    'inventory:read',
+    'delivery:read',
+    'campaigns:read',
+    'audiences:read',
+    'chatbots:read',
+    'chatbots:write',
+    'analytics:read'
+  ],
+  agent: [
+    'orders:read',
+    'orders:write',
+    'returns:read',
+    'returns:write',
+    'confirmations:work',
+    'customers:read',
+    'customers:write',
+    'stores:read',
+    'products:read',
+    'inventory:read',
+    'delivery:read',
+    'chatbots:read',
+    'chatbots:write'
+  ],
+  marketer: [
+    'customers:read',
+    'campaigns:read',
+    'campaigns:write',
+    'campaigns:send',
+    'audiences:read',
+    'audiences:write',
+    'chatbots:read',
+    'products:read',
+    'analytics:read'
+  ],
+  warehouse: [
+    'orders:read',
+    'returns:read',
+    'returns:write',
+    'stores:read',
+    'products:read',
+    'inventory:read',
+    'inventory:manage',
+    'delivery:read',
+    'delivery:manage'
+  ]
+};
+
+const BUILT_IN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (permissions, permission) =>
+  permissions.includes('*') || permissions.includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  PLATFORM_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  BUILT_IN_ROLES,
+  hasPermission
+};
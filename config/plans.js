@@ -0,0 +1,67 @@
+// config/plans.js
+
+// Limits per billing month where noted. null means unlimited, 0 means the
+// feature is not part of the plan.
+const PLANS = {
+  free: {
+    name: 'Free',
+    limits: {
+      stores: 1,
+      monthly_orders: 100,
+      monthly_campaign_sends: 0,
+      monthly_chatbot_sessions: 50,
+      seats: 2
+    }
+  },
+  starter: {
+    name: 'Starter',
+    limits: {
+      stores: 3,
+      monthly_orders: 1000,
+      monthly_campaign_sends: 10,
+      monthly_chatbot_sessions: 1000,
+      seats: 5
+    }
+  },
+  pro: {
+    name: 'Pro',
+    limits: {
+      stores: 10,
+      monthly_orders: 10000,
+      monthly_campaign_sends: 100,
+      monthly_chatbot_sessions: 10000,
+      seats: 25
+    }
+  },
+  enterprise: {
+    name: 'Enterprise',
+    limits: {
+      stores: null,
+      monthly_orders: null,
+      monthly_campaign_sends: null,
+      monthly_chatbot_sessions: null,
+      seats: null
+    }
+  }
+};
+
+const QUOTA_LABELS = {
+  stores: 'Stores',
+  monthly_orders: 'Monthly orders',
+  monthly_campaign_sends: 'Monthly campaign sends',
+  monthly_chatbot_sessions: 'Monthly chatbot sessions',
+  seats: 'Seats'
+};
+
+const DEFAULT_PLAN = 'free';
+
+// Subscriptions that aren't a plan ID, like free text or null from before
+// plans existed, get the free plan
+const planId = (subscription) => {
+  const id = typeof subscription === 'string' ? subscription.trim().toLowerCase() : '';
+  return Object.prototype.hasOwnProperty.call(PLANS, id) ? id : DEFAULT_PLAN;
+};
+
+const getPlan = (subscription) => PLANS[planId(subscription)];
+
+module.exports = { PLANS, QUOTA_LABELS, DEFAULT_PLAN, planId, getPlan };
@@ -0,0 +1,45 @@
+// config/rateLimits.js
+const MINUTE = 60 * 1000;
+
+const number = (value, fallback) => {
+  const parsed = parseInt(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // 'memory' keeps counters in this process, 'supabase' shares them across instances
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+
+  // Per-endpoint limits, counted per IP and per account (email or token)
+  auth: {
+    signin: {
+      windowMs: number(process.env.RATE_LIMIT_SIGNIN_WINDOW_MINUTES, 15) * MINUTE,
+      ip: number(process.env.RATE_LIMIT_SIGNIN_IP, 30),
+      account: number(process.env.RATE_LIMIT_SIGNIN_ACCOUNT, 10)
+    },
+    signup: {
+      windowMs: number(process.env.RATE_LIMIT_SIGNUP_WINDOW_MINUTES, 60) * MINUTE,
+      ip: number(process.env.RATE_LIMIT_SIGNUP_IP, 10),
+      account: number(process.env.RATE_LIMIT_SIGNUP_ACCOUNT, 3)
+    },
+    resetPassword: {
+      windowMs: number(process.env.RATE_LIMIT_RESET_WINDOW_MINUTES, 60) * MINUTE,
+      ip: number(process.env.RATE_LIMIT_RESET_IP, 10),
+      account: number(process.env.RATE_LIMIT_RESET_ACCOUNT, 3)
+    },
+    refresh: {
+      windowMs: number(process.env.RATE_LIMIT_REFRESH_WINDOW_MINUTES, 15) * MINUTE,
+      ip: number(process.env.RATE_LIMIT_REFRESH_IP, 120),
+      account: number(process.env.RATE_LIMIT_REFRESH_ACCOUNT, 30)
+    }
+  },
+
+  // Sign-in lockout: after `threshold` failures the account is locked for
+  // baseMs, doubling with every further failure up to maxMs
+  lockout: {
+    threshold: number(process.env.LOCKOUT_THRESHOLD, 5),
+    baseMs: number(process.env.LOCKOUT_BASE_MINUTES, 1) * MINUTE,
+    maxMs: number(process.env.LOCKOUT_MAX_MINUTES, 24 * 60) * MINUTE,
+    resetMs: number(process.env.LOCKOUT_RESET_MINUTES, 24 * 60) * MINUTE
+  }
+};
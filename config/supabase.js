@@ -9,10 +9,11 @@ if (!supabaseUrl || !supabaseKey) {
   throw new Error('Missing Supabase environment variables');
 }
 
-// Client for general operations
+// Client for auth calls that don't act as a particular user (sign in, sign up, ...)
 const supabase = createClient(supabaseUrl, supabaseKey);
 
-// Admin client for privileged operations
+// Admin client for privileged operations. Bypasses RLS, so only use it in
+// code paths that must see past the caller's own rows.
 const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
   auth: {
     autoRefreshToken: false,
@@ -20,4 +21,17 @@ const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
   }
 });
 
-module.exports = { supabase, supabaseAdmin };
\ No newline at end of file
+// Client bound to a caller's access token, so Postgres RLS policies apply.
+// authenticateToken attaches one to every request as req.db.
+const createUserClient = (accessToken) => createClient(supabaseUrl, supabaseKey, {
+  global: {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  },
+  auth: {
+    autoRefreshToken: false,
+    persistSession: false,
+    detectSessionInUrl: false
+  }
+});
+
+module.exports = { supabase, supabaseAdmin, createUserClient };
@@ -0,0 +1,615 @@
+-- db/schema.sql
+-- Tables, columns, constraints and functions the API relies on beyond the
+-- original users, tenants, stores, delivery_companies, orders, campaigns,
+-- audiences and chatbot_sessions tables. Written to be re-runnable, so it
+-- can be applied to an existing database:
+--   psql "$DATABASE_URL" -f db/schema.sql
+
+create extension if not exists pgcrypto;
+
+-- Tenants and members ------------------------------------------------------
+
+alter table public.tenants
+  add column if not exists subscription text,
+  add column if not exists status text not null default 'active',
+  add column if not exists require_2fa boolean not null default false,
+  add column if not exists suspended_at timestamptz,
+  add column if not exists suspension_reason text,
+  add column if not exists status_before_deletion text,
+  add column if not exists deleted_at timestamptz,
+  add column if not exists purge_after timestamptz,
+  add column if not exists updated_at timestamptz;
+
+create index if not exists tenants_purge_after_idx on public.tenants (purge_after) where purge_after is not null;
+
+alter table public.users
+  add column if not exists tenant_id uuid references public.tenants (id),
+  add column if not exists role text not null default 'user',
+  add column if not exists sessions_revoked_at timestamptz,
+  add column if not exists updated_at timestamptz;
+
+create index if not exists users_tenant_id_idx on public.users (tenant_id);
+
+create table if not exists public.tenant_roles (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  name text not null,
+  description text not null default '',
+  permissions text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  unique (tenant_id, name)
+);
+
+create table if not exists public.tenant_invitations (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  email text not null,
+  role text not null,
+  token_hash text not null unique,
+  status text not null default 'pending',
+  invited_by uuid,
+  invited_user_id uuid,
+  expires_at timestamptz not null,
+  responded_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists tenant_invitations_tenant_status_idx on public.tenant_invitations (tenant_id, status);
+
+create table if not exists public.api_keys (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  name text not null,
+  prefix text not null,
+  key_hash text not null unique,
+  scopes text[] not null default '{}',
+  expires_at timestamptz,
+  revoked_at timestamptz,
+  last_used_at timestamptz,
+  created_by uuid not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.audit_logs (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid references public.tenants (id),
+  actor_id uuid,
+  actor_type text not null,
+  impersonator_id uuid,
+  action text not null,
+  resource text not null,
+  resource_id text,
+  before jsonb,
+  after jsonb,
+  changes jsonb,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_logs_tenant_created_idx on public.audit_logs (tenant_id, created_at desc);
+
+-- Authentication -------------------------------------------------------------
+
+-- Shared rate limit and lockout counters (RATE_LIMIT_STORE=supabase)
+create table if not exists public.rate_limits (
+  key text primary key,
+  record jsonb not null default '{}',
+  expires_at timestamptz not null
+);
+
+create index if not exists rate_limits_expires_at_idx on public.rate_limits (expires_at);
+
+-- Add one to a counter in a single statement, so concurrent requests never
+-- read the same count. An expired record starts again from 1; p_extend moves
+-- the expiry out to p_ttl_ms from now instead of keeping it.
+create or replace function public.increment_rate_limit(
+  p_key text,
+  p_ttl_ms bigint,
+  p_extend boolean default false,
+  p_fields jsonb default '{}'
+)
+returns table (record jsonb, expires_at timestamptz)
+language sql
+as $$
+  insert into public.rate_limits as r (key, record, expires_at)
+  values (p_key, p_fields || '{"count": 1}', now() + p_ttl_ms * interval '1 millisecond')
+  on conflict (key) do update set
+    record = case when r.expires_at <= now() then excluded.record
+      else r.record || p_fields ||
+        jsonb_build_object('count', coalesce((r.record->>'count')::int, 0) + 1) end,
+    expires_at = case when r.expires_at <= now() then excluded.expires_at
+      when p_extend then greatest(r.expires_at, excluded.expires_at)
+      else r.expires_at end
+  returning r.record, r.expires_at
+$$;
+
+revoke execute on function public.increment_rate_limit(text, bigint, boolean, jsonb) from public, anon, authenticated;
+
+create table if not exists public.user_sessions (
+  id uuid primary key,
+  user_id uuid not null,
+  device text,
+  user_agent text,
+  ip_address text,
+  created_at timestamptz not null default now(),
+  last_seen_at timestamptz not null default now(),
+  revoked_at timestamptz
+);
+
+create index if not exists user_sessions_user_id_idx on public.user_sessions (user_id);
+
+create table if not exists public.user_mfa (
+  user_id uuid primary key,
+  secret text not null,
+  enabled boolean not null default false,
+  enabled_at timestamptz,
+  recovery_codes text[] not null default '{}',
+  last_used_step bigint,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create table if not exists public.mfa_challenges (
+  id uuid primary key default gen_random_uuid(),
+  token_hash text not null unique,
+  user_id uuid not null,
+  session text not null,
+  attempts integer not null default 0,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.impersonation_sessions (
+  id uuid primary key default gen_random_uuid(),
+  token_hash text not null unique,
+  admin_id uuid not null,
+  user_id uuid not null,
+  reason text not null,
+  ip_address text,
+  expires_at timestamptz not null,
+  ended_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.impersonation_events (
+  id uuid primary key default gen_random_uuid(),
+  impersonation_id uuid not null references public.impersonation_sessions (id),
+  admin_id uuid not null,
+  user_id uuid not null,
+  tenant_id uuid references public.tenants (id),
+  method text not null,
+  path text not null,
+  status_code integer,
+  ip_address text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.idempotency_keys (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  actor_id uuid not null,
+  key text not null,
+  request_hash text not null,
+  status text not null default 'processing',
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  unique (tenant_id, actor_id, key)
+);
+
+-- Catalog and customers ------------------------------------------------------
+
+alter table public.stores
+  add column if not exists tenant_id uuid references public.tenants (id),
+  add column if not exists updated_at timestamptz;
+
+alter table public.delivery_companies
+  add column if not exists tenant_id uuid references public.tenants (id),
+  add column if not exists shipping_fee numeric(12, 2),
+  add column if not exists updated_at timestamptz;
+
+alter table public.campaigns add column if not exists tenant_id uuid references public.tenants (id);
+alter table public.audiences add column if not exists tenant_id uuid references public.tenants (id);
+alter table public.chatbot_sessions add column if not exists tenant_id uuid references public.tenants (id);
+
+create table if not exists public.products (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  store_id uuid references public.stores (id),
+  sku text not null,
+  name text not null,
+  description text not null default '',
+  price numeric(12, 2) not null,
+  variants jsonb not null default '[]',
+  images jsonb not null default '[]',
+  active boolean not null default true,
+  track_inventory boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  unique (tenant_id, sku)
+);
+
+create table if not exists public.customers (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  name text not null,
+  name_key text not null,
+  phones text[] not null default '{}',
+  emails text[] not null default '{}',
+  addresses jsonb not null default '[]',
+  tags text[] not null default '{}',
+  notes text not null default '',
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists customers_tenant_name_key_idx on public.customers (tenant_id, name_key);
+create index if not exists customers_phones_idx on public.customers using gin (phones);
+
+create table if not exists public.inventory_levels (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  store_id uuid not null references public.stores (id),
+  product_id uuid not null references public.products (id),
+  sku text not null,
+  on_hand integer not null default 0,
+  reserved integer not null default 0,
+  low_stock_threshold integer,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  unique (tenant_id, store_id, sku)
+);
+
+create table if not exists public.inventory_movements (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  store_id uuid not null references public.stores (id),
+  product_id uuid not null references public.products (id),
+  sku text not null,
+  type text not null,
+  on_hand_change integer not null default 0,
+  reserved_change integer not null default 0,
+  on_hand_after integer not null,
+  reserved_after integer not null,
+  reason text,
+  order_id uuid,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists inventory_movements_tenant_created_idx on public.inventory_movements (tenant_id, created_at desc);
+
+-- Orders ---------------------------------------------------------------------
+
+-- Order numbers come from per-tenant sequences that all start at ORD-000001,
+-- so they are unique per tenant, never globally. Drop any unique constraint
+-- on order_id alone before applying this.
+alter table public.orders
+  add column if not exists tenant_id uuid references public.tenants (id),
+  add column if not exists customer_id uuid references public.customers (id),
+  add column if not exists discount jsonb,
+  add column if not exists subtotal numeric(12, 2),
+  add column if not exists discount_total numeric(12, 2),
+  add column if not exists shipping_total numeric(12, 2),
+  add column if not exists inventory_status text,
+  add column if not exists tracking_number text,
+  add column if not exists refunded_total numeric(12, 2) default 0,
+  add column if not exists import_id uuid,
+  add column if not exists import_key text,
+  add column if not exists updated_at timestamptz;
+
+create unique index if not exists orders_tenant_order_id_key on public.orders (tenant_id, order_id);
+create unique index if not exists orders_tenant_import_key_key on public.orders (tenant_id, import_key) where import_key is not null;
+create index if not exists orders_tenant_created_idx on public.orders (tenant_id, created_at desc, id desc);
+create index if not exists orders_company_tracking_idx on public.orders (delivery_company_id, tracking_number) where tracking_number is not null;
+
+-- A null store_id is the tenant-wide default sequence
+create table if not exists public.order_sequences (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  store_id uuid references public.stores (id),
+  prefix text not null,
+  padding integer not null,
+  next_value bigint not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  unique nulls not distinct (tenant_id, store_id)
+);
+
+create table if not exists public.order_status_history (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  order_id uuid not null references public.orders (id),
+  from_status text,
+  to_status text not null,
+  reason text,
+  changed_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_status_history_order_idx on public.order_status_history (order_id, created_at);
+
+create table if not exists public.order_filter_presets (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  user_id uuid not null,
+  name text not null,
+  filters jsonb not null,
+  created_at timestamptz not null default now(),
+  unique (tenant_id, user_id, name)
+);
+
+create table if not exists public.order_imports (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  file_name text,
+  file_hash text not null,
+  headers jsonb not null,
+  mapping jsonb,
+  status text not null,
+  total_rows integer not null default 0,
+  processed_rows integer not null default 0,
+  imported_orders integer not null default 0,
+  failed_rows integer not null default 0,
+  skipped_rows integer not null default 0,
+  error text,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  started_at timestamptz,
+  completed_at timestamptz,
+  updated_at timestamptz
+);
+
+create table if not exists public.order_import_rows (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  import_id uuid not null references public.order_imports (id) on delete cascade,
+  row_number integer not null,
+  data jsonb not null,
+  status text not null default 'pending',
+  errors jsonb,
+  order_id uuid,
+  unique (import_id, row_number)
+);
+
+-- Confirmation calls ---------------------------------------------------------
+
+create table if not exists public.confirmation_settings (
+  tenant_id uuid primary key references public.tenants (id),
+  max_attempts integer not null,
+  retry_minutes integer[] not null,
+  assignment_timeout_minutes integer not null,
+  updated_at timestamptz
+);
+
+create table if not exists public.confirmation_tasks (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  order_id uuid not null unique references public.orders (id),
+  status text not null default 'queued',
+  attempts integer not null default 0,
+  next_call_at timestamptz,
+  assigned_to uuid,
+  assigned_at timestamptz,
+  last_outcome text,
+  last_called_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists confirmation_tasks_queue_idx on public.confirmation_tasks (tenant_id, status, next_call_at);
+
+create table if not exists public.confirmation_calls (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  task_id uuid not null references public.confirmation_tasks (id),
+  order_id uuid not null references public.orders (id),
+  agent_id uuid not null,
+  outcome text not null,
+  note text,
+  callback_at timestamptz,
+  handling_seconds integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+-- Returns and refunds --------------------------------------------------------
+
+create table if not exists public.order_returns (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  order_id uuid not null references public.orders (id),
+  store_id uuid references public.stores (id),
+  status text not null default 'requested',
+  reason text,
+  notes text,
+  decision_reason text,
+  items jsonb not null,
+  value numeric(12, 2) not null,
+  refunded_total numeric(12, 2) not null default 0,
+  requested_by uuid,
+  approved_by uuid,
+  approved_at timestamptz,
+  received_by uuid,
+  received_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create table if not exists public.order_refunds (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  order_id uuid not null references public.orders (id),
+  return_id uuid not null references public.order_returns (id),
+  amount numeric(12, 2) not null,
+  method text not null,
+  reference text,
+  note text,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+-- COD remittances ------------------------------------------------------------
+
+create table if not exists public.cod_remittances (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  delivery_company_id uuid not null references public.delivery_companies (id),
+  reference text not null,
+  remitted_at timestamptz not null,
+  amount numeric(12, 2),
+  collected_amount numeric(12, 2),
+  fee_amount numeric(12, 2),
+  line_count integer,
+  status text not null,
+  notes text,
+  source text not null,
+  file_name text,
+  file_hash text,
+  mapping jsonb,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  unique (tenant_id, delivery_company_id, reference)
+);
+
+create table if not exists public.cod_remittance_lines (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  delivery_company_id uuid not null references public.delivery_companies (id),
+  remittance_id uuid not null references public.cod_remittances (id) on delete cascade,
+  row_number integer,
+  order_ref text not null,
+  order_id uuid references public.orders (id),
+  amount numeric(12, 2) not null,
+  fee numeric(12, 2) not null default 0,
+  expected_amount numeric(12, 2),
+  difference numeric(12, 2),
+  match_status text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists cod_remittance_lines_order_idx on public.cod_remittance_lines (tenant_id, order_id);
+
+-- Documents ------------------------------------------------------------------
+
+create table if not exists public.store_document_templates (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  store_id uuid not null unique references public.stores (id),
+  header_text text,
+  footer_text text,
+  currency text,
+  logo_data text,
+  logo_type text,
+  updated_at timestamptz
+);
+
+create table if not exists public.delivery_label_templates (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  delivery_company_id uuid not null unique references public.delivery_companies (id),
+  size text not null,
+  barcode_source text not null,
+  show_phone boolean not null default true,
+  show_items boolean not null default true,
+  currency text,
+  instructions text,
+  logo_data text,
+  logo_type text,
+  updated_at timestamptz
+);
+
+create table if not exists public.invoice_sequences (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null unique references public.tenants (id),
+  prefix text not null,
+  padding integer not null,
+  next_value bigint not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create table if not exists public.invoices (
+  id uuid primary key default gen_random_uuid(),
+  tenant_id uuid not null references public.tenants (id),
+  order_id uuid not null unique references public.orders (id),
+  store_id uuid references public.stores (id),
+  invoice_number text not null,
+  total numeric(12, 2) not null,
+  snapshot jsonb not null,
+  issued_by uuid,
+  issued_at timestamptz not null default now(),
+  unique (tenant_id, invoice_number)
+);
+
+-- Row-level security ---------------------------------------------------------
+
+-- The caller's tenant: the tenant_id claim of API key tokens, otherwise the
+-- tenant of the signed-in (or impersonated) user
+create or replace function public.current_tenant_id()
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    nullif(auth.jwt() ->> 'tenant_id', '')::uuid,
+    (select tenant_id from public.users where id = auth.uid())
+  )
+$$;
+
+create or replace function public.is_platform_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.users where id = auth.uid() and role = 'admin')
+    and auth.jwt() ->> 'api_key_id' is null
+$$;
+
+-- Tenant data: requests only see and write their own tenant's rows
+do $$
+declare
+  t text;
+begin
+  foreach t in array array[
+    'tenant_roles', 'tenant_invitations', 'api_keys', 'products', 'customers',
+    'inventory_levels', 'inventory_movements', 'order_sequences', 'order_status_history',
+    'order_filter_presets', 'order_imports', 'order_import_rows', 'confirmation_settings',
+    'confirmation_tasks', 'confirmation_calls', 'order_returns', 'order_refunds',
+    'cod_remittances', 'cod_remittance_lines', 'store_document_templates',
+    'delivery_label_templates', 'invoice_sequences', 'invoices'
+  ] loop
+    execute format('alter table public.%I enable row level security', t);
+    execute format('drop policy if exists tenant_rows on public.%I', t);
+    execute format(
+      'create policy tenant_rows on public.%I for all to authenticated ' ||
+      'using (tenant_id = public.current_tenant_id() or public.is_platform_admin()) ' ||
+      'with check (tenant_id = public.current_tenant_id() or public.is_platform_admin())',
+      t
+    );
+  end loop;
+end
+$$;
+
+-- The audit trail is written by the service role and only read through RLS
+alter table public.audit_logs enable row level security;
+drop policy if exists tenant_rows on public.audit_logs;
+create policy tenant_rows on public.audit_logs for select to authenticated
+  using (tenant_id = public.current_tenant_id() or public.is_platform_admin());
+
+-- Only ever used with the service role
+alter table public.rate_limits enable row level security;
+alter table public.user_sessions enable row level security;
+alter table public.user_mfa enable row level security;
+alter table public.mfa_challenges enable row level security;
+alter table public.impersonation_sessions enable row level security;
+alter table public.impersonation_events enable row level security;
+alter table public.idempotency_keys enable row level security;
@@ -1,22 +1,76 @@
 // middleware/auth.js
-const { supabase } = require('../config/supabase');
+const { supabase, supabaseAdmin, createUserClient } = require('../config/supabase');
+const { ROLE_PERMISSIONS, hasPermission } = require('../config/permissions');
+const { isApiKey, findApiKey } = require('../utils/apiKeys');
+const { trackSession } = require('../utils/sessions');
+const { isImpersonationToken, findImpersonation, logImpersonatedRequest } = require('../utils/impersonation');
+const { signDbToken } = require('../utils/dbToken');
 
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1];
+    const token = req.headers['x-api-key'] || (authHeader && authHeader.split(' ')[1]);
 
     if (!token) {
       return res.status(401).json({ error: { message: 'Access token required', status: 401 } });
     }
 
+    // API keys act on behalf of their tenant and are attributed to the key itself
+    if (isApiKey(token)) {
+      const apiKey = await findApiKey(token);
+
+      if (!apiKey) {
+        return res.status(401).json({ error: { message: 'Invalid or expired API key', status: 401 } });
+      }
+
+      req.apiKey = apiKey;
+      req.user = { id: apiKey.id, name: apiKey.name, api_key: true };
+      req.db = createUserClient(signDbToken(apiKey.created_by, {
+        api_key_id: apiKey.id,
+        tenant_id: apiKey.tenant_id
+      }));
+      return next();
+    }
+
+    // Impersonation tokens act as the target user, with every request logged
+    // against the admin who issued them
+    if (isImpersonationToken(token)) {
+      const impersonation = await findImpersonation(token);
+
+      if (!impersonation) {
+        return res.status(401).json({ error: { message: 'Invalid or expired impersonation token', status: 401 } });
+      }
+
+      const { data: { user }, error } = await supabaseAdmin.auth.admin.getUserById(impersonation.user_id);
+
+      if (error || !user) {
+        return res.status(401).json({ error: { message: 'Impersonated user not found', status: 401 } });
+      }
+
+      req.user = user;
+      req.impersonation = impersonation;
+      req.db = createUserClient(signDbToken(user.id, { impersonator_id: impersonation.admin_id }));
+      res.set('X-Impersonated-By', impersonation.admin_id);
+      res.on('finish', () => logImpersonatedRequest(req, res));
+      return next();
+    }
+
     const { data: { user }, error } = await supabase.auth.getUser(token);
 
     if (error || !user) {
       return res.status(401).json({ error: { message: 'Invalid or expired token', status: 401 } });
     }
 
+    const { session, error: sessionError } = await trackSession(req, token, user);
+
+    if (sessionError) {
+      return res.status(401).json({ error: { message: sessionError, status: 401 } });
+    }
+
     req.user = user;
+    req.sessionId = session.id;
+    req.accessToken = token;
+    req.db = createUserClient(token);
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -24,6 +78,23 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Reject API keys and impersonation on endpoints that only make sense for
+// the signed-in person themselves
+const requireUserSession = (req, res, next) => {
+  if (req.apiKey || req.impersonation) {
+    return res.status(403).json({ error: { message: 'This endpoint requires a user session', status: 403 } });
+  }
+  next();
+};
+
+// Keep sensitive account and access changes out of impersonated sessions
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    return res.status(403).json({ error: { message: 'Not allowed while impersonating a user', status: 403 } });
+  }
+  next();
+};
+
 const requireAdmin = async (req, res, next) => {
   try {
     if (!req.user) {
@@ -31,7 +102,7 @@ const requireAdmin = async (req, res, next) => {
     }
 
     // Check if user has admin role in your users table
-    const { data: userData, error } = await supabase
+    const { data: userData, error } = await supabaseAdmin
       .from('users')
       .select('role')
       .eq('id', req.user.id)
@@ -48,4 +119,57 @@ const requireAdmin = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateToken, requireAdmin };
\ No newline at end of file
+// Resolve the permission list for a user, looking up custom tenant roles
+// when the role is not one of the built-in ones
+const getUserPermissions = async (userId, tenantId) => {
+  const { data: userData, error } = await supabaseAdmin
+    .from('users')
+    .select('role, tenant_id')
+    .eq('id', userId)
+    .single();
+
+  if (error || !userData) return [];
+
+  if (ROLE_PERMISSIONS[userData.role]) {
+    return ROLE_PERMISSIONS[userData.role];
+  }
+
+  const { data: customRole } = await supabaseAdmin
+    .from('tenant_roles')
+    .select('permissions')
+    .eq('tenant_id', tenantId || userData.tenant_id)
+    .eq('name', userData.role)
+    .maybeSingle();
+
+  return customRole ? customRole.permissions || [] : [];
+};
+
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: { message: 'Authentication required', status: 401 } });
+    }
+
+    req.permissions = req.apiKey
+      ? req.apiKey.scopes || []
+      : await getUserPermissions(req.user.id, req.tenantId);
+
+    if (!permissions.every(p => hasPermission(req.permissions, p))) {
+      return res.status(403).json({ error: { message: 'Insufficient permissions', status: 403 } });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Permission middleware error:', error);
+    res.status(500).json({ error: { message: 'Authorization failed', status: 500 } });
+  }
+};
+
+module.exports = {
+  authenticateToken,
+  requireUserSession,
+  blockImpersonation,
+  requireAdmin,
+  requirePermission,
+  getUserPermissions
+};
\ No newline at end of file
@@ -0,0 +1,149 @@
+// middleware/idempotency.js
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+const MAX_KEY_LENGTH = 255;
+
+// A key still processing after this long belongs to a request that died
+// without answering, and may be claimed again
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+const MAX_CLAIM_ATTEMPTS = 3;
+
+// Helper function to fingerprint a request, so a key reused for a different
+// request is refused rather than answered with the wrong response
+function requestHash(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+// Helper function to claim a key. Returns { claimed }, { existing }, or
+// neither when the key kept vanishing between the insert and the read (it
+// was being released by another request).
+async function claimKey(scope) {
+  for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+    const { data, error } = await supabaseAdmin
+      .from('idempotency_keys')
+      .insert([{
+        ...scope,
+        status: 'processing',
+        created_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000).toISOString()
+      }])
+      .select()
+      .single();
+
+    if (!error) return { claimed: data };
+    if (error.code !== '23505') throw error;
+
+    const { data: existing, error: readError } = await supabaseAdmin
+      .from('idempotency_keys')
+      .select('*')
+      .eq('tenant_id', scope.tenant_id)
+      .eq('actor_id', scope.actor_id)
+      .eq('key', scope.key)
+      .maybeSingle();
+
+    if (readError) throw readError;
+    if (existing) return { existing };
+  }
+
+  return {};
+}
+
+// Replay the first response for requests repeating an Idempotency-Key header.
+// Keys are scoped to the tenant and caller and kept for IDEMPOTENCY_TTL_HOURS.
+// Server errors release the key so the client can retry. Runs after resolveTenant.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  try {
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        error: { message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`, status: 400 }
+      });
+    }
+
+    const scope = {
+      tenant_id: req.tenantId,
+      actor_id: req.user.id,
+      key,
+      request_hash: requestHash(req)
+    };
+
+    let { claimed, existing } = await claimKey(scope);
+
+    const abandoned = existing && (
+      new Date(existing.expires_at) < new Date() ||
+      (existing.status === 'processing' && Date.now() - new Date(existing.created_at).getTime() > PROCESSING_TIMEOUT_MS)
+    );
+
+    // Expired and abandoned keys are released and claimed afresh
+    if (abandoned) {
+      await supabaseAdmin
+        .from('idempotency_keys')
+        .delete()
+        .eq('id', existing.id)
+        .eq('status', existing.status);
+
+      ({ claimed, existing } = await claimKey(scope));
+    }
+
+    if (!claimed && !existing) {
+      return res.status(409).json({
+        error: { message: 'A request with this Idempotency-Key is still in progress', status: 409 }
+      });
+    }
+
+    if (existing) {
+      if (existing.request_hash !== scope.request_hash) {
+        return res.status(422).json({
+          error: { message: 'Idempotency-Key was already used for a different request', status: 422 }
+        });
+      }
+
+      if (existing.status !== 'completed') {
+        return res.status(409).json({
+          error: { message: 'A request with this Idempotency-Key is still in progress', status: 409 }
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      const saved = res.statusCode >= 500
+        ? supabaseAdmin.from('idempotency_keys').delete().eq('id', claimed.id)
+        : supabaseAdmin
+          .from('idempotency_keys')
+          .update({ status: 'completed', response_status: res.statusCode, response_body: body })
+          .eq('id', claimed.id);
+
+      // The response waits for the key to be stored, so an immediate retry
+      // can't slip in between and find it still processing
+      Promise.resolve(saved)
+        .then(({ error }) => {
+          if (error) console.error('Idempotency key save error:', error);
+        })
+        .catch(error => console.error('Idempotency key save error:', error))
+        .finally(() => json(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({ error: { message: 'Idempotency check failed', status: 500 } });
+  }
+};
+
+module.exports = { idempotent };
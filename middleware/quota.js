@@ -0,0 +1,41 @@
+// middleware/quota.js
+const { checkQuota, lockQuota } = require('../utils/usage');
+const { QUOTA_LABELS } = require('../config/plans');
+
+// Block creation once the tenant's plan limit is reached. Runs after resolveTenant.
+// The quota stays locked until the response is sent, so concurrent requests
+// can't all pass the check before any of them has created anything.
+const enforceQuota = (metric) => async (req, res, next) => {
+  try {
+    const release = await lockQuota(req.tenant.id, metric);
+
+    if (!release) {
+      return res.status(409).json({
+        error: { message: `${QUOTA_LABELS[metric]} quota is busy, please retry`, status: 409 }
+      });
+    }
+
+    let released = false;
+    const done = () => {
+      if (released) return;
+      released = true;
+      release().catch(error => console.error('Quota release error:', error));
+    };
+
+    res.on('finish', done);
+    res.on('close', done);
+
+    const quotaError = await checkQuota(req.tenant, metric);
+
+    if (quotaError) {
+      return res.status(quotaError.status).json({ error: quotaError });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Quota middleware error:', error);
+    res.status(500).json({ error: { message: 'Quota check failed', status: 500 } });
+  }
+};
+
+module.exports = { enforceQuota };
@@ -0,0 +1,86 @@
+// middleware/rateLimit.js
+const crypto = require('crypto');
+const config = require('../config/rateLimits');
+const { getStore } = require('../utils/rateLimitStore');
+const { getLockout } = require('../utils/lockout');
+
+// Fixed-window limiter. `key` picks what to count by (IP, email, ...);
+// requests without a key are not counted.
+const rateLimit = ({ name, windowMs, max, key }) => async (req, res, next) => {
+  try {
+    const id = key(req);
+    if (!id || !max) return next();
+
+    // The window starts with the first request and its counter expires with it
+    const { count, expiresAt } = await getStore().increment(`ratelimit:${name}:${id}`, windowMs);
+
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Remaining', String(Math.max(max - count, 0)));
+
+    if (count > max) {
+      res.set('Retry-After', String(Math.ceil((expiresAt - Date.now()) / 1000)));
+      return res.status(429).json({
+        error: { message: 'Too many requests, please try again later', status: 429 }
+      });
+    }
+
+    next();
+  } catch (error) {
+    // Fail open so a store outage doesn't take authentication down with it
+    console.error('Rate limit error:', error);
+    next();
+  }
+};
+
+const emailKey = (req) => typeof req.body.email === 'string' && req.body.email.trim().toLowerCase();
+
+const refreshTokenKey = (req) => typeof req.body.refresh_token === 'string' &&
+  crypto.createHash('sha256').update(req.body.refresh_token).digest('hex');
+
+// Reject an account field that isn't text, which would otherwise go uncounted
+const requireTextField = (field) => (req, res, next) => {
+  const value = req.body[field];
+
+  if (value !== undefined && value !== null && typeof value !== 'string') {
+    return res.status(400).json({ error: { message: `${field} must be a string`, status: 400 } });
+  }
+
+  next();
+};
+
+// Per-IP and per-account limits for one of the auth endpoints in config/rateLimits.js
+const authRateLimit = (name) => {
+  const limits = config.auth[name];
+  const accountField = name === 'refresh' ? 'refresh_token' : 'email';
+  const accountKey = name === 'refresh' ? refreshTokenKey : emailKey;
+
+  return [
+    requireTextField(accountField),
+    rateLimit({ name: `${name}:ip`, windowMs: limits.windowMs, max: limits.ip, key: req => req.ip }),
+    rateLimit({ name: `${name}:account`, windowMs: limits.windowMs, max: limits.account, key: accountKey })
+  ];
+};
+
+// Reject sign-ins for accounts locked after repeated failures
+const signinLockout = async (req, res, next) => {
+  try {
+    const email = emailKey(req);
+    if (!email) return next();
+
+    const lock = await getLockout(email);
+
+    if (lock) {
+      res.set('Retry-After', String(Math.ceil((lock.locked_until - Date.now()) / 1000)));
+      return res.status(429).json({
+        error: { message: 'Account temporarily locked due to failed sign-in attempts', status: 429 }
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Lockout check error:', error);
+    next();
+  }
+};
+
+module.exports = { rateLimit, authRateLimit, signinLockout };
@@ -0,0 +1,90 @@
+// middleware/tenant.js
+const { supabaseAdmin } = require('../config/supabase');
+const { getMfa, isMfaRequired } = require('../utils/twoFactor');
+
+// Resolve the tenant the caller is acting on. Platform admins may switch
+// tenants with the X-Tenant-Id header, everyone else (including API keys)
+// is pinned to their own.
+const resolveTenant = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: { message: 'Authentication required', status: 401 } });
+    }
+
+    const requestedTenant = req.headers['x-tenant-id'];
+    let tenantId;
+    let role;
+
+    if (req.apiKey) {
+      // API keys are bound to the tenant that issued them
+      if (requestedTenant && requestedTenant !== req.apiKey.tenant_id) {
+        return res.status(403).json({ error: { message: 'Access to this tenant is not allowed', status: 403 } });
+      }
+      tenantId = req.apiKey.tenant_id;
+    } else {
+      const { data: profile, error } = await supabaseAdmin
+        .from('users')
+        .select('role, tenant_id')
+        .eq('id', req.user.id)
+        .single();
+
+      if (error || !profile) {
+        return res.status(403).json({ error: { message: 'User profile not found', status: 403 } });
+      }
+
+      tenantId = profile.tenant_id;
+      role = profile.role;
+
+      if (requestedTenant && requestedTenant !== tenantId) {
+        if (profile.role !== 'admin') {
+          return res.status(403).json({ error: { message: 'Access to this tenant is not allowed', status: 403 } });
+        }
+        tenantId = requestedTenant;
+      }
+    }
+
+    if (!tenantId) {
+      return res.status(403).json({ error: { message: 'No tenant assigned to this user', status: 403 } });
+    }
+
+    const { data: tenant, error: tenantError } = await supabaseAdmin
+      .from('tenants')
+      .select('*')
+      .eq('id', tenantId)
+      .single();
+
+    if (tenantError || !tenant) {
+      return res.status(404).json({ error: { message: 'Tenant not found', status: 404 } });
+    }
+
+    // Suspended tenants stay reachable for platform admins only, deleted
+    // tenants for nobody until they are restored
+    if (tenant.status === 'deleted') {
+      return res.status(403).json({ error: { message: 'Tenant is scheduled for deletion', status: 403 } });
+    }
+
+    if (tenant.status === 'suspended' && role !== 'admin') {
+      return res.status(403).json({ error: { message: 'Tenant is suspended', status: 403 } });
+    }
+
+    // Tenants can require 2FA for privileged roles
+    if (!req.apiKey && isMfaRequired(tenant, role)) {
+      const mfa = await getMfa(req.user.id);
+
+      if (!mfa || !mfa.enabled) {
+        return res.status(403).json({
+          error: { message: 'Two-factor authentication is required for your role', status: 403 }
+        });
+      }
+    }
+
+    req.tenant = tenant;
+    req.tenantId = tenant.id;
+    next();
+  } catch (error) {
+    console.error('Tenant middleware error:', error);
+    res.status(500).json({ error: { message: 'Tenant resolution failed', status: 500 } });
+  }
+};
+
+module.exports = { resolveTenant };
@@ -0,0 +1,21 @@
+// middleware/upload.js
+const express = require('express');
+
+// CSV and XLSX files are uploaded as the raw request body
+const spreadsheetUpload = express.raw({
+  type: [
+    'text/csv',
+    'text/plain',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/octet-stream'
+  ],
+  limit: '10mb'
+});
+
+// Images such as store logos are uploaded as the raw request body
+const imageUpload = express.raw({
+  type: ['image/png', 'image/jpeg'],
+  limit: '512kb'
+});
+
+module.exports = { spreadsheetUpload, imageUpload };
@@ -1,11 +1,13 @@
 // routes/analytics.js
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { ORDER_STATUSES } = require('../config/orderStatuses');
+const { orderRevenue } = require('../utils/returns');
 
 // Get overall analytics
-router.get('/overview', authenticateToken, async (req, res) => {
+router.get('/overview', authenticateToken, resolveTenant, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     
@@ -13,44 +15,52 @@ router.get('/overview', authenticateToken, async (req, res) => {
     const endDate = end_date ? new Date(end_date) : new Date();
 
     // Get orders data
-    const { data: orders, error: ordersError } = await supabase
+    const { data: orders, error: ordersError } = await req.db
       .from('orders')
       .select('*')
+      .eq('tenant_id', req.tenantId)
       .gte('created_at', startDate.toISOString())
       .lte('created_at', endDate.toISOString());
 
     if (ordersError) throw ordersError;
 
     // Get users data
-    const { data: users, error: usersError } = await supabase
+    const { data: users, error: usersError } = await req.db
       .from('users')
       .select('created_at')
+      .eq('tenant_id', req.tenantId)
       .gte('created_at', startDate.toISOString())
       .lte('created_at', endDate.toISOString());
 
     if (usersError) throw usersError;
 
     // Get campaigns data
-    const { data: campaigns, error: campaignsError } = await supabase
+    const { data: campaigns, error: campaignsError } = await req.db
       .from('campaigns')
       .select('*')
+      .eq('tenant_id', req.tenantId)
       .gte('created_at', startDate.toISOString())
       .lte('created_at', endDate.toISOString());
 
     if (campaignsError) throw campaignsError;
 
+    // Revenue is net of refunds and of orders that were never paid for
+    const revenue = orders.reduce((sum, o) => sum + orderRevenue(o), 0);
+
     const analytics = {
       orders: {
         total: orders.length,
-        revenue: orders.reduce((sum, o) => sum + (parseFloat(o.total) || 0), 0).toFixed(2),
+        revenue: revenue.toFixed(2),
+        refunded: orders.reduce((sum, o) => sum + (parseFloat(o.refunded_total) || 0), 0).toFixed(2),
         average_value: orders.length > 0 
-          ? (orders.reduce((sum, o) => sum + (parseFloat(o.total) || 0), 0) / orders.length).toFixed(2)
+          ? (revenue / orders.length).toFixed(2)
           : 0,
         by_status: {
           pending: orders.filter(o => o.status === 'pending').length,
           processing: orders.filter(o => o.status === 'processing').length,
           delivered: orders.filter(o => o.status === 'delivered').length,
-          cancelled: orders.filter(o => o.status === 'cancelled').length
+          cancelled: orders.filter(o => o.status === 'cancelled').length,
+          returned: orders.filter(o => o.status === 'returned').length
         }
       },
       users: {
@@ -74,16 +84,17 @@ router.get('/overview', authenticateToken, async (req, res) => {
 });
 
 // Get revenue analytics
-router.get('/revenue', authenticateToken, async (req, res) => {
+router.get('/revenue', authenticateToken, resolveTenant, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { period = 'month', start_date, end_date } = req.query;
     
     const startDate = start_date ? new Date(start_date) : new Date(new Date().setMonth(new Date().getMonth() - 6));
     const endDate = end_date ? new Date(end_date) : new Date();
 
-    const { data: orders, error } = await supabase
+    const { data: orders, error } = await req.db
       .from('orders')
-      .select('total, created_at, status')
+      .select('total, refunded_total, created_at, status')
+      .eq('tenant_id', req.tenantId)
       .gte('created_at', startDate.toISOString())
       .lte('created_at', endDate.toISOString())
       .order('created_at');
@@ -101,16 +112,17 @@ router.get('/revenue', authenticateToken, async (req, res) => {
 });
 
 // Get order trends
-router.get('/orders/trends', authenticateToken, async (req, res) => {
+router.get('/orders/trends', authenticateToken, resolveTenant, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { period = 'day', days = 30 } = req.query;
     
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
 
-    const { data: orders, error } = await supabase
+    const { data: orders, error } = await req.db
       .from('orders')
       .select('created_at, status')
+      .eq('tenant_id', req.tenantId)
       .gte('created_at', startDate.toISOString())
       .order('created_at');
 
@@ -126,18 +138,21 @@ router.get('/orders/trends', authenticateToken, async (req, res) => {
 });
 
 // Get top performing products/stores
-router.get('/top-performers', authenticateToken, async (req, res) => {
+router.get('/top-performers', authenticateToken, resolveTenant, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { type = 'stores', limit = 10 } = req.query;
 
     if (type === 'stores') {
-      const { data: orders, error } = await supabase
+      const { data: orders, error } = await req.db
         .from('orders')
         .select(`
           total,
+          refunded_total,
+          status,
           store_id,
           stores(name)
-        `);
+        `)
+        .eq('tenant_id', req.tenantId);
 
       if (error) throw error;
 
@@ -157,7 +172,7 @@ router.get('/top-performers', authenticateToken, async (req, res) => {
         }
         
         storePerformance[storeId].total_orders += 1;
-        storePerformance[storeId].total_revenue += parseFloat(order.total) || 0;
+        storePerformance[storeId].total_revenue += orderRevenue(order);
       });
 
       const topStores = Object.values(storePerformance)
@@ -166,13 +181,16 @@ router.get('/top-performers', authenticateToken, async (req, res) => {
 
       res.json({ top_performers: topStores });
     } else if (type === 'delivery') {
-      const { data: orders, error } = await supabase
+      const { data: orders, error } = await req.db
         .from('orders')
         .select(`
           total,
+          refunded_total,
+          status,
           delivery_company_id,
           delivery_companies(name)
-        `);
+        `)
+        .eq('tenant_id', req.tenantId);
 
       if (error) throw error;
 
@@ -192,7 +210,7 @@ router.get('/top-performers', authenticateToken, async (req, res) => {
         }
         
         deliveryPerformance[deliveryId].total_orders += 1;
-        deliveryPerformance[deliveryId].total_revenue += parseFloat(order.total) || 0;
+        deliveryPerformance[deliveryId].total_revenue += orderRevenue(order);
       });
 
       const topDelivery = Object.values(deliveryPerformance)
@@ -210,40 +228,26 @@ router.get('/top-performers', authenticateToken, async (req, res) => {
 });
 
 // Get conversion funnel
-router.get('/conversion-funnel', authenticateToken, async (req, res) => {
+router.get('/conversion-funnel', authenticateToken, resolveTenant, requirePermission('analytics:read'), async (req, res) => {
   try {
-    const { data: orders, error } = await supabase
+    const { data: orders, error } = await req.db
       .from('orders')
-      .select('status');
+      .select('status')
+      .eq('tenant_id', req.tenantId);
 
     if (error) throw error;
 
-    const funnel = {
-      pending: orders.filter(o => o.status === 'pending').length,
-      processing: orders.filter(o => o.status === 'processing').length,
-      delivered: orders.filter(o => o.status === 'delivered').length,
-      cancelled: orders.filter(o => o.status === 'cancelled').length
-    };
-
     const total = orders.length;
-    const funnelWithRates = {
-      pending: {
-        count: funnel.pending,
-        rate: total > 0 ? ((funnel.pending / total) * 100).toFixed(2) : 0
-      },
-      processing: {
-        count: funnel.processing,
-        rate: total > 0 ? ((funnel.processing / total) * 100).toFixed(2) : 0
-      },
-      delivered: {
-        count: funnel.delivered,
-        rate: total > 0 ? ((funnel.delivered / total) * 100).toFixed(2) : 0
-      },
-      cancelled: {
-        count: funnel.cancelled,
-        rate: total > 0 ? ((funnel.cancelled / total) * 100).toFixed(2) : 0
-      }
-    };
+    const funnelWithRates = {};
+
+    ORDER_STATUSES.forEach(status => {
+      const count = orders.filter(o => o.status === status).length;
+
+      funnelWithRates[status] = {
+        count,
+        rate: total > 0 ? ((count / total) * 100).toFixed(2) : 0
+      };
+    });
 
     res.json({ funnel: funnelWithRates, total });
   } catch (error) {
@@ -253,30 +257,32 @@ router.get('/conversion-funnel', authenticateToken, async (req, res) => {
 });
 
 // Get customer lifetime value
-router.get('/customer-ltv', authenticateToken, async (req, res) => {
+router.get('/customer-ltv', authenticateToken, resolveTenant, requirePermission('analytics:read'), async (req, res) => {
   try {
-    const { data: orders, error } = await supabase
+    const { data: orders, error } = await req.db
       .from('orders')
-      .select('created_by, total');
+      .select('customer_id, total, refunded_total, status, customers(name)')
+      .eq('tenant_id', req.tenantId);
 
     if (error) throw error;
 
     // Group by customer
     const customerValues = {};
     orders.forEach(order => {
-      const customerId = order.created_by;
+      const customerId = order.customer_id;
       if (!customerId) return;
 
       if (!customerValues[customerId]) {
         customerValues[customerId] = {
           customer_id: customerId,
+          name: order.customers ? order.customers.name : null,
           total_orders: 0,
           total_spent: 0
         };
       }
 
       customerValues[customerId].total_orders += 1;
-      customerValues[customerId].total_spent += parseFloat(order.total) || 0;
+      customerValues[customerId].total_spent += orderRevenue(order);
     });
 
     const customers = Object.values(customerValues);
@@ -323,7 +329,7 @@ function groupByPeriod(orders, period) {
       };
     }
 
-    grouped[key].revenue += parseFloat(order.total) || 0;
+    grouped[key].revenue += orderRevenue(order);
     grouped[key].orders += 1;
   });
 
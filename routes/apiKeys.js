@@ -0,0 +1,134 @@
+// routes/apiKeys.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, blockImpersonation, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { PERMISSIONS, PLATFORM_PERMISSIONS, hasPermission } = require('../config/permissions');
+const { generateApiKey, hashApiKey } = require('../utils/apiKeys');
+const { recordAudit } = require('../utils/audit');
+
+const API_KEY_FIELDS = 'id, name, prefix, scopes, last_used_at, expires_at, revoked_at, created_by, created_at';
+
+// Keys can never manage other keys or act at platform level
+const NON_GRANTABLE_SCOPES = [...PLATFORM_PERMISSIONS, 'api_keys:manage'];
+
+// Get tenant API keys
+router.get('/', authenticateToken, resolveTenant, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const { data, error } = await req.db
+      .from('api_keys')
+      .select(API_KEY_FIELDS)
+      .eq('tenant_id', req.tenantId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ api_keys: data });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: { message: 'Failed to get API keys', status: 500 } });
+  }
+});
+
+// Create API key
+router.post('/', authenticateToken, blockImpersonation, resolveTenant, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const { name, scopes, expires_at } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        error: { message: 'Name and scopes are required', status: 400 }
+      });
+    }
+
+    const invalid = scopes.filter(s => !PERMISSIONS.includes(s) || NON_GRANTABLE_SCOPES.includes(s));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: { message: `Invalid scopes: ${invalid.join(', ')}`, status: 400 }
+      });
+    }
+
+    // A key can't be given more access than its creator has
+    if (!scopes.every(s => hasPermission(req.permissions, s))) {
+      return res.status(403).json({
+        error: { message: 'Cannot grant scopes you do not have', status: 403 }
+      });
+    }
+
+    if (expires_at && (isNaN(Date.parse(expires_at)) || new Date(expires_at) <= new Date())) {
+      return res.status(400).json({
+        error: { message: 'Expiry must be a future date', status: 400 }
+      });
+    }
+
+    const key = generateApiKey();
+
+    const keyData = {
+      name,
+      prefix: key.slice(0, 12),
+      key_hash: hashApiKey(key),
+      scopes,
+      expires_at: expires_at ? new Date(expires_at).toISOString() : null,
+      tenant_id: req.tenantId,
+      created_by: req.user.id,
+      created_at: new Date().toISOString()
+    };
+
+    const { data, error } = await req.db
+      .from('api_keys')
+      .insert([keyData])
+      .select(API_KEY_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, { action: 'create', resource: 'api_keys', resourceId: data.id, after: data });
+
+    // The plaintext key is only ever returned here
+    res.status(201).json({
+      message: 'API key created successfully',
+      api_key: data,
+      key
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: { message: 'Failed to create API key', status: 500 } });
+  }
+});
+
+// Revoke API key
+router.delete('/:id', authenticateToken, blockImpersonation, resolveTenant, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await req.db
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .is('revoked_at', null)
+      .select(API_KEY_FIELDS)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'API key not found', status: 404 } });
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      resource: 'api_keys',
+      resourceId: id,
+      before: { ...data, revoked_at: null },
+      after: data
+    });
+
+    res.json({ message: 'API key revoked successfully', api_key: data });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: { message: 'Failed to revoke API key', status: 500 } });
+  }
+});
+
+module.exports = router;
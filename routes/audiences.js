@@ -1,15 +1,17 @@
 // routes/audiences.js
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { recordAudit } = require('../utils/audit');
 
 // Get all audiences
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, resolveTenant, requirePermission('audiences:read'), async (req, res) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('audiences')
       .select('*')
+      .eq('tenant_id', req.tenantId)
       .order('created_at', { ascending: false });
 
     if (error) throw error;
@@ -22,14 +24,15 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get audience by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, resolveTenant, requirePermission('audiences:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('audiences')
       .select('*')
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
       .single();
 
     if (error) {
@@ -44,7 +47,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Create audience
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, resolveTenant, requirePermission('audiences:write'), async (req, res) => {
   try {
     const { name, description, filters } = req.body;
 
@@ -56,20 +59,22 @@ router.post('/', authenticateToken, async (req, res) => {
 
     // Calculate user count based on filters
     // This is a simplified version - you'd implement actual filter logic
-    const { count } = await supabase
+    const { count } = await req.db
       .from('users')
-      .select('*', { count: 'exact', head: true });
+      .select('*', { count: 'exact', head: true })
+      .eq('tenant_id', req.tenantId);
 
     const audienceData = {
       name,
       description: description || '',
       filters: filters || {},
       user_count: count || 0,
+      tenant_id: req.tenantId,
       created_by: req.user.id,
       created_at: new Date().toISOString()
     };
 
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('audiences')
       .insert([audienceData])
       .select()
@@ -77,6 +82,8 @@ router.post('/', authenticateToken, async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, { action: 'create', resource: 'audiences', resourceId: data.id, after: data });
+
     res.status(201).json({ 
       message: 'Audience created successfully', 
       audience: data 
@@ -88,7 +95,7 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // Update audience
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, resolveTenant, requirePermission('audiences:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, description, filters } = req.body;
@@ -100,22 +107,37 @@ router.put('/:id', authenticateToken, async (req, res) => {
       updateData.filters = filters;
       
       // Recalculate user count
-      const { count } = await supabase
+      const { count } = await req.db
         .from('users')
-        .select('*', { count: 'exact', head: true });
+        .select('*', { count: 'exact', head: true })
+        .eq('tenant_id', req.tenantId);
       
       updateData.user_count = count || 0;
     }
 
-    const { data, error } = await supabase
+    const { data: before } = await req.db
+      .from('audiences')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    const { data, error } = await req.db
       .from('audiences')
       .update(updateData)
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Audience not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'audiences', resourceId: id, before, after: data });
+
     res.json({ message: 'Audience updated successfully', audience: data });
   } catch (error) {
     console.error('Update audience error:', error);
@@ -124,17 +146,26 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 // Delete audience
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, resolveTenant, requirePermission('audiences:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase
+    const { data, error } = await req.db
       .from('audiences')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .select()
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Audience not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'delete', resource: 'audiences', resourceId: id, before: data });
+
     res.json({ message: 'Audience deleted successfully' });
   } catch (error) {
     console.error('Delete audience error:', error);
@@ -143,16 +174,17 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Get audience members
-router.get('/:id/members', authenticateToken, async (req, res) => {
+router.get('/:id/members', authenticateToken, resolveTenant, requirePermission('audiences:read'), async (req, res) => {
   try {
     const { id } = req.params;
     const { limit = 50, offset = 0 } = req.query;
 
     // Get audience filters
-    const { data: audience, error: audienceError } = await supabase
+    const { data: audience, error: audienceError } = await req.db
       .from('audiences')
       .select('filters')
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
       .single();
 
     if (audienceError) {
@@ -161,9 +193,10 @@ router.get('/:id/members', authenticateToken, async (req, res) => {
 
     // Get users based on filters
     // This is simplified - implement actual filter logic based on your needs
-    const { data: members, error, count } = await supabase
+    const { data: members, error, count } = await req.db
       .from('users')
       .select('id, email, full_name, created_at', { count: 'exact' })
+      .eq('tenant_id', req.tenantId)
       .range(offset, offset + limit - 1);
 
     if (error) throw error;
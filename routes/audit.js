@@ -0,0 +1,93 @@
+// routes/audit.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+
+// Helper function to check the date filters. Returns an error message or null.
+function validateDates({ start_date, end_date }) {
+  for (const [name, value] of [['start_date', start_date], ['end_date', end_date]]) {
+    if (value && (typeof value !== 'string' || Number.isNaN(new Date(value).getTime()))) {
+      return `${name} must be a valid date`;
+    }
+  }
+
+  return null;
+}
+
+// Helper function to apply the shared audit filters
+function applyFilters(query, { resource, resource_id, actor, action, start_date, end_date }) {
+  if (resource) query = query.eq('resource', resource);
+  if (resource_id) query = query.eq('resource_id', resource_id);
+  if (actor) query = query.eq('actor_id', actor);
+  if (action) query = query.eq('action', action);
+  if (start_date) query = query.gte('created_at', new Date(start_date).toISOString());
+  if (end_date) query = query.lte('created_at', new Date(end_date).toISOString());
+  return query;
+}
+
+// Get tenant audit log
+router.get('/', authenticateToken, resolveTenant, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const dateError = validateDates(req.query);
+
+    if (dateError) {
+      return res.status(400).json({ error: { message: dateError, status: 400 } });
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    let query = req.db
+      .from('audit_logs')
+      .select('*', { count: 'exact' })
+      .eq('tenant_id', req.tenantId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    query = applyFilters(query, req.query);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ entries: data, total: count });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: { message: 'Failed to get audit log', status: 500 } });
+  }
+});
+
+// Get audit log across tenants (platform admin only)
+router.get('/platform', authenticateToken, requirePermission('tenants:admin'), async (req, res) => {
+  try {
+    const dateError = validateDates(req.query);
+
+    if (dateError) {
+      return res.status(400).json({ error: { message: dateError, status: 400 } });
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    let query = req.db
+      .from('audit_logs')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (req.query.tenant_id) query = query.eq('tenant_id', req.query.tenant_id);
+    query = applyFilters(query, req.query);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ entries: data, total: count });
+  } catch (error) {
+    console.error('Get platform audit log error:', error);
+    res.status(500).json({ error: { message: 'Failed to get audit log', status: 500 } });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,16 @@
 // routes/auth.js
 const express = require('express');
 const router = express.Router();
-const { supabase, supabaseAdmin } = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { supabase, supabaseAdmin, createUserClient } = require('../config/supabase');
+const { authenticateToken, requireUserSession, requirePermission } = require('../middleware/auth');
+const { authRateLimit, signinLockout } = require('../middleware/rateLimit');
+const { recordFailedSignin, clearLockout, listLockouts, getLockout, format } = require('../utils/lockout');
+const { recordAudit } = require('../utils/audit');
+const { getMfa, isMfaRequiredForUser, createChallenge } = require('../utils/twoFactor');
+const { registerSession, listSessions, revokeSessions } = require('../utils/sessions');
 
 // Sign up
-router.post('/signup', async (req, res) => {
+router.post('/signup', authRateLimit('signup'), async (req, res) => {
   try {
     const { email, password, fullName } = req.body;
 
@@ -30,8 +35,8 @@ router.post('/signup', async (req, res) => {
       return res.status(400).json({ error: { message: authError.message, status: 400 } });
     }
 
-    // Create user profile
-    const { error: profileError } = await supabase
+    // Create user profile. There is no session yet when email confirmation is on.
+    const { error: profileError } = await supabaseAdmin
       .from('users')
       .insert([
         {
@@ -47,6 +52,10 @@ router.post('/signup', async (req, res) => {
       console.error('Profile creation error:', profileError);
     }
 
+    if (authData.session) {
+      await registerSession(req, authData.session);
+    }
+
     res.status(201).json({
       message: 'User created successfully',
       user: {
@@ -63,7 +72,7 @@ router.post('/signup', async (req, res) => {
 });
 
 // Sign in
-router.post('/signin', async (req, res) => {
+router.post('/signin', authRateLimit('signin'), signinLockout, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -79,11 +88,29 @@ router.post('/signin', async (req, res) => {
     });
 
     if (error) {
+      await recordFailedSignin(email);
       return res.status(401).json({ error: { message: error.message, status: 401 } });
     }
 
+    await clearLockout(email);
+
+    // Hold the session back until the second factor is verified
+    const mfa = await getMfa(data.user.id);
+
+    if (mfa && mfa.enabled) {
+      const challengeToken = await createChallenge(data.user.id, data.session);
+
+      return res.json({
+        message: 'Two-factor authentication required',
+        mfa_required: true,
+        challenge_token: challengeToken
+      });
+    }
+
+    await registerSession(req, data.session);
+
     // Get user profile
-    const { data: profile } = await supabase
+    const { data: profile } = await createUserClient(data.session.access_token)
       .from('users')
       .select('*')
       .eq('id', data.user.id)
@@ -95,7 +122,8 @@ router.post('/signin', async (req, res) => {
         ...data.user,
         profile
       },
-      session: data.session
+      session: data.session,
+      mfa_enrollment_required: await isMfaRequiredForUser(profile)
     });
   } catch (error) {
     console.error('Signin error:', error);
@@ -104,14 +132,17 @@ router.post('/signin', async (req, res) => {
 });
 
 // Sign out
-router.post('/signout', authenticateToken, async (req, res) => {
+router.post('/signout', authenticateToken, requireUserSession, async (req, res) => {
   try {
-    const { error } = await supabase.auth.signOut();
+    // Revoke the caller's own refresh token, not the shared client's
+    const { error } = await supabaseAdmin.auth.admin.signOut(req.accessToken, 'local');
 
     if (error) {
       return res.status(400).json({ error: { message: error.message, status: 400 } });
     }
 
+    await revokeSessions(req.user.id, { only: req.sessionId });
+
     res.json({ message: 'Signed out successfully' });
   } catch (error) {
     console.error('Signout error:', error);
@@ -122,7 +153,7 @@ router.post('/signout', authenticateToken, async (req, res) => {
 // Get current user
 router.get('/me', authenticateToken, async (req, res) => {
   try {
-    const { data: profile, error } = await supabase
+    const { data: profile, error } = await req.db
       .from('users')
       .select('*')
       .eq('id', req.user.id)
@@ -140,7 +171,7 @@ router.get('/me', authenticateToken, async (req, res) => {
 });
 
 // Refresh token
-router.post('/refresh', async (req, res) => {
+router.post('/refresh', authRateLimit('refresh'), async (req, res) => {
   try {
     const { refresh_token } = req.body;
 
@@ -167,7 +198,7 @@ router.post('/refresh', async (req, res) => {
 });
 
 // Reset password request
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', authRateLimit('resetPassword'), async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -193,7 +224,7 @@ router.post('/reset-password', async (req, res) => {
 });
 
 // Update password
-router.post('/update-password', authenticateToken, async (req, res) => {
+router.post('/update-password', authenticateToken, requireUserSession, async (req, res) => {
   try {
     const { password } = req.body;
 
@@ -203,7 +234,7 @@ router.post('/update-password', authenticateToken, async (req, res) => {
       });
     }
 
-    const { error } = await supabase.auth.updateUser({ password });
+    const { error } = await supabaseAdmin.auth.admin.updateUserById(req.user.id, { password });
 
     if (error) {
       return res.status(400).json({ error: { message: error.message, status: 400 } });
@@ -216,4 +247,93 @@ router.post('/update-password', authenticateToken, async (req, res) => {
   }
 });
 
+// Get active sessions
+router.get('/sessions', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.sessionId }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: { message: 'Failed to get sessions', status: 500 } });
+  }
+});
+
+// Revoke all other sessions
+router.post('/sessions/revoke-others', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin.auth.admin.signOut(req.accessToken, 'others');
+
+    if (error) {
+      return res.status(400).json({ error: { message: error.message, status: 400 } });
+    }
+
+    const revoked = await revokeSessions(req.user.id, { except: req.sessionId });
+
+    res.json({ message: 'Other sessions revoked successfully', revoked: revoked.length });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({ error: { message: 'Failed to revoke sessions', status: 500 } });
+  }
+});
+
+// Revoke one session
+router.delete('/sessions/:id', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.sessionId) {
+      await supabaseAdmin.auth.admin.signOut(req.accessToken, 'local');
+    }
+
+    const revoked = await revokeSessions(req.user.id, { only: id });
+
+    if (revoked.length === 0) {
+      return res.status(404).json({ error: { message: 'Session not found', status: 404 } });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: { message: 'Failed to revoke session', status: 500 } });
+  }
+});
+
+// Get sign-in lockouts (user admin only)
+router.get('/lockouts', authenticateToken, requirePermission('users:admin'), async (req, res) => {
+  try {
+    const lockouts = await listLockouts();
+
+    res.json({ lockouts });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ error: { message: 'Failed to get lockouts', status: 500 } });
+  }
+});
+
+// Clear a sign-in lockout (user admin only)
+router.delete('/lockouts/:email', authenticateToken, requirePermission('users:admin'), async (req, res) => {
+  try {
+    const { email } = req.params;
+
+    const lock = await getLockout(email);
+    await clearLockout(email);
+
+    await recordAudit(req, {
+      action: 'delete',
+      resource: 'lockouts',
+      resourceId: email.trim().toLowerCase(),
+      before: lock ? format(lock) : null,
+      tenantId: null
+    });
+
+    res.json({ message: 'Lockout cleared successfully' });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ error: { message: 'Failed to clear lockout', status: 500 } });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,17 +1,20 @@
 // routes/campaigns.js
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { enforceQuota } = require('../middleware/quota');
+const { recordAudit } = require('../utils/audit');
 
 // Get all campaigns
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, resolveTenant, requirePermission('campaigns:read'), async (req, res) => {
   try {
     const { status, type, limit = 50, offset = 0 } = req.query;
     
-    let query = supabase
+    let query = req.db
       .from('campaigns')
       .select('*', { count: 'exact' })
+      .eq('tenant_id', req.tenantId)
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
 
@@ -30,14 +33,15 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get campaign by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, resolveTenant, requirePermission('campaigns:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('campaigns')
       .select('*')
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
       .single();
 
     if (error) {
@@ -52,7 +56,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Create campaign
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, resolveTenant, requirePermission('campaigns:write'), async (req, res) => {
   try {
     const { name, type, recipients_count } = req.body;
 
@@ -70,11 +74,12 @@ router.post('/', authenticateToken, async (req, res) => {
       opened_count: 0,
       clicked_count: 0,
       conversion_count: 0,
+      tenant_id: req.tenantId,
       created_by: req.user.id,
       created_at: new Date().toISOString()
     };
 
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('campaigns')
       .insert([campaignData])
       .select()
@@ -82,6 +87,8 @@ router.post('/', authenticateToken, async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, { action: 'create', resource: 'campaigns', resourceId: data.id, after: data });
+
     res.status(201).json({ 
       message: 'Campaign created successfully', 
       campaign: data 
@@ -93,7 +100,7 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // Update campaign
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, resolveTenant, requirePermission('campaigns:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, type, status, recipients_count, opened_count, clicked_count, conversion_count } = req.body;
@@ -107,15 +114,29 @@ router.put('/:id', authenticateToken, async (req, res) => {
     if (clicked_count !== undefined) updateData.clicked_count = clicked_count;
     if (conversion_count !== undefined) updateData.conversion_count = conversion_count;
 
-    const { data, error } = await supabase
+    const { data: before } = await req.db
+      .from('campaigns')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    const { data, error } = await req.db
       .from('campaigns')
       .update(updateData)
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Campaign not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'campaigns', resourceId: id, before, after: data });
+
     res.json({ message: 'Campaign updated successfully', campaign: data });
   } catch (error) {
     console.error('Update campaign error:', error);
@@ -124,11 +145,23 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 // Send campaign
-router.post('/:id/send', authenticateToken, async (req, res) => {
+router.post('/:id/send', authenticateToken, resolveTenant, requirePermission('campaigns:send'), enforceQuota('monthly_campaign_sends'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data, error } = await supabase
+    const { data: before } = await req.db
+      .from('campaigns')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    // Each campaign counts once against the monthly send quota
+    if (before && before.status === 'sent') {
+      return res.status(409).json({ error: { message: 'Campaign has already been sent', status: 409 } });
+    }
+
+    const { data, error } = await req.db
       .from('campaigns')
       .update({ 
         status: 'sent',
@@ -136,11 +169,19 @@ router.post('/:id/send', authenticateToken, async (req, res) => {
         updated_at: new Date().toISOString()
       })
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .neq('status', 'sent')
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Campaign not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'campaigns', resourceId: id, before, after: data });
+
     res.json({ message: 'Campaign sent successfully', campaign: data });
   } catch (error) {
     console.error('Send campaign error:', error);
@@ -149,17 +190,26 @@ router.post('/:id/send', authenticateToken, async (req, res) => {
 });
 
 // Delete campaign
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, resolveTenant, requirePermission('campaigns:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase
+    const { data, error } = await req.db
       .from('campaigns')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .select()
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Campaign not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'delete', resource: 'campaigns', resourceId: id, before: data });
+
     res.json({ message: 'Campaign deleted successfully' });
   } catch (error) {
     console.error('Delete campaign error:', error);
@@ -168,18 +218,23 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Get campaign statistics
-router.get('/:id/stats', authenticateToken, async (req, res) => {
+router.get('/:id/stats', authenticateToken, resolveTenant, requirePermission('campaigns:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('campaigns')
       .select('recipients_count, opened_count, clicked_count, conversion_count')
       .eq('id', id)
-      .single();
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Campaign not found', status: 404 } });
+    }
+
     const stats = {
       recipients: data.recipients_count,
       opened: data.opened_count,
@@ -1,17 +1,20 @@
 // routes/chatbots.js
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { enforceQuota } = require('../middleware/quota');
+const { recordAudit } = require('../utils/audit');
 
 // Get all chatbot sessions
-router.get('/sessions', authenticateToken, async (req, res) => {
+router.get('/sessions', authenticateToken, resolveTenant, requirePermission('chatbots:read'), async (req, res) => {
   try {
     const { user_id, limit = 50, offset = 0 } = req.query;
     
-    let query = supabase
+    let query = req.db
       .from('chatbot_sessions')
       .select('*', { count: 'exact' })
+      .eq('tenant_id', req.tenantId)
       .order('started_at', { ascending: false })
       .range(offset, offset + limit - 1);
 
@@ -31,14 +34,15 @@ router.get('/sessions', authenticateToken, async (req, res) => {
 });
 
 // Get session by ID
-router.get('/sessions/:id', authenticateToken, async (req, res) => {
+router.get('/sessions/:id', authenticateToken, resolveTenant, requirePermission('chatbots:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('chatbot_sessions')
       .select('*')
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
       .single();
 
     if (error) {
@@ -53,17 +57,18 @@ router.get('/sessions/:id', authenticateToken, async (req, res) => {
 });
 
 // Create chatbot session
-router.post('/sessions', authenticateToken, async (req, res) => {
+router.post('/sessions', authenticateToken, resolveTenant, requirePermission('chatbots:write'), enforceQuota('monthly_chatbot_sessions'), async (req, res) => {
   try {
     const sessionData = {
       user_id: req.user.id,
       session_id: `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       messages: [],
+      tenant_id: req.tenantId,
       started_at: new Date().toISOString(),
       created_at: new Date().toISOString()
     };
 
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('chatbot_sessions')
       .insert([sessionData])
       .select()
@@ -71,6 +76,8 @@ router.post('/sessions', authenticateToken, async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, { action: 'create', resource: 'chatbot_sessions', resourceId: data.id, after: data });
+
     res.status(201).json({ 
       message: 'Session created successfully', 
       session: data 
@@ -82,7 +89,7 @@ router.post('/sessions', authenticateToken, async (req, res) => {
 });
 
 // Add message to session
-router.post('/sessions/:id/messages', authenticateToken, async (req, res) => {
+router.post('/sessions/:id/messages', authenticateToken, resolveTenant, requirePermission('chatbots:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { message, role } = req.body;
@@ -94,10 +101,11 @@ router.post('/sessions/:id/messages', authenticateToken, async (req, res) => {
     }
 
     // Get current session
-    const { data: session, error: fetchError } = await supabase
+    const { data: session, error: fetchError } = await req.db
       .from('chatbot_sessions')
       .select('messages')
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
       .single();
 
     if (fetchError) {
@@ -105,7 +113,7 @@ router.post('/sessions/:id/messages', authenticateToken, async (req, res) => {
     }
 
     // Add new message
-    const messages = session.messages || [];
+    const messages = [...(session.messages || [])];
     messages.push({
       role,
       content: message,
@@ -113,15 +121,24 @@ router.post('/sessions/:id/messages', authenticateToken, async (req, res) => {
     });
 
     // Update session
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('chatbot_sessions')
       .update({ messages })
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
       .select()
       .single();
 
     if (error) throw error;
 
+    await recordAudit(req, {
+      action: 'update',
+      resource: 'chatbot_sessions',
+      resourceId: id,
+      before: session,
+      after: { messages: data.messages }
+    });
+
     res.json({ 
       message: 'Message added successfully', 
       session: data 
@@ -133,19 +150,33 @@ router.post('/sessions/:id/messages', authenticateToken, async (req, res) => {
 });
 
 // End chatbot session
-router.post('/sessions/:id/end', authenticateToken, async (req, res) => {
+router.post('/sessions/:id/end', authenticateToken, resolveTenant, requirePermission('chatbots:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data, error } = await supabase
+    const { data: before } = await req.db
+      .from('chatbot_sessions')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    const { data, error } = await req.db
       .from('chatbot_sessions')
       .update({ ended_at: new Date().toISOString() })
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Session not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'chatbot_sessions', resourceId: id, before, after: data });
+
     res.json({ message: 'Session ended successfully', session: data });
   } catch (error) {
     console.error('End session error:', error);
@@ -154,14 +185,15 @@ router.post('/sessions/:id/end', authenticateToken, async (req, res) => {
 });
 
 // Get chatbot statistics
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, resolveTenant, requirePermission('chatbots:read'), async (req, res) => {
   try {
     const now = new Date();
     const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
 
-    const { data: sessions, error } = await supabase
+    const { data: sessions, error } = await req.db
       .from('chatbot_sessions')
-      .select('started_at, ended_at, messages');
+      .select('started_at, ended_at, messages')
+      .eq('tenant_id', req.tenantId);
 
     if (error) throw error;
 
@@ -200,17 +232,26 @@ function calculateAvgDuration(sessions) {
 }
 
 // Delete session
-router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+router.delete('/sessions/:id', authenticateToken, resolveTenant, requirePermission('chatbots:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase
+    const { data, error } = await req.db
       .from('chatbot_sessions')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .select()
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Session not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'delete', resource: 'chatbot_sessions', resourceId: id, before: data });
+
     res.json({ message: 'Session deleted successfully' });
   } catch (error) {
     console.error('Delete session error:', error);
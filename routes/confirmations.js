@@ -0,0 +1,362 @@
+// routes/confirmations.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireUserSession, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { hasPermission } = require('../config/permissions');
+const { recordAudit } = require('../utils/audit');
+const { transitionOrder } = require('../utils/orderStatus');
+const { syncOrderInventory } = require('../utils/inventory');
+const {
+  TASK_STATUSES,
+  CALL_OUTCOMES,
+  DEFAULT_CONFIRMATION_SETTINGS,
+  validateSettings,
+  getSettings,
+  enqueuePending,
+  claimNextTask,
+  taskChanges,
+  agentStats
+} = require('../utils/confirmations');
+
+// Order statuses the confirmed and cancelled outcomes move an order to
+const OUTCOME_STATUSES = { confirmed: 'confirmed', cancelled: 'cancelled' };
+
+// Get the confirmation queue
+router.get('/', authenticateToken, resolveTenant, requirePermission('confirmations:manage'), async (req, res) => {
+  try {
+    const { status, assigned_to, outcome, limit = 50, offset = 0 } = req.query;
+
+    if (status && !TASK_STATUSES.includes(status)) {
+      return res.status(400).json({ error: { message: 'Invalid status', status: 400 } });
+    }
+
+    let query = req.db
+      .from('confirmation_tasks')
+      .select('*, orders(order_id, client, status, total)', { count: 'exact' })
+      .eq('tenant_id', req.tenantId)
+      .order('next_call_at')
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (status) query = query.eq('status', status);
+    if (assigned_to) query = query.eq('assigned_to', assigned_to);
+    if (outcome) query = query.eq('last_outcome', outcome);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ tasks: data, total: count });
+  } catch (error) {
+    console.error('Get confirmation queue error:', error);
+    res.status(500).json({ error: { message: 'Failed to get confirmation queue', status: 500 } });
+  }
+});
+
+// Get confirmation settings
+router.get('/settings', authenticateToken, resolveTenant, requirePermission('orders:settings'), async (req, res) => {
+  try {
+    const settings = await getSettings(req.db, req.tenantId);
+
+    res.json({ settings });
+  } catch (error) {
+    console.error('Get confirmation settings error:', error);
+    res.status(500).json({ error: { message: 'Failed to get confirmation settings', status: 500 } });
+  }
+});
+
+// Update confirmation settings: { max_attempts, retry_minutes, assignment_timeout_minutes }
+router.put('/settings', authenticateToken, resolveTenant, requirePermission('orders:settings'), async (req, res) => {
+  try {
+    const validationError = validateSettings(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: { message: validationError, status: 400 } });
+    }
+
+    const changes = {};
+    Object.keys(DEFAULT_CONFIRMATION_SETTINGS).forEach(key => {
+      if (req.body[key] !== undefined) changes[key] = req.body[key];
+    });
+
+    const { data: before } = await req.db
+      .from('confirmation_settings')
+      .select('*')
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    const { data, error } = await req.db
+      .from('confirmation_settings')
+      .upsert({
+        ...DEFAULT_CONFIRMATION_SETTINGS,
+        ...(before || {}),
+        ...changes,
+        tenant_id: req.tenantId,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'tenant_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: before ? 'update' : 'create',
+      resource: 'confirmation_settings',
+      resourceId: data.id,
+      before,
+      after: data
+    });
+
+    res.json({ message: 'Confirmation settings saved successfully', settings: data });
+  } catch (error) {
+    console.error('Update confirmation settings error:', error);
+    res.status(500).json({ error: { message: 'Failed to save confirmation settings', status: 500 } });
+  }
+});
+
+// Get call statistics per agent. Agents only see their own.
+router.get('/stats', authenticateToken, resolveTenant, requirePermission('confirmations:work'), async (req, res) => {
+  try {
+    const { start_date, end_date } = req.query;
+
+    if ((start_date && isNaN(Date.parse(start_date))) || (end_date && isNaN(Date.parse(end_date)))) {
+      return res.status(400).json({ error: { message: 'Dates must be valid ISO dates', status: 400 } });
+    }
+
+    const startDate = start_date ? new Date(start_date) : new Date(new Date().setDate(new Date().getDate() - 30));
+    const endDate = end_date ? new Date(end_date) : new Date();
+    const agentId = hasPermission(req.permissions, 'confirmations:manage') ? req.query.agent_id : req.user.id;
+
+    let query = req.db
+      .from('confirmation_calls')
+      .select('agent_id, order_id, outcome, handling_seconds')
+      .eq('tenant_id', req.tenantId)
+      .gte('created_at', startDate.toISOString())
+      .lte('created_at', endDate.toISOString());
+
+    if (agentId) query = query.eq('agent_id', agentId);
+
+    const { data: calls, error } = await query;
+
+    if (error) throw error;
+
+    const { data: members, error: membersError } = await req.db
+      .from('users')
+      .select('id, full_name, email')
+      .eq('tenant_id', req.tenantId);
+
+    if (membersError) throw membersError;
+
+    const agents = agentStats(calls).map(agent => {
+      const member = members.find(m => m.id === agent.agent_id);
+      return { ...agent, name: member ? member.full_name || member.email : null };
+    });
+
+    res.json({
+      agents: agents.sort((a, b) => b.calls - a.calls),
+      period: { start_date: startDate, end_date: endDate }
+    });
+  } catch (error) {
+    console.error('Get confirmation stats error:', error);
+    res.status(500).json({ error: { message: 'Failed to get confirmation statistics', status: 500 } });
+  }
+});
+
+// Queue every pending order that isn't queued yet
+router.post('/sync', authenticateToken, resolveTenant, requirePermission('confirmations:manage'), async (req, res) => {
+  try {
+    const pending = await enqueuePending(req.db, req.tenantId);
+
+    res.json({ message: 'Pending orders queued successfully', pending_orders: pending });
+  } catch (error) {
+    console.error('Sync confirmation queue error:', error);
+    res.status(500).json({ error: { message: 'Failed to queue pending orders', status: 500 } });
+  }
+});
+
+// Take the next order to call
+router.post('/next', authenticateToken, requireUserSession, resolveTenant, requirePermission('confirmations:work'), async (req, res) => {
+  try {
+    const settings = await getSettings(req.db, req.tenantId);
+    const task = await claimNextTask(req, settings);
+
+    if (!task) {
+      return res.json({ message: 'No orders are waiting for a call', task: null });
+    }
+
+    res.json({ task });
+  } catch (error) {
+    console.error('Get next confirmation error:', error);
+    res.status(500).json({ error: { message: 'Failed to get next order to call', status: 500 } });
+  }
+});
+
+// Get a task with its call log
+router.get('/:id', authenticateToken, resolveTenant, requirePermission('confirmations:work'), async (req, res) => {
+  try {
+    const { data: task, error } = await req.db
+      .from('confirmation_tasks')
+      .select('*, orders(order_id, client, status, total, items, customers(name, phones))')
+      .eq('id', req.params.id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!task) {
+      return res.status(404).json({ error: { message: 'Task not found', status: 404 } });
+    }
+
+    const { data: calls, error: callsError } = await req.db
+      .from('confirmation_calls')
+      .select('*')
+      .eq('task_id', task.id)
+      .eq('tenant_id', req.tenantId)
+      .order('created_at');
+
+    if (callsError) throw callsError;
+
+    res.json({ task, calls });
+  } catch (error) {
+    console.error('Get confirmation task error:', error);
+    res.status(500).json({ error: { message: 'Failed to get task', status: 500 } });
+  }
+});
+
+// Log a call outcome: { outcome, note, callback_at }. Confirmed and cancelled
+// move the order on; no answer queues it again until the attempts run out;
+// postponed queues it for the callback time.
+router.post('/:id/outcome', authenticateToken, requireUserSession, resolveTenant, requirePermission('confirmations:work'), async (req, res) => {
+  try {
+    const { outcome, note } = req.body;
+
+    if (!CALL_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        error: { message: `Outcome must be one of: ${CALL_OUTCOMES.join(', ')}`, status: 400 }
+      });
+    }
+
+    const { data: task } = await req.db
+      .from('confirmation_tasks')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    if (!task) {
+      return res.status(404).json({ error: { message: 'Task not found', status: 404 } });
+    }
+
+    if (task.status !== 'assigned' || task.assigned_to !== req.user.id) {
+      return res.status(409).json({ error: { message: 'This order is not assigned to you', status: 409 } });
+    }
+
+    const settings = await getSettings(req.db, req.tenantId);
+    const now = new Date();
+    const changes = taskChanges(settings, task, req.body, now);
+
+    if (changes.error) {
+      return res.status(400).json({ error: { message: changes.error, status: 400 } });
+    }
+
+    // Only the assigned agent's first outcome counts
+    const { data: updated, error } = await req.db
+      .from('confirmation_tasks')
+      .update({ ...changes, updated_at: now.toISOString() })
+      .eq('id', task.id)
+      .eq('status', 'assigned')
+      .eq('assigned_to', req.user.id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!updated) {
+      return res.status(409).json({
+        error: { message: 'Task was changed by another request, please retry', status: 409 }
+      });
+    }
+
+    const { data: call, error: callError } = await req.db
+      .from('confirmation_calls')
+      .insert([{
+        tenant_id: req.tenantId,
+        task_id: task.id,
+        order_id: task.order_id,
+        agent_id: req.user.id,
+        outcome,
+        note: note || null,
+        callback_at: changes.status === 'queued' ? changes.next_call_at : null,
+        handling_seconds: Math.max(Math.round((now - new Date(task.assigned_at)) / 1000), 0),
+        created_at: now.toISOString()
+      }])
+      .select()
+      .single();
+
+    if (callError) throw callError;
+
+    let order = null;
+    const status = OUTCOME_STATUSES[outcome];
+
+    if (status) {
+      const { data: before } = await req.db
+        .from('orders')
+        .select('*')
+        .eq('id', task.order_id)
+        .eq('tenant_id', req.tenantId)
+        .maybeSingle();
+
+      order = before && before.status === 'pending'
+        ? await transitionOrder(req, before, status, note || `${outcome === 'confirmed' ? 'Confirmed' : 'Cancelled'} by phone`)
+        : null;
+
+      if (!order) {
+        return res.status(409).json({
+          error: { message: 'Order is no longer pending; the call was logged but the order was not changed', status: 409 }
+        });
+      }
+
+      const inventory = await syncOrderInventory(req, order, status);
+
+      if (inventory.error) {
+        console.error('Order inventory sync error:', inventory.error);
+      } else if (inventory.inventory_status) {
+        order.inventory_status = inventory.inventory_status;
+      }
+
+      await recordAudit(req, { action: 'update', resource: 'orders', resourceId: order.id, before, after: order });
+    }
+
+    res.json({ message: 'Call outcome logged successfully', task: updated, call, order });
+  } catch (error) {
+    console.error('Log call outcome error:', error);
+    res.status(500).json({ error: { message: 'Failed to log call outcome', status: 500 } });
+  }
+});
+
+// Take a task back from an agent and return it to the queue
+router.post('/:id/release', authenticateToken, resolveTenant, requirePermission('confirmations:manage'), async (req, res) => {
+  try {
+    const { data, error } = await req.db
+      .from('confirmation_tasks')
+      .update({ status: 'queued', assigned_to: null, assigned_at: null, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('tenant_id', req.tenantId)
+      .eq('status', 'assigned')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'No assigned task found', status: 404 } });
+    }
+
+    res.json({ message: 'Task returned to the queue successfully', task: data });
+  } catch (error) {
+    console.error('Release confirmation task error:', error);
+    res.status(500).json({ error: { message: 'Failed to release task', status: 500 } });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,371 @@
+// routes/customers.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { recordAudit } = require('../utils/audit');
+const {
+  normalizePhone,
+  normalizePhones,
+  normalizeEmails,
+  nameKey,
+  validateCustomer,
+  findByPhone,
+  insertCustomer
+} = require('../utils/customers');
+
+// Helper function to load a customer of the current tenant
+async function getCustomer(req, id) {
+  const { data } = await req.db
+    .from('customers')
+    .select('*')
+    .eq('id', id)
+    .eq('tenant_id', req.tenantId)
+    .maybeSingle();
+
+  return data;
+}
+
+// Helper function to reply 409 when a phone number is already on file
+function duplicatePhone(res, customer) {
+  return res.status(409).json({
+    error: {
+      message: `A customer with this phone number already exists: ${customer.name}`,
+      status: 409,
+      customer_id: customer.id
+    }
+  });
+}
+
+// Get all customers
+router.get('/', authenticateToken, resolveTenant, requirePermission('customers:read'), async (req, res) => {
+  try {
+    const { search, phone, email, tag, limit = 50, offset = 0 } = req.query;
+
+    let query = req.db
+      .from('customers')
+      .select('*', { count: 'exact' })
+      .eq('tenant_id', req.tenantId)
+      .order('name')
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (search) query = query.ilike('name', `%${search}%`);
+    if (phone) query = query.contains('phones', [normalizePhone(phone)]);
+    if (email) query = query.contains('emails', [email.trim().toLowerCase()]);
+    if (tag) query = query.contains('tags', [tag]);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ customers: data, total: count });
+  } catch (error) {
+    console.error('Get customers error:', error);
+    res.status(500).json({ error: { message: 'Failed to get customers', status: 500 } });
+  }
+});
+
+// Get customer by ID
+router.get('/:id', authenticateToken, resolveTenant, requirePermission('customers:read'), async (req, res) => {
+  try {
+    const customer = await getCustomer(req, req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({ error: { message: 'Customer not found', status: 404 } });
+    }
+
+    res.json({ customer });
+  } catch (error) {
+    console.error('Get customer error:', error);
+    res.status(500).json({ error: { message: 'Failed to get customer', status: 500 } });
+  }
+});
+
+// Get a customer's order history
+router.get('/:id/orders', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const customer = await getCustomer(req, req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({ error: { message: 'Customer not found', status: 404 } });
+    }
+
+    const { data: orders, error, count } = await req.db
+      .from('orders')
+      .select('id, order_id, status, total, items, created_at, stores(name), delivery_companies(name)', { count: 'exact' })
+      .eq('tenant_id', req.tenantId)
+      .eq('customer_id', customer.id)
+      .order('created_at', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (error) throw error;
+
+    const { data: totals, error: totalsError } = await req.db
+      .from('orders')
+      .select('status, total, created_at')
+      .eq('tenant_id', req.tenantId)
+      .eq('customer_id', customer.id);
+
+    if (totalsError) throw totalsError;
+
+    const delivered = totals.filter(o => o.status === 'delivered');
+    const dates = totals.map(o => o.created_at).sort();
+
+    res.json({
+      customer,
+      summary: {
+        total_orders: totals.length,
+        delivered_orders: delivered.length,
+        returned_orders: totals.filter(o => ['refused', 'returned'].includes(o.status)).length,
+        total_spent: delivered.reduce((sum, o) => sum + (parseFloat(o.total) || 0), 0),
+        first_order_at: dates[0] || null,
+        last_order_at: dates[dates.length - 1] || null
+      },
+      orders,
+      total: count
+    });
+  } catch (error) {
+    console.error('Get customer orders error:', error);
+    res.status(500).json({ error: { message: 'Failed to get customer orders', status: 500 } });
+  }
+});
+
+// Create customer
+router.post('/', authenticateToken, resolveTenant, requirePermission('customers:write'), async (req, res) => {
+  try {
+    const { name, phones, emails, addresses, tags, notes } = req.body;
+
+    const validationError = validateCustomer(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: { message: validationError, status: 400 } });
+    }
+
+    const existing = await findByPhone(req.db, req.tenantId, phones);
+
+    if (existing) return duplicatePhone(res, existing);
+
+    const data = await insertCustomer(req.db, {
+      tenantId: req.tenantId,
+      createdBy: req.user.id,
+      name,
+      phones,
+      emails,
+      addresses,
+      tags,
+      notes
+    });
+
+    await recordAudit(req, { action: 'create', resource: 'customers', resourceId: data.id, after: data });
+
+    res.status(201).json({ message: 'Customer created successfully', customer: data });
+  } catch (error) {
+    console.error('Create customer error:', error);
+    res.status(500).json({ error: { message: 'Failed to create customer', status: 500 } });
+  }
+});
+
+// Update customer
+router.put('/:id', authenticateToken, resolveTenant, requirePermission('customers:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, phones, emails, addresses, tags, notes } = req.body;
+
+    const validationError = validateCustomer(req.body, true);
+
+    if (validationError) {
+      return res.status(400).json({ error: { message: validationError, status: 400 } });
+    }
+
+    const before = await getCustomer(req, id);
+
+    if (!before) {
+      return res.status(404).json({ error: { message: 'Customer not found', status: 404 } });
+    }
+
+    if (phones !== undefined) {
+      const existing = await findByPhone(req.db, req.tenantId, phones, id);
+
+      if (existing) return duplicatePhone(res, existing);
+    }
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (name !== undefined) {
+      updateData.name = name.trim();
+      updateData.name_key = nameKey(name);
+    }
+    if (phones !== undefined) updateData.phones = normalizePhones(phones);
+    if (emails !== undefined) updateData.emails = normalizeEmails(emails);
+    if (addresses !== undefined) updateData.addresses = addresses;
+    if (tags !== undefined) updateData.tags = tags;
+    if (notes !== undefined) updateData.notes = notes;
+
+    const { data, error } = await req.db
+      .from('customers')
+      .update(updateData)
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Customer not found', status: 404 } });
+    }
+
+    // Orders show the customer's current name
+    if (updateData.name && updateData.name !== before.name) {
+      const { error: ordersError } = await req.db
+        .from('orders')
+        .update({ client: data.name })
+        .eq('tenant_id', req.tenantId)
+        .eq('customer_id', id);
+
+      if (ordersError) throw ordersError;
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'customers', resourceId: id, before, after: data });
+
+    res.json({ message: 'Customer updated successfully', customer: data });
+  } catch (error) {
+    console.error('Update customer error:', error);
+    res.status(500).json({ error: { message: 'Failed to update customer', status: 500 } });
+  }
+});
+
+// Merge duplicate customers into this one. Their orders move over, their
+// contact details are combined and the duplicates are deleted.
+router.post('/:id/merge', authenticateToken, resolveTenant, requirePermission('customers:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { source_ids } = req.body;
+
+    if (!Array.isArray(source_ids) || source_ids.length === 0) {
+      return res.status(400).json({ error: { message: 'source_ids must be a non-empty array', status: 400 } });
+    }
+
+    if (source_ids.includes(id)) {
+      return res.status(400).json({ error: { message: 'Cannot merge a customer into itself', status: 400 } });
+    }
+
+    const before = await getCustomer(req, id);
+
+    if (!before) {
+      return res.status(404).json({ error: { message: 'Customer not found', status: 404 } });
+    }
+
+    const { data: sources, error: sourcesError } = await req.db
+      .from('customers')
+      .select('*')
+      .eq('tenant_id', req.tenantId)
+      .in('id', source_ids);
+
+    if (sourcesError) throw sourcesError;
+
+    if (sources.length !== new Set(source_ids).size) {
+      return res.status(404).json({ error: { message: 'One or more customers to merge were not found', status: 404 } });
+    }
+
+    const all = [before, ...sources];
+    const merged = {
+      phones: normalizePhones(all.flatMap(c => c.phones || [])),
+      emails: normalizeEmails(all.flatMap(c => c.emails || [])),
+      addresses: all.flatMap(c => c.addresses || [])
+        .filter((address, index, list) =>
+          list.findIndex(other => JSON.stringify(other) === JSON.stringify(address)) === index),
+      tags: [...new Set(all.flatMap(c => c.tags || []))],
+      notes: all.map(c => c.notes).filter(Boolean).join('\n\n'),
+      updated_at: new Date().toISOString()
+    };
+
+    // Orders move first, so a failure part way never leaves orders on a deleted customer
+    const { error: ordersError } = await req.db
+      .from('orders')
+      .update({ customer_id: id, client: before.name })
+      .eq('tenant_id', req.tenantId)
+      .in('customer_id', source_ids);
+
+    if (ordersError) throw ordersError;
+
+    const { error: deleteError } = await req.db
+      .from('customers')
+      .delete()
+      .eq('tenant_id', req.tenantId)
+      .in('id', source_ids);
+
+    if (deleteError) throw deleteError;
+
+    const { data, error } = await req.db
+      .from('customers')
+      .update(merged)
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    for (const source of sources) {
+      await recordAudit(req, {
+        action: 'delete',
+        resource: 'customers',
+        resourceId: source.id,
+        before: source,
+        after: { merged_into: id }
+      });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'customers', resourceId: id, before, after: data });
+
+    res.json({ message: 'Customers merged successfully', customer: data, merged: sources.length });
+  } catch (error) {
+    console.error('Merge customers error:', error);
+    res.status(500).json({ error: { message: 'Failed to merge customers', status: 500 } });
+  }
+});
+
+// Delete customer. Customers with orders must be merged instead.
+router.delete('/:id', authenticateToken, resolveTenant, requirePermission('customers:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { count, error: countError } = await req.db
+      .from('orders')
+      .select('id', { count: 'exact', head: true })
+      .eq('tenant_id', req.tenantId)
+      .eq('customer_id', id);
+
+    if (countError) throw countError;
+
+    if (count > 0) {
+      return res.status(409).json({
+        error: { message: 'Customer has orders; merge it into another customer instead', status: 409 }
+      });
+    }
+
+    const { data, error } = await req.db
+      .from('customers')
+      .delete()
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Customer not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'delete', resource: 'customers', resourceId: id, before: data });
+
+    res.json({ message: 'Customer deleted successfully' });
+  } catch (error) {
+    console.error('Delete customer error:', error);
+    res.status(500).json({ error: { message: 'Failed to delete customer', status: 500 } });
+  }
+});
+
+module.exports = router;
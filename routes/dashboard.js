@@ -1,20 +1,22 @@
 // routes/dashboard.js
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { orderRevenue } = require('../utils/returns');
 
 // Get dashboard statistics
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, resolveTenant, requirePermission('analytics:read'), async (req, res) => {
   try {
     const now = new Date();
     const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
     const currentMonth = new Date(now.getFullYear(), now.getMonth(), 1);
 
     // Get orders data
-    const { data: orders, error: ordersError } = await supabase
+    const { data: orders, error: ordersError } = await req.db
       .from('orders')
-      .select('status, total, created_at');
+      .select('status, total, refunded_total, created_at')
+      .eq('tenant_id', req.tenantId);
 
     if (ordersError) throw ordersError;
 
@@ -44,21 +46,22 @@ router.get('/stats', authenticateToken, async (req, res) => {
       ? ((refusedOrders - lastMonthRefusedOrders) / lastMonthRefusedOrders * 100).toFixed(1)
       : 0;
 
-    // Revenue
+    // Revenue, net of refunds and of orders that were never paid for
     const revenue = currentMonthOrders.reduce((sum, o) => 
-      sum + (parseFloat(o.total) || 0), 0
+      sum + orderRevenue(o), 0
     );
     const lastMonthRevenue = lastMonthOrders.reduce((sum, o) => 
-      sum + (parseFloat(o.total) || 0), 0
+      sum + orderRevenue(o), 0
     );
     const revenueChange = lastMonthRevenue > 0 
       ? ((revenue - lastMonthRevenue) / lastMonthRevenue * 100).toFixed(1)
       : 0;
 
     // Active Customers
-    const { data: users, error: usersError } = await supabase
+    const { data: users, error: usersError } = await req.db
       .from('users')
       .select('created_at')
+      .eq('tenant_id', req.tenantId)
       .eq('role', 'user');
 
     if (usersError) throw usersError;
@@ -74,9 +77,10 @@ router.get('/stats', authenticateToken, async (req, res) => {
       : 0;
 
     // Get campaigns data
-    const { data: campaigns, error: campaignsError } = await supabase
+    const { data: campaigns, error: campaignsError } = await req.db
       .from('campaigns')
       .select('created_at')
+      .eq('tenant_id', req.tenantId)
       .gte('created_at', currentMonth.toISOString());
 
     const campaignsSent = campaigns ? campaigns.length : 0;
@@ -158,17 +162,18 @@ router.get('/stats', authenticateToken, async (req, res) => {
 });
 
 // Get recent orders
-router.get('/recent-orders', authenticateToken, async (req, res) => {
+router.get('/recent-orders', authenticateToken, resolveTenant, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { limit = 10 } = req.query;
 
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('orders')
       .select(`
         *,
         delivery_companies(name),
         stores(name)
       `)
+      .eq('tenant_id', req.tenantId)
       .order('created_at', { ascending: false })
       .limit(limit);
 
@@ -182,11 +187,12 @@ router.get('/recent-orders', authenticateToken, async (req, res) => {
 });
 
 // Get campaign performance
-router.get('/campaign-performance', authenticateToken, async (req, res) => {
+router.get('/campaign-performance', authenticateToken, resolveTenant, requirePermission('analytics:read'), async (req, res) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('campaigns')
       .select('*')
+      .eq('tenant_id', req.tenantId)
       .order('created_at', { ascending: false })
       .limit(5);
 
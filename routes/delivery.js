@@ -1,15 +1,78 @@
 // routes/delivery.js
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { imageUpload } = require('../middleware/upload');
+const { recordAudit } = require('../utils/audit');
+const { readImage } = require('../utils/pdf');
+const { isAmount } = require('../utils/orderPricing');
+const { companyBalance } = require('../utils/remittances');
+const { DEFAULT_LABEL_TEMPLATE, validateLabelTemplate } = require('../utils/labels');
+
+// Logos are returned as a flag rather than the image itself
+const withoutLogo = ({ logo_data, ...template }) => ({ ...template, has_logo: Boolean(logo_data) });
+
+// Helper function to load a company's label template, or null when the
+// company doesn't exist
+async function getLabelTemplate(req, companyId) {
+  const { data: company } = await req.db
+    .from('delivery_companies')
+    .select('id')
+    .eq('id', companyId)
+    .eq('tenant_id', req.tenantId)
+    .maybeSingle();
+
+  if (!company) return null;
+
+  const { data, error } = await req.db
+    .from('delivery_label_templates')
+    .select('*')
+    .eq('delivery_company_id', companyId)
+    .eq('tenant_id', req.tenantId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { template: data };
+}
+
+// Helper function to save label template changes, creating the template if needed
+async function saveLabelTemplate(req, companyId, before, changes) {
+  const { data, error } = await req.db
+    .from('delivery_label_templates')
+    .upsert({
+      ...DEFAULT_LABEL_TEMPLATE,
+      logo_data: null,
+      logo_type: null,
+      ...(before || {}),
+      ...changes,
+      delivery_company_id: companyId,
+      tenant_id: req.tenantId,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'delivery_company_id' })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await recordAudit(req, {
+    action: before ? 'update' : 'create',
+    resource: 'delivery_label_templates',
+    resourceId: data.id,
+    before: before ? withoutLogo(before) : null,
+    after: withoutLogo(data)
+  });
+
+  return data;
+}
 
 // Get all delivery companies
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, resolveTenant, requirePermission('delivery:read'), async (req, res) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('delivery_companies')
       .select('*')
+      .eq('tenant_id', req.tenantId)
       .order('name');
 
     if (error) throw error;
@@ -22,14 +85,15 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get delivery company by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, resolveTenant, requirePermission('delivery:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('delivery_companies')
       .select('*')
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
       .single();
 
     if (error) {
@@ -43,10 +107,47 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the cash on delivery a company still owes: delivered orders not yet
+// covered by its remittances, plus any payments that couldn't be matched
+router.get('/:id/balance', authenticateToken, resolveTenant, requirePermission('remittances:read'), async (req, res) => {
+  try {
+    const { data: company } = await req.db
+      .from('delivery_companies')
+      .select('id, name')
+      .eq('id', req.params.id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    if (!company) {
+      return res.status(404).json({ error: { message: 'Delivery company not found', status: 404 } });
+    }
+
+    const { count: needsReview, error } = await req.db
+      .from('cod_remittances')
+      .select('id', { count: 'exact', head: true })
+      .eq('tenant_id', req.tenantId)
+      .eq('delivery_company_id', company.id)
+      .eq('status', 'needs_review');
+
+    if (error) throw error;
+
+    const result = await companyBalance(req.db, req.tenantId, company.id);
+
+    res.json({
+      delivery_company: company,
+      ...result,
+      balance: { ...result.balance, remittances_needing_review: needsReview || 0 }
+    });
+  } catch (error) {
+    console.error('Get delivery company balance error:', error);
+    res.status(500).json({ error: { message: 'Failed to get delivery company balance', status: 500 } });
+  }
+});
+
 // Create delivery company
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, resolveTenant, requirePermission('delivery:manage'), async (req, res) => {
   try {
-    const { name, email, phone, country } = req.body;
+    const { name, email, phone, country, shipping_fee } = req.body;
 
     if (!name || !email || !phone || !country) {
       return res.status(400).json({ 
@@ -54,16 +155,22 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    if (shipping_fee !== undefined && !isAmount(shipping_fee)) {
+      return res.status(400).json({ error: { message: 'Shipping fee must be a non-negative number', status: 400 } });
+    }
+
     const companyData = {
       name,
       email,
       phone,
       country,
+      shipping_fee: shipping_fee || 0,
       status: true,
+      tenant_id: req.tenantId,
       created_at: new Date().toISOString()
     };
 
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('delivery_companies')
       .insert([companyData])
       .select()
@@ -71,6 +178,8 @@ router.post('/', authenticateToken, async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, { action: 'create', resource: 'delivery_companies', resourceId: data.id, after: data });
+
     res.status(201).json({ 
       message: 'Delivery company created successfully', 
       delivery_company: data 
@@ -82,10 +191,14 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // Update delivery company
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, resolveTenant, requirePermission('delivery:manage'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, email, phone, country, status } = req.body;
+    const { name, email, phone, country, status, shipping_fee } = req.body;
+
+    if (shipping_fee !== undefined && !isAmount(shipping_fee)) {
+      return res.status(400).json({ error: { message: 'Shipping fee must be a non-negative number', status: 400 } });
+    }
 
     const updateData = { updated_at: new Date().toISOString() };
     if (name !== undefined) updateData.name = name;
@@ -93,16 +206,31 @@ router.put('/:id', authenticateToken, async (req, res) => {
     if (phone !== undefined) updateData.phone = phone;
     if (country !== undefined) updateData.country = country;
     if (status !== undefined) updateData.status = status;
+    if (shipping_fee !== undefined) updateData.shipping_fee = shipping_fee;
 
-    const { data, error } = await supabase
+    const { data: before } = await req.db
+      .from('delivery_companies')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    const { data, error } = await req.db
       .from('delivery_companies')
       .update(updateData)
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Delivery company not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'delivery_companies', resourceId: id, before, after: data });
+
     res.json({ 
       message: 'Delivery company updated successfully', 
       delivery_company: data 
@@ -114,7 +242,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 // Toggle delivery company status
-router.patch('/:id/status', authenticateToken, async (req, res) => {
+router.patch('/:id/status', authenticateToken, resolveTenant, requirePermission('delivery:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -125,15 +253,29 @@ router.patch('/:id/status', authenticateToken, async (req, res) => {
       });
     }
 
-    const { data, error } = await supabase
+    const { data: before } = await req.db
+      .from('delivery_companies')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    const { data, error } = await req.db
       .from('delivery_companies')
       .update({ status, updated_at: new Date().toISOString() })
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Delivery company not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'delivery_companies', resourceId: id, before, after: data });
+
     res.json({ 
       message: 'Status updated successfully', 
       delivery_company: data 
@@ -145,15 +287,16 @@ router.patch('/:id/status', authenticateToken, async (req, res) => {
 });
 
 // Delete delivery company
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, resolveTenant, requirePermission('delivery:manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if company has active orders
-    const { data: orders } = await supabase
+    const { data: orders } = await req.db
       .from('orders')
       .select('id')
       .eq('delivery_company_id', id)
+      .eq('tenant_id', req.tenantId)
       .limit(1);
 
     if (orders && orders.length > 0) {
@@ -162,13 +305,30 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    const { error } = await supabase
+    const { error: templateError } = await req.db
+      .from('delivery_label_templates')
+      .delete()
+      .eq('delivery_company_id', id)
+      .eq('tenant_id', req.tenantId);
+
+    if (templateError) throw templateError;
+
+    const { data, error } = await req.db
       .from('delivery_companies')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .select()
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Delivery company not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'delete', resource: 'delivery_companies', resourceId: id, before: data });
+
     res.json({ message: 'Delivery company deleted successfully' });
   } catch (error) {
     console.error('Delete delivery company error:', error);
@@ -176,4 +336,112 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Get a company's shipping label layout, with defaults for anything unset
+router.get('/:id/label-template', authenticateToken, resolveTenant, requirePermission('delivery:read'), async (req, res) => {
+  try {
+    const found = await getLabelTemplate(req, req.params.id);
+
+    if (!found) {
+      return res.status(404).json({ error: { message: 'Delivery company not found', status: 404 } });
+    }
+
+    res.json({
+      template: found.template ? withoutLogo(found.template) : { ...DEFAULT_LABEL_TEMPLATE, has_logo: false }
+    });
+  } catch (error) {
+    console.error('Get label template error:', error);
+    res.status(500).json({ error: { message: 'Failed to get label template', status: 500 } });
+  }
+});
+
+// Update a company's shipping label layout:
+// { size, barcode_source, show_phone, show_items, currency, instructions }
+router.put('/:id/label-template', authenticateToken, resolveTenant, requirePermission('delivery:manage'), async (req, res) => {
+  try {
+    const validationError = validateLabelTemplate(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: { message: validationError, status: 400 } });
+    }
+
+    const changes = {};
+    Object.keys(DEFAULT_LABEL_TEMPLATE).forEach(key => {
+      if (req.body[key] !== undefined) changes[key] = req.body[key];
+    });
+
+    const found = await getLabelTemplate(req, req.params.id);
+
+    if (!found) {
+      return res.status(404).json({ error: { message: 'Delivery company not found', status: 404 } });
+    }
+
+    const template = await saveLabelTemplate(req, req.params.id, found.template, changes);
+
+    res.json({ message: 'Label template saved successfully', template: withoutLogo(template) });
+  } catch (error) {
+    console.error('Update label template error:', error);
+    res.status(500).json({ error: { message: 'Failed to save label template', status: 500 } });
+  }
+});
+
+// Upload a company's label logo as a PNG or JPEG request body
+router.put('/:id/label-template/logo', authenticateToken, resolveTenant, requirePermission('delivery:manage'), imageUpload, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: { message: 'Upload the logo as an image/png or image/jpeg request body', status: 400 }
+      });
+    }
+
+    let image;
+    try {
+      image = readImage(req.body);
+    } catch (imageError) {
+      return res.status(400).json({ error: { message: imageError.message, status: 400 } });
+    }
+
+    const found = await getLabelTemplate(req, req.params.id);
+
+    if (!found) {
+      return res.status(404).json({ error: { message: 'Delivery company not found', status: 404 } });
+    }
+
+    const template = await saveLabelTemplate(req, req.params.id, found.template, {
+      logo_data: req.body.toString('base64'),
+      logo_type: req.get('Content-Type').split(';')[0].trim()
+    });
+
+    res.json({
+      message: 'Logo uploaded successfully',
+      template: withoutLogo(template),
+      logo: { width: image.width, height: image.height }
+    });
+  } catch (error) {
+    console.error('Upload label logo error:', error);
+    res.status(500).json({ error: { message: 'Failed to upload logo', status: 500 } });
+  }
+});
+
+// Remove a company's label logo
+router.delete('/:id/label-template/logo', authenticateToken, resolveTenant, requirePermission('delivery:manage'), async (req, res) => {
+  try {
+    const found = await getLabelTemplate(req, req.params.id);
+
+    if (!found) {
+      return res.status(404).json({ error: { message: 'Delivery company not found', status: 404 } });
+    }
+
+    if (!found.template || !found.template.logo_data) {
+      return res.status(404).json({ error: { message: 'Delivery company has no logo', status: 404 } });
+    }
+
+    const template = await saveLabelTemplate(req, req.params.id, found.template, { logo_data: null, logo_type: null });
+
+    res.json({ message: 'Logo removed successfully', template: withoutLogo(template) });
+  } catch (error) {
+    console.error('Remove label logo error:', error);
+    res.status(500).json({ error: { message: 'Failed to remove logo', status: 500 } });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
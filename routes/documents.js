@@ -0,0 +1,440 @@
+// routes/documents.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { hasPermission } = require('../config/permissions');
+const { recordAudit } = require('../utils/audit');
+const { createPdf } = require('../utils/pdf');
+const { validateSequence, formatOrderNumber } = require('../utils/orderNumbers');
+const { parseFilters, resolvePhoneFilter, applySearch } = require('../utils/orderSearch');
+const { DOCUMENT_TYPES, renderInvoice, renderPackingSlip } = require('../utils/orderDocuments');
+const {
+  DEFAULT_INVOICE_SEQUENCE,
+  UNINVOICEABLE_STATUSES,
+  ensureInvoiceSequence,
+  partiesOf,
+  loadInvoices,
+  issueInvoice
+} = require('../utils/invoices');
+const { encodeCode128 } = require('../utils/barcodes');
+const {
+  LABEL_FORMATS,
+  DEFAULT_LABEL_TEMPLATE,
+  barcodeValue,
+  renderLabel,
+  renderLabelZpl
+} = require('../utils/labels');
+
+const ORDER_FIELDS = '*, stores(*), customers(name, phones, addresses), delivery_companies(*)';
+const LOOKUP_BATCH_SIZE = 100;
+
+// Orders one print run can hold
+const MAX_BULK_ORDERS = 200;
+
+// Helper function to load orders by ID, in the order the IDs were given
+async function loadOrders(req, ids) {
+  const orders = new Map();
+
+  for (let i = 0; i < ids.length; i += LOOKUP_BATCH_SIZE) {
+    const { data, error } = await req.db
+      .from('orders')
+      .select(ORDER_FIELDS)
+      .eq('tenant_id', req.tenantId)
+      .in('id', ids.slice(i, i + LOOKUP_BATCH_SIZE));
+
+    if (error) throw error;
+    data.forEach(order => orders.set(order.id, order));
+  }
+
+  return ids.map(id => orders.get(id)).filter(Boolean);
+}
+
+// Helper function to load templates keyed by their store or delivery company
+async function loadTemplates(req, table, key, ids) {
+  const { data, error } = await req.db
+    .from(table)
+    .select('*')
+    .eq('tenant_id', req.tenantId)
+    .in(key, [...new Set(ids)]);
+
+  if (error) throw error;
+  return new Map(data.map(template => [template[key], template]));
+}
+
+// Helper function to embed logos in a PDF, each one once however many pages
+// use it. Returns a function from an owner ID and template to the image name.
+function logoEmbedder(pdf) {
+  const logos = new Map();
+
+  return (ownerId, template) => {
+    if (!template || !template.logo_data) return null;
+    if (logos.has(ownerId)) return logos.get(ownerId);
+
+    let logo = null;
+    try {
+      logo = pdf.addImage(Buffer.from(template.logo_data, 'base64'));
+    } catch (error) {
+      console.error('Logo error:', error);
+    }
+
+    logos.set(ownerId, logo);
+    return logo;
+  };
+}
+
+// Render shipping labels as one PDF or one ZPL job. Returns { pdf },
+// { zpl } or { error }.
+async function renderLabels(req, orders, format) {
+  const templates = await loadTemplates(
+    req, 'delivery_label_templates', 'delivery_company_id', orders.map(order => order.delivery_company_id)
+  );
+  const templateFor = (order) => ({ ...DEFAULT_LABEL_TEMPLATE, ...(templates.get(order.delivery_company_id) || {}) });
+
+  const unscannable = orders.filter(order => encodeCode128(barcodeValue(order, templateFor(order))).error);
+
+  if (unscannable.length > 0) {
+    return {
+      error: `Tracking or order numbers can't be printed as barcodes: ${unscannable.map(order => order.order_id).join(', ')}`
+    };
+  }
+
+  if (format === 'zpl') {
+    return { zpl: orders.map(order => renderLabelZpl({ order, template: templateFor(order) })).join('\n') };
+  }
+
+  const pdf = createPdf();
+  const logoFor = logoEmbedder(pdf);
+
+  orders.forEach(order => {
+    const template = templateFor(order);
+    renderLabel(pdf, { order, template, logo: logoFor(order.delivery_company_id, template) });
+  });
+
+  return { pdf };
+}
+
+// Render the documents of each order into one file. Invoices an order
+// doesn't have yet are issued when issue is set, and are an error otherwise.
+// Returns { pdf }, { zpl } or { error }.
+async function renderDocuments(req, orders, type, { format = 'pdf', issue = false } = {}) {
+  if (type === 'label') return renderLabels(req, orders, format);
+
+  let invoices;
+
+  if (type === 'invoice') {
+    invoices = await loadInvoices(req.db, req.tenantId, orders.map(order => order.id));
+
+    const unissued = orders.filter(order => !invoices.has(order.id));
+
+    if (!issue && unissued.length > 0) {
+      return {
+        error: `Orders have no invoice yet: ${unissued.map(order => order.order_id).join(', ')}`
+      };
+    }
+
+    const blocked = unissued.filter(order => UNINVOICEABLE_STATUSES.includes(order.status));
+
+    if (blocked.length > 0) {
+      return {
+        error: `Orders must be confirmed before they are invoiced: ${blocked.map(order => order.order_id).join(', ')}`
+      };
+    }
+  }
+
+  const pdf = createPdf();
+  const templates = await loadTemplates(req, 'store_document_templates', 'store_id', orders.map(order => order.store_id));
+  const logoFor = logoEmbedder(pdf);
+
+  for (const order of orders) {
+    const template = templates.get(order.store_id) || {};
+    const logo = logoFor(order.store_id, templates.get(order.store_id));
+
+    if (type === 'invoice') {
+      // Issued one at a time so numbers follow the print order
+      const invoice = invoices.get(order.id) || await issueInvoice(req, order);
+      renderInvoice(pdf, { invoice, template, logo });
+    } else {
+      renderPackingSlip(pdf, { order, ...partiesOf(order), template, logo });
+    }
+  }
+
+  return { pdf };
+}
+
+// Helper function to send rendered documents: a PDF for the browser to show,
+// or a ZPL file to pass on to a thermal printer
+function sendDocuments(res, { pdf, zpl }, name) {
+  const buffer = pdf ? pdf.toBuffer() : Buffer.from(zpl);
+
+  res.set({
+    'Content-Type': pdf ? 'application/pdf' : 'text/plain; charset=utf-8',
+    'Content-Disposition': `${pdf ? 'inline' : 'attachment'}; filename="${name}.${pdf ? 'pdf' : 'zpl'}"`,
+    'Content-Length': buffer.length
+  });
+  res.send(buffer);
+}
+
+// Helper function to render one document for one order
+async function orderDocument(req, res, type, options) {
+  const [order] = await loadOrders(req, [req.params.id]);
+
+  if (!order) {
+    return res.status(404).json({ error: { message: 'Order not found', status: 404 } });
+  }
+
+  const { error, ...documents } = await renderDocuments(req, [order], type, options);
+
+  if (error) {
+    return res.status(409).json({ error: { message: error, status: 409 } });
+  }
+
+  sendDocuments(res, documents, `${type.replace('_', '-')}-${order.order_id}`);
+}
+
+// Get an order's invoice as a PDF. The invoice must have been issued.
+router.get('/orders/:id/invoice', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
+  try {
+    await orderDocument(req, res, 'invoice');
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ error: { message: 'Failed to generate invoice', status: 500 } });
+  }
+});
+
+// Issue an order's invoice, or return the one it already has
+router.post('/orders/:id/invoice/issue', authenticateToken, resolveTenant, requirePermission('orders:write'), async (req, res) => {
+  try {
+    const [order] = await loadOrders(req, [req.params.id]);
+
+    if (!order) {
+      return res.status(404).json({ error: { message: 'Order not found', status: 404 } });
+    }
+
+    const existing = (await loadInvoices(req.db, req.tenantId, [order.id])).get(order.id);
+
+    if (existing) return res.json({ invoice: existing });
+
+    if (UNINVOICEABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        error: { message: 'Orders must be confirmed before they are invoiced', status: 409 }
+      });
+    }
+
+    const invoice = await issueInvoice(req, order);
+
+    res.status(201).json({ invoice });
+  } catch (error) {
+    console.error('Issue invoice error:', error);
+    res.status(500).json({ error: { message: 'Failed to issue invoice', status: 500 } });
+  }
+});
+
+// Get an order's packing slip as a PDF
+router.get('/orders/:id/packing-slip', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
+  try {
+    await orderDocument(req, res, 'packing_slip');
+  } catch (error) {
+    console.error('Get packing slip error:', error);
+    res.status(500).json({ error: { message: 'Failed to generate packing slip', status: 500 } });
+  }
+});
+
+// Get an order's shipping label: ?format=pdf (default) or zpl for thermal printers
+router.get('/orders/:id/label', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { format = 'pdf' } = req.query;
+
+    if (!LABEL_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: { message: `Format must be one of: ${LABEL_FORMATS.join(', ')}`, status: 400 }
+      });
+    }
+
+    await orderDocument(req, res, 'label', { format });
+  } catch (error) {
+    console.error('Get shipping label error:', error);
+    res.status(500).json({ error: { message: 'Failed to generate shipping label', status: 500 } });
+  }
+});
+
+// Print many orders into one file: { type, order_ids } or { type, filters },
+// where filters are the same as the order list's, e.g. { status: 'confirmed' }.
+// Labels also take a format, pdf (default) or zpl.
+router.post('/bulk', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { type, order_ids, filters: params, format = 'pdf' } = req.body;
+
+    if (!DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: { message: `Type must be one of: ${DOCUMENT_TYPES.join(', ')}`, status: 400 }
+      });
+    }
+
+    if (type === 'label' ? !LABEL_FORMATS.includes(format) : format !== 'pdf') {
+      return res.status(400).json({
+        error: { message: `Format must be one of: ${type === 'label' ? LABEL_FORMATS.join(', ') : 'pdf'}`, status: 400 }
+      });
+    }
+
+    // Issuing invoices is a write, unlike printing packing slips
+    if (type === 'invoice' && !hasPermission(req.permissions, 'orders:write')) {
+      return res.status(403).json({ error: { message: 'Insufficient permissions', status: 403 } });
+    }
+
+    let orders;
+
+    if (order_ids !== undefined) {
+      if (!Array.isArray(order_ids) || order_ids.length === 0 || order_ids.length > MAX_BULK_ORDERS) {
+        return res.status(400).json({
+          error: { message: `Order IDs must be a list of 1 to ${MAX_BULK_ORDERS} IDs`, status: 400 }
+        });
+      }
+
+      orders = await loadOrders(req, [...new Set(order_ids)]);
+    } else {
+      const { filters: parsed, error: filterError } = parseFilters(params || {});
+
+      if (filterError) {
+        return res.status(400).json({ error: { message: filterError, status: 400 } });
+      }
+
+      const filters = await resolvePhoneFilter(req.db, req.tenantId, parsed);
+
+      const { data, error } = await applySearch(
+        req.db.from('orders').select(ORDER_FIELDS).eq('tenant_id', req.tenantId),
+        filters
+      ).limit(MAX_BULK_ORDERS + 1);
+
+      if (error) throw error;
+
+      if (data.length > MAX_BULK_ORDERS) {
+        return res.status(400).json({
+          error: { message: `More than ${MAX_BULK_ORDERS} orders match; narrow the filters`, status: 400 }
+        });
+      }
+
+      orders = data;
+    }
+
+    if (orders.length === 0) {
+      return res.status(404).json({ error: { message: 'No orders found', status: 404 } });
+    }
+
+    // Printing invoices in bulk issues any the orders don't have yet
+    const { error, ...documents } = await renderDocuments(req, orders, type, { format, issue: true });
+
+    if (error) {
+      return res.status(409).json({ error: { message: error, status: 409 } });
+    }
+
+    sendDocuments(res, documents, `${type.replace('_', '-')}s-${new Date().toISOString().split('T')[0]}`);
+  } catch (error) {
+    console.error('Bulk documents error:', error);
+    res.status(500).json({ error: { message: 'Failed to generate documents', status: 500 } });
+  }
+});
+
+// List issued invoices
+router.get('/invoices', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { order_id, store_id, limit = 50, offset = 0 } = req.query;
+
+    let query = req.db
+      .from('invoices')
+      .select('id, order_id, store_id, invoice_number, total, issued_by, issued_at', { count: 'exact' })
+      .eq('tenant_id', req.tenantId)
+      .order('issued_at', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (order_id) query = query.eq('order_id', order_id);
+    if (store_id) query = query.eq('store_id', store_id);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ invoices: data, total: count });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({ error: { message: 'Failed to get invoices', status: 500 } });
+  }
+});
+
+// Get invoice numbering
+router.get('/invoice-sequence', authenticateToken, resolveTenant, requirePermission('orders:settings'), async (req, res) => {
+  try {
+    const { data, error } = await req.db
+      .from('invoice_sequences')
+      .select('*')
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const sequence = data || DEFAULT_INVOICE_SEQUENCE;
+
+    res.json({ sequence: { ...sequence, next_invoice_number: formatOrderNumber(sequence, sequence.next_value) } });
+  } catch (error) {
+    console.error('Get invoice sequence error:', error);
+    res.status(500).json({ error: { message: 'Failed to get invoice numbering', status: 500 } });
+  }
+});
+
+// Update invoice numbering: { prefix, padding, next_value }
+router.put('/invoice-sequence', authenticateToken, resolveTenant, requirePermission('orders:settings'), async (req, res) => {
+  try {
+    const { prefix, padding, next_value } = req.body;
+
+    const validationError = validateSequence(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: { message: validationError, status: 400 } });
+    }
+
+    const before = await ensureInvoiceSequence(req.db, req.tenantId);
+
+    const changes = {};
+    if (prefix !== undefined) changes.prefix = prefix;
+    if (padding !== undefined) changes.padding = padding;
+    if (next_value !== undefined) changes.next_value = next_value;
+
+    // Going back under the same prefix would hand out numbers already used
+    const samePrefix = changes.prefix === undefined || changes.prefix === before.prefix;
+
+    if (samePrefix && next_value !== undefined && next_value < before.next_value) {
+      return res.status(409).json({
+        error: { message: `Next value cannot go below ${before.next_value} without changing the prefix`, status: 409 }
+      });
+    }
+
+    // The counter must not have moved since we read it
+    const { data, error } = await req.db
+      .from('invoice_sequences')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', before.id)
+      .eq('next_value', before.next_value)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(409).json({
+        error: { message: 'Invoice numbering was changed by another request, please retry', status: 409 }
+      });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'invoice_sequences', resourceId: data.id, before, after: data });
+
+    res.json({
+      message: 'Invoice numbering saved successfully',
+      sequence: { ...data, next_invoice_number: formatOrderNumber(data, data.next_value) }
+    });
+  } catch (error) {
+    console.error('Update invoice sequence error:', error);
+    res.status(500).json({ error: { message: 'Failed to save invoice numbering', status: 500 } });
+  }
+});
+
+module.exports = router;
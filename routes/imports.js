@@ -0,0 +1,348 @@
+// routes/imports.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { recordAudit } = require('../utils/audit');
+const { spreadsheetUpload } = require('../middleware/upload');
+const { hashFile, readSpreadsheet } = require('../utils/spreadsheet');
+const {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  REQUIRED_FIELDS,
+  suggestMapping,
+  validateMapping,
+  validateImport,
+  jobContext,
+  runImport,
+  canRun
+} = require('../utils/orderImport');
+
+const IMPORT_ROW_STATUSES = ['pending', 'valid', 'invalid', 'duplicate', 'imported', 'failed'];
+
+// Helper function to load an import of the current tenant
+async function getImport(req, id) {
+  const { data } = await req.db
+    .from('order_imports')
+    .select('*')
+    .eq('id', id)
+    .eq('tenant_id', req.tenantId)
+    .maybeSingle();
+
+  return data;
+}
+
+// Helper function to read a mapping sent as JSON in the body or query string
+function readMapping(value) {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+// List order imports
+router.get('/', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    let query = req.db
+      .from('order_imports')
+      .select('*', { count: 'exact' })
+      .eq('tenant_id', req.tenantId)
+      .order('created_at', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (status) query = query.eq('status', status);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ imports: data, total: count });
+  } catch (error) {
+    console.error('Get order imports error:', error);
+    res.status(500).json({ error: { message: 'Failed to get order imports', status: 500 } });
+  }
+});
+
+// Upload a CSV or XLSX file of orders. The same file uploaded twice returns
+// the existing import instead of a new one.
+router.post('/orders', authenticateToken, resolveTenant, requirePermission('orders:write'), spreadsheetUpload, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: { message: 'Upload the file as the request body with a CSV or XLSX content type', status: 400 }
+      });
+    }
+
+    const fileHash = hashFile(req.body);
+
+    const { data: existing } = await req.db
+      .from('order_imports')
+      .select('*')
+      .eq('tenant_id', req.tenantId)
+      .eq('file_hash', fileHash)
+      .maybeSingle();
+
+    if (existing) {
+      return res.json({ message: 'This file has already been uploaded', import: existing, duplicate: true });
+    }
+
+    const { headers, rows, error: fileError } = readSpreadsheet(req.body, { maxRows: MAX_IMPORT_ROWS });
+
+    if (fileError) {
+      return res.status(400).json({ error: { message: fileError, status: 400 } });
+    }
+
+    const requested = readMapping(req.query.mapping);
+
+    if (requested === null) {
+      return res.status(400).json({ error: { message: 'Mapping must be valid JSON', status: 400 } });
+    }
+
+    const mapping = requested || suggestMapping(headers);
+
+    if (requested) {
+      const mappingError = validateMapping(mapping, headers);
+
+      if (mappingError) {
+        return res.status(400).json({ error: { message: mappingError, status: 400 } });
+      }
+    }
+
+    const { data, error } = await req.db
+      .from('order_imports')
+      .insert([{
+        tenant_id: req.tenantId,
+        file_name: req.query.file_name || null,
+        file_hash: fileHash,
+        headers,
+        mapping,
+        status: 'uploaded',
+        total_rows: rows.length,
+        processed_rows: 0,
+        imported_orders: 0,
+        failed_rows: 0,
+        skipped_rows: 0,
+        created_by: req.user.id,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    // Lost a race with a concurrent upload of the same file
+    if (error && error.code === '23505') {
+      const { data: raced } = await req.db
+        .from('order_imports')
+        .select('*')
+        .eq('tenant_id', req.tenantId)
+        .eq('file_hash', fileHash)
+        .maybeSingle();
+
+      return res.json({ message: 'This file has already been uploaded', import: raced, duplicate: true });
+    }
+
+    if (error) throw error;
+
+    for (let i = 0; i < rows.length; i += 1000) {
+      const { error: rowsError } = await req.db
+        .from('order_import_rows')
+        .insert(rows.slice(i, i + 1000).map(row => ({
+          import_id: data.id,
+          tenant_id: req.tenantId,
+          row_number: row.row_number,
+          data: row.data,
+          status: 'pending'
+        })));
+
+      if (rowsError) {
+        await req.db.from('order_imports').delete().eq('id', data.id).eq('tenant_id', req.tenantId);
+        throw rowsError;
+      }
+    }
+
+    await recordAudit(req, { action: 'create', resource: 'order_imports', resourceId: data.id, after: data });
+
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      import: data,
+      fields: IMPORT_FIELDS,
+      required_fields: REQUIRED_FIELDS,
+      mapping_error: validateMapping(mapping, headers)
+    });
+  } catch (error) {
+    console.error('Upload order import error:', error);
+    res.status(500).json({ error: { message: 'Failed to upload order import', status: 500 } });
+  }
+});
+
+// Get import progress
+router.get('/:id', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const orderImport = await getImport(req, req.params.id);
+
+    if (!orderImport) {
+      return res.status(404).json({ error: { message: 'Import not found', status: 404 } });
+    }
+
+    const percent = orderImport.total_rows > 0
+      ? Math.round((orderImport.processed_rows / orderImport.total_rows) * 100)
+      : 0;
+
+    res.json({
+      import: orderImport,
+      progress: { processed: orderImport.processed_rows, total: orderImport.total_rows, percent }
+    });
+  } catch (error) {
+    console.error('Get order import error:', error);
+    res.status(500).json({ error: { message: 'Failed to get order import', status: 500 } });
+  }
+});
+
+// Get import rows with their errors
+router.get('/:id/rows', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { status, limit = 100, offset = 0 } = req.query;
+
+    if (status && !IMPORT_ROW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: { message: 'Invalid status', status: 400 } });
+    }
+
+    const orderImport = await getImport(req, req.params.id);
+
+    if (!orderImport) {
+      return res.status(404).json({ error: { message: 'Import not found', status: 404 } });
+    }
+
+    let query = req.db
+      .from('order_import_rows')
+      .select('row_number, data, status, errors, order_id', { count: 'exact' })
+      .eq('import_id', orderImport.id)
+      .eq('tenant_id', req.tenantId)
+      .order('row_number')
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (status) query = query.eq('status', status);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ rows: data, total: count });
+  } catch (error) {
+    console.error('Get order import rows error:', error);
+    res.status(500).json({ error: { message: 'Failed to get order import rows', status: 500 } });
+  }
+});
+
+// Dry run: validate every row against the mapping without creating orders
+router.post('/:id/validate', authenticateToken, resolveTenant, requirePermission('orders:write'), async (req, res) => {
+  try {
+    const orderImport = await getImport(req, req.params.id);
+
+    if (!orderImport) {
+      return res.status(404).json({ error: { message: 'Import not found', status: 404 } });
+    }
+
+    if (!['uploaded', 'validated'].includes(orderImport.status)) {
+      return res.status(409).json({
+        error: { message: `Import is already ${orderImport.status}`, status: 409 }
+      });
+    }
+
+    const mapping = readMapping((req.body || {}).mapping) || orderImport.mapping;
+    const mappingError = validateMapping(mapping, orderImport.headers);
+
+    if (mappingError) {
+      return res.status(400).json({ error: { message: mappingError, status: 400 } });
+    }
+
+    const { data: updated, error } = await req.db
+      .from('order_imports')
+      .update({ mapping, status: 'validated', updated_at: new Date().toISOString() })
+      .eq('id', orderImport.id)
+      .eq('tenant_id', req.tenantId)
+      .eq('status', orderImport.status)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!updated) {
+      return res.status(409).json({
+        error: { message: 'Import was changed by another request, please retry', status: 409 }
+      });
+    }
+
+    const report = await validateImport(req, updated);
+
+    res.json({ import: updated, report });
+  } catch (error) {
+    console.error('Validate order import error:', error);
+    res.status(500).json({ error: { message: 'Failed to validate order import', status: 500 } });
+  }
+});
+
+// Start importing. Rows are processed in the background; poll GET /:id for progress.
+router.post('/:id/run', authenticateToken, resolveTenant, requirePermission('orders:write'), async (req, res) => {
+  try {
+    const orderImport = await getImport(req, req.params.id);
+
+    if (!orderImport) {
+      return res.status(404).json({ error: { message: 'Import not found', status: 404 } });
+    }
+
+    if (!canRun(orderImport)) {
+      return res.status(409).json({
+        error: { message: `Import is already ${orderImport.status}`, status: 409 }
+      });
+    }
+
+    const mappingError = validateMapping(orderImport.mapping, orderImport.headers);
+
+    if (mappingError) {
+      return res.status(400).json({ error: { message: mappingError, status: 400 } });
+    }
+
+    const ctx = jobContext(req);
+
+    // Only one run at a time: the status only moves if nobody else moved it first
+    const { data: started, error } = await req.db
+      .from('order_imports')
+      .update({
+        status: 'processing',
+        error: null,
+        started_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+        completed_at: null
+      })
+      .eq('id', orderImport.id)
+      .eq('tenant_id', req.tenantId)
+      .eq('status', orderImport.status)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!started) {
+      return res.status(409).json({
+        error: { message: 'Import was changed by another request, please retry', status: 409 }
+      });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'order_imports', resourceId: started.id, before: orderImport, after: started });
+
+    runImport(ctx, started);
+
+    res.status(202).json({ message: 'Import started', import: started });
+  } catch (error) {
+    console.error('Run order import error:', error);
+    res.status(500).json({ error: { message: 'Failed to start order import', status: 500 } });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+// routes/inventory.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { recordAudit } = require('../utils/audit');
+const { ADJUSTMENT_REASONS, available, isLowStock, adjustStock } = require('../utils/inventory');
+
+// Helper function to add computed stock figures to a level
+function withAvailability(level) {
+  return { ...level, available: available(level), low_stock: isLowStock(level) };
+}
+
+// Get stock levels
+router.get('/', authenticateToken, resolveTenant, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { store, sku, product, limit = 50, offset = 0 } = req.query;
+
+    let query = req.db
+      .from('inventory_levels')
+      .select('*, products(name), stores(name)', { count: 'exact' })
+      .eq('tenant_id', req.tenantId)
+      .order('sku')
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (store) query = query.eq('store_id', store);
+    if (sku) query = query.eq('sku', sku);
+    if (product) query = query.eq('product_id', product);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ levels: data.map(withAvailability), total: count });
+  } catch (error) {
+    console.error('Get inventory error:', error);
+    res.status(500).json({ error: { message: 'Failed to get inventory', status: 500 } });
+  }
+});
+
+// Get levels at or below their low-stock threshold
+router.get('/low-stock', authenticateToken, resolveTenant, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { store } = req.query;
+
+    let query = req.db
+      .from('inventory_levels')
+      .select('*, products(name), stores(name)')
+      .eq('tenant_id', req.tenantId)
+      .not('low_stock_threshold', 'is', null)
+      .order('sku');
+
+    if (store) query = query.eq('store_id', store);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    const levels = data.filter(isLowStock).map(withAvailability);
+
+    res.json({ levels, total: levels.length });
+  } catch (error) {
+    console.error('Get low stock error:', error);
+    res.status(500).json({ error: { message: 'Failed to get low stock', status: 500 } });
+  }
+});
+
+// Get stock movements ledger
+router.get('/movements', authenticateToken, resolveTenant, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { store, sku, order, type, start_date, end_date, limit = 50, offset = 0 } = req.query;
+
+    let query = req.db
+      .from('inventory_movements')
+      .select('*', { count: 'exact' })
+      .eq('tenant_id', req.tenantId)
+      .order('created_at', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (store) query = query.eq('store_id', store);
+    if (sku) query = query.eq('sku', sku);
+    if (order) query = query.eq('order_id', order);
+    if (type) query = query.eq('type', type);
+    if (start_date) query = query.gte('created_at', start_date);
+    if (end_date) query = query.lte('created_at', end_date);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ movements: data, total: count });
+  } catch (error) {
+    console.error('Get inventory movements error:', error);
+    res.status(500).json({ error: { message: 'Failed to get inventory movements', status: 500 } });
+  }
+});
+
+// Adjust stock on hand
+router.post('/adjustments', authenticateToken, resolveTenant, requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const { store_id, product_id, sku, quantity, reason, note } = req.body;
+
+    if (!store_id || !product_id || quantity === undefined || !reason) {
+      return res.status(400).json({
+        error: { message: 'Store, product, quantity, and reason are required', status: 400 }
+      });
+    }
+
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      return res.status(400).json({ error: { message: 'Quantity must be a non-zero whole number', status: 400 } });
+    }
+
+    if (!ADJUSTMENT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        error: { message: `Reason must be one of: ${ADJUSTMENT_REASONS.join(', ')}`, status: 400 }
+      });
+    }
+
+    const { data: store } = await req.db
+      .from('stores')
+      .select('id')
+      .eq('id', store_id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    if (!store) {
+      return res.status(404).json({ error: { message: 'Store not found', status: 404 } });
+    }
+
+    const { data: product } = await req.db
+      .from('products')
+      .select('id, sku, variants')
+      .eq('id', product_id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    if (!product) {
+      return res.status(404).json({ error: { message: 'Product not found', status: 404 } });
+    }
+
+    const stockSku = sku || product.sku;
+
+    if (stockSku !== product.sku && !(product.variants || []).some(v => v.sku === stockSku)) {
+      return res.status(404).json({ error: { message: 'Variant not found', status: 404 } });
+    }
+
+    const { level, error } = await adjustStock(req, {
+      storeId: store_id,
+      productId: product_id,
+      sku: stockSku,
+      quantity,
+      reason,
+      note
+    });
+
+    if (error) {
+      return res.status(409).json({ error: { message: error, status: 409 } });
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      resource: 'inventory_levels',
+      resourceId: level.id,
+      before: { on_hand: level.on_hand - quantity },
+      after: { on_hand: level.on_hand, reason }
+    });
+
+    res.status(201).json({ message: 'Stock adjusted successfully', level: withAvailability(level) });
+  } catch (error) {
+    console.error('Adjust inventory error:', error);
+    res.status(500).json({ error: { message: 'Failed to adjust inventory', status: 500 } });
+  }
+});
+
+// Set low-stock threshold
+router.patch('/:id', authenticateToken, resolveTenant, requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { low_stock_threshold } = req.body;
+
+    if (low_stock_threshold !== null && (!Number.isInteger(low_stock_threshold) || low_stock_threshold < 0)) {
+      return res.status(400).json({
+        error: { message: 'Low-stock threshold must be a non-negative whole number or null', status: 400 }
+      });
+    }
+
+    const { data: before } = await req.db
+      .from('inventory_levels')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    const { data, error } = await req.db
+      .from('inventory_levels')
+      .update({ low_stock_threshold, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Inventory level not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'inventory_levels', resourceId: id, before, after: data });
+
+    res.json({ message: 'Inventory level updated successfully', level: withAvailability(data) });
+  } catch (error) {
+    console.error('Update inventory level error:', error);
+    res.status(500).json({ error: { message: 'Failed to update inventory level', status: 500 } });
+  }
+});
+
+module.exports = router;
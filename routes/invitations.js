@@ -0,0 +1,432 @@
+// routes/invitations.js
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { supabase, supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, blockImpersonation, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { enforceQuota } = require('../middleware/quota');
+const { recordAudit } = require('../utils/audit');
+const { isTenantRole } = require('../utils/roles');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+const INVITATION_FIELDS = 'id, email, role, status, expires_at, invited_by, created_at';
+
+// Helper function to hash invitation tokens before storage
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Helper function to load a pending invitation by token
+// Invitees aren't members yet, so invitations are read and closed with the service client
+async function loadInvitation(token) {
+  const { data: invitation } = await supabaseAdmin
+    .from('tenant_invitations')
+    .select('*, tenants(name)')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (!invitation || invitation.status !== 'pending') {
+    return { error: { message: 'Invitation not found', status: 404 } };
+  }
+
+  if (new Date(invitation.expires_at) < new Date()) {
+    return { error: { message: 'Invitation has expired', status: 410 } };
+  }
+
+  return { invitation };
+}
+
+// Helper function to close an invitation
+async function closeInvitation(id, status) {
+  const { error } = await supabaseAdmin
+    .from('tenant_invitations')
+    .update({ status, responded_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) throw error;
+}
+
+// Get pending invitations
+router.get('/', authenticateToken, resolveTenant, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const { data, error } = await req.db
+      .from('tenant_invitations')
+      .select(INVITATION_FIELDS)
+      .eq('tenant_id', req.tenantId)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ invitations: data });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: { message: 'Failed to get invitations', status: 500 } });
+  }
+});
+
+// Invite a member by email
+router.post('/', authenticateToken, blockImpersonation, resolveTenant, requirePermission('members:manage'), enforceQuota('seats'), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({
+        error: { message: 'Email and role are required', status: 400 }
+      });
+    }
+
+    if (!(await isTenantRole(req.tenantId, role))) {
+      return res.status(400).json({ error: { message: 'Invalid role', status: 400 } });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    // Accounts in other tenants are invisible to the caller
+    const { data: existingUser } = await supabaseAdmin
+      .from('users')
+      .select('id, tenant_id')
+      .eq('email', normalizedEmail)
+      .maybeSingle();
+
+    if (existingUser && existingUser.tenant_id === req.tenantId) {
+      return res.status(409).json({
+        error: { message: 'User is already a member of this tenant', status: 409 }
+      });
+    }
+
+    // Replace any earlier pending invitation for this email
+    await req.db
+      .from('tenant_invitations')
+      .update({ status: 'revoked', responded_at: new Date().toISOString() })
+      .eq('tenant_id', req.tenantId)
+      .eq('email', normalizedEmail)
+      .eq('status', 'pending');
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const inviteUrl = `${process.env.CLIENT_URL}/accept-invite?token=${token}`;
+    let invitedUserId = null;
+
+    if (existingUser) {
+      // Existing accounts get a sign-in link that lands on the invite page
+      const { error: mailError } = await supabase.auth.signInWithOtp({
+        email: normalizedEmail,
+        options: { shouldCreateUser: false, emailRedirectTo: inviteUrl }
+      });
+
+      if (mailError) {
+        console.error('Invitation email error:', mailError);
+      }
+    } else {
+      const { data: inviteData, error: inviteError } = await supabaseAdmin.auth.admin.inviteUserByEmail(
+        normalizedEmail,
+        { redirectTo: inviteUrl }
+      );
+
+      if (inviteError) {
+        return res.status(400).json({ error: { message: inviteError.message, status: 400 } });
+      }
+
+      invitedUserId = inviteData.user.id;
+    }
+
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + INVITATION_TTL_DAYS);
+
+    const invitationData = {
+      tenant_id: req.tenantId,
+      email: normalizedEmail,
+      role,
+      token_hash: hashToken(token),
+      status: 'pending',
+      invited_by: req.user.id,
+      invited_user_id: invitedUserId,
+      expires_at: expiresAt.toISOString(),
+      created_at: new Date().toISOString()
+    };
+
+    const { data, error } = await req.db
+      .from('tenant_invitations')
+      .insert([invitationData])
+      .select(INVITATION_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, { action: 'create', resource: 'tenant_invitations', resourceId: data.id, after: data });
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitation: data,
+      invite_url: inviteUrl
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: { message: 'Failed to create invitation', status: 500 } });
+  }
+});
+
+// Revoke invitation
+router.delete('/:id', authenticateToken, resolveTenant, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await req.db
+      .from('tenant_invitations')
+      .update({ status: 'revoked', responded_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .eq('status', 'pending')
+      .select(INVITATION_FIELDS)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Invitation not found', status: 404 } });
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      resource: 'tenant_invitations',
+      resourceId: id,
+      before: { ...data, status: 'pending' },
+      after: data
+    });
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: { message: 'Failed to revoke invitation', status: 500 } });
+  }
+});
+
+// Preview invitation
+router.post('/preview', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: { message: 'Invitation token is required', status: 400 } });
+    }
+
+    const { invitation, error } = await loadInvitation(token);
+
+    if (error) {
+      return res.status(error.status).json({ error });
+    }
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        tenant: invitation.tenants?.name,
+        expires_at: invitation.expires_at,
+        requires_registration: !!invitation.invited_user_id
+      }
+    });
+  } catch (error) {
+    console.error('Preview invitation error:', error);
+    res.status(500).json({ error: { message: 'Failed to get invitation', status: 500 } });
+  }
+});
+
+// Accept invitation with an existing account
+router.post('/accept', authenticateToken, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: { message: 'Invitation token is required', status: 400 } });
+    }
+
+    const { invitation, error } = await loadInvitation(token);
+
+    if (error) {
+      return res.status(error.status).json({ error });
+    }
+
+    if (invitation.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        error: { message: 'Invitation was sent to a different email', status: 403 }
+      });
+    }
+
+    const { data: profile } = await req.db
+      .from('users')
+      .select('*')
+      .eq('id', req.user.id)
+      .maybeSingle();
+
+    if (profile && profile.tenant_id && profile.tenant_id !== invitation.tenant_id) {
+      return res.status(409).json({
+        error: { message: 'User already belongs to another tenant', status: 409 }
+      });
+    }
+
+    const membership = {
+      tenant_id: invitation.tenant_id,
+      role: invitation.role,
+      updated_at: new Date().toISOString()
+    };
+
+    // Accounts opened from the invitation email have no profile yet. Members
+    // can't change their own tenant or role, so the service client applies it.
+    let profileError;
+    if (profile) {
+      ({ error: profileError } = await supabaseAdmin
+        .from('users')
+        .update(membership)
+        .eq('id', req.user.id));
+    } else {
+      ({ error: profileError } = await supabaseAdmin
+        .from('users')
+        .insert([
+          {
+            ...membership,
+            id: req.user.id,
+            email: invitation.email,
+            full_name: req.user.user_metadata?.full_name || '',
+            created_at: new Date().toISOString()
+          }
+        ]));
+    }
+
+    if (profileError) throw profileError;
+
+    await closeInvitation(invitation.id, 'accepted');
+
+    await recordAudit(req, {
+      action: profile ? 'update' : 'create',
+      resource: 'users',
+      resourceId: req.user.id,
+      before: profile,
+      after: { ...profile, ...membership },
+      tenantId: invitation.tenant_id
+    });
+
+    res.json({
+      message: 'Invitation accepted successfully',
+      tenant: { id: invitation.tenant_id, name: invitation.tenants?.name },
+      role: invitation.role
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: { message: 'Failed to accept invitation', status: 500 } });
+  }
+});
+
+// Accept invitation by creating a new account
+router.post('/register', async (req, res) => {
+  try {
+    const { token, password, fullName } = req.body;
+
+    if (!token || !password || !fullName) {
+      return res.status(400).json({
+        error: { message: 'Token, password, and full name are required', status: 400 }
+      });
+    }
+
+    const { invitation, error } = await loadInvitation(token);
+
+    if (error) {
+      return res.status(error.status).json({ error });
+    }
+
+    if (!invitation.invited_user_id) {
+      return res.status(400).json({
+        error: { message: 'An account already exists for this email, sign in to accept', status: 400 }
+      });
+    }
+
+    // The auth user was created when the invitation was sent
+    const { error: authError } = await supabaseAdmin.auth.admin.updateUserById(invitation.invited_user_id, {
+      password,
+      email_confirm: true,
+      user_metadata: { full_name: fullName }
+    });
+
+    if (authError) {
+      return res.status(400).json({ error: { message: authError.message, status: 400 } });
+    }
+
+    const newProfile = {
+      id: invitation.invited_user_id,
+      email: invitation.email,
+      full_name: fullName,
+      role: invitation.role,
+      tenant_id: invitation.tenant_id,
+      created_at: new Date().toISOString()
+    };
+
+    const { error: profileError } = await supabaseAdmin
+      .from('users')
+      .insert([newProfile]);
+
+    if (profileError) throw profileError;
+
+    await closeInvitation(invitation.id, 'accepted');
+
+    await recordAudit(req, {
+      action: 'create',
+      resource: 'users',
+      resourceId: invitation.invited_user_id,
+      after: newProfile,
+      tenantId: invitation.tenant_id
+    });
+
+    const { data: sessionData } = await supabase.auth.signInWithPassword({
+      email: invitation.email,
+      password
+    });
+
+    res.status(201).json({
+      message: 'Invitation accepted successfully',
+      user: {
+        id: invitation.invited_user_id,
+        email: invitation.email,
+        full_name: fullName
+      },
+      session: sessionData?.session || null
+    });
+  } catch (error) {
+    console.error('Register invitation error:', error);
+    res.status(500).json({ error: { message: 'Failed to accept invitation', status: 500 } });
+  }
+});
+
+// Decline invitation
+router.post('/decline', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: { message: 'Invitation token is required', status: 400 } });
+    }
+
+    const { invitation, error } = await loadInvitation(token);
+
+    if (error) {
+      return res.status(error.status).json({ error });
+    }
+
+    await closeInvitation(invitation.id, 'declined');
+
+    await recordAudit(req, {
+      action: 'update',
+      resource: 'tenant_invitations',
+      resourceId: invitation.id,
+      before: { status: 'pending' },
+      after: { status: 'declined' },
+      tenantId: invitation.tenant_id
+    });
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({ error: { message: 'Failed to decline invitation', status: 500 } });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+// routes/members.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, blockImpersonation, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { isTenantRole } = require('../utils/roles');
+const { recordAudit } = require('../utils/audit');
+
+// Get tenant members
+router.get('/', authenticateToken, resolveTenant, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const { data, error } = await req.db
+      .from('users')
+      .select('id, email, full_name, role, created_at')
+      .eq('tenant_id', req.tenantId)
+      .order('created_at');
+
+    if (error) throw error;
+
+    res.json({ members: data });
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({ error: { message: 'Failed to get members', status: 500 } });
+  }
+});
+
+// Change member role
+router.patch('/:userId/role', authenticateToken, blockImpersonation, resolveTenant, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!(await isTenantRole(req.tenantId, role))) {
+      return res.status(400).json({ error: { message: 'Invalid role', status: 400 } });
+    }
+
+    const { data: before } = await req.db
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    const { data, error } = await req.db
+      .from('users')
+      .update({ role, updated_at: new Date().toISOString() })
+      .eq('id', userId)
+      .eq('tenant_id', req.tenantId)
+      .neq('role', 'admin')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Member not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'users', resourceId: userId, before, after: data });
+
+    res.json({
+      message: 'Member role updated successfully',
+      member: { id: data.id, email: data.email, full_name: data.full_name, role: data.role }
+    });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({ error: { message: 'Failed to update member role', status: 500 } });
+  }
+});
+
+// Remove member from tenant
+router.delete('/:userId', authenticateToken, blockImpersonation, resolveTenant, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        error: { message: 'You cannot remove yourself from the tenant', status: 400 }
+      });
+    }
+
+    const { data: before } = await req.db
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    const { data, error } = await req.db
+      .from('users')
+      .update({ tenant_id: null, role: 'user', updated_at: new Date().toISOString() })
+      .eq('id', userId)
+      .eq('tenant_id', req.tenantId)
+      .neq('role', 'admin')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Member not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'users', resourceId: userId, before, after: data });
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: { message: 'Failed to remove member', status: 500 } });
+  }
+});
+
+module.exports = router;
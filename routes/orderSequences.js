@@ -0,0 +1,177 @@
+// routes/orderSequences.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { recordAudit } = require('../utils/audit');
+const { DEFAULT_SEQUENCE, validateSequence, formatOrderNumber } = require('../utils/orderNumbers');
+
+// Helper function to create or update a sequence; a null store is the tenant default
+async function saveSequence(req, res, storeId) {
+  const { prefix, padding, next_value } = req.body;
+
+  const validationError = validateSequence(req.body);
+
+  if (validationError) {
+    return res.status(400).json({ error: { message: validationError, status: 400 } });
+  }
+
+  if (storeId) {
+    const { data: store } = await req.db
+      .from('stores')
+      .select('id')
+      .eq('id', storeId)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    if (!store) {
+      return res.status(404).json({ error: { message: 'Store not found', status: 404 } });
+    }
+  }
+
+  let query = req.db
+    .from('order_sequences')
+    .select('*')
+    .eq('tenant_id', req.tenantId);
+
+  query = storeId ? query.eq('store_id', storeId) : query.is('store_id', null);
+
+  const { data: before } = await query.maybeSingle();
+
+  const changes = {};
+  if (prefix !== undefined) changes.prefix = prefix;
+  if (padding !== undefined) changes.padding = padding;
+  if (next_value !== undefined) changes.next_value = next_value;
+
+  // Going back under the same prefix would hand out numbers already used
+  const samePrefix = changes.prefix === undefined || (before && changes.prefix === before.prefix);
+
+  if (before && samePrefix && next_value !== undefined && next_value < before.next_value) {
+    return res.status(409).json({
+      error: { message: `Next value cannot go below ${before.next_value} without changing the prefix`, status: 409 }
+    });
+  }
+
+  let result;
+
+  if (before) {
+    // The counter must not have moved since we read it
+    result = await req.db
+      .from('order_sequences')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', before.id)
+      .eq('next_value', before.next_value)
+      .select()
+      .maybeSingle();
+  } else {
+    result = await req.db
+      .from('order_sequences')
+      .insert([{
+        ...DEFAULT_SEQUENCE,
+        ...changes,
+        tenant_id: req.tenantId,
+        store_id: storeId || null,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+  }
+
+  if (result.error && result.error.code !== '23505') throw result.error;
+
+  if (!result.data) {
+    return res.status(409).json({
+      error: { message: 'Order numbering was changed by another request, please retry', status: 409 }
+    });
+  }
+
+  const data = result.data;
+
+  await recordAudit(req, {
+    action: before ? 'update' : 'create',
+    resource: 'order_sequences',
+    resourceId: data.id,
+    before,
+    after: data
+  });
+
+  res.json({
+    message: 'Order numbering saved successfully',
+    sequence: { ...data, next_order_id: formatOrderNumber(data, data.next_value) }
+  });
+}
+
+// Get order numbering for the tenant and its stores
+router.get('/', authenticateToken, resolveTenant, requirePermission('orders:settings'), async (req, res) => {
+  try {
+    const { data, error } = await req.db
+      .from('order_sequences')
+      .select('*, stores(name)')
+      .eq('tenant_id', req.tenantId)
+      .order('created_at');
+
+    if (error) throw error;
+
+    const sequences = data.map(sequence => ({
+      ...sequence,
+      next_order_id: formatOrderNumber(sequence, sequence.next_value)
+    }));
+
+    res.json({
+      default: sequences.find(sequence => !sequence.store_id) ||
+        { ...DEFAULT_SEQUENCE, next_order_id: formatOrderNumber(DEFAULT_SEQUENCE, DEFAULT_SEQUENCE.next_value) },
+      stores: sequences.filter(sequence => sequence.store_id)
+    });
+  } catch (error) {
+    console.error('Get order sequences error:', error);
+    res.status(500).json({ error: { message: 'Failed to get order numbering', status: 500 } });
+  }
+});
+
+// Set the tenant-wide order numbering
+router.put('/default', authenticateToken, resolveTenant, requirePermission('orders:settings'), async (req, res) => {
+  try {
+    await saveSequence(req, res, null);
+  } catch (error) {
+    console.error('Update order sequence error:', error);
+    res.status(500).json({ error: { message: 'Failed to save order numbering', status: 500 } });
+  }
+});
+
+// Give a store its own order numbering
+router.put('/stores/:storeId', authenticateToken, resolveTenant, requirePermission('orders:settings'), async (req, res) => {
+  try {
+    await saveSequence(req, res, req.params.storeId);
+  } catch (error) {
+    console.error('Update store order sequence error:', error);
+    res.status(500).json({ error: { message: 'Failed to save order numbering', status: 500 } });
+  }
+});
+
+// Return a store to the tenant-wide numbering
+router.delete('/stores/:storeId', authenticateToken, resolveTenant, requirePermission('orders:settings'), async (req, res) => {
+  try {
+    const { data, error } = await req.db
+      .from('order_sequences')
+      .delete()
+      .eq('tenant_id', req.tenantId)
+      .eq('store_id', req.params.storeId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Store has no order numbering of its own', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'delete', resource: 'order_sequences', resourceId: data.id, before: data });
+
+    res.json({ message: 'Store order numbering removed successfully' });
+  } catch (error) {
+    console.error('Delete store order sequence error:', error);
+    res.status(500).json({ error: { message: 'Failed to remove order numbering', status: 500 } });
+  }
+});
+
+module.exports = router;
@@ -1,52 +1,309 @@
 // routes/orders.js
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { enforceQuota } = require('../middleware/quota');
+const { idempotent } = require('../middleware/idempotency');
+const { recordAudit } = require('../utils/audit');
+const { ORDER_STATUSES, REASON_REQUIRED, isOrderStatus, canTransition } = require('../config/orderStatuses');
+const { transitionOrder } = require('../utils/orderStatus');
+const { priceOrder, totalMatches } = require('../utils/orderPricing');
+const { updateReservation, releaseForOrder, syncOrderInventory } = require('../utils/inventory');
+const { orderCustomer, createOrder } = require('../utils/orders');
+const { ACTIVE_RETURN_STATUSES } = require('../utils/returns');
+const { encodeCode128 } = require('../utils/barcodes');
+const { toCsvRow } = require('../utils/csv');
+const { writeTo } = require('../utils/zip');
+const { createXlsxStream } = require('../utils/xlsx');
+const { EXPORT_FORMATS, parseColumns, toExportRows, forEachOrderBatch } = require('../utils/orderExport');
+const {
+  FILTER_KEYS,
+  parseFilters,
+  resolvePhoneFilter,
+  applySearch,
+  encodeCursor,
+  decodeCursor,
+  pageSize
+} = require('../utils/orderSearch');
 
-// Get all orders
-router.get('/', authenticateToken, async (req, res) => {
+// Line items can only change before the order is handed to a carrier
+const EDITABLE_STATUSES = ['pending', 'confirmed'];
+
+// Helper function to load one of the caller's saved filter presets
+async function getPreset(req, id) {
+  const { data } = await req.db
+    .from('order_filter_presets')
+    .select('*')
+    .eq('id', id)
+    .eq('tenant_id', req.tenantId)
+    .eq('user_id', req.user.id)
+    .maybeSingle();
+
+  return data;
+}
+
+// Helper function to read list filters, starting from a preset when one is
+// named. Returns { filters } or { error: { message, status } }.
+async function readFilters(req) {
+  let params = req.query;
+
+  if (req.query.preset) {
+    const preset = await getPreset(req, req.query.preset);
+
+    if (!preset) {
+      return { error: { message: 'Filter preset not found', status: 404 } };
+    }
+
+    // Parameters in the request override the preset's
+    params = { ...preset.filters, ...req.query };
+  }
+
+  const { filters, error } = parseFilters(params);
+
+  if (error) return { error: { message: error, status: 400 } };
+
+  return { filters: await resolvePhoneFilter(req.db, req.tenantId, filters) };
+}
+
+// Get all orders. Deep pages should follow next_cursor rather than offset.
+router.get('/', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
   try {
-    const { status, client, store, limit = 50, offset = 0 } = req.query;
-    
-    let query = supabase
+    const { cursor, offset } = req.query;
+    const { filters, error: filterError } = await readFilters(req);
+
+    if (filterError) {
+      return res.status(filterError.status).json({ error: filterError });
+    }
+
+    const after = cursor ? decodeCursor(cursor, filters.sortBy) : null;
+
+    if (cursor && !after) {
+      return res.status(400).json({ error: { message: 'Invalid cursor for this sort', status: 400 } });
+    }
+
+    const limit = pageSize(req.query.limit);
+    const start = after ? 0 : Math.max(parseInt(offset, 10) || 0, 0);
+
+    const buildQuery = (options) => req.db
       .from('orders')
       .select(`
         *,
         delivery_companies(name),
         stores(name)
-      `)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+      `, options)
+      .eq('tenant_id', req.tenantId);
 
-    if (status) query = query.eq('status', status);
-    if (client) query = query.ilike('client', `%${client}%`);
-    if (store) query = query.eq('store_id', store);
-
-    const { data, error, count } = await query;
+    const { data, error, count } = await applySearch(buildQuery({ count: 'exact' }), filters, after)
+      .range(start, start + limit - 1);
 
     if (error) throw error;
 
-    res.json({ orders: data, total: count });
+    let total = count;
+
+    // A cursor query only counts what comes after the cursor
+    if (after) {
+      const { count: fullCount, error: countError } = await applySearch(
+        buildQuery({ count: 'exact', head: true }),
+        filters
+      );
+
+      if (countError) throw countError;
+      total = fullCount;
+    }
+
+    res.json({
+      orders: data,
+      total,
+      next_cursor: data.length === limit ? encodeCursor(filters.sortBy, data[data.length - 1]) : null
+    });
   } catch (error) {
     console.error('Get orders error:', error);
     res.status(500).json({ error: { message: 'Failed to get orders', status: 500 } });
   }
 });
 
+// Get the caller's saved filter presets
+router.get('/presets', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { data, error } = await req.db
+      .from('order_filter_presets')
+      .select('*')
+      .eq('tenant_id', req.tenantId)
+      .eq('user_id', req.user.id)
+      .order('name');
+
+    if (error) throw error;
+
+    res.json({ presets: data });
+  } catch (error) {
+    console.error('Get order presets error:', error);
+    res.status(500).json({ error: { message: 'Failed to get filter presets', status: 500 } });
+  }
+});
+
+// Save a filter preset
+router.post('/presets', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { name, filters } = req.body;
+
+    if (!name || !filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      return res.status(400).json({ error: { message: 'Name and filters are required', status: 400 } });
+    }
+
+    const unknown = Object.keys(filters).filter(key => !FILTER_KEYS.includes(key));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: { message: `Unknown filters: ${unknown.join(', ')}. Filters are: ${FILTER_KEYS.join(', ')}`, status: 400 }
+      });
+    }
+
+    const { error: filterError } = parseFilters(filters);
+
+    if (filterError) {
+      return res.status(400).json({ error: { message: filterError, status: 400 } });
+    }
+
+    const { data: existing } = await req.db
+      .from('order_filter_presets')
+      .select('id')
+      .eq('tenant_id', req.tenantId)
+      .eq('user_id', req.user.id)
+      .eq('name', name)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({ error: { message: 'A preset with this name already exists', status: 409 } });
+    }
+
+    const { data, error } = await req.db
+      .from('order_filter_presets')
+      .insert([{
+        tenant_id: req.tenantId,
+        user_id: req.user.id,
+        name,
+        filters,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({ message: 'Filter preset saved successfully', preset: data });
+  } catch (error) {
+    console.error('Create order preset error:', error);
+    res.status(500).json({ error: { message: 'Failed to save filter preset', status: 500 } });
+  }
+});
+
+// Delete a filter preset
+router.delete('/presets/:id', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { data, error } = await req.db
+      .from('order_filter_presets')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('tenant_id', req.tenantId)
+      .eq('user_id', req.user.id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Filter preset not found', status: 404 } });
+    }
+
+    res.json({ message: 'Filter preset deleted successfully' });
+  } catch (error) {
+    console.error('Delete order preset error:', error);
+    res.status(500).json({ error: { message: 'Failed to delete filter preset', status: 500 } });
+  }
+});
+
+// Export orders as CSV or XLSX, streamed in batches
+router.get('/export', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
+  const { format = 'csv' } = req.query;
+
+  try {
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: { message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`, status: 400 }
+      });
+    }
+
+    const { filters, error: filterError } = await readFilters(req);
+
+    if (filterError) {
+      return res.status(filterError.status).json({ error: filterError });
+    }
+
+    const { columns, error: columnError } = parseColumns(req.query.columns);
+
+    if (columnError) {
+      return res.status(400).json({ error: { message: columnError, status: 400 } });
+    }
+
+    await recordAudit(req, { action: 'export', resource: 'orders', after: { format, columns, filters: req.query } });
+
+    const fileName = `orders-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set({
+      'Content-Type': format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+
+    const buildQuery = () => req.db
+      .from('orders')
+      .select('*, delivery_companies(name), stores(name)')
+      .eq('tenant_id', req.tenantId);
+
+    if (format === 'xlsx') {
+      const sheet = await createXlsxStream(res, { sheetName: 'Orders', header: columns });
+
+      await forEachOrderBatch(buildQuery, filters, orders =>
+        sheet.writeRows(orders.flatMap(order => toExportRows(order, columns))));
+
+      await sheet.end();
+    } else {
+      // The byte order mark lets Excel detect UTF-8
+      await writeTo(res, `\uFEFF${toCsvRow(columns)}\r\n`);
+
+      await forEachOrderBatch(buildQuery, filters, orders => writeTo(res, orders
+        .flatMap(order => toExportRows(order, columns))
+        .map(row => `${toCsvRow(row)}\r\n`)
+        .join('')));
+
+      res.end();
+    }
+  } catch (error) {
+    console.error('Export orders error:', error);
+
+    // Once the file has started there is no way to send an error body
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: { message: 'Failed to export orders', status: 500 } });
+  }
+});
+
 // Get order by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('orders')
       .select(`
         *,
         delivery_companies(name, email, phone, country),
-        stores(name, address)
+        stores(name, address),
+        customers(name, phones, emails)
       `)
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
       .single();
 
     if (error) {
@@ -61,41 +318,39 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Create order
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, resolveTenant, requirePermission('orders:write'), idempotent, enforceQuota('monthly_orders'), async (req, res) => {
   try {
     const { 
+      customer_id,
       client, 
+      client_phone,
       delivery_company_id, 
       store_id, 
       total, 
-      items 
+      items,
+      discount
     } = req.body;
 
-    if (!client || !delivery_company_id || !store_id || !total) {
+    if ((!customer_id && !client) || !delivery_company_id || !store_id || !items) {
       return res.status(400).json({ 
         error: { message: 'Missing required fields', status: 400 } 
       });
     }
 
-    const orderData = {
-      order_id: `ORD-${Date.now()}`,
+    const { order: data, error } = await createOrder(req, {
+      customer_id,
       client,
+      client_phone,
       delivery_company_id,
       store_id,
-      status: 'pending',
-      total,
-      items: items || [],
-      created_by: req.user.id,
-      created_at: new Date().toISOString()
-    };
-
-    const { data, error } = await supabase
-      .from('orders')
-      .insert([orderData])
-      .select()
-      .single();
+      items,
+      discount,
+      total
+    });
 
-    if (error) throw error;
+    if (error) {
+      return res.status(error.status).json({ error });
+    }
 
     res.status(201).json({ 
       message: 'Order created successfully', 
@@ -108,26 +363,132 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // Update order
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, resolveTenant, requirePermission('orders:write'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, client, total, items } = req.body;
+    const { status, customer_id, client, client_phone, total, items, discount, tracking_number } = req.body;
+
+    if (status !== undefined) {
+      return res.status(400).json({
+        error: { message: 'Use POST /api/orders/:id/status to change the order status', status: 400 }
+      });
+    }
+
+    // Tracking numbers are printed as barcodes on shipping labels
+    if (tracking_number !== undefined && tracking_number !== null) {
+      const barcode = typeof tracking_number === 'string'
+        ? encodeCode128(tracking_number.trim())
+        : { error: 'Tracking number must be text' };
+
+      if (barcode.error) {
+        return res.status(400).json({ error: { message: `Invalid tracking number: ${barcode.error}`, status: 400 } });
+      }
+    }
+
+    const { data: before } = await req.db
+      .from('orders')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    if (!before) {
+      return res.status(404).json({ error: { message: 'Order not found', status: 404 } });
+    }
 
     const updateData = { updated_at: new Date().toISOString() };
-    if (status !== undefined) updateData.status = status;
-    if (client !== undefined) updateData.client = client;
-    if (total !== undefined) updateData.total = total;
-    if (items !== undefined) updateData.items = items;
 
-    const { data, error } = await supabase
+    if (tracking_number !== undefined) {
+      updateData.tracking_number = tracking_number === null ? null : tracking_number.trim();
+    }
+
+    if (customer_id !== undefined || client !== undefined) {
+      if (!customer_id && !client) {
+        return res.status(400).json({ error: { message: 'Customer cannot be empty', status: 400 } });
+      }
+
+      const customer = await orderCustomer(req, { customer_id, client, client_phone });
+
+      if (!customer) {
+        return res.status(404).json({ error: { message: 'Customer not found', status: 404 } });
+      }
+
+      updateData.customer_id = customer.id;
+      updateData.client = customer.name;
+    }
+
+    if (items !== undefined || discount !== undefined) {
+      if (!EDITABLE_STATUSES.includes(before.status)) {
+        return res.status(409).json({
+          error: { message: `Items cannot be changed once an order is ${before.status}`, status: 409 }
+        });
+      }
+
+      const { data: deliveryCompany } = await req.db
+        .from('delivery_companies')
+        .select('shipping_fee')
+        .eq('id', before.delivery_company_id)
+        .eq('tenant_id', req.tenantId)
+        .maybeSingle();
+
+      // Stored line items already carry product_id, sku and quantity
+      const pricing = await priceOrder(req.db, {
+        tenantId: req.tenantId,
+        storeId: before.store_id,
+        items: items !== undefined ? items : before.items,
+        discount: discount !== undefined ? discount : before.discount,
+        shippingFee: deliveryCompany ? deliveryCompany.shipping_fee : 0
+      });
+
+      if (pricing.error) {
+        return res.status(400).json({ error: { message: pricing.error, status: 400 } });
+      }
+
+      Object.assign(updateData, pricing);
+    }
+
+    const expectedTotal = updateData.total !== undefined ? updateData.total : before.total;
+
+    if (total !== undefined && !totalMatches(total, expectedTotal)) {
+      return res.status(400).json({
+        error: { message: `Order total does not match the computed total of ${expectedTotal}`, status: 400 }
+      });
+    }
+
+    const reservesStock = updateData.items !== undefined && before.inventory_status === 'reserved';
+
+    if (reservesStock) {
+      const reservation = await updateReservation(req, before, updateData.items);
+
+      if (reservation.error) {
+        return res.status(409).json({ error: { message: reservation.error, status: 409 } });
+      }
+    }
+
+    const { data, error } = await req.db
       .from('orders')
       .update(updateData)
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .eq('status', before.status)
       .select()
-      .single();
+      .maybeSingle();
+
+    if (!data && reservesStock) {
+      // Put the reservation back the way it was
+      await updateReservation(req, { ...before, items: updateData.items }, before.items);
+    }
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(409).json({
+        error: { message: 'Order status was changed by another request, please retry', status: 409 }
+      });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'orders', resourceId: id, before, after: data });
+
     res.json({ message: 'Order updated successfully', order: data });
   } catch (error) {
     console.error('Update order error:', error);
@@ -135,18 +496,146 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Change order status
+router.post('/:id/status', authenticateToken, resolveTenant, requirePermission('orders:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+
+    if (!isOrderStatus(status)) {
+      return res.status(400).json({
+        error: { message: `Status must be one of: ${ORDER_STATUSES.join(', ')}`, status: 400 }
+      });
+    }
+
+    if (REASON_REQUIRED.includes(status) && !reason) {
+      return res.status(400).json({
+        error: { message: `A reason is required to mark an order as ${status}`, status: 400 }
+      });
+    }
+
+    const { data: before } = await req.db
+      .from('orders')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    if (!before) {
+      return res.status(404).json({ error: { message: 'Order not found', status: 404 } });
+    }
+
+    if (!canTransition(before.status, status)) {
+      return res.status(409).json({
+        error: { message: `Cannot change order status from ${before.status} to ${status}`, status: 409 }
+      });
+    }
+
+    // Items coming back through the returns API are restocked when received
+    if (status === 'returned') {
+      const { count, error: returnsError } = await req.db
+        .from('order_returns')
+        .select('id', { count: 'exact', head: true })
+        .eq('order_id', id)
+        .eq('tenant_id', req.tenantId)
+        .in('status', ACTIVE_RETURN_STATUSES);
+
+      if (returnsError) throw returnsError;
+
+      if (count > 0) {
+        return res.status(409).json({
+          error: { message: 'Order has returns in progress; it is marked returned once they are received', status: 409 }
+        });
+      }
+    }
+
+    const data = await transitionOrder(req, before, status, reason);
+
+    if (!data) {
+      return res.status(409).json({
+        error: { message: 'Order status was changed by another request, please retry', status: 409 }
+      });
+    }
+
+    // Only the request that won the transition moves stock
+    const inventory = await syncOrderInventory(req, data, status);
+
+    if (inventory.error) {
+      console.error('Order inventory sync error:', inventory.error);
+    } else if (inventory.inventory_status) {
+      data.inventory_status = inventory.inventory_status;
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'orders', resourceId: id, before, after: data });
+
+    res.json({ message: 'Order status updated successfully', order: data });
+  } catch (error) {
+    console.error('Update order status error:', error);
+    res.status(500).json({ error: { message: 'Failed to update order status', status: 500 } });
+  }
+});
+
+// Get order status history
+router.get('/:id/history', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: order } = await req.db
+      .from('orders')
+      .select('id, status')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    if (!order) {
+      return res.status(404).json({ error: { message: 'Order not found', status: 404 } });
+    }
+
+    const { data, error } = await req.db
+      .from('order_status_history')
+      .select('id, from_status, to_status, reason, changed_by, created_at')
+      .eq('order_id', id)
+      .eq('tenant_id', req.tenantId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ order_id: id, status: order.status, history: data });
+  } catch (error) {
+    console.error('Get order history error:', error);
+    res.status(500).json({ error: { message: 'Failed to get order history', status: 500 } });
+  }
+});
+
 // Delete order
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, resolveTenant, requirePermission('orders:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase
+    const { data, error } = await req.db
       .from('orders')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .select()
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Order not found', status: 404 } });
+    }
+
+    if (data.inventory_status === 'reserved') {
+      const release = await releaseForOrder(req, data, 'Order deleted');
+
+      if (release.error) {
+        console.error('Order inventory release error:', release.error);
+      }
+    }
+
+    await recordAudit(req, { action: 'delete', resource: 'orders', resourceId: id, before: data });
+
     res.json({ message: 'Order deleted successfully' });
   } catch (error) {
     console.error('Delete order error:', error);
@@ -155,11 +644,12 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Get order statistics
-router.get('/stats/summary', authenticateToken, async (req, res) => {
+router.get('/stats/summary', authenticateToken, resolveTenant, requirePermission('orders:read'), async (req, res) => {
   try {
-    const { data: orders, error } = await supabase
+    const { data: orders, error } = await req.db
       .from('orders')
-      .select('status, total, created_at');
+      .select('status, total, created_at')
+      .eq('tenant_id', req.tenantId);
 
     if (error) throw error;
 
@@ -0,0 +1,273 @@
+// routes/products.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { recordAudit } = require('../utils/audit');
+const { isAmount } = require('../utils/orderPricing');
+
+// Helper function to validate product fields. Returns an error message or null.
+function validateProduct({ sku, name, price, variants, images }, partial = false) {
+  if (!partial && (!sku || !name || price === undefined)) {
+    return 'SKU, name, and price are required';
+  }
+
+  if (price !== undefined && !isAmount(price)) {
+    return 'Price must be a non-negative number';
+  }
+
+  if (variants !== undefined) {
+    if (!Array.isArray(variants)) return 'Variants must be an array';
+
+    const skus = new Set();
+    for (const variant of variants) {
+      if (!variant || !variant.sku) return 'Each variant needs a SKU';
+      if (variant.sku === sku || skus.has(variant.sku)) return `Duplicate SKU: ${variant.sku}`;
+      if (variant.price !== undefined && variant.price !== null && !isAmount(variant.price)) {
+        return `Variant ${variant.sku} has an invalid price`;
+      }
+      skus.add(variant.sku);
+    }
+  }
+
+  if (images !== undefined && (!Array.isArray(images) || images.some(image => typeof image !== 'string'))) {
+    return 'Images must be an array of URLs';
+  }
+
+  return null;
+}
+
+// Helper function to check that a store belongs to the tenant
+async function storeExists(req, storeId) {
+  const { data } = await req.db
+    .from('stores')
+    .select('id')
+    .eq('id', storeId)
+    .eq('tenant_id', req.tenantId)
+    .maybeSingle();
+
+  return !!data;
+}
+
+// Helper function to check a SKU is not already used by another product
+async function skuTaken(req, sku, exceptId) {
+  let query = req.db
+    .from('products')
+    .select('id')
+    .eq('tenant_id', req.tenantId)
+    .eq('sku', sku)
+    .limit(1);
+
+  if (exceptId) query = query.neq('id', exceptId);
+
+  const { data } = await query;
+  return !!(data && data.length > 0);
+}
+
+// Get all products
+router.get('/', authenticateToken, resolveTenant, requirePermission('products:read'), async (req, res) => {
+  try {
+    const { store, search, active, limit = 50, offset = 0 } = req.query;
+
+    let query = req.db
+      .from('products')
+      .select('*', { count: 'exact' })
+      .eq('tenant_id', req.tenantId)
+      .order('name')
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (store) query = query.eq('store_id', store);
+    if (active !== undefined) query = query.eq('active', active === 'true');
+    if (search) {
+      // Commas and parentheses would break out of the or() filter
+      const term = search.replace(/[,()]/g, ' ');
+      query = query.or(`name.ilike.%${term}%,sku.ilike.%${term}%`);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ products: data, total: count });
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({ error: { message: 'Failed to get products', status: 500 } });
+  }
+});
+
+// Get product by ID
+router.get('/:id', authenticateToken, resolveTenant, requirePermission('products:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await req.db
+      .from('products')
+      .select('*, stores(name)')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .single();
+
+    if (error) {
+      return res.status(404).json({ error: { message: 'Product not found', status: 404 } });
+    }
+
+    res.json({ product: data });
+  } catch (error) {
+    console.error('Get product error:', error);
+    res.status(500).json({ error: { message: 'Failed to get product', status: 500 } });
+  }
+});
+
+// Create product
+router.post('/', authenticateToken, resolveTenant, requirePermission('products:write'), async (req, res) => {
+  try {
+    const { sku, name, description, price, variants, images, store_id, active, track_inventory } = req.body;
+
+    const validationError = validateProduct(req.body);
+
+    if (validationError) {
+      return res.status(400).json({ error: { message: validationError, status: 400 } });
+    }
+
+    if (store_id && !(await storeExists(req, store_id))) {
+      return res.status(404).json({ error: { message: 'Store not found', status: 404 } });
+    }
+
+    if (await skuTaken(req, sku)) {
+      return res.status(409).json({ error: { message: 'A product with this SKU already exists', status: 409 } });
+    }
+
+    const productData = {
+      sku,
+      name,
+      description: description || '',
+      price,
+      variants: variants || [],
+      images: images || [],
+      store_id: store_id || null,
+      active: active !== false,
+      track_inventory: track_inventory !== false,
+      tenant_id: req.tenantId,
+      created_at: new Date().toISOString()
+    };
+
+    const { data, error } = await req.db
+      .from('products')
+      .insert([productData])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, { action: 'create', resource: 'products', resourceId: data.id, after: data });
+
+    res.status(201).json({
+      message: 'Product created successfully',
+      product: data
+    });
+  } catch (error) {
+    console.error('Create product error:', error);
+    res.status(500).json({ error: { message: 'Failed to create product', status: 500 } });
+  }
+});
+
+// Update product
+router.put('/:id', authenticateToken, resolveTenant, requirePermission('products:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sku, name, description, price, variants, images, store_id, active, track_inventory } = req.body;
+
+    const { data: before } = await req.db
+      .from('products')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    if (!before) {
+      return res.status(404).json({ error: { message: 'Product not found', status: 404 } });
+    }
+
+    const validationError = validateProduct({
+      sku: sku !== undefined ? sku : before.sku,
+      name,
+      price,
+      variants,
+      images
+    }, true);
+
+    if (validationError) {
+      return res.status(400).json({ error: { message: validationError, status: 400 } });
+    }
+
+    if (store_id && !(await storeExists(req, store_id))) {
+      return res.status(404).json({ error: { message: 'Store not found', status: 404 } });
+    }
+
+    if (sku !== undefined && sku !== before.sku && (await skuTaken(req, sku, id))) {
+      return res.status(409).json({ error: { message: 'A product with this SKU already exists', status: 409 } });
+    }
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (sku !== undefined) updateData.sku = sku;
+    if (name !== undefined) updateData.name = name;
+    if (description !== undefined) updateData.description = description;
+    if (price !== undefined) updateData.price = price;
+    if (variants !== undefined) updateData.variants = variants;
+    if (images !== undefined) updateData.images = images;
+    if (store_id !== undefined) updateData.store_id = store_id || null;
+    if (active !== undefined) updateData.active = active === true;
+    if (track_inventory !== undefined) updateData.track_inventory = track_inventory === true;
+
+    const { data, error } = await req.db
+      .from('products')
+      .update(updateData)
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Product not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'products', resourceId: id, before, after: data });
+
+    res.json({ message: 'Product updated successfully', product: data });
+  } catch (error) {
+    console.error('Update product error:', error);
+    res.status(500).json({ error: { message: 'Failed to update product', status: 500 } });
+  }
+});
+
+// Delete product. Orders keep their own copy of the line items.
+router.delete('/:id', authenticateToken, resolveTenant, requirePermission('products:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await req.db
+      .from('products')
+      .delete()
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Product not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'delete', resource: 'products', resourceId: id, before: data });
+
+    res.json({ message: 'Product deleted successfully' });
+  } catch (error) {
+    console.error('Delete product error:', error);
+    res.status(500).json({ error: { message: 'Failed to delete product', status: 500 } });
+  }
+});
+
+module.exports = router;
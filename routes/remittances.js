@@ -0,0 +1,413 @@
+// routes/remittances.js
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { spreadsheetUpload } = require('../middleware/upload');
+const { recordAudit } = require('../utils/audit');
+const { isAmount } = require('../utils/orderPricing');
+const { hashFile, readSpreadsheet } = require('../utils/spreadsheet');
+const {
+  MATCH_STATUSES,
+  STATEMENT_FIELDS,
+  suggestStatementMapping,
+  validateStatementMapping,
+  validateLines,
+  readStatementLines,
+  matchLines,
+  summarizeLines
+} = require('../utils/remittances');
+
+const REMITTANCE_STATUSES = ['reconciled', 'needs_review'];
+const MAX_STATEMENT_ROWS = 5000;
+const INSERT_BATCH_SIZE = 500;
+
+// Helper function to load a delivery company of the current tenant
+async function getCompany(req) {
+  const { data } = await req.db
+    .from('delivery_companies')
+    .select('id, name')
+    .eq('id', req.params.companyId)
+    .eq('tenant_id', req.tenantId)
+    .maybeSingle();
+
+  return data;
+}
+
+// Helper function to load a remittance of the current delivery company
+async function getRemittance(req) {
+  const { data } = await req.db
+    .from('cod_remittances')
+    .select('*')
+    .eq('id', req.params.remittanceId)
+    .eq('delivery_company_id', req.params.companyId)
+    .eq('tenant_id', req.tenantId)
+    .maybeSingle();
+
+  return data;
+}
+
+// Helper function to read a mapping sent as JSON in the query string
+function readMapping(value) {
+  if (value === undefined) return undefined;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Helper function to check the remittance fields shared by manual entry and imports
+function validateRemittance({ reference, remitted_at, amount }) {
+  if (typeof reference !== 'string' || !reference.trim()) {
+    return 'Reference is required';
+  }
+
+  if (remitted_at !== undefined && isNaN(Date.parse(remitted_at))) {
+    return 'Remitted date must be a valid ISO date';
+  }
+
+  if (amount !== undefined && amount !== null && amount !== '' && !isAmount(amount)) {
+    return 'Amount must be a non-negative number';
+  }
+
+  return null;
+}
+
+// Helper function to store matched lines in batches
+async function saveLines(req, remittance, lines) {
+  const rows = lines.map(line => ({
+    ...line,
+    tenant_id: req.tenantId,
+    delivery_company_id: remittance.delivery_company_id,
+    remittance_id: remittance.id,
+    created_at: remittance.created_at
+  }));
+
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const { error } = await req.db
+      .from('cod_remittance_lines')
+      .upsert(rows.slice(i, i + INSERT_BATCH_SIZE));
+
+    if (error) throw error;
+  }
+}
+
+// Helper function to record a remittance, match its lines and store the result
+async function createRemittance(req, res, company, fields, lines) {
+  const { data: remittance, error } = await req.db
+    .from('cod_remittances')
+    .insert([{
+      ...fields,
+      reference: fields.reference.trim(),
+      remitted_at: fields.remitted_at || new Date().toISOString(),
+      tenant_id: req.tenantId,
+      delivery_company_id: company.id,
+      status: 'needs_review',
+      created_by: req.user.id,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error && error.code === '23505') {
+    return res.status(409).json({
+      error: { message: 'This remittance has already been recorded for this delivery company', status: 409 }
+    });
+  }
+
+  if (error) throw error;
+
+  const matched = await matchLines(req.db, { tenantId: req.tenantId, remittance, lines });
+
+  try {
+    await saveLines(req, remittance, matched);
+  } catch (linesError) {
+    // Don't leave a remittance behind without its lines
+    await req.db.from('cod_remittance_lines').delete().eq('remittance_id', remittance.id);
+    await req.db.from('cod_remittances').delete().eq('id', remittance.id);
+    throw linesError;
+  }
+
+  const { match_counts: matchCounts, ...summary } = summarizeLines(matched, fields.amount);
+
+  const { data, error: updateError } = await req.db
+    .from('cod_remittances')
+    .update(summary)
+    .eq('id', remittance.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  await recordAudit(req, { action: 'create', resource: 'cod_remittances', resourceId: data.id, after: data });
+
+  res.status(201).json({
+    message: 'Remittance recorded successfully',
+    remittance: data,
+    match_counts: matchCounts,
+    lines: matched
+  });
+}
+
+// List a delivery company's remittances
+router.get('/', authenticateToken, resolveTenant, requirePermission('remittances:read'), async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    if (status && !REMITTANCE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: { message: 'Invalid status', status: 400 } });
+    }
+
+    let query = req.db
+      .from('cod_remittances')
+      .select('*', { count: 'exact' })
+      .eq('tenant_id', req.tenantId)
+      .eq('delivery_company_id', req.params.companyId)
+      .order('remitted_at', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (status) query = query.eq('status', status);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ remittances: data, total: count });
+  } catch (error) {
+    console.error('Get remittances error:', error);
+    res.status(500).json({ error: { message: 'Failed to get remittances', status: 500 } });
+  }
+});
+
+// Get a remittance with its lines, optionally only those with a match status
+router.get('/:remittanceId', authenticateToken, resolveTenant, requirePermission('remittances:read'), async (req, res) => {
+  try {
+    const { match_status } = req.query;
+
+    if (match_status && !MATCH_STATUSES.includes(match_status)) {
+      return res.status(400).json({ error: { message: 'Invalid match status', status: 400 } });
+    }
+
+    const remittance = await getRemittance(req);
+
+    if (!remittance) {
+      return res.status(404).json({ error: { message: 'Remittance not found', status: 404 } });
+    }
+
+    let query = req.db
+      .from('cod_remittance_lines')
+      .select('*, orders(order_id, client, status, total)')
+      .eq('remittance_id', remittance.id)
+      .eq('tenant_id', req.tenantId)
+      .order('row_number', { nullsFirst: false })
+      .order('id');
+
+    if (match_status) query = query.eq('match_status', match_status);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ remittance, lines: data });
+  } catch (error) {
+    console.error('Get remittance error:', error);
+    res.status(500).json({ error: { message: 'Failed to get remittance', status: 500 } });
+  }
+});
+
+// Record a remittance by hand: { reference, remitted_at, amount, notes,
+// lines: [{ order_ref, amount, fee }] }. Amount defaults to the lines' cash
+// less fees.
+router.post('/', authenticateToken, resolveTenant, requirePermission('remittances:manage'), async (req, res) => {
+  try {
+    const { reference, remitted_at, amount, notes, lines } = req.body;
+
+    const validationError = validateRemittance(req.body) || validateLines(lines);
+
+    if (validationError) {
+      return res.status(400).json({ error: { message: validationError, status: 400 } });
+    }
+
+    const company = await getCompany(req);
+
+    if (!company) {
+      return res.status(404).json({ error: { message: 'Delivery company not found', status: 404 } });
+    }
+
+    await createRemittance(req, res, company, {
+      reference,
+      remitted_at,
+      amount,
+      notes: notes || null,
+      source: 'manual'
+    }, lines);
+  } catch (error) {
+    console.error('Create remittance error:', error);
+    res.status(500).json({ error: { message: 'Failed to record remittance', status: 500 } });
+  }
+});
+
+// Import a courier statement uploaded as a CSV or XLSX file. reference,
+// remitted_at, amount and a JSON mapping of { order, amount, fee } to column
+// names go in the query string; the mapping is guessed from headers if omitted.
+router.post('/import', authenticateToken, resolveTenant, requirePermission('remittances:manage'), spreadsheetUpload, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: { message: 'Upload the statement as the request body with a CSV or XLSX content type', status: 400 }
+      });
+    }
+
+    const { reference, remitted_at, amount, notes, file_name } = req.query;
+
+    const validationError = validateRemittance(req.query);
+
+    if (validationError) {
+      return res.status(400).json({ error: { message: validationError, status: 400 } });
+    }
+
+    const company = await getCompany(req);
+
+    if (!company) {
+      return res.status(404).json({ error: { message: 'Delivery company not found', status: 404 } });
+    }
+
+    const { headers, rows, error: fileError } = readSpreadsheet(req.body, { maxRows: MAX_STATEMENT_ROWS });
+
+    if (fileError) {
+      return res.status(400).json({ error: { message: fileError, status: 400 } });
+    }
+
+    const requested = readMapping(req.query.mapping);
+
+    if (requested === null) {
+      return res.status(400).json({ error: { message: 'Mapping must be valid JSON', status: 400 } });
+    }
+
+    const mapping = requested || suggestStatementMapping(headers);
+    const mappingError = validateStatementMapping(mapping, headers);
+
+    if (mappingError) {
+      return res.status(400).json({
+        error: {
+          message: requested ? mappingError : `${mappingError}. Pass a mapping of ${Object.keys(STATEMENT_FIELDS).join(', ')} to column names`,
+          status: 400,
+          headers
+        }
+      });
+    }
+
+    const { lines, error: linesError } = readStatementLines(rows, mapping);
+
+    if (linesError) {
+      return res.status(400).json({ error: { message: linesError, status: 400 } });
+    }
+
+    await createRemittance(req, res, company, {
+      reference,
+      remitted_at,
+      amount,
+      notes: notes || null,
+      source: 'import',
+      file_name: file_name || null,
+      file_hash: hashFile(req.body),
+      mapping
+    }, lines);
+  } catch (error) {
+    console.error('Import remittance error:', error);
+    res.status(500).json({ error: { message: 'Failed to import remittance', status: 500 } });
+  }
+});
+
+// Match a remittance's lines again, e.g. after orders were marked delivered
+router.post('/:remittanceId/rematch', authenticateToken, resolveTenant, requirePermission('remittances:manage'), async (req, res) => {
+  try {
+    const remittance = await getRemittance(req);
+
+    if (!remittance) {
+      return res.status(404).json({ error: { message: 'Remittance not found', status: 404 } });
+    }
+
+    const { data: lines, error } = await req.db
+      .from('cod_remittance_lines')
+      .select('id, order_ref, row_number, amount, fee')
+      .eq('remittance_id', remittance.id)
+      .eq('tenant_id', req.tenantId)
+      .order('row_number', { nullsFirst: false })
+      .order('id');
+
+    if (error) throw error;
+
+    const matched = (await matchLines(req.db, { tenantId: req.tenantId, remittance, lines }))
+      .map((line, index) => ({ ...line, id: lines[index].id }));
+
+    await saveLines(req, remittance, matched);
+
+    const { match_counts: matchCounts, ...summary } = summarizeLines(matched, remittance.amount);
+
+    const { data, error: updateError } = await req.db
+      .from('cod_remittances')
+      .update({ ...summary, updated_at: new Date().toISOString() })
+      .eq('id', remittance.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    await recordAudit(req, {
+      action: 'update',
+      resource: 'cod_remittances',
+      resourceId: remittance.id,
+      before: remittance,
+      after: data
+    });
+
+    res.json({
+      message: 'Remittance matched again successfully',
+      remittance: data,
+      match_counts: matchCounts,
+      lines: matched
+    });
+  } catch (error) {
+    console.error('Rematch remittance error:', error);
+    res.status(500).json({ error: { message: 'Failed to match remittance', status: 500 } });
+  }
+});
+
+// Delete a remittance recorded in error, with its lines
+router.delete('/:remittanceId', authenticateToken, resolveTenant, requirePermission('remittances:manage'), async (req, res) => {
+  try {
+    const remittance = await getRemittance(req);
+
+    if (!remittance) {
+      return res.status(404).json({ error: { message: 'Remittance not found', status: 404 } });
+    }
+
+    const { error: linesError } = await req.db
+      .from('cod_remittance_lines')
+      .delete()
+      .eq('remittance_id', remittance.id)
+      .eq('tenant_id', req.tenantId);
+
+    if (linesError) throw linesError;
+
+    const { error } = await req.db
+      .from('cod_remittances')
+      .delete()
+      .eq('id', remittance.id)
+      .eq('tenant_id', req.tenantId);
+
+    if (error) throw error;
+
+    await recordAudit(req, { action: 'delete', resource: 'cod_remittances', resourceId: remittance.id, before: remittance });
+
+    res.json({ message: 'Remittance deleted successfully' });
+  } catch (error) {
+    console.error('Delete remittance error:', error);
+    res.status(500).json({ error: { message: 'Failed to delete remittance', status: 500 } });
+  }
+});
+
+module.exports = router;
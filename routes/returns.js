@@ -0,0 +1,481 @@
+// routes/returns.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { recordAudit } = require('../utils/audit');
+const { transitionOrder } = require('../utils/orderStatus');
+const { restockForOrder } = require('../utils/inventory');
+const { toCents, fromCents, isAmount } = require('../utils/orderPricing');
+const {
+  RETURN_STATUSES,
+  ACTIVE_RETURN_STATUSES,
+  RETURN_REASONS,
+  REFUND_METHODS,
+  RETURNABLE_STATUSES,
+  buildReturnItems,
+  receiveItems,
+  returnValue,
+  isFullyReturned
+} = require('../utils/returns');
+
+// Helper function to load a return of the current tenant
+async function getReturn(req, id) {
+  const { data } = await req.db
+    .from('order_returns')
+    .select('*')
+    .eq('id', id)
+    .eq('tenant_id', req.tenantId)
+    .maybeSingle();
+
+  return data;
+}
+
+// Helper function to load an order of the current tenant
+async function getOrder(req, id) {
+  const { data } = await req.db
+    .from('orders')
+    .select('*')
+    .eq('id', id)
+    .eq('tenant_id', req.tenantId)
+    .maybeSingle();
+
+  return data;
+}
+
+// Helper function to load an order's returns in the given statuses
+async function orderReturns(req, orderId, statuses) {
+  const { data, error } = await req.db
+    .from('order_returns')
+    .select('*')
+    .eq('order_id', orderId)
+    .eq('tenant_id', req.tenantId)
+    .in('status', statuses);
+
+  if (error) throw error;
+  return data;
+}
+
+// Helper function to move a return on, only while it is still in the status
+// we checked. Returns the updated return, or null when it changed underneath us.
+async function updateReturn(req, orderReturn, changes) {
+  const { data, error } = await req.db
+    .from('order_returns')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', orderReturn.id)
+    .eq('tenant_id', req.tenantId)
+    .eq('status', orderReturn.status)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Helper function to move an order's refunded total from one value to
+// another. Returns the updated order, or null when it changed underneath us.
+async function swapRefundedTotal(req, orderId, from, to) {
+  let update = req.db
+    .from('orders')
+    .update({ refunded_total: to, updated_at: new Date().toISOString() })
+    .eq('id', orderId)
+    .eq('tenant_id', req.tenantId);
+
+  update = from === null || from === undefined
+    ? update.is('refunded_total', null)
+    : update.eq('refunded_total', from);
+
+  const { data, error } = await update.select().maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Helper function to approve, reject or cancel a return
+async function decideReturn(req, res, { from, to, fields = {}, message }) {
+  const before = await getReturn(req, req.params.id);
+
+  if (!before) {
+    return res.status(404).json({ error: { message: 'Return not found', status: 404 } });
+  }
+
+  if (!from.includes(before.status)) {
+    return res.status(409).json({
+      error: { message: `Cannot change a ${before.status} return to ${to}`, status: 409 }
+    });
+  }
+
+  const data = await updateReturn(req, before, { status: to, ...fields });
+
+  if (!data) {
+    return res.status(409).json({
+      error: { message: 'Return was changed by another request, please retry', status: 409 }
+    });
+  }
+
+  await recordAudit(req, { action: 'update', resource: 'order_returns', resourceId: data.id, before, after: data });
+
+  res.json({ message, return: data });
+}
+
+// Get all returns
+router.get('/', authenticateToken, resolveTenant, requirePermission('returns:read'), async (req, res) => {
+  try {
+    const { status, order_id, limit = 50, offset = 0 } = req.query;
+
+    if (status && !RETURN_STATUSES.includes(status)) {
+      return res.status(400).json({ error: { message: 'Invalid status', status: 400 } });
+    }
+
+    let query = req.db
+      .from('order_returns')
+      .select('*, orders(order_id, client, status, total)', { count: 'exact' })
+      .eq('tenant_id', req.tenantId)
+      .order('created_at', { ascending: false })
+      .range(Number(offset), Number(offset) + Number(limit) - 1);
+
+    if (status) query = query.eq('status', status);
+    if (order_id) query = query.eq('order_id', order_id);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    res.json({ returns: data, total: count });
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({ error: { message: 'Failed to get returns', status: 500 } });
+  }
+});
+
+// Get return by ID, with its refunds
+router.get('/:id', authenticateToken, resolveTenant, requirePermission('returns:read'), async (req, res) => {
+  try {
+    const { data, error } = await req.db
+      .from('order_returns')
+      .select('*, orders(order_id, client, status, total, refunded_total)')
+      .eq('id', req.params.id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Return not found', status: 404 } });
+    }
+
+    const { data: refunds, error: refundsError } = await req.db
+      .from('order_refunds')
+      .select('*')
+      .eq('return_id', data.id)
+      .eq('tenant_id', req.tenantId)
+      .order('created_at');
+
+    if (refundsError) throw refundsError;
+
+    res.json({ return: data, refunds });
+  } catch (error) {
+    console.error('Get return error:', error);
+    res.status(500).json({ error: { message: 'Failed to get return', status: 500 } });
+  }
+});
+
+// Request a return: { order_id, reason, notes, items: [{ sku, quantity, reason }] }.
+// Without items, everything not already being returned is.
+router.post('/', authenticateToken, resolveTenant, requirePermission('returns:write'), async (req, res) => {
+  try {
+    const { order_id, reason, notes, items } = req.body;
+
+    if (!order_id || !RETURN_REASONS.includes(reason)) {
+      return res.status(400).json({
+        error: { message: `Order ID and a reason (${RETURN_REASONS.join(', ')}) are required`, status: 400 }
+      });
+    }
+
+    const order = await getOrder(req, order_id);
+
+    if (!order) {
+      return res.status(404).json({ error: { message: 'Order not found', status: 404 } });
+    }
+
+    if (!RETURNABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        error: { message: `Only ${RETURNABLE_STATUSES.join(' or ')} orders can be returned`, status: 409 }
+      });
+    }
+
+    const existing = await orderReturns(req, order.id, ACTIVE_RETURN_STATUSES);
+    const { items: returnItems, error: itemsError } = buildReturnItems(order, existing, items);
+
+    if (itemsError) {
+      return res.status(400).json({ error: { message: itemsError, status: 400 } });
+    }
+
+    const { data, error } = await req.db
+      .from('order_returns')
+      .insert([{
+        tenant_id: req.tenantId,
+        order_id: order.id,
+        store_id: order.store_id,
+        status: 'requested',
+        reason,
+        notes: notes || null,
+        items: returnItems,
+        value: returnValue(returnItems),
+        refunded_total: 0,
+        requested_by: req.user.id,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, { action: 'create', resource: 'order_returns', resourceId: data.id, after: data });
+
+    res.status(201).json({ message: 'Return requested successfully', return: data });
+  } catch (error) {
+    console.error('Create return error:', error);
+    res.status(500).json({ error: { message: 'Failed to request return', status: 500 } });
+  }
+});
+
+// Approve a requested return
+router.post('/:id/approve', authenticateToken, resolveTenant, requirePermission('returns:approve'), async (req, res) => {
+  try {
+    await decideReturn(req, res, {
+      from: ['requested'],
+      to: 'approved',
+      fields: { approved_by: req.user.id, approved_at: new Date().toISOString() },
+      message: 'Return approved successfully'
+    });
+  } catch (error) {
+    console.error('Approve return error:', error);
+    res.status(500).json({ error: { message: 'Failed to approve return', status: 500 } });
+  }
+});
+
+// Reject a requested return, saying why
+router.post('/:id/reject', authenticateToken, resolveTenant, requirePermission('returns:approve'), async (req, res) => {
+  try {
+    if (!req.body.reason) {
+      return res.status(400).json({ error: { message: 'A reason is required to reject a return', status: 400 } });
+    }
+
+    await decideReturn(req, res, {
+      from: ['requested'],
+      to: 'rejected',
+      fields: { decision_reason: req.body.reason, approved_by: req.user.id, approved_at: new Date().toISOString() },
+      message: 'Return rejected successfully'
+    });
+  } catch (error) {
+    console.error('Reject return error:', error);
+    res.status(500).json({ error: { message: 'Failed to reject return', status: 500 } });
+  }
+});
+
+// Cancel a return that hasn't arrived
+router.post('/:id/cancel', authenticateToken, resolveTenant, requirePermission('returns:write'), async (req, res) => {
+  try {
+    await decideReturn(req, res, {
+      from: ['requested', 'approved'],
+      to: 'cancelled',
+      fields: { decision_reason: req.body.reason || null },
+      message: 'Return cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Cancel return error:', error);
+    res.status(500).json({ error: { message: 'Failed to cancel return', status: 500 } });
+  }
+});
+
+// Receive an approved return at the store: { items: [{ sku, quantity, condition }] }.
+// Resellable items go back to stock; once every item of the order is back,
+// the order is marked returned.
+router.post('/:id/receive', authenticateToken, resolveTenant, requirePermission('returns:write'), async (req, res) => {
+  try {
+    const before = await getReturn(req, req.params.id);
+
+    if (!before) {
+      return res.status(404).json({ error: { message: 'Return not found', status: 404 } });
+    }
+
+    if (before.status !== 'approved') {
+      return res.status(409).json({ error: { message: 'Only approved returns can be received', status: 409 } });
+    }
+
+    const { items, error: itemsError } = receiveItems(before.items, req.body.items);
+
+    if (itemsError) {
+      return res.status(400).json({ error: { message: itemsError, status: 400 } });
+    }
+
+    const data = await updateReturn(req, before, {
+      status: 'received',
+      items,
+      received_by: req.user.id,
+      received_at: new Date().toISOString()
+    });
+
+    if (!data) {
+      return res.status(409).json({
+        error: { message: 'Return was changed by another request, please retry', status: 409 }
+      });
+    }
+
+    let order = await getOrder(req, data.order_id);
+
+    // Stock only left the shelf if the order was shipped; refused orders
+    // were already restocked when they were refused
+    if (order.inventory_status === 'committed') {
+      const restock = items
+        .filter(item => item.restocked_quantity > 0)
+        .map(item => ({ product_id: item.product_id, sku: item.sku, quantity: item.restocked_quantity }));
+
+      const inventory = await restockForOrder(req, order, `Return ${data.id} received`, restock);
+
+      if (inventory.error) console.error('Return inventory sync error:', inventory.error);
+    }
+
+    const received = await orderReturns(req, order.id, ['received']);
+
+    if (isFullyReturned(order, received) && order.status !== 'returned') {
+      const returned = await transitionOrder(req, order, 'returned', `Return ${data.id} received`);
+
+      if (returned) {
+        // The returns above already put back what could be sold again
+        const { data: updated, error } = await req.db
+          .from('orders')
+          .update({ inventory_status: 'released' })
+          .eq('id', order.id)
+          .eq('tenant_id', req.tenantId)
+          .select()
+          .single();
+
+        if (error) throw error;
+
+        await recordAudit(req, { action: 'update', resource: 'orders', resourceId: order.id, before: order, after: updated });
+        order = updated;
+      }
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'order_returns', resourceId: data.id, before, after: data });
+
+    res.json({ message: 'Return received successfully', return: data, order });
+  } catch (error) {
+    console.error('Receive return error:', error);
+    res.status(500).json({ error: { message: 'Failed to receive return', status: 500 } });
+  }
+});
+
+// Record a refund for a return: { amount, method, reference, note }. Amount
+// defaults to what is left of the return's value, and an order can never be
+// refunded more than its total.
+router.post('/:id/refunds', authenticateToken, resolveTenant, requirePermission('returns:approve'), async (req, res) => {
+  try {
+    const { method, reference, note } = req.body;
+
+    if (!REFUND_METHODS.includes(method)) {
+      return res.status(400).json({
+        error: { message: `Method must be one of: ${REFUND_METHODS.join(', ')}`, status: 400 }
+      });
+    }
+
+    if (req.body.amount !== undefined && (!isAmount(req.body.amount) || Number(req.body.amount) === 0)) {
+      return res.status(400).json({ error: { message: 'Amount must be a positive number', status: 400 } });
+    }
+
+    const orderReturn = await getReturn(req, req.params.id);
+
+    if (!orderReturn) {
+      return res.status(404).json({ error: { message: 'Return not found', status: 404 } });
+    }
+
+    if (!['approved', 'received'].includes(orderReturn.status)) {
+      return res.status(409).json({
+        error: { message: 'Only approved or received returns can be refunded', status: 409 }
+      });
+    }
+
+    const order = await getOrder(req, orderReturn.order_id);
+    const refunded = toCents(order.refunded_total || 0);
+    const amount = req.body.amount !== undefined
+      ? toCents(req.body.amount)
+      : toCents(orderReturn.value) - toCents(orderReturn.refunded_total || 0);
+
+    if (amount <= 0) {
+      return res.status(409).json({ error: { message: 'This return has already been refunded', status: 409 } });
+    }
+
+    if (refunded + amount > toCents(order.total)) {
+      return res.status(409).json({
+        error: { message: `Only ${fromCents(toCents(order.total) - refunded)} of this order can still be refunded`, status: 409 }
+      });
+    }
+
+    // The order's refunded total only moves with compare-and-swap, so
+    // concurrent refunds can't take it past the order total
+    const updatedOrder = await swapRefundedTotal(req, order.id, order.refunded_total, fromCents(refunded + amount));
+
+    if (!updatedOrder) {
+      return res.status(409).json({
+        error: { message: 'Order was refunded by another request, please retry', status: 409 }
+      });
+    }
+
+    const { data: refund, error } = await req.db
+      .from('order_refunds')
+      .insert([{
+        tenant_id: req.tenantId,
+        order_id: order.id,
+        return_id: orderReturn.id,
+        amount: fromCents(amount),
+        method,
+        reference: reference || null,
+        note: note || null,
+        created_by: req.user.id,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      // Give the amount back so the order total matches its refunds
+      const restored = await swapRefundedTotal(req, order.id, updatedOrder.refunded_total, order.refunded_total ?? null)
+        .catch(restoreError => console.error('Refund rollback error:', restoreError));
+
+      if (restored === null) {
+        console.error(`Refund rollback error: order ${order.id} changed before its refunded total was restored`);
+      }
+
+      throw error;
+    }
+
+    // Totalled from the refunds themselves, so concurrent refunds add up
+    const { data: refunds, error: refundsError } = await req.db
+      .from('order_refunds')
+      .select('amount')
+      .eq('return_id', orderReturn.id)
+      .eq('tenant_id', req.tenantId);
+
+    if (refundsError) throw refundsError;
+
+    const { error: returnError } = await req.db
+      .from('order_returns')
+      .update({ refunded_total: fromCents(refunds.reduce((sum, r) => sum + toCents(r.amount), 0)) })
+      .eq('id', orderReturn.id)
+      .eq('tenant_id', req.tenantId);
+
+    if (returnError) throw returnError;
+
+    await recordAudit(req, { action: 'create', resource: 'order_refunds', resourceId: refund.id, after: refund });
+    await recordAudit(req, { action: 'update', resource: 'orders', resourceId: order.id, before: order, after: updatedOrder });
+
+    res.status(201).json({ message: 'Refund recorded successfully', refund, order: updatedOrder });
+  } catch (error) {
+    console.error('Create refund error:', error);
+    res.status(500).json({ error: { message: 'Failed to record refund', status: 500 } });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+// routes/roles.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, blockImpersonation, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { recordAudit } = require('../utils/audit');
+const {
+  PERMISSIONS,
+  PLATFORM_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  BUILT_IN_ROLES
+} = require('../config/permissions');
+
+// Helper function to find permissions a tenant role may not grant
+function invalidPermissions(permissions) {
+  return permissions.filter(p => !PERMISSIONS.includes(p) || PLATFORM_PERMISSIONS.includes(p));
+}
+
+// Get built-in and tenant roles
+router.get('/', authenticateToken, resolveTenant, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { data, error } = await req.db
+      .from('tenant_roles')
+      .select('*')
+      .eq('tenant_id', req.tenantId)
+      .order('name');
+
+    if (error) throw error;
+
+    const builtIn = BUILT_IN_ROLES.map(name => ({
+      name,
+      permissions: ROLE_PERMISSIONS[name],
+      built_in: true
+    }));
+
+    res.json({ roles: [...builtIn, ...data], permissions: PERMISSIONS });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ error: { message: 'Failed to get roles', status: 500 } });
+  }
+});
+
+// Create custom role
+router.post('/', authenticateToken, blockImpersonation, resolveTenant, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (!name || !Array.isArray(permissions)) {
+      return res.status(400).json({
+        error: { message: 'Name and permissions are required', status: 400 }
+      });
+    }
+
+    if (BUILT_IN_ROLES.includes(name)) {
+      return res.status(400).json({
+        error: { message: 'Role name is reserved', status: 400 }
+      });
+    }
+
+    const invalid = invalidPermissions(permissions);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: { message: `Invalid permissions: ${invalid.join(', ')}`, status: 400 }
+      });
+    }
+
+    const roleData = {
+      name,
+      description: description || '',
+      permissions,
+      tenant_id: req.tenantId,
+      created_at: new Date().toISOString()
+    };
+
+    const { data, error } = await req.db
+      .from('tenant_roles')
+      .insert([roleData])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordAudit(req, { action: 'create', resource: 'tenant_roles', resourceId: data.id, after: data });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role: data
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({ error: { message: 'Failed to create role', status: 500 } });
+  }
+});
+
+// Update custom role
+router.put('/:id', authenticateToken, blockImpersonation, resolveTenant, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { description, permissions } = req.body;
+
+    const updateData = { updated_at: new Date().toISOString() };
+    if (description !== undefined) updateData.description = description;
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions)) {
+        return res.status(400).json({
+          error: { message: 'Permissions must be an array', status: 400 }
+        });
+      }
+
+      const invalid = invalidPermissions(permissions);
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: { message: `Invalid permissions: ${invalid.join(', ')}`, status: 400 }
+        });
+      }
+
+      updateData.permissions = permissions;
+    }
+
+    const { data: before } = await req.db
+      .from('tenant_roles')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    const { data, error } = await req.db
+      .from('tenant_roles')
+      .update(updateData)
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Role not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'tenant_roles', resourceId: id, before, after: data });
+
+    res.json({ message: 'Role updated successfully', role: data });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: { message: 'Failed to update role', status: 500 } });
+  }
+});
+
+// Delete custom role
+router.delete('/:id', authenticateToken, blockImpersonation, resolveTenant, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: role } = await req.db
+      .from('tenant_roles')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    if (!role) {
+      return res.status(404).json({ error: { message: 'Role not found', status: 404 } });
+    }
+
+    // Check if role is still assigned
+    const { data: users } = await req.db
+      .from('users')
+      .select('id')
+      .eq('tenant_id', req.tenantId)
+      .eq('role', role.name)
+      .limit(1);
+
+    if (users && users.length > 0) {
+      return res.status(400).json({
+        error: { message: 'Cannot delete role assigned to users', status: 400 }
+      });
+    }
+
+    const { error } = await req.db
+      .from('tenant_roles')
+      .delete()
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId);
+
+    if (error) throw error;
+
+    await recordAudit(req, { action: 'delete', resource: 'tenant_roles', resourceId: id, before: role });
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ error: { message: 'Failed to delete role', status: 500 } });
+  }
+});
+
+module.exports = router;
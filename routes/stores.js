@@ -1,15 +1,81 @@
 // routes/stores.js
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { enforceQuota } = require('../middleware/quota');
+const { imageUpload } = require('../middleware/upload');
+const { recordAudit } = require('../utils/audit');
+const { readImage } = require('../utils/pdf');
+
+// Longest header and footer text a printed document has room for
+const MAX_TEMPLATE_TEXT = 500;
+
+// Logos are returned as a flag rather than the image itself
+const withoutLogo = ({ logo_data, ...template }) => ({ ...template, has_logo: Boolean(logo_data) });
+
+// Helper function to load a store's document template, or null when the
+// store doesn't exist
+async function getTemplate(req, storeId) {
+  const { data: store } = await req.db
+    .from('stores')
+    .select('id')
+    .eq('id', storeId)
+    .eq('tenant_id', req.tenantId)
+    .maybeSingle();
+
+  if (!store) return null;
+
+  const { data, error } = await req.db
+    .from('store_document_templates')
+    .select('*')
+    .eq('store_id', storeId)
+    .eq('tenant_id', req.tenantId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { template: data };
+}
+
+// Helper function to save template changes, creating the template if needed
+async function saveTemplate(req, storeId, before, changes) {
+  const { data, error } = await req.db
+    .from('store_document_templates')
+    .upsert({
+      header_text: null,
+      footer_text: null,
+      currency: null,
+      logo_data: null,
+      logo_type: null,
+      ...(before || {}),
+      ...changes,
+      store_id: storeId,
+      tenant_id: req.tenantId,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'store_id' })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await recordAudit(req, {
+    action: before ? 'update' : 'create',
+    resource: 'store_document_templates',
+    resourceId: data.id,
+    before: before ? withoutLogo(before) : null,
+    after: withoutLogo(data)
+  });
+
+  return data;
+}
 
 // Get all stores
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, resolveTenant, requirePermission('stores:read'), async (req, res) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('stores')
       .select('*')
+      .eq('tenant_id', req.tenantId)
       .order('name');
 
     if (error) throw error;
@@ -22,14 +88,15 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get store by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, resolveTenant, requirePermission('stores:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('stores')
       .select('*')
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
       .single();
 
     if (error) {
@@ -44,7 +111,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Create store
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, resolveTenant, requirePermission('stores:write'), enforceQuota('stores'), async (req, res) => {
   try {
     const { name, address, phone, email } = req.body;
 
@@ -59,10 +126,11 @@ router.post('/', authenticateToken, async (req, res) => {
       address: address || '',
       phone: phone || '',
       email: email || '',
+      tenant_id: req.tenantId,
       created_at: new Date().toISOString()
     };
 
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('stores')
       .insert([storeData])
       .select()
@@ -70,6 +138,8 @@ router.post('/', authenticateToken, async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, { action: 'create', resource: 'stores', resourceId: data.id, after: data });
+
     res.status(201).json({ 
       message: 'Store created successfully', 
       store: data 
@@ -81,7 +151,7 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // Update store
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, resolveTenant, requirePermission('stores:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, address, phone, email } = req.body;
@@ -92,15 +162,29 @@ router.put('/:id', authenticateToken, async (req, res) => {
     if (phone !== undefined) updateData.phone = phone;
     if (email !== undefined) updateData.email = email;
 
-    const { data, error } = await supabase
+    const { data: before } = await req.db
+      .from('stores')
+      .select('*')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    const { data, error } = await req.db
       .from('stores')
       .update(updateData)
       .eq('id', id)
+      .eq('tenant_id', req.tenantId)
       .select()
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Store not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'update', resource: 'stores', resourceId: id, before, after: data });
+
     res.json({ message: 'Store updated successfully', store: data });
   } catch (error) {
     console.error('Update store error:', error);
@@ -109,15 +193,16 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 // Delete store
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, resolveTenant, requirePermission('stores:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if store has orders
-    const { data: orders } = await supabase
+    const { data: orders } = await req.db
       .from('orders')
       .select('id')
       .eq('store_id', id)
+      .eq('tenant_id', req.tenantId)
       .limit(1);
 
     if (orders && orders.length > 0) {
@@ -126,13 +211,30 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    const { error } = await supabase
+    const { error: templateError } = await req.db
+      .from('store_document_templates')
+      .delete()
+      .eq('store_id', id)
+      .eq('tenant_id', req.tenantId);
+
+    if (templateError) throw templateError;
+
+    const { data, error } = await req.db
       .from('stores')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .select()
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Store not found', status: 404 } });
+    }
+
+    await recordAudit(req, { action: 'delete', resource: 'stores', resourceId: id, before: data });
+
     res.json({ message: 'Store deleted successfully' });
   } catch (error) {
     console.error('Delete store error:', error);
@@ -141,14 +243,26 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Get store statistics
-router.get('/:id/stats', authenticateToken, async (req, res) => {
+router.get('/:id/stats', authenticateToken, resolveTenant, requirePermission('stores:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data: orders, error } = await supabase
+    const { data: store } = await req.db
+      .from('stores')
+      .select('id')
+      .eq('id', id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    if (!store) {
+      return res.status(404).json({ error: { message: 'Store not found', status: 404 } });
+    }
+
+    const { data: orders, error } = await req.db
       .from('orders')
       .select('status, total')
-      .eq('store_id', id);
+      .eq('store_id', id)
+      .eq('tenant_id', req.tenantId);
 
     if (error) throw error;
 
@@ -166,4 +280,117 @@ router.get('/:id/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the template invoices and packing slips use for a store
+router.get('/:id/document-template', authenticateToken, resolveTenant, requirePermission('stores:read'), async (req, res) => {
+  try {
+    const found = await getTemplate(req, req.params.id);
+
+    if (!found) {
+      return res.status(404).json({ error: { message: 'Store not found', status: 404 } });
+    }
+
+    res.json({ template: found.template ? withoutLogo(found.template) : null });
+  } catch (error) {
+    console.error('Get document template error:', error);
+    res.status(500).json({ error: { message: 'Failed to get document template', status: 500 } });
+  }
+});
+
+// Update a store's document template: { header_text, footer_text, currency }
+router.put('/:id/document-template', authenticateToken, resolveTenant, requirePermission('stores:write'), async (req, res) => {
+  try {
+    const changes = {};
+
+    for (const key of ['header_text', 'footer_text', 'currency']) {
+      const value = req.body[key];
+      if (value === undefined) continue;
+
+      if (value !== null && (typeof value !== 'string' || value.length > MAX_TEMPLATE_TEXT)) {
+        return res.status(400).json({
+          error: { message: `${key} must be text of at most ${MAX_TEMPLATE_TEXT} characters`, status: 400 }
+        });
+      }
+
+      changes[key] = value === null ? null : value.trim() || null;
+    }
+
+    if (changes.currency && changes.currency.length > 10) {
+      return res.status(400).json({ error: { message: 'Currency must be at most 10 characters', status: 400 } });
+    }
+
+    const found = await getTemplate(req, req.params.id);
+
+    if (!found) {
+      return res.status(404).json({ error: { message: 'Store not found', status: 404 } });
+    }
+
+    const template = await saveTemplate(req, req.params.id, found.template, changes);
+
+    res.json({ message: 'Document template saved successfully', template: withoutLogo(template) });
+  } catch (error) {
+    console.error('Update document template error:', error);
+    res.status(500).json({ error: { message: 'Failed to save document template', status: 500 } });
+  }
+});
+
+// Upload a store's logo as a PNG or JPEG request body
+router.put('/:id/document-template/logo', authenticateToken, resolveTenant, requirePermission('stores:write'), imageUpload, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: { message: 'Upload the logo as an image/png or image/jpeg request body', status: 400 }
+      });
+    }
+
+    let image;
+    try {
+      image = readImage(req.body);
+    } catch (imageError) {
+      return res.status(400).json({ error: { message: imageError.message, status: 400 } });
+    }
+
+    const found = await getTemplate(req, req.params.id);
+
+    if (!found) {
+      return res.status(404).json({ error: { message: 'Store not found', status: 404 } });
+    }
+
+    const template = await saveTemplate(req, req.params.id, found.template, {
+      logo_data: req.body.toString('base64'),
+      logo_type: req.get('Content-Type').split(';')[0].trim()
+    });
+
+    res.json({
+      message: 'Logo uploaded successfully',
+      template: withoutLogo(template),
+      logo: { width: image.width, height: image.height }
+    });
+  } catch (error) {
+    console.error('Upload store logo error:', error);
+    res.status(500).json({ error: { message: 'Failed to upload logo', status: 500 } });
+  }
+});
+
+// Remove a store's logo
+router.delete('/:id/document-template/logo', authenticateToken, resolveTenant, requirePermission('stores:write'), async (req, res) => {
+  try {
+    const found = await getTemplate(req, req.params.id);
+
+    if (!found) {
+      return res.status(404).json({ error: { message: 'Store not found', status: 404 } });
+    }
+
+    if (!found.template || !found.template.logo_data) {
+      return res.status(404).json({ error: { message: 'Store has no logo', status: 404 } });
+    }
+
+    const template = await saveTemplate(req, req.params.id, found.template, { logo_data: null, logo_type: null });
+
+    res.json({ message: 'Logo removed successfully', template: withoutLogo(template) });
+  } catch (error) {
+    console.error('Remove store logo error:', error);
+    res.status(500).json({ error: { message: 'Failed to remove logo', status: 500 } });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
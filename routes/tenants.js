@@ -1,17 +1,60 @@
 // routes/tenants.js
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission, getUserPermissions } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { recordAudit } = require('../utils/audit');
+const { PLANS } = require('../config/plans');
+const { getUsageReport } = require('../utils/usage');
+const { purgeAfter, exportTenant, purgeTenant } = require('../utils/offboarding');
+
+// Statuses that can be set directly. Deletion goes through DELETE /:id.
+const TENANT_STATUSES = ['active', 'suspended'];
+
+// Helper function to load a tenant row
+async function getTenant(db, id) {
+  const { data } = await db
+    .from('tenants')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  return data;
+}
+
+// Helper function to apply a lifecycle change and audit it
+async function transitionTenant(req, before, changes) {
+  const { data, error } = await req.db
+    .from('tenants')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', before.id)
+    .eq('status', before.status)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (data) {
+    await recordAudit(req, { action: 'update', resource: 'tenants', resourceId: before.id, before, after: data, tenantId: before.id });
+  }
+
+  return data;
+}
 
 // Get all tenants
-router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('tenants:admin'), async (req, res) => {
   try {
-    const { data, error } = await supabase
+    const { status } = req.query;
+
+    let query = req.db
       .from('tenants')
       .select('*')
       .order('created_at', { ascending: false });
 
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+
     if (error) throw error;
 
     res.json({ tenants: data });
@@ -26,7 +69,19 @@ router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { data, error } = await supabase
+    // Users can only view their own tenant unless tenant admin
+    const { data: currentUser } = await req.db
+      .from('users')
+      .select('tenant_id')
+      .eq('id', req.user.id)
+      .single();
+    const permissions = await getUserPermissions(req.user.id);
+
+    if (!currentUser || (!hasPermission(permissions, 'tenants:admin') && currentUser.tenant_id !== id)) {
+      return res.status(404).json({ error: { message: 'Tenant not found', status: 404 } });
+    }
+
+    const { data, error } = await req.db
       .from('tenants')
       .select('*')
       .eq('id', id)
@@ -43,10 +98,46 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Get tenant usage against plan limits
+router.get('/:id/usage', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Users can only view their own tenant unless tenant admin
+    const { data: currentUser } = await req.db
+      .from('users')
+      .select('tenant_id')
+      .eq('id', req.user.id)
+      .single();
+    const permissions = await getUserPermissions(req.user.id);
+
+    if (!currentUser || (!hasPermission(permissions, 'tenants:admin') && currentUser.tenant_id !== id)) {
+      return res.status(404).json({ error: { message: 'Tenant not found', status: 404 } });
+    }
+
+    const { data: tenant, error } = await req.db
+      .from('tenants')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      return res.status(404).json({ error: { message: 'Tenant not found', status: 404 } });
+    }
+
+    const report = await getUsageReport(tenant);
+
+    res.json(report);
+  } catch (error) {
+    console.error('Get tenant usage error:', error);
+    res.status(500).json({ error: { message: 'Failed to get tenant usage', status: 500 } });
+  }
+});
+
 // Create tenant
-router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('tenants:admin'), async (req, res) => {
   try {
-    const { name, subscription, status } = req.body;
+    const { name, subscription, status, require_2fa } = req.body;
 
     if (!name || !subscription) {
       return res.status(400).json({ 
@@ -54,14 +145,23 @@ router.post('/', authenticateToken, requireAdmin, async (req, res) => {
       });
     }
 
+    if (!PLANS[subscription]) {
+      return res.status(400).json({ error: { message: 'Invalid subscription plan', status: 400 } });
+    }
+
+    if (status !== undefined && !TENANT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: { message: 'Invalid status', status: 400 } });
+    }
+
     const tenantData = {
       name,
       subscription,
       status: status || 'active',
+      require_2fa: require_2fa === true,
       created_at: new Date().toISOString()
     };
 
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('tenants')
       .insert([tenantData])
       .select()
@@ -69,6 +169,8 @@ router.post('/', authenticateToken, requireAdmin, async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, { action: 'create', resource: 'tenants', resourceId: data.id, after: data, tenantId: data.id });
+
     res.status(201).json({ 
       message: 'Tenant created successfully', 
       tenant: data 
@@ -80,17 +182,42 @@ router.post('/', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // Update tenant
-router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('tenants:admin'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, subscription, status } = req.body;
+    const { name, subscription, status, require_2fa } = req.body;
+
+    if (subscription !== undefined && !PLANS[subscription]) {
+      return res.status(400).json({ error: { message: 'Invalid subscription plan', status: 400 } });
+    }
+
+    if (status !== undefined && !TENANT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: { message: 'Invalid status', status: 400 } });
+    }
 
     const updateData = { updated_at: new Date().toISOString() };
     if (name !== undefined) updateData.name = name;
     if (subscription !== undefined) updateData.subscription = subscription;
     if (status !== undefined) updateData.status = status;
+    if (require_2fa !== undefined) updateData.require_2fa = require_2fa === true;
 
-    const { data, error } = await supabase
+    const { data: before } = await req.db
+      .from('tenants')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!before) {
+      return res.status(404).json({ error: { message: 'Tenant not found', status: 404 } });
+    }
+
+    if (before.status === 'deleted' && status !== undefined) {
+      return res.status(409).json({
+        error: { message: 'Tenant is scheduled for deletion, restore it first', status: 409 }
+      });
+    }
+
+    const { data, error } = await req.db
       .from('tenants')
       .update(updateData)
       .eq('id', id)
@@ -99,6 +226,8 @@ router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, { action: 'update', resource: 'tenants', resourceId: id, before, after: data, tenantId: id });
+
     res.json({ message: 'Tenant updated successfully', tenant: data });
   } catch (error) {
     console.error('Update tenant error:', error);
@@ -106,23 +235,209 @@ router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// Delete tenant
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Suspend tenant
+router.post('/:id/suspend', authenticateToken, requirePermission('tenants:admin'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const before = await getTenant(req.db, req.params.id);
 
-    const { error } = await supabase
-      .from('tenants')
-      .delete()
-      .eq('id', id);
+    if (!before) {
+      return res.status(404).json({ error: { message: 'Tenant not found', status: 404 } });
+    }
 
-    if (error) throw error;
+    if (before.status !== 'active') {
+      return res.status(409).json({ error: { message: 'Only active tenants can be suspended', status: 409 } });
+    }
+
+    const data = await transitionTenant(req, before, {
+      status: 'suspended',
+      suspended_at: new Date().toISOString(),
+      suspension_reason: req.body.reason || null
+    });
+
+    if (!data) {
+      return res.status(409).json({ error: { message: 'Tenant status changed, please retry', status: 409 } });
+    }
 
-    res.json({ message: 'Tenant deleted successfully' });
+    res.json({ message: 'Tenant suspended successfully', tenant: data });
+  } catch (error) {
+    console.error('Suspend tenant error:', error);
+    res.status(500).json({ error: { message: 'Failed to suspend tenant', status: 500 } });
+  }
+});
+
+// Reactivate suspended tenant
+router.post('/:id/reactivate', authenticateToken, requirePermission('tenants:admin'), async (req, res) => {
+  try {
+    const before = await getTenant(req.db, req.params.id);
+
+    if (!before) {
+      return res.status(404).json({ error: { message: 'Tenant not found', status: 404 } });
+    }
+
+    if (before.status !== 'suspended') {
+      return res.status(409).json({ error: { message: 'Tenant is not suspended', status: 409 } });
+    }
+
+    const data = await transitionTenant(req, before, {
+      status: 'active',
+      suspended_at: null,
+      suspension_reason: null
+    });
+
+    if (!data) {
+      return res.status(409).json({ error: { message: 'Tenant status changed, please retry', status: 409 } });
+    }
+
+    res.json({ message: 'Tenant reactivated successfully', tenant: data });
+  } catch (error) {
+    console.error('Reactivate tenant error:', error);
+    res.status(500).json({ error: { message: 'Failed to reactivate tenant', status: 500 } });
+  }
+});
+
+// Delete tenant. Data is kept for a grace period before the purge job removes it.
+router.delete('/:id', authenticateToken, requirePermission('tenants:admin'), async (req, res) => {
+  try {
+    const before = await getTenant(req.db, req.params.id);
+
+    if (!before) {
+      return res.status(404).json({ error: { message: 'Tenant not found', status: 404 } });
+    }
+
+    if (before.status === 'deleted') {
+      return res.status(409).json({ error: { message: 'Tenant is already scheduled for deletion', status: 409 } });
+    }
+
+    const data = await transitionTenant(req, before, {
+      status: 'deleted',
+      status_before_deletion: before.status,
+      deleted_at: new Date().toISOString(),
+      purge_after: purgeAfter().toISOString()
+    });
+
+    if (!data) {
+      return res.status(409).json({ error: { message: 'Tenant status changed, please retry', status: 409 } });
+    }
+
+    res.json({
+      message: 'Tenant scheduled for deletion',
+      tenant: data,
+      purge_after: data.purge_after
+    });
   } catch (error) {
     console.error('Delete tenant error:', error);
     res.status(500).json({ error: { message: 'Failed to delete tenant', status: 500 } });
   }
 });
 
+// Restore tenant within the grace period
+router.post('/:id/restore', authenticateToken, requirePermission('tenants:admin'), async (req, res) => {
+  try {
+    const before = await getTenant(req.db, req.params.id);
+
+    if (!before) {
+      return res.status(404).json({ error: { message: 'Tenant not found', status: 404 } });
+    }
+
+    if (before.status !== 'deleted') {
+      return res.status(409).json({ error: { message: 'Tenant is not scheduled for deletion', status: 409 } });
+    }
+
+    if (new Date(before.purge_after) <= new Date()) {
+      return res.status(410).json({ error: { message: 'Grace period has ended, tenant can no longer be restored', status: 410 } });
+    }
+
+    const data = await transitionTenant(req, before, {
+      status: before.status_before_deletion || 'active',
+      status_before_deletion: null,
+      deleted_at: null,
+      purge_after: null
+    });
+
+    if (!data) {
+      return res.status(409).json({ error: { message: 'Tenant status changed, please retry', status: 409 } });
+    }
+
+    res.json({ message: 'Tenant restored successfully', tenant: data });
+  } catch (error) {
+    console.error('Restore tenant error:', error);
+    res.status(500).json({ error: { message: 'Failed to restore tenant', status: 500 } });
+  }
+});
+
+// Purge a deleted tenant now instead of waiting for the grace period
+router.post('/:id/purge', authenticateToken, requirePermission('tenants:admin'), async (req, res) => {
+  try {
+    const before = await getTenant(req.db, req.params.id);
+
+    if (!before) {
+      return res.status(404).json({ error: { message: 'Tenant not found', status: 404 } });
+    }
+
+    if (before.status !== 'deleted') {
+      return res.status(409).json({
+        error: { message: 'Only tenants scheduled for deletion can be purged', status: 409 }
+      });
+    }
+
+    const deleted = await purgeTenant(before.id);
+
+    await recordAudit(req, {
+      action: 'delete',
+      resource: 'tenants',
+      resourceId: before.id,
+      before,
+      after: { purged: deleted },
+      tenantId: null
+    });
+
+    res.json({ message: 'Tenant purged successfully', deleted });
+  } catch (error) {
+    console.error('Purge tenant error:', error);
+    res.status(500).json({ error: { message: 'Failed to purge tenant', status: 500 } });
+  }
+});
+
+// Download all tenant data as a zip of JSON and CSV files
+router.get('/:id/export', authenticateToken, async (req, res) => {
+  try {
+    const tenant = await getTenant(req.db, req.params.id);
+
+    // Tenant admins can export any tenant, members only their own.
+    // Exports stay available while the tenant is suspended or awaiting purge.
+    const { data: currentUser } = await req.db
+      .from('users')
+      .select('tenant_id')
+      .eq('id', req.user.id)
+      .maybeSingle();
+    const permissions = await getUserPermissions(req.user.id);
+
+    const allowed = currentUser && tenant && (
+      hasPermission(permissions, 'tenants:admin') ||
+      (currentUser.tenant_id === tenant.id && hasPermission(permissions, 'tenant:export'))
+    );
+
+    if (!allowed) {
+      return res.status(404).json({ error: { message: 'Tenant not found', status: 404 } });
+    }
+
+    const fileName = `tenant-${tenant.id}-${new Date().toISOString().slice(0, 10)}.zip`;
+
+    await recordAudit(req, { action: 'export', resource: 'tenants', resourceId: tenant.id, tenantId: tenant.id });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+
+    await exportTenant(tenant, res);
+  } catch (error) {
+    console.error('Export tenant error:', error);
+
+    // Once the archive has started there is no way to send an error body
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: { message: 'Failed to export tenant', status: 500 } });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
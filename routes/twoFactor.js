@@ -0,0 +1,267 @@
+// routes/twoFactor.js
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, requireUserSession } = require('../middleware/auth');
+const { authRateLimit } = require('../middleware/rateLimit');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { generateSecret, verifyTotp, provisioningUri } = require('../utils/totp');
+const {
+  getMfa,
+  isMfaRequiredForUser,
+  generateRecoveryCodes,
+  verifyMfaCode,
+  loadChallenge,
+  recordChallengeFailure,
+  completeChallenge
+} = require('../utils/twoFactor');
+const { registerSession } = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
+
+// MFA secrets and sign-in challenges are kept away from RLS clients, so this
+// router works through the service client
+
+// Helper function to load the caller's profile
+async function getProfile(userId) {
+  const { data } = await supabaseAdmin
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .maybeSingle();
+
+  return data;
+}
+
+// Get 2FA status
+router.get('/status', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const mfa = await getMfa(req.user.id);
+    const profile = await getProfile(req.user.id);
+
+    res.json({
+      enabled: !!(mfa && mfa.enabled),
+      recovery_codes_remaining: mfa && mfa.enabled ? (mfa.recovery_codes || []).length : 0,
+      required: await isMfaRequiredForUser(profile)
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ error: { message: 'Failed to get 2FA status', status: 500 } });
+  }
+});
+
+// Start enrollment
+router.post('/enroll', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const mfa = await getMfa(req.user.id);
+
+    if (mfa && mfa.enabled) {
+      return res.status(409).json({
+        error: { message: 'Two-factor authentication is already enabled', status: 409 }
+      });
+    }
+
+    const secret = generateSecret();
+
+    const { error } = await supabaseAdmin
+      .from('user_mfa')
+      .upsert({
+        user_id: req.user.id,
+        secret: encrypt(secret),
+        enabled: false,
+        recovery_codes: [],
+        last_used_step: null,
+        created_at: new Date().toISOString()
+      });
+
+    if (error) throw error;
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then verify a code',
+      secret,
+      otpauth_url: provisioningUri(secret, req.user.email)
+    });
+  } catch (error) {
+    console.error('2FA enroll error:', error);
+    res.status(500).json({ error: { message: 'Failed to start 2FA enrollment', status: 500 } });
+  }
+});
+
+// Confirm enrollment with a first code
+router.post('/verify', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: { message: 'Code is required', status: 400 } });
+    }
+
+    const mfa = await getMfa(req.user.id);
+
+    if (!mfa || mfa.enabled) {
+      return res.status(400).json({
+        error: { message: 'No pending 2FA enrollment', status: 400 }
+      });
+    }
+
+    const step = verifyTotp(decrypt(mfa.secret), code);
+
+    if (step === null) {
+      return res.status(400).json({ error: { message: 'Invalid code', status: 400 } });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    const { error } = await supabaseAdmin
+      .from('user_mfa')
+      .update({
+        enabled: true,
+        enabled_at: new Date().toISOString(),
+        last_used_step: step,
+        recovery_codes: hashes,
+        updated_at: new Date().toISOString()
+      })
+      .eq('user_id', req.user.id);
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'create',
+      resource: 'user_mfa',
+      resourceId: req.user.id,
+      after: { enabled: true },
+      tenantId: null
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recovery_codes: codes
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ error: { message: 'Failed to verify 2FA code', status: 500 } });
+  }
+});
+
+// Regenerate recovery codes
+router.post('/recovery-codes', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const mfa = await getMfa(req.user.id);
+
+    if (!mfa || !mfa.enabled) {
+      return res.status(400).json({
+        error: { message: 'Two-factor authentication is not enabled', status: 400 }
+      });
+    }
+
+    if (!(await verifyMfaCode(mfa, { code: req.body.code }))) {
+      return res.status(400).json({ error: { message: 'Invalid code', status: 400 } });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    const { error } = await supabaseAdmin
+      .from('user_mfa')
+      .update({ recovery_codes: hashes, updated_at: new Date().toISOString() })
+      .eq('user_id', req.user.id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Recovery codes regenerated', recovery_codes: codes });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ error: { message: 'Failed to regenerate recovery codes', status: 500 } });
+  }
+});
+
+// Disable 2FA
+router.post('/disable', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const { code, recovery_code } = req.body;
+
+    const mfa = await getMfa(req.user.id);
+
+    if (!mfa || !mfa.enabled) {
+      return res.status(400).json({
+        error: { message: 'Two-factor authentication is not enabled', status: 400 }
+      });
+    }
+
+    const profile = await getProfile(req.user.id);
+
+    if (await isMfaRequiredForUser(profile)) {
+      return res.status(403).json({
+        error: { message: 'Your tenant requires two-factor authentication for your role', status: 403 }
+      });
+    }
+
+    if (!(await verifyMfaCode(mfa, { code, recovery_code }))) {
+      return res.status(400).json({ error: { message: 'Invalid code', status: 400 } });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('user_mfa')
+      .delete()
+      .eq('user_id', req.user.id);
+
+    if (error) throw error;
+
+    await recordAudit(req, {
+      action: 'delete',
+      resource: 'user_mfa',
+      resourceId: req.user.id,
+      before: { enabled: true },
+      tenantId: profile ? profile.tenant_id : null
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: { message: 'Failed to disable 2FA', status: 500 } });
+  }
+});
+
+// Complete a sign-in challenge
+router.post('/challenge', authRateLimit('signin'), async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({
+        error: { message: 'Challenge token and code are required', status: 400 }
+      });
+    }
+
+    const challenge = await loadChallenge(challenge_token);
+
+    if (!challenge) {
+      return res.status(401).json({
+        error: { message: 'Challenge expired, please sign in again', status: 401 }
+      });
+    }
+
+    const mfa = await getMfa(challenge.user_id);
+
+    if (!mfa || !mfa.enabled || !(await verifyMfaCode(mfa, { code, recovery_code }))) {
+      await recordChallengeFailure(challenge);
+      return res.status(401).json({ error: { message: 'Invalid code', status: 401 } });
+    }
+
+    const session = await completeChallenge(challenge);
+    await registerSession(req, session);
+    const profile = await getProfile(challenge.user_id);
+
+    res.json({
+      message: 'Signed in successfully',
+      user: {
+        ...session.user,
+        profile
+      },
+      session
+    });
+  } catch (error) {
+    console.error('2FA challenge error:', error);
+    res.status(500).json({ error: { message: 'Failed to verify 2FA challenge', status: 500 } });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requireUserSession, blockImpersonation, requirePermission, getUserPermissions } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const { isTenantRole } = require('../utils/roles');
+const { recordAudit } = require('../utils/audit');
+const { revokeSessions } = require('../utils/sessions');
+const { createImpersonation, endImpersonation } = require('../utils/impersonation');
 
-// Get all users (admin only)
-router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+// Get all users (user admin only)
+router.get('/', authenticateToken, requirePermission('users:admin'), async (req, res) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('users')
       .select('*')
       .order('created_at', { ascending: false });
@@ -25,18 +29,14 @@ router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Users can only view their own profile unless admin
-    const { data: currentUser } = await supabase
-      .from('users')
-      .select('role')
-      .eq('id', req.user.id)
-      .single();
+    // Users can only view their own profile unless user admin
+    const permissions = await getUserPermissions(req.user.id);
 
-    if (currentUser.role !== 'admin' && req.user.id !== id) {
+    if (!hasPermission(permissions, 'users:admin') && req.user.id !== id) {
       return res.status(403).json({ error: { message: 'Forbidden', status: 403 } });
     }
 
-    const { data, error } = await supabase
+    const { data, error } = await req.db
       .from('users')
       .select('*')
       .eq('id', id)
@@ -59,14 +59,10 @@ router.put('/:id', authenticateToken, async (req, res) => {
     const { id } = req.params;
     const { full_name, phone, avatar_url } = req.body;
 
-    // Users can only update their own profile unless admin
-    const { data: currentUser } = await supabase
-      .from('users')
-      .select('role')
-      .eq('id', req.user.id)
-      .single();
+    // Users can only update their own profile unless user admin
+    const permissions = await getUserPermissions(req.user.id);
 
-    if (currentUser.role !== 'admin' && req.user.id !== id) {
+    if (!hasPermission(permissions, 'users:admin') && req.user.id !== id) {
       return res.status(403).json({ error: { message: 'Forbidden', status: 403 } });
     }
 
@@ -76,7 +72,13 @@ router.put('/:id', authenticateToken, async (req, res) => {
     if (avatar_url !== undefined) updateData.avatar_url = avatar_url;
     updateData.updated_at = new Date().toISOString();
 
-    const { data, error } = await supabase
+    const { data: before } = await req.db
+      .from('users')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    const { data, error } = await req.db
       .from('users')
       .update(updateData)
       .eq('id', id)
@@ -85,6 +87,15 @@ router.put('/:id', authenticateToken, async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, {
+      action: 'update',
+      resource: 'users',
+      resourceId: id,
+      before,
+      after: data,
+      tenantId: data.tenant_id
+    });
+
     res.json({ message: 'User updated successfully', user: data });
   } catch (error) {
     console.error('Update user error:', error);
@@ -92,17 +103,34 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Update user role (admin only)
-router.patch('/:id/role', authenticateToken, requireAdmin, async (req, res) => {
+// Update user role (user admin only)
+router.patch('/:id/role', authenticateToken, blockImpersonation, requirePermission('users:admin'), async (req, res) => {
   try {
     const { id } = req.params;
     const { role } = req.body;
 
-    if (!['user', 'admin', 'manager'].includes(role)) {
+    if (!role) {
       return res.status(400).json({ error: { message: 'Invalid role', status: 400 } });
     }
 
-    const { data, error } = await supabase
+    const { data: before } = await req.db
+      .from('users')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!before) {
+      return res.status(404).json({ error: { message: 'User not found', status: 404 } });
+    }
+
+    // Roles other than admin must be built-in or defined in the user's tenant
+    if (role !== 'admin') {
+      if (!(await isTenantRole(before.tenant_id, role))) {
+        return res.status(400).json({ error: { message: 'Invalid role', status: 400 } });
+      }
+    }
+
+    const { data, error } = await req.db
       .from('users')
       .update({ role, updated_at: new Date().toISOString() })
       .eq('id', id)
@@ -111,6 +139,15 @@ router.patch('/:id/role', authenticateToken, requireAdmin, async (req, res) => {
 
     if (error) throw error;
 
+    await recordAudit(req, {
+      action: 'update',
+      resource: 'users',
+      resourceId: id,
+      before,
+      after: data,
+      tenantId: data.tenant_id
+    });
+
     res.json({ message: 'User role updated successfully', user: data });
   } catch (error) {
     console.error('Update role error:', error);
@@ -118,18 +155,177 @@ router.patch('/:id/role', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// Delete user (admin only)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Force logout of every session (user admin only)
+router.post('/:id/sessions/revoke', authenticateToken, blockImpersonation, requirePermission('users:admin'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase
+    // Also rejects sessions we haven't seen yet that were issued before now
+    const { data, error } = await req.db
+      .from('users')
+      .update({ sessions_revoked_at: new Date().toISOString() })
+      .eq('id', id)
+      .select('id, tenant_id')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'User not found', status: 404 } });
+    }
+
+    const revoked = await revokeSessions(id);
+
+    await recordAudit(req, {
+      action: 'update',
+      resource: 'user_sessions',
+      resourceId: id,
+      after: { revoked: revoked.map(session => session.id) },
+      tenantId: data.tenant_id
+    });
+
+    res.json({ message: 'User signed out of all sessions', revoked: revoked.length });
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({ error: { message: 'Failed to sign out user', status: 500 } });
+  }
+});
+
+// Start impersonating a user (user admin only)
+router.post('/:id/impersonate', authenticateToken, requireUserSession, requirePermission('users:admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, duration_minutes } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: { message: 'A reason is required', status: 400 } });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({ error: { message: 'You cannot impersonate yourself', status: 400 } });
+    }
+
+    if (duration_minutes !== undefined && duration_minutes !== null &&
+        !(Number.isInteger(Number(duration_minutes)) && Number(duration_minutes) >= 1)) {
+      return res.status(400).json({ error: { message: 'Duration must be a whole number of minutes, at least 1', status: 400 } });
+    }
+
+    const { data: target } = await req.db
+      .from('users')
+      .select('id, email, role, tenant_id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!target) {
+      return res.status(404).json({ error: { message: 'User not found', status: 404 } });
+    }
+
+    if (target.role === 'admin') {
+      return res.status(403).json({ error: { message: 'Admins cannot be impersonated', status: 403 } });
+    }
+
+    const { token, impersonation } = await createImpersonation(req, {
+      userId: id,
+      reason,
+      minutes: duration_minutes
+    });
+
+    await recordAudit(req, {
+      action: 'impersonate',
+      resource: 'impersonation_sessions',
+      resourceId: impersonation.id,
+      after: impersonation,
+      tenantId: target.tenant_id
+    });
+
+    res.status(201).json({
+      message: 'Impersonation started',
+      token,
+      impersonation: { ...impersonation, user: { id: target.id, email: target.email } }
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({ error: { message: 'Failed to start impersonation', status: 500 } });
+  }
+});
+
+// End the impersonation behind the current token
+router.post('/impersonation/end', authenticateToken, async (req, res) => {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({ error: { message: 'Not an impersonation token', status: 400 } });
+    }
+
+    const data = await endImpersonation(req.impersonation.id);
+
+    await recordAudit(req, {
+      action: 'update',
+      resource: 'impersonation_sessions',
+      resourceId: req.impersonation.id,
+      before: { ended_at: null },
+      after: { ended_at: data ? data.ended_at : null }
+    });
+
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({ error: { message: 'Failed to end impersonation', status: 500 } });
+  }
+});
+
+// End an impersonation by ID (user admin only)
+router.delete('/impersonations/:id', authenticateToken, requireUserSession, requirePermission('users:admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const data = await endImpersonation(id);
+
+    if (!data) {
+      return res.status(404).json({ error: { message: 'Active impersonation not found', status: 404 } });
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      resource: 'impersonation_sessions',
+      resourceId: id,
+      before: { ended_at: null },
+      after: { ended_at: data.ended_at },
+      tenantId: null
+    });
+
+    res.json({ message: 'Impersonation ended', impersonation: data });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({ error: { message: 'Failed to end impersonation', status: 500 } });
+  }
+});
+
+// Delete user (user admin only)
+router.delete('/:id', authenticateToken, blockImpersonation, requirePermission('users:admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await req.db
       .from('users')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .select()
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!data) {
+      return res.status(404).json({ error: { message: 'User not found', status: 404 } });
+    }
+
+    await recordAudit(req, {
+      action: 'delete',
+      resource: 'users',
+      resourceId: id,
+      before: data,
+      tenantId: data.tenant_id
+    });
+
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     console.error('Delete user error:', error);
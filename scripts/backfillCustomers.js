@@ -0,0 +1,96 @@
+// scripts/backfillCustomers.js
+// Link orders created before customer records existed to customers, grouping
+// the free-text client names the same way new orders are matched. Safe to run
+// again: only orders without a customer are touched.
+//   npm run backfill-customers
+require('dotenv').config();
+
+const { supabaseAdmin } = require('../config/supabase');
+const { nameKey, insertCustomer } = require('../utils/customers');
+
+const BATCH_SIZE = 500;
+
+// Helper function to find or create the customer for a tenant and client name
+async function customerFor(cache, order) {
+  const key = `${order.tenant_id}:${nameKey(order.client)}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const { data: existing, error } = await supabaseAdmin
+    .from('customers')
+    .select('id, name')
+    .eq('tenant_id', order.tenant_id)
+    .eq('name_key', nameKey(order.client))
+    .order('created_at')
+    .limit(1);
+
+  if (error) throw error;
+
+  const customer = existing[0] || await insertCustomer(supabaseAdmin, {
+    tenantId: order.tenant_id,
+    createdBy: order.created_by,
+    name: order.client
+  });
+
+  cache.set(key, customer);
+  return customer;
+}
+
+const run = async () => {
+  const cache = new Map();
+  let linked = 0;
+  let skipped = 0;
+  let lastId = null;
+
+  for (;;) {
+    let query = supabaseAdmin
+      .from('orders')
+      .select('id, tenant_id, client, created_by')
+      .is('customer_id', null)
+      .not('client', 'is', null)
+      .order('id')
+      .limit(BATCH_SIZE);
+
+    if (lastId) query = query.gt('id', lastId);
+
+    const { data: pending, error } = await query;
+
+    if (error) throw error;
+    if (pending.length === 0) break;
+
+    lastId = pending[pending.length - 1].id;
+
+    const groups = new Map();
+
+    for (const order of pending) {
+      if (!order.tenant_id || !nameKey(order.client)) {
+        skipped += 1;
+        continue;
+      }
+
+      const customer = await customerFor(cache, order);
+      groups.set(customer.id, [...(groups.get(customer.id) || []), order.id]);
+    }
+
+    for (const [customerId, orderIds] of groups) {
+      const { error: updateError } = await supabaseAdmin
+        .from('orders')
+        .update({ customer_id: customerId })
+        .in('id', orderIds)
+        .is('customer_id', null);
+
+      if (updateError) throw updateError;
+      linked += orderIds.length;
+    }
+
+    console.log(`Linked ${linked} order(s) so far`);
+  }
+
+  console.log(`Linked ${linked} order(s) to ${cache.size} customer(s), skipped ${skipped}`);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Customer backfill error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,33 @@
+// scripts/purgeTenants.js
+// Purge tenants whose deletion grace period has ended. Run from cron, e.g.
+//   0 3 * * * npm run purge-tenants
+require('dotenv').config();
+
+const { purgeExpiredTenants } = require('../utils/offboarding');
+const { recordAudit } = require('../utils/audit');
+
+const run = async () => {
+  const purged = await purgeExpiredTenants();
+
+  for (const { tenant, deleted } of purged) {
+    console.log(`Purged tenant ${tenant.id} (${tenant.name})`, deleted);
+
+    await recordAudit(null, {
+      action: 'delete',
+      resource: 'tenants',
+      resourceId: tenant.id,
+      before: tenant,
+      after: { purged: deleted },
+      tenantId: null
+    });
+  }
+
+  console.log(`Purged ${purged.length} tenant(s)`);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Tenant purge error:', error);
+    process.exit(1);
+  });
@@ -6,20 +6,45 @@ const morgan = require('morgan');
 const path = require('path');
 require('dotenv').config();
 
+// API keys, impersonation and order imports sign their own database tokens
+if (!process.env.SUPABASE_JWT_SECRET) {
+  throw new Error('Missing SUPABASE_JWT_SECRET environment variable');
+}
+
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const tenantRoutes = require('./routes/tenants');
 const deliveryRoutes = require('./routes/delivery');
+const remittanceRoutes = require('./routes/remittances');
 const orderRoutes = require('./routes/orders');
+const returnRoutes = require('./routes/returns');
+const confirmationRoutes = require('./routes/confirmations');
+const documentRoutes = require('./routes/documents');
+const customerRoutes = require('./routes/customers');
+const orderSequenceRoutes = require('./routes/orderSequences');
 const dashboardRoutes = require('./routes/dashboard');
 const campaignRoutes = require('./routes/campaigns');
 const audienceRoutes = require('./routes/audiences');
 const chatbotRoutes = require('./routes/chatbots');
 const storeRoutes = require('./routes/stores');
+const productRoutes = require('./routes/products');
+const inventoryRoutes = require('./routes/inventory');
+const importRoutes = require('./routes/imports');
 const analyticsRoutes = require('./routes/analytics');
+const roleRoutes = require('./routes/roles');
+const memberRoutes = require('./routes/members');
+const invitationRoutes = require('./routes/invitations');
+const apiKeyRoutes = require('./routes/apiKeys');
+const auditRoutes = require('./routes/audit');
+const twoFactorRoutes = require('./routes/twoFactor');
 
 const app = express();
 
+// Behind a proxy, trust X-Forwarded-For so rate limits see client IPs
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -32,16 +57,31 @@ app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/tenants', tenantRoutes);
 app.use('/api/delivery-companies', deliveryRoutes);
+app.use('/api/delivery-companies/:companyId/remittances', remittanceRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/confirmations', confirmationRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/order-sequences', orderSequenceRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/campaigns', campaignRoutes);
 app.use('/api/audiences', audienceRoutes);
 app.use('/api/chatbots', chatbotRoutes);
 app.use('/api/stores', storeRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/imports', importRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/members', memberRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/audit', auditRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
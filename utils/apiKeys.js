@@ -0,0 +1,49 @@
+// utils/apiKeys.js
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+
+const API_KEY_PREFIX = 'odk_';
+
+// Generate a new plaintext key. Only its hash is ever stored.
+const generateApiKey = () => `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const isApiKey = (credential) => !!credential && credential.startsWith(API_KEY_PREFIX);
+
+// Look up an active key and record its use
+const findApiKey = async (key) => {
+  const { data: apiKey } = await supabaseAdmin
+    .from('api_keys')
+    .select('*')
+    .eq('key_hash', hashApiKey(key))
+    .maybeSingle();
+
+  if (!apiKey || apiKey.revoked_at) return null;
+  if (apiKey.expires_at && new Date(apiKey.expires_at) < new Date()) return null;
+
+  const { error } = await supabaseAdmin
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', apiKey.id);
+
+  if (error) {
+    console.error('API key usage update error:', error);
+  }
+
+  return apiKey;
+};
+
+// Check that a key found earlier has since been neither revoked nor expired
+const isApiKeyActive = async (id) => {
+  const { data, error } = await supabaseAdmin
+    .from('api_keys')
+    .select('revoked_at, expires_at')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data && !data.revoked_at && (!data.expires_at || new Date(data.expires_at) >= new Date());
+};
+
+module.exports = { API_KEY_PREFIX, generateApiKey, hashApiKey, isApiKey, findApiKey, isApiKeyActive };
@@ -0,0 +1,61 @@
+// utils/audit.js
+const { supabaseAdmin } = require('../config/supabase');
+
+const IGNORED_FIELDS = ['updated_at'];
+
+// Helper function to list the fields that changed between two row versions
+function diff(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    if (IGNORED_FIELDS.includes(key)) return;
+
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  });
+
+  return changes;
+}
+
+// Helper function to describe who made a change. Scheduled jobs pass no request.
+function actorType(req) {
+  if (!req) return 'system';
+  return req.apiKey ? 'api_key' : 'user';
+}
+
+// Record a create, update or delete. Failures are logged rather than thrown
+// so an audit outage never rolls back the change it describes.
+const recordAudit = async (req, { action, resource, resourceId, before = null, after = null, tenantId }) => {
+  try {
+    const entry = {
+      tenant_id: tenantId !== undefined ? tenantId : (req && req.tenantId) || null,
+      actor_id: req && req.user ? req.user.id : null,
+      actor_type: actorType(req),
+      impersonator_id: req && req.impersonation ? req.impersonation.admin_id : null,
+      action,
+      resource,
+      resource_id: resourceId ? String(resourceId) : null,
+      before,
+      after,
+      changes: diff(before, after),
+      ip_address: req ? req.ip : null,
+      user_agent: req ? req.headers['user-agent'] || null : null,
+      created_at: new Date().toISOString()
+    };
+
+    const { error } = await supabaseAdmin
+      .from('audit_logs')
+      .insert([entry]);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = { recordAudit, diff };
@@ -0,0 +1,104 @@
+// utils/barcodes.js
+
+// Bar and space widths of each Code 128 symbol, starting with a bar. 103-105
+// are the start codes for sets A, B and C; 106 is the stop code.
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const START_B = 104;
+const START_C = 105;
+const SWITCH_TO_B = 100;
+const SWITCH_TO_C = 99;
+const STOP = 106;
+
+// Blank modules either side, so scanners can find where the code starts
+const QUIET_ZONE = 10;
+
+const MAX_BARCODE_LENGTH = 48;
+
+// Helper function to count the digits starting at index
+function digitRun(value, index) {
+  let end = index;
+  while (end < value.length && value[end] >= '0' && value[end] <= '9') end++;
+  return end - index;
+}
+
+// Encode value as Code 128 symbol values. Digit runs use set C, which packs
+// two digits per symbol; everything else uses set B (printable ASCII).
+function encodeSymbols(value) {
+  const symbols = [];
+  const leading = digitRun(value, 0);
+  let set = leading >= 4 || (leading === value.length && leading % 2 === 0) ? 'C' : 'B';
+  let i = 0;
+
+  symbols.push(set === 'C' ? START_C : START_B);
+
+  while (i < value.length) {
+    const run = digitRun(value, i);
+
+    if (set === 'C') {
+      if (run >= 2) {
+        symbols.push(Number(value.slice(i, i + 2)));
+        i += 2;
+        continue;
+      }
+
+      symbols.push(SWITCH_TO_B);
+      set = 'B';
+    }
+
+    // Switching costs a symbol, so it only pays off for longer runs
+    const worthSwitching = run >= 6 || (run >= 4 && i + run === value.length);
+
+    if (worthSwitching && run % 2 === 0) {
+      symbols.push(SWITCH_TO_C);
+      set = 'C';
+      continue;
+    }
+
+    symbols.push(value.charCodeAt(i) - 32);
+    i++;
+  }
+
+  const checksum = symbols.reduce((sum, symbol, index) => sum + symbol * Math.max(index, 1), 0) % 103;
+
+  return [...symbols, checksum, STOP];
+}
+
+// Encode a value as a Code 128 barcode. Returns { widths } or { error }, where
+// widths alternate bar and space, starting with a bar, in modules.
+const encodeCode128 = (value) => {
+  const text = String(value === undefined || value === null ? '' : value);
+
+  if (text.length === 0 || text.length > MAX_BARCODE_LENGTH) {
+    return { error: `Barcode values must be 1 to ${MAX_BARCODE_LENGTH} characters` };
+  }
+
+  if (/[^\x20-\x7e]/.test(text)) {
+    return { error: 'Barcode values may only use printable ASCII characters' };
+  }
+
+  const widths = [];
+
+  encodeSymbols(text).forEach(symbol => {
+    for (const width of CODE128_PATTERNS[symbol]) widths.push(Number(width));
+  });
+
+  return { widths };
+};
+
+// Total width of an encoded barcode in modules, including both quiet zones
+const barcodeModules = (widths) => widths.reduce((sum, width) => sum + width, 0) + QUIET_ZONE * 2;
+
+module.exports = { QUIET_ZONE, encodeCode128, barcodeModules };
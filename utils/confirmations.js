@@ -0,0 +1,267 @@
+// utils/confirmations.js
+
+const PAGE_SIZE = 1000;
+
+// Orders considered at once when an agent asks for the next call
+const CANDIDATE_BATCH_SIZE = 10;
+
+// queued tasks wait for an agent, assigned ones are with an agent, closed
+// ones need no more calls
+const TASK_STATUSES = ['queued', 'assigned', 'closed'];
+
+const CALL_OUTCOMES = ['confirmed', 'no_answer', 'wrong_number', 'cancelled', 'postponed'];
+
+// Outcomes that settle whether an order goes ahead
+const FINAL_OUTCOMES = ['confirmed', 'cancelled', 'wrong_number'];
+
+// retry_minutes[n] is the wait after the (n + 1)th unanswered call; the last
+// entry is reused for any further attempts
+const DEFAULT_CONFIRMATION_SETTINGS = {
+  max_attempts: 5,
+  retry_minutes: [15, 60, 180],
+  assignment_timeout_minutes: 15
+};
+
+// Helper function to check confirmation settings. Returns an error message or null.
+const validateSettings = ({ max_attempts, retry_minutes, assignment_timeout_minutes }) => {
+  if (max_attempts !== undefined && (!Number.isInteger(max_attempts) || max_attempts < 1 || max_attempts > 20)) {
+    return 'Max attempts must be a whole number from 1 to 20';
+  }
+
+  if (retry_minutes !== undefined && (
+    !Array.isArray(retry_minutes) || retry_minutes.length === 0 || retry_minutes.length > 20 ||
+    retry_minutes.some(minutes => !Number.isInteger(minutes) || minutes < 1 || minutes > 7 * 24 * 60)
+  )) {
+    return 'Retry minutes must be a list of up to 20 whole numbers of minutes, each at most a week';
+  }
+
+  if (assignment_timeout_minutes !== undefined && (
+    !Number.isInteger(assignment_timeout_minutes) || assignment_timeout_minutes < 1 || assignment_timeout_minutes > 24 * 60
+  )) {
+    return 'Assignment timeout must be a whole number of minutes, at most a day';
+  }
+
+  return null;
+};
+
+// Load the tenant's settings, falling back to the defaults
+const getSettings = async (db, tenantId) => {
+  const { data, error } = await db
+    .from('confirmation_settings')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { ...DEFAULT_CONFIRMATION_SETTINGS, ...(data || {}) };
+};
+
+// When to call again after an unanswered call
+const nextCallAt = (settings, attempts, from = new Date()) => {
+  const delays = settings.retry_minutes;
+  const minutes = delays[Math.min(attempts, delays.length) - 1];
+  return new Date(from.getTime() + minutes * 60 * 1000);
+};
+
+// Put pending orders in the queue. Orders already queued are left alone, so
+// this is safe to repeat.
+const enqueueOrders = async (db, orders) => {
+  if (orders.length === 0) return;
+
+  const now = new Date().toISOString();
+
+  const { error } = await db
+    .from('confirmation_tasks')
+    .upsert(orders.map(order => ({
+      tenant_id: order.tenant_id,
+      order_id: order.id,
+      status: 'queued',
+      attempts: 0,
+      next_call_at: now,
+      created_at: now
+    })), { onConflict: 'order_id', ignoreDuplicates: true });
+
+  if (error) throw error;
+};
+
+// Queue every pending order of a tenant, e.g. those created before the queue
+// existed. Returns how many pending orders were found.
+const enqueuePending = async (db, tenantId) => {
+  let found = 0;
+  let lastId = null;
+
+  for (;;) {
+    let query = db
+      .from('orders')
+      .select('id, tenant_id')
+      .eq('tenant_id', tenantId)
+      .eq('status', 'pending')
+      .order('id')
+      .limit(PAGE_SIZE);
+
+    if (lastId) query = query.gt('id', lastId);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    if (data.length === 0) return found;
+
+    await enqueueOrders(db, data);
+
+    found += data.length;
+    lastId = data[data.length - 1].id;
+  }
+};
+
+// Helper function to close tasks whose order was confirmed or cancelled
+// outside the queue
+async function closeTask(db, task, outcome) {
+  const { error } = await db
+    .from('confirmation_tasks')
+    .update({ status: 'closed', assigned_to: null, last_outcome: outcome, updated_at: new Date().toISOString() })
+    .eq('id', task.id)
+    .eq('status', task.status);
+
+  if (error) throw error;
+}
+
+// Hand the calling agent their next order to phone. An agent keeps the task
+// they were given until they log an outcome, so nobody can hoard the queue;
+// everyone else takes the longest-waiting due order in turn. Tasks an agent
+// sat on past the assignment timeout go back to the queue. Returns the task
+// with its order, or null when nothing is due.
+const claimNextTask = async (req, settings) => {
+  const now = new Date();
+  const select = '*, orders(id, order_id, status, client, total, items, customers(name, phones))';
+
+  const { data: held, error: heldError } = await req.db
+    .from('confirmation_tasks')
+    .select(select)
+    .eq('tenant_id', req.tenantId)
+    .eq('status', 'assigned')
+    .eq('assigned_to', req.user.id)
+    .order('assigned_at')
+    .limit(1);
+
+  if (heldError) throw heldError;
+
+  if (held[0] && held[0].orders && held[0].orders.status === 'pending') return held[0];
+  if (held[0]) await closeTask(req.db, held[0], 'order_changed');
+
+  const staleBefore = new Date(now.getTime() - settings.assignment_timeout_minutes * 60 * 1000);
+
+  const { error: reclaimError } = await req.db
+    .from('confirmation_tasks')
+    .update({ status: 'queued', assigned_to: null, assigned_at: null, updated_at: now.toISOString() })
+    .eq('tenant_id', req.tenantId)
+    .eq('status', 'assigned')
+    .lt('assigned_at', staleBefore.toISOString());
+
+  if (reclaimError) throw reclaimError;
+
+  for (;;) {
+    const { data: candidates, error } = await req.db
+      .from('confirmation_tasks')
+      .select(select)
+      .eq('tenant_id', req.tenantId)
+      .eq('status', 'queued')
+      .lte('next_call_at', now.toISOString())
+      .order('next_call_at')
+      .order('created_at')
+      .limit(CANDIDATE_BATCH_SIZE);
+
+    if (error) throw error;
+    if (candidates.length === 0) return null;
+
+    for (const task of candidates) {
+      if (!task.orders || task.orders.status !== 'pending') {
+        await closeTask(req.db, task, 'order_changed');
+        continue;
+      }
+
+      // Only one agent can win a task
+      const { data: claimed, error: claimError } = await req.db
+        .from('confirmation_tasks')
+        .update({ status: 'assigned', assigned_to: req.user.id, assigned_at: now.toISOString(), updated_at: now.toISOString() })
+        .eq('id', task.id)
+        .eq('status', 'queued')
+        .select()
+        .maybeSingle();
+
+      if (claimError) throw claimError;
+      if (claimed) return { ...claimed, orders: task.orders };
+    }
+  }
+};
+
+// Work out how a task moves on after a call. Returns the task changes, or
+// { error } when the outcome can't be logged.
+const taskChanges = (settings, task, { outcome, callback_at }, now = new Date()) => {
+  const released = { assigned_to: null, assigned_at: null, last_outcome: outcome, last_called_at: now.toISOString() };
+
+  if (outcome === 'postponed') {
+    if (!callback_at || isNaN(Date.parse(callback_at)) || new Date(callback_at) <= now) {
+      return { error: 'A postponed call needs a callback_at time in the future' };
+    }
+
+    return { ...released, status: 'queued', next_call_at: new Date(callback_at).toISOString() };
+  }
+
+  if (outcome === 'no_answer') {
+    const attempts = task.attempts + 1;
+
+    if (attempts >= settings.max_attempts) {
+      return { ...released, status: 'closed', attempts };
+    }
+
+    return { ...released, status: 'queued', attempts, next_call_at: nextCallAt(settings, attempts, now).toISOString() };
+  }
+
+  return { ...released, status: 'closed', attempts: task.attempts + 1 };
+};
+
+// Per-agent call statistics. The confirmation rate is the share of orders an
+// agent settled that were confirmed; handling time runs from taking the
+// order off the queue to logging the outcome.
+const agentStats = (calls) => {
+  const agents = new Map();
+
+  calls.forEach(call => {
+    if (!agents.has(call.agent_id)) {
+      const outcomes = {};
+      CALL_OUTCOMES.forEach(outcome => { outcomes[outcome] = 0; });
+      agents.set(call.agent_id, { agent_id: call.agent_id, calls: 0, outcomes, handling_seconds: 0, orders: new Set() });
+    }
+
+    const agent = agents.get(call.agent_id);
+    agent.calls += 1;
+    agent.outcomes[call.outcome] += 1;
+    agent.handling_seconds += call.handling_seconds || 0;
+    agent.orders.add(call.order_id);
+  });
+
+  return [...agents.values()].map(({ orders, handling_seconds, ...agent }) => {
+    const settled = FINAL_OUTCOMES.reduce((sum, outcome) => sum + agent.outcomes[outcome], 0);
+
+    return {
+      ...agent,
+      orders: orders.size,
+      confirmation_rate: settled > 0 ? Number((agent.outcomes.confirmed / settled * 100).toFixed(2)) : null,
+      average_handling_seconds: agent.calls > 0 ? Math.round(handling_seconds / agent.calls) : null,
+      total_handling_seconds: handling_seconds
+    };
+  });
+};
+
+module.exports = {
+  TASK_STATUSES,
+  CALL_OUTCOMES,
+  DEFAULT_CONFIRMATION_SETTINGS,
+  validateSettings,
+  getSettings,
+  enqueueOrders,
+  enqueuePending,
+  claimNextTask,
+  taskChanges,
+  agentStats
+};
@@ -0,0 +1,82 @@
+// utils/csv.js
+
+// Cells spreadsheets would read as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value for CSV output. Objects and arrays are written as JSON. Text
+// that looks like a formula, such as a customer named "=HYPERLINK(...)", is
+// prefixed with ' so spreadsheets show it as text; numbers are left alone.
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => values.map(formatCell).join(',');
+
+// Build a CSV document from rows. Columns default to every key seen.
+const toCsv = (rows, columns) => {
+  const header = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = [toCsvRow(header), ...rows.map(row => toCsvRow(header.map(column => row[column])))];
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Spreadsheet exports from some locales separate cells with semicolons
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const count = (char) => firstLine.split(char).length - 1;
+
+  return count(';') > count(',') ? ';' : ',';
+};
+
+// Parse a CSV document into an array of rows, each an array of strings.
+// Handles quoted cells, escaped quotes, CRLF line endings and a leading BOM.
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+module.exports = { formatCell, toCsvRow, toCsv, parseCsv };
@@ -0,0 +1,144 @@
+// utils/customers.js
+
+// Phone numbers are compared in a normalized form: digits only, with a
+// leading + kept and a 00 international prefix turned into +
+const normalizePhone = (phone) => {
+  const text = String(phone || '').trim();
+  const digits = text.replace(/\D/g, '');
+
+  if (!digits) return null;
+  if (text.startsWith('+')) return `+${digits}`;
+  if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+  return digits;
+};
+
+// Names are matched ignoring case and repeated spaces
+const nameKey = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const normalizePhones = (phones) => [...new Set((phones || []).map(normalizePhone).filter(Boolean))];
+
+const normalizeEmails = (emails) => [...new Set((emails || []).map(email => String(email).trim().toLowerCase()))];
+
+// Helper function to check customer fields. Returns an error message or null.
+const validateCustomer = ({ name, phones, emails, addresses, tags }, partial = false) => {
+  if (!partial && !name) return 'Name is required';
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) return 'Name cannot be empty';
+
+  if (phones !== undefined) {
+    if (!Array.isArray(phones)) return 'Phones must be an array';
+    if (phones.some(phone => !normalizePhone(phone))) return 'Each phone must contain digits';
+  }
+
+  if (emails !== undefined) {
+    if (!Array.isArray(emails)) return 'Emails must be an array';
+    if (emails.some(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email).trim()))) {
+      return 'Each email must be a valid address';
+    }
+  }
+
+  if (addresses !== undefined && (!Array.isArray(addresses) || addresses.some(a => !a || typeof a !== 'object'))) {
+    return 'Addresses must be an array of objects';
+  }
+
+  if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string'))) {
+    return 'Tags must be an array of strings';
+  }
+
+  return null;
+};
+
+// Find a customer that already has one of these phone numbers
+const findByPhone = async (db, tenantId, phones, exceptId) => {
+  const normalized = normalizePhones(phones);
+  if (normalized.length === 0) return null;
+
+  let query = db
+    .from('customers')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .overlaps('phones', normalized)
+    .limit(1);
+
+  if (exceptId) query = query.neq('id', exceptId);
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+  return data[0] || null;
+};
+
+// Helper function to find a customer by normalized name
+async function findByName(db, tenantId, name) {
+  const { data, error } = await db
+    .from('customers')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .eq('name_key', nameKey(name))
+    .order('created_at')
+    .limit(1);
+
+  if (error) throw error;
+  return data[0] || null;
+}
+
+// Insert a customer for a tenant
+const insertCustomer = async (db, { tenantId, createdBy, name, phones, emails, addresses, tags, notes }) => {
+  const { data, error } = await db
+    .from('customers')
+    .insert([{
+      tenant_id: tenantId,
+      name: name.trim(),
+      name_key: nameKey(name),
+      phones: normalizePhones(phones),
+      emails: normalizeEmails(emails),
+      addresses: addresses || [],
+      tags: tags || [],
+      notes: notes || '',
+      created_by: createdBy,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// Find the customer an order belongs to: by phone first, then by name, and
+// create one when neither matches. The backfill uses the same name rule, so
+// old and new orders from one buyer land on the same record. A name match
+// that already has other phone numbers is taken to be someone else.
+const resolveCustomer = async (db, { tenantId, createdBy, name, phone }) => {
+  const normalized = normalizePhone(phone);
+  const byPhone = normalized ? await findByPhone(db, tenantId, [normalized]) : null;
+  if (byPhone) return byPhone;
+
+  const byName = await findByName(db, tenantId, name);
+
+  if (byName && !normalized) return byName;
+
+  if (byName && (byName.phones || []).length === 0) {
+    const { data, error } = await db
+      .from('customers')
+      .update({ phones: [normalized], updated_at: new Date().toISOString() })
+      .eq('id', byName.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  return insertCustomer(db, { tenantId, createdBy, name, phones: normalized ? [normalized] : [] });
+};
+
+module.exports = {
+  normalizePhone,
+  normalizePhones,
+  normalizeEmails,
+  nameKey,
+  validateCustomer,
+  findByPhone,
+  insertCustomer,
+  resolveCustomer
+};
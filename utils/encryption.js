@@ -0,0 +1,30 @@
+// utils/encryption.js
+const crypto = require('crypto');
+
+// Secrets at rest are encrypted with AES-256-GCM. The key is derived from
+// ENCRYPTION_KEY, falling back to the service role key.
+const getKey = () => {
+  const secret = process.env.ENCRYPTION_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!secret) {
+    throw new Error('Missing ENCRYPTION_KEY environment variable');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+};
+
+const decrypt = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map(p => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = { encrypt, decrypt, hashToken };
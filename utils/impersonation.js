@@ -0,0 +1,103 @@
+// utils/impersonation.js
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { hashToken } = require('./encryption');
+
+const IMPERSONATION_PREFIX = 'odi_';
+const DEFAULT_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 30;
+const MAX_TTL_MINUTES = 120;
+
+const isImpersonationToken = (token) => !!token && token.startsWith(IMPERSONATION_PREFIX);
+
+// Start impersonating a user. Returns the plaintext token once; only its hash is stored.
+const createImpersonation = async (req, { userId, reason, minutes }) => {
+  const ttl = Math.max(Math.min(parseInt(minutes) || DEFAULT_TTL_MINUTES, MAX_TTL_MINUTES), 1);
+  const token = `${IMPERSONATION_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+  const { data, error } = await supabaseAdmin
+    .from('impersonation_sessions')
+    .insert([{
+      token_hash: hashToken(token),
+      admin_id: req.user.id,
+      user_id: userId,
+      reason,
+      ip_address: req.ip,
+      expires_at: new Date(Date.now() + ttl * 60 * 1000).toISOString(),
+      created_at: new Date().toISOString()
+    }])
+    .select('id, admin_id, user_id, reason, expires_at, created_at')
+    .single();
+
+  if (error) throw error;
+
+  return { token, impersonation: data };
+};
+
+// Look up an impersonation that has neither expired nor been ended
+const findImpersonation = async (token) => {
+  const { data } = await supabaseAdmin
+    .from('impersonation_sessions')
+    .select('*')
+    .eq('token_hash', hashToken(token))
+    .is('ended_at', null)
+    .maybeSingle();
+
+  if (!data || new Date(data.expires_at) <= new Date()) return null;
+  return data;
+};
+
+// Check that an impersonation found earlier has neither expired nor been ended
+const isImpersonationActive = async (id) => {
+  const { data, error } = await supabaseAdmin
+    .from('impersonation_sessions')
+    .select('expires_at, ended_at')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data && !data.ended_at && new Date(data.expires_at) > new Date();
+};
+
+const endImpersonation = async (id) => {
+  const { data, error } = await supabaseAdmin
+    .from('impersonation_sessions')
+    .update({ ended_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('ended_at', null)
+    .select('id, admin_id, user_id, reason, expires_at, created_at, ended_at')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Record a request made with an impersonation token under both identities
+const logImpersonatedRequest = async (req, res) => {
+  const { error } = await supabaseAdmin
+    .from('impersonation_events')
+    .insert([{
+      impersonation_id: req.impersonation.id,
+      admin_id: req.impersonation.admin_id,
+      user_id: req.impersonation.user_id,
+      tenant_id: req.tenantId || null,
+      method: req.method,
+      path: req.originalUrl,
+      status_code: res.statusCode,
+      ip_address: req.ip,
+      created_at: new Date().toISOString()
+    }]);
+
+  if (error) {
+    console.error('Impersonation log error:', error);
+  }
+};
+
+module.exports = {
+  IMPERSONATION_PREFIX,
+  isImpersonationToken,
+  createImpersonation,
+  findImpersonation,
+  isImpersonationActive,
+  endImpersonation,
+  logImpersonatedRequest
+};
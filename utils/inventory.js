@@ -0,0 +1,300 @@
+// utils/inventory.js
+
+const MAX_ATTEMPTS = 5;
+
+const ADJUSTMENT_REASONS = ['received', 'stock_count', 'correction', 'damaged', 'lost', 'returned'];
+
+const available = (level) => level.on_hand - level.reserved;
+
+const isLowStock = (level) =>
+  level.low_stock_threshold !== null && level.low_stock_threshold !== undefined &&
+  available(level) <= level.low_stock_threshold;
+
+// Stock shortfalls are thrown internally so partial work can be reversed,
+// then handed back to routes as { error }
+const stockError = (message) => Object.assign(new Error(message), { status: 409 });
+
+// Helper function to turn a stock shortfall into an { error } result
+async function withStockErrors(operation) {
+  try {
+    return { ...(await operation()) };
+  } catch (error) {
+    if (error.status === 409) return { error: error.message };
+    throw error;
+  }
+}
+
+// Helper function to load the level for one SKU in one store
+async function getLevel(db, tenantId, storeId, sku) {
+  const { data, error } = await db
+    .from('inventory_levels')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .eq('store_id', storeId)
+    .eq('sku', sku)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Helper function to create an empty level, tolerating a concurrent insert
+async function ensureLevel(db, { tenantId, storeId, productId, sku }) {
+  const existing = await getLevel(db, tenantId, storeId, sku);
+  if (existing) return existing;
+
+  const { data, error } = await db
+    .from('inventory_levels')
+    .insert([{
+      tenant_id: tenantId,
+      store_id: storeId,
+      product_id: productId,
+      sku,
+      on_hand: 0,
+      reserved: 0,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (!error) return data;
+
+  // Lost the race to the unique (tenant_id, store_id, sku) constraint
+  const level = await getLevel(db, tenantId, storeId, sku);
+  if (!level) throw error;
+  return level;
+}
+
+// Apply a change to a stock level with compare-and-swap: the update only lands
+// if on_hand and reserved are still what we read, otherwise we re-read and retry.
+// Concurrent reservations therefore can never take more than is available.
+async function changeLevel(db, level, { onHand = 0, reserved = 0 }, { allowNegative = false } = {}) {
+  let current = level;
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const next = {
+      on_hand: current.on_hand + onHand,
+      reserved: current.reserved + reserved
+    };
+
+    if (!allowNegative && (next.on_hand < 0 || next.reserved < 0 || next.on_hand < next.reserved)) {
+      throw stockError(`Insufficient stock for ${current.sku} (${available(current)} available)`);
+    }
+
+    const { data, error } = await db
+      .from('inventory_levels')
+      .update({ ...next, updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .eq('on_hand', current.on_hand)
+      .eq('reserved', current.reserved)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data) return data;
+
+    const { data: fresh, error: readError } = await db
+      .from('inventory_levels')
+      .select('*')
+      .eq('id', current.id)
+      .single();
+
+    if (readError) throw readError;
+    current = fresh;
+  }
+
+  throw stockError(`Stock for ${level.sku} is changing too quickly, please retry`);
+}
+
+// Helper function to write a movement to the ledger
+async function recordMovement(req, level, { type, onHand = 0, reserved = 0, reason = null, orderId = null }) {
+  const { error } = await req.db
+    .from('inventory_movements')
+    .insert([{
+      tenant_id: level.tenant_id,
+      store_id: level.store_id,
+      product_id: level.product_id,
+      sku: level.sku,
+      type,
+      on_hand_change: onHand,
+      reserved_change: reserved,
+      on_hand_after: level.on_hand,
+      reserved_after: level.reserved,
+      reason,
+      order_id: orderId,
+      created_by: req.user.id,
+      created_at: new Date().toISOString()
+    }]);
+
+  if (error) throw error;
+}
+
+// Manually adjust the stock on hand. Returns { level } or { error }.
+const adjustStock = (req, { storeId, productId, sku, quantity, reason, note }) => withStockErrors(async () => {
+  const level = await ensureLevel(req.db, { tenantId: req.tenantId, storeId, productId, sku });
+  const updated = await changeLevel(req.db, level, { onHand: quantity });
+
+  await recordMovement(req, updated, {
+    type: 'adjustment',
+    onHand: quantity,
+    reason: note ? `${reason}: ${note}` : reason
+  });
+
+  return { level: updated };
+});
+
+// Helper function to total line quantities per SKU for products that track stock
+async function trackedQuantities(db, tenantId, lines) {
+  const productIds = [...new Set(lines.map(line => line.product_id))];
+  if (productIds.length === 0) return [];
+
+  const { data: products, error } = await db
+    .from('products')
+    .select('id, track_inventory')
+    .eq('tenant_id', tenantId)
+    .in('id', productIds);
+
+  if (error) throw error;
+
+  const untracked = new Set(products.filter(p => p.track_inventory === false).map(p => p.id));
+  const totals = new Map();
+
+  lines.forEach(line => {
+    if (untracked.has(line.product_id)) return;
+
+    const entry = totals.get(line.sku) || { sku: line.sku, productId: line.product_id, quantity: 0 };
+    entry.quantity += line.quantity;
+    totals.set(line.sku, entry);
+  });
+
+  return [...totals.values()];
+}
+
+// Difference between two sets of order lines, per SKU
+async function quantityChanges(db, tenantId, fromLines, toLines) {
+  const before = await trackedQuantities(db, tenantId, fromLines || []);
+  const after = await trackedQuantities(db, tenantId, toLines || []);
+  const changes = new Map();
+
+  before.forEach(entry => changes.set(entry.sku, { ...entry, quantity: -entry.quantity }));
+  after.forEach(entry => {
+    const change = changes.get(entry.sku);
+    changes.set(entry.sku, { ...entry, quantity: entry.quantity + (change ? change.quantity : 0) });
+  });
+
+  return [...changes.values()].filter(entry => entry.quantity !== 0);
+}
+
+// Apply one movement type to every SKU of an order. If any SKU fails, the
+// ones already applied are reversed before the error is rethrown.
+async function applyToOrder(req, order, entries, { type, onHand, reserved, reason }) {
+  const applied = [];
+
+  try {
+    for (const entry of entries) {
+      const level = await ensureLevel(req.db, {
+        tenantId: order.tenant_id,
+        storeId: order.store_id,
+        productId: entry.productId,
+        sku: entry.sku
+      });
+      const change = { onHand: onHand * entry.quantity, reserved: reserved * entry.quantity };
+      const updated = await changeLevel(req.db, level, change);
+
+      applied.push({ level: updated, change });
+      await recordMovement(req, updated, { type, ...change, reason, orderId: order.id });
+    }
+  } catch (error) {
+    for (const { level, change } of applied.reverse()) {
+      const reverted = await changeLevel(req.db, level, { onHand: -change.onHand, reserved: -change.reserved }, { allowNegative: true });
+      await recordMovement(req, reverted, {
+        type: 'reversal',
+        onHand: -change.onHand,
+        reserved: -change.reserved,
+        reason: `Reverted ${type}`,
+        orderId: order.id
+      });
+    }
+    throw error;
+  }
+}
+
+// Hold stock for a new order. Returns {} or { error } when stock is short.
+const reserveForOrder = (req, order) => withStockErrors(async () => {
+  const entries = await trackedQuantities(req.db, order.tenant_id, order.items);
+  await applyToOrder(req, order, entries, { type: 'reservation', onHand: 0, reserved: 1, reason: 'Order created' });
+});
+
+// Reserve or release the difference when an order's lines change
+const updateReservation = (req, order, newLines) => withStockErrors(async () => {
+  const changes = await quantityChanges(req.db, order.tenant_id, order.items, newLines);
+  const increases = changes.filter(entry => entry.quantity > 0);
+  const decreases = changes
+    .filter(entry => entry.quantity < 0)
+    .map(entry => ({ ...entry, quantity: -entry.quantity }));
+
+  await applyToOrder(req, order, increases, { type: 'reservation', onHand: 0, reserved: 1, reason: 'Order updated' });
+  await applyToOrder(req, order, decreases, { type: 'release', onHand: 0, reserved: -1, reason: 'Order updated' });
+});
+
+// Stock leaves the warehouse: drop it from both on hand and reserved
+const commitForOrder = (req, order) => withStockErrors(async () => {
+  const entries = await trackedQuantities(req.db, order.tenant_id, order.items);
+  await applyToOrder(req, order, entries, { type: 'commit', onHand: -1, reserved: -1, reason: 'Order shipped' });
+});
+
+const releaseForOrder = (req, order, reason) => withStockErrors(async () => {
+  const entries = await trackedQuantities(req.db, order.tenant_id, order.items);
+  await applyToOrder(req, order, entries, { type: 'release', onHand: 0, reserved: -1, reason });
+});
+
+// Shipped goods coming back go back on the shelf: the whole order, or only
+// the lines of a return
+const restockForOrder = (req, order, reason, lines = order.items) => withStockErrors(async () => {
+  const entries = await trackedQuantities(req.db, order.tenant_id, lines);
+  await applyToOrder(req, order, entries, { type: 'restock', onHand: 1, reserved: 0, reason });
+});
+
+// Move an order's stock along with its status. Orders created before stock
+// tracking have no inventory_status and are left alone.
+const syncOrderInventory = async (req, order, status) => {
+  let result = null;
+  let next = null;
+
+  if (status === 'shipped' && order.inventory_status === 'reserved') {
+    result = await commitForOrder(req, order);
+    next = 'committed';
+  } else if (['cancelled', 'refused', 'returned'].includes(status)) {
+    if (order.inventory_status === 'reserved') {
+      result = await releaseForOrder(req, order, `Order ${status}`);
+      next = 'released';
+    } else if (order.inventory_status === 'committed') {
+      result = await restockForOrder(req, order, `Order ${status}`);
+      next = 'released';
+    }
+  }
+
+  if (!next) return {};
+  if (result.error) return result;
+
+  const { error } = await req.db
+    .from('orders')
+    .update({ inventory_status: next })
+    .eq('id', order.id)
+    .eq('tenant_id', order.tenant_id);
+
+  if (error) throw error;
+  return { inventory_status: next };
+};
+
+module.exports = {
+  ADJUSTMENT_REASONS,
+  available,
+  isLowStock,
+  adjustStock,
+  reserveForOrder,
+  updateReservation,
+  releaseForOrder,
+  restockForOrder,
+  syncOrderInventory
+};
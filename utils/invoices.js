@@ -0,0 +1,132 @@
+// utils/invoices.js
+const { recordAudit } = require('./audit');
+const { takeNumber } = require('./orderNumbers');
+const { formatAddress } = require('./orderDocuments');
+
+const LOOKUP_BATCH_SIZE = 100;
+
+const DEFAULT_INVOICE_SEQUENCE = { prefix: 'INV-', padding: 6, next_value: 1 };
+
+// Orders that haven't been confirmed, or never will be, get no invoice
+const UNINVOICEABLE_STATUSES = ['pending', 'cancelled'];
+
+// Helper function to load the tenant's invoice sequence
+async function getInvoiceSequence(db, tenantId) {
+  const { data, error } = await db
+    .from('invoice_sequences')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Load the tenant's invoice sequence, creating it with the defaults and
+// tolerating a concurrent insert
+const ensureInvoiceSequence = async (db, tenantId) => {
+  const existing = await getInvoiceSequence(db, tenantId);
+  if (existing) return existing;
+
+  const { data, error } = await db
+    .from('invoice_sequences')
+    .insert([{ ...DEFAULT_INVOICE_SEQUENCE, tenant_id: tenantId, created_at: new Date().toISOString() }])
+    .select()
+    .single();
+
+  if (!error) return data;
+
+  // Lost the race to the unique tenant_id constraint
+  const sequence = await getInvoiceSequence(db, tenantId);
+  if (!sequence) throw error;
+  return sequence;
+};
+
+// The seller and buyer details printed on an invoice. Orders are loaded with
+// stores(*) and customers(name, phones, addresses).
+const partiesOf = (order) => ({
+  store: order.stores
+    ? { name: order.stores.name, address: order.stores.address, phone: order.stores.phone, email: order.stores.email }
+    : { name: '' },
+  customer: {
+    name: order.customers ? order.customers.name : order.client,
+    phone: order.customers && order.customers.phones ? order.customers.phones[0] || null : null,
+    address: order.customers && order.customers.addresses ? formatAddress(order.customers.addresses[0]) : ''
+  }
+});
+
+// Load the invoices of the given orders, keyed by order ID. IDs are sent in
+// the query string, so they are looked up a few at a time.
+const loadInvoices = async (db, tenantId, orderIds) => {
+  const invoices = new Map();
+
+  for (let i = 0; i < orderIds.length; i += LOOKUP_BATCH_SIZE) {
+    const { data, error } = await db
+      .from('invoices')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .in('order_id', orderIds.slice(i, i + LOOKUP_BATCH_SIZE));
+
+    if (error) throw error;
+    data.forEach(invoice => invoices.set(invoice.order_id, invoice));
+  }
+
+  return invoices;
+};
+
+// Issue an order's invoice, or return the one it already has. The invoice
+// keeps a snapshot of the order so it prints the same however the order
+// changes later. A number taken by a request that loses the race to issue
+// the same invoice is skipped, leaving a gap.
+const issueInvoice = async (req, order) => {
+  const existing = (await loadInvoices(req.db, req.tenantId, [order.id])).get(order.id);
+  if (existing) return existing;
+
+  const sequence = await ensureInvoiceSequence(req.db, req.tenantId);
+  const invoiceNumber = await takeNumber(req.db, 'invoice_sequences', sequence);
+  const { store, customer } = partiesOf(order);
+
+  const { data, error } = await req.db
+    .from('invoices')
+    .insert([{
+      tenant_id: req.tenantId,
+      order_id: order.id,
+      store_id: order.store_id,
+      invoice_number: invoiceNumber,
+      total: order.total,
+      snapshot: {
+        order_number: order.order_id,
+        store,
+        customer,
+        items: order.items || [],
+        subtotal: order.subtotal,
+        discount_total: order.discount_total,
+        shipping_total: order.shipping_total,
+        total: order.total
+      },
+      issued_by: req.user.id,
+      issued_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error && error.code === '23505') {
+    const raced = (await loadInvoices(req.db, req.tenantId, [order.id])).get(order.id);
+    if (raced) return raced;
+  }
+
+  if (error) throw error;
+
+  await recordAudit(req, { action: 'create', resource: 'invoices', resourceId: data.id, after: data });
+
+  return data;
+};
+
+module.exports = {
+  DEFAULT_INVOICE_SEQUENCE,
+  UNINVOICEABLE_STATUSES,
+  ensureInvoiceSequence,
+  partiesOf,
+  loadInvoices,
+  issueInvoice
+};
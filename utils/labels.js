@@ -0,0 +1,255 @@
+// utils/labels.js
+const { wrapText } = require('./pdf');
+const { partiesOf } = require('./invoices');
+const { QUIET_ZONE, encodeCode128, barcodeModules } = require('./barcodes');
+
+const LABEL_FORMATS = ['pdf', 'zpl'];
+
+// Label stock in millimetres: the common 4x6 inch courier label, a square
+// label and A6
+const LABEL_SIZES = {
+  '100x150': { width: 100, height: 150 },
+  '100x100': { width: 100, height: 100 },
+  a6: { width: 105, height: 148 }
+};
+
+// What the barcode carries. Orders without a tracking number fall back to
+// the order number.
+const BARCODE_SOURCES = ['tracking_number', 'order_number'];
+
+const DEFAULT_LABEL_TEMPLATE = {
+  size: '100x150',
+  barcode_source: 'tracking_number',
+  show_phone: true,
+  show_items: true,
+  currency: null,
+  instructions: null
+};
+
+const MAX_INSTRUCTIONS = 200;
+
+const POINTS_PER_MM = 72 / 25.4;
+
+// Thermal printers print at 203 dpi, 8 dots per millimetre
+const DOTS_PER_MM = 8;
+
+const MARGIN = 3;
+
+// Check label template changes. Returns an error message or null.
+const validateLabelTemplate = ({ size, barcode_source, show_phone, show_items, currency, instructions }) => {
+  if (size !== undefined && !LABEL_SIZES[size]) {
+    return `Size must be one of: ${Object.keys(LABEL_SIZES).join(', ')}`;
+  }
+
+  if (barcode_source !== undefined && !BARCODE_SOURCES.includes(barcode_source)) {
+    return `Barcode source must be one of: ${BARCODE_SOURCES.join(', ')}`;
+  }
+
+  if ((show_phone !== undefined && typeof show_phone !== 'boolean') ||
+      (show_items !== undefined && typeof show_items !== 'boolean')) {
+    return 'show_phone and show_items must be true or false';
+  }
+
+  if (currency !== undefined && currency !== null && (typeof currency !== 'string' || currency.length > 10)) {
+    return 'Currency must be at most 10 characters';
+  }
+
+  if (instructions !== undefined && instructions !== null &&
+      (typeof instructions !== 'string' || instructions.length > MAX_INSTRUCTIONS)) {
+    return `Instructions must be text of at most ${MAX_INSTRUCTIONS} characters`;
+  }
+
+  return null;
+};
+
+// The value a label's barcode encodes
+const barcodeValue = (order, template) =>
+  (template.barcode_source === 'tracking_number' && order.tracking_number) || order.order_id;
+
+// Everything printed on a label. Orders are loaded with stores(*),
+// customers(name, phones, addresses) and delivery_companies(*).
+function labelContent(order, template) {
+  const { store, customer } = partiesOf(order);
+  const amount = (Number(order.total) || 0).toFixed(2);
+
+  return {
+    company: order.delivery_companies ? order.delivery_companies.name : '',
+    store,
+    customer,
+    cod: template.currency ? `${amount} ${template.currency}` : amount,
+    date: new Date(order.created_at).toISOString().split('T')[0],
+    items: (order.items || []).map(item => `${item.quantity} x ${item.sku}`).join(', '),
+    itemCount: (order.items || []).reduce((sum, item) => sum + item.quantity, 0),
+    barcode: barcodeValue(order, template)
+  };
+}
+
+// Helper function to draw wrapped text, returning the top of the next line
+function drawText(page, text, x, top, width, options = {}) {
+  const size = options.size || 9;
+  const lines = wrapText(text || '', size, width, options.font).slice(0, options.maxLines ?? 3);
+  let y = top;
+
+  lines.forEach(line => {
+    page.text(line, x, y + size, options);
+    y += size * 1.25;
+  });
+
+  return y;
+}
+
+// Render one label onto its own page of the template's size
+const renderLabel = (pdf, { order, template, logo }) => {
+  const size = LABEL_SIZES[template.size] || LABEL_SIZES[DEFAULT_LABEL_TEMPLATE.size];
+  const page = pdf.addPage({ width: size.width * POINTS_PER_MM, height: size.height * POINTS_PER_MM });
+  const content = labelContent(order, template);
+  const margin = MARGIN * POINTS_PER_MM;
+  const width = page.width - margin * 2;
+  const right = page.width - margin;
+  const rule = (top) => page.line(margin, top, right, top, { width: 1 });
+
+  // The barcode sits at the bottom, as wide as the label allows
+  const barHeight = size.height >= 140 ? 60 : 40;
+  const barTop = page.height - margin - 14 - barHeight;
+
+  // Delivery company branding, with the order reference beside it
+  let top = margin;
+  const headerHeight = 34;
+
+  if (logo) {
+    const image = pdf.imageSize(logo);
+    const scale = Math.min((width / 2) / image.width, headerHeight / image.height);
+    page.image(logo, margin, top, image.width * scale, image.height * scale);
+  } else {
+    drawText(page, content.company, margin, top + 4, width / 2, { size: 14, font: 'bold', maxLines: 2 });
+  }
+
+  page.text(order.order_id, right - width / 2, top + 12, { size: 9, font: 'bold', align: 'right', width: width / 2 });
+  page.text(content.date, right - width / 2, top + 24, { size: 8, align: 'right', width: width / 2 });
+
+  top += headerHeight + 4;
+  rule(top);
+
+  top = drawText(page, 'FROM', margin, top + 3, width, { size: 7, font: 'bold', color: 0.4 });
+  top = drawText(page, content.store.name, margin, top, width, { size: 9, font: 'bold', maxLines: 1 });
+  top = drawText(page, [content.store.phone, content.store.address].filter(Boolean).join(' - '), margin, top, width,
+    { size: 8, maxLines: 2 });
+
+  rule(top + 3);
+
+  top = drawText(page, 'TO', margin, top + 6, width, { size: 7, font: 'bold', color: 0.4 });
+  top = drawText(page, content.customer.name, margin, top, width, { size: 13, font: 'bold', maxLines: 2 });
+  if (template.show_phone && content.customer.phone) {
+    top = drawText(page, content.customer.phone, margin, top, width, { size: 12, font: 'bold', maxLines: 1 });
+  }
+  top = drawText(page, content.customer.address, margin, top, width, { size: 10, maxLines: 4 });
+
+  rule(top + 3);
+
+  // The amount to collect, in a box the courier can't miss
+  top += 7;
+  page.rect(margin, top, width, 30, { fill: 0.9 });
+  page.text('COD', margin + 6, top + 20, { size: 10, font: 'bold' });
+  page.text(content.cod, margin, top + 22, { size: 18, font: 'bold', align: 'right', width: width - 6 });
+  top += 36;
+
+  // Items and instructions get whatever room is left above the barcode
+  const room = () => Math.max(Math.min(Math.floor((barTop - 4 - top) / 10), 3), 0);
+
+  if (template.show_items) {
+    top = drawText(page, `Items (${content.itemCount}): ${content.items}`, margin, top, width, { size: 8, maxLines: room() });
+  }
+
+  if (template.instructions) {
+    top = drawText(page, template.instructions, margin, top + 2, width, { size: 8, font: 'bold', maxLines: room() });
+  }
+
+  const { widths } = encodeCode128(content.barcode);
+  const module = width / barcodeModules(widths);
+  let x = margin + QUIET_ZONE * module;
+
+  widths.forEach((modules, index) => {
+    if (index % 2 === 0) page.rect(x, barTop, modules * module, barHeight, { fill: 0 });
+    x += modules * module;
+  });
+
+  page.text(content.barcode, margin, page.height - margin - 3, { size: 10, font: 'bold', align: 'center', width });
+};
+
+// Field data is sent hex-escaped (^FH), so ZPL control characters in order
+// data can't end the field early
+const zplText = (value) => String(value || '')
+  .replace(/\s+/g, ' ')
+  .replace(/[_^~\\]/g, char => `_${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Render one label as ZPL for thermal printers. The printer draws the
+// barcode itself; logos aren't sent, so the company name is printed instead.
+const renderLabelZpl = ({ order, template }) => {
+  const size = LABEL_SIZES[template.size] || LABEL_SIZES[DEFAULT_LABEL_TEMPLATE.size];
+  const content = labelContent(order, template);
+  const dots = (mm) => Math.round(mm * DOTS_PER_MM);
+  const margin = dots(MARGIN);
+  const width = dots(size.width) - margin * 2;
+  const height = dots(size.height);
+  const lines = ['^XA', '^CI28', `^PW${dots(size.width)}`, `^LL${height}`];
+  let top = margin;
+
+  const text = (value, fontSize, { maxLines = 1, bold = false, align = 'L' } = {}) => {
+    lines.push(
+      `^FO${margin},${top}^A0N,${fontSize},${bold ? Math.round(fontSize * 1.1) : fontSize}` +
+      `^FB${width},${maxLines},0,${align}^FH_^FD${zplText(value)}^FS`
+    );
+    top += Math.round(fontSize * 1.15) * maxLines;
+  };
+
+  const rule = () => {
+    lines.push(`^FO${margin},${top}^GB${width},0,3^FS`);
+    top += 10;
+  };
+
+  text(content.company, 40, { bold: true });
+  text(`${order.order_id}  ${content.date}`, 24);
+  rule();
+
+  text('FROM', 18, { bold: true });
+  text(content.store.name, 24, { bold: true });
+  text([content.store.phone, content.store.address].filter(Boolean).join(' - '), 20, { maxLines: 2 });
+  rule();
+
+  text('TO', 18, { bold: true });
+  text(content.customer.name, 36, { bold: true, maxLines: 2 });
+  if (template.show_phone && content.customer.phone) text(content.customer.phone, 32, { bold: true });
+  text(content.customer.address, 26, { maxLines: 4 });
+  rule();
+
+  lines.push(`^FO${margin},${top}^GB${width},70,70,B,0^FS`);
+  lines.push(`^FO${margin + 12},${top + 18}^A0N,40,40^FR^FB${width - 24},1,0,L^FDCOD^FS`);
+  lines.push(`^FO${margin + 12},${top + 14}^A0N,48,48^FR^FB${width - 24},1,0,R^FH_^FD${zplText(content.cod)}^FS`);
+  top += 80;
+
+  if (template.show_items) text(`Items (${content.itemCount}): ${content.items}`, 20, { maxLines: 3 });
+  if (template.instructions) text(template.instructions, 20, { bold: true, maxLines: 3 });
+
+  // Code 128 in automatic mode, with the value printed underneath
+  const { widths } = encodeCode128(content.barcode);
+  const module = Math.max(1, Math.min(4, Math.floor(width / barcodeModules(widths))));
+  const barHeight = 120;
+  const barLeft = margin + Math.max(Math.floor((width - barcodeModules(widths) * module) / 2), 0);
+
+  lines.push(`^BY${module},3,${barHeight}`);
+  lines.push(`^FO${barLeft},${height - margin - barHeight - 40}^BCN,${barHeight},Y,N,N,A^FH_^FD${zplText(content.barcode)}^FS`);
+  lines.push('^XZ');
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  LABEL_FORMATS,
+  LABEL_SIZES,
+  BARCODE_SOURCES,
+  DEFAULT_LABEL_TEMPLATE,
+  validateLabelTemplate,
+  barcodeValue,
+  renderLabel,
+  renderLabelZpl
+};
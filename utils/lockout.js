@@ -0,0 +1,62 @@
+// utils/lockout.js
+const { getStore } = require('./rateLimitStore');
+const { lockout } = require('../config/rateLimits');
+
+const PREFIX = 'lockout:';
+
+const normalize = (email) => String(email).trim().toLowerCase();
+const keyFor = (email) => `${PREFIX}${normalize(email)}`;
+
+// Records hold the failure count and the time of the last failure. The lock
+// follows from those, so counting a failure is a single atomic increment:
+// from the threshold on, each failure locks the account for progressively
+// longer.
+function lockedUntil(record) {
+  if (record.count < lockout.threshold) return null;
+
+  const duration = Math.min(lockout.baseMs * 2 ** (record.count - lockout.threshold), lockout.maxMs);
+  return record.last_failure_at + duration;
+}
+
+// Helper function to shape a stored record for API responses
+function format(record) {
+  const until = lockedUntil(record);
+
+  return {
+    email: record.email,
+    failures: record.count,
+    locked: !!until && until > Date.now(),
+    locked_until: until ? new Date(until).toISOString() : null,
+    last_failure_at: new Date(record.last_failure_at).toISOString()
+  };
+}
+
+// Returns the active lockout for an account, or null
+const getLockout = async (email) => {
+  const record = await getStore().get(keyFor(email));
+  const until = record && lockedUntil(record);
+  if (!until || until <= Date.now()) return null;
+  return { ...record, locked_until: until };
+};
+
+// Count a failed sign-in. Failures are forgotten resetMs after the last one,
+// but never while the account is still locked.
+const recordFailedSignin = async (email) => {
+  const record = await getStore().increment(keyFor(email), Math.max(lockout.resetMs, lockout.maxMs), {
+    fields: { email: normalize(email), last_failure_at: Date.now() },
+    extend: true
+  });
+
+  return { ...record, locked_until: lockedUntil(record) };
+};
+
+const clearLockout = async (email) => {
+  await getStore().delete(keyFor(email));
+};
+
+const listLockouts = async () => {
+  const records = await getStore().list(PREFIX);
+  return records.map(format);
+};
+
+module.exports = { getLockout, recordFailedSignin, clearLockout, listLockouts, format };
@@ -0,0 +1,210 @@
+// utils/offboarding.js
+const { supabaseAdmin } = require('../config/supabase');
+const { toCsvRow } = require('./csv');
+const { createZipStream } = require('./zip');
+
+const PURGE_GRACE_DAYS = parseInt(process.env.TENANT_PURGE_GRACE_DAYS) || 30;
+const PAGE_SIZE = 1000;
+
+// Every table holding tenant data, in the order the purge deletes them
+// (rows referencing other tenant rows come first)
+const TENANT_TABLES = [
+  'chatbot_sessions',
+  'campaigns',
+  'audiences',
+  'order_filter_presets',
+  'order_import_rows',
+  'order_imports',
+  'confirmation_calls',
+  'confirmation_tasks',
+  'confirmation_settings',
+  'order_refunds',
+  'order_returns',
+  'cod_remittance_lines',
+  'cod_remittances',
+  'invoices',
+  'invoice_sequences',
+  'order_status_history',
+  'orders',
+  'order_sequences',
+  'customers',
+  'inventory_movements',
+  'inventory_levels',
+  'products',
+  'store_document_templates',
+  'stores',
+  'delivery_label_templates',
+  'delivery_companies',
+  'tenant_invitations',
+  'api_keys',
+  'idempotency_keys',
+  'impersonation_events',
+  'tenant_roles',
+  'audit_logs'
+];
+
+// Secrets that never leave the database, even in an export
+const EXCLUDED_FIELDS = {
+  tenant_invitations: ['token_hash'],
+  api_keys: ['key_hash']
+};
+
+const MEMBER_FIELDS = 'id, email, full_name, role, created_at';
+
+const purgeAfter = (from = new Date()) => {
+  const date = new Date(from);
+  date.setDate(date.getDate() + PURGE_GRACE_DAYS);
+  return date;
+};
+
+// Helper function to read a tenant-scoped table page by page, passing each
+// page to onPage
+async function forEachPage(table, tenantId, fields, onPage) {
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabaseAdmin
+      .from(table)
+      .select(fields)
+      .eq('tenant_id', tenantId)
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    if (data.length > 0) await onPage(data);
+    if (data.length < PAGE_SIZE) return;
+  }
+}
+
+const stripFields = (table, rows) => {
+  const excluded = EXCLUDED_FIELDS[table];
+  if (!excluded) return rows;
+
+  return rows.map(row => {
+    const copy = { ...row };
+    excluded.forEach(field => delete copy[field]);
+    return copy;
+  });
+};
+
+// Helper function to write one table as a JSON and a CSV entry. Each file is
+// streamed a page at a time, so the table is read twice. Returns the row count.
+async function writeTable(zip, name, table, tenantId, fields = '*') {
+  const json = await zip.openEntry(`json/${name}.json`);
+  let count = 0;
+
+  await json.write('[');
+  await forEachPage(table, tenantId, fields, rows => {
+    const items = stripFields(table, rows).map(row => `\n  ${JSON.stringify(row, null, 2).replace(/\n/g, '\n  ')}`);
+    const text = (count > 0 ? ',' : '') + items.join(',');
+    count += rows.length;
+    return json.write(text);
+  });
+  await json.write(count > 0 ? '\n]' : ']');
+  await json.end();
+
+  // Every row of a table has the same keys, so the first page gives the header
+  const csv = await zip.openEntry(`csv/${name}.csv`);
+  let columns = null;
+
+  await forEachPage(table, tenantId, fields, rows => {
+    const stripped = stripFields(table, rows);
+    const header = columns ? '' : `${toCsvRow(columns = Object.keys(stripped[0]))}\r\n`;
+    return csv.write(header + stripped.map(row => `${toCsvRow(columns.map(column => row[column]))}\r\n`).join(''));
+  });
+  if (!columns) await csv.write('\r\n');
+  await csv.end();
+
+  return count;
+}
+
+// Stream a zip archive with a JSON and a CSV file per table to output. The
+// manifest comes last, once the row counts are known.
+const exportTenant = async (tenant, output) => {
+  const zip = createZipStream(output);
+  const counts = {};
+
+  counts.members = await writeTable(zip, 'members', 'users', tenant.id, MEMBER_FIELDS);
+
+  for (const table of TENANT_TABLES) {
+    counts[table] = await writeTable(zip, table, table, tenant.id);
+  }
+
+  const manifest = {
+    tenant,
+    exported_at: new Date().toISOString(),
+    tables: counts
+  };
+
+  await zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+  await zip.end();
+};
+
+// Delete every row the tenant owns, then the tenant itself. Members keep
+// their accounts but are detached from the tenant.
+const purgeTenant = async (tenantId) => {
+  const deleted = {};
+
+  for (const table of TENANT_TABLES) {
+    const { count, error } = await supabaseAdmin
+      .from(table)
+      .delete({ count: 'exact' })
+      .eq('tenant_id', tenantId);
+
+    if (error) throw error;
+    deleted[table] = count || 0;
+  }
+
+  // Platform admins keep their role, everyone else drops back to a plain user
+  const { error: membersError } = await supabaseAdmin
+    .from('users')
+    .update({ tenant_id: null, role: 'user', updated_at: new Date().toISOString() })
+    .eq('tenant_id', tenantId)
+    .neq('role', 'admin');
+
+  if (membersError) throw membersError;
+
+  const { error: adminsError } = await supabaseAdmin
+    .from('users')
+    .update({ tenant_id: null, updated_at: new Date().toISOString() })
+    .eq('tenant_id', tenantId);
+
+  if (adminsError) throw adminsError;
+
+  const { error } = await supabaseAdmin
+    .from('tenants')
+    .delete()
+    .eq('id', tenantId);
+
+  if (error) throw error;
+
+  return deleted;
+};
+
+// Purge tenants whose grace period has run out
+const purgeExpiredTenants = async () => {
+  const { data: tenants, error } = await supabaseAdmin
+    .from('tenants')
+    .select('*')
+    .eq('status', 'deleted')
+    .lte('purge_after', new Date().toISOString());
+
+  if (error) throw error;
+
+  const purged = [];
+
+  for (const tenant of tenants) {
+    const deleted = await purgeTenant(tenant.id);
+    purged.push({ tenant, deleted });
+  }
+
+  return purged;
+};
+
+module.exports = {
+  PURGE_GRACE_DAYS,
+  TENANT_TABLES,
+  purgeAfter,
+  exportTenant,
+  purgeTenant,
+  purgeExpiredTenants
+};
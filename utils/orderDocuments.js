@@ -0,0 +1,226 @@
+// utils/orderDocuments.js
+const { wrapText } = require('./pdf');
+
+const MARGIN = 40;
+const LOGO_WIDTH = 140;
+const LOGO_HEIGHT = 60;
+const FOOTER_SIZE = 8;
+const ROW_HEIGHT = 16;
+
+// Document kinds the print endpoints can produce. Labels are drawn by
+// utils/labels.js.
+const DOCUMENT_TYPES = ['invoice', 'packing_slip', 'label'];
+
+const money = (value, currency) => {
+  const amount = (Number(value) || 0).toFixed(2);
+  return currency ? `${amount} ${currency}` : amount;
+};
+
+const formatDate = (value) => new Date(value).toISOString().split('T')[0];
+
+// Addresses are free-form objects, so print their values in the order given
+const formatAddress = (address) => {
+  if (!address) return '';
+  if (typeof address === 'string') return address;
+  return Object.values(address).filter(value => value && typeof value !== 'object').join(', ');
+};
+
+// Helper function to draw wrapped lines, returning the top of the next line
+function drawLines(page, lines, x, top, options = {}) {
+  const size = options.size || 10;
+  let y = top;
+
+  lines.forEach(line => {
+    page.text(line, x, y, options);
+    y += size * 1.3;
+  });
+
+  return y;
+}
+
+// Helper function to draw the footer text along the bottom of a page
+function drawFooter(page, template) {
+  if (!template.footer_text) return;
+
+  const width = page.width - MARGIN * 2;
+  const lines = wrapText(template.footer_text, FOOTER_SIZE, width).slice(0, 4);
+  const top = page.height - MARGIN - (lines.length - 1) * FOOTER_SIZE * 1.3;
+
+  page.line(MARGIN, top - FOOTER_SIZE * 1.5, page.width - MARGIN, top - FOOTER_SIZE * 1.5, { color: 0.7 });
+  drawLines(page, lines, MARGIN, top, { size: FOOTER_SIZE, color: 0.3, align: 'center', width });
+}
+
+// Helper function to start a page with the logo, title and reference lines.
+// Returns the page and the top of the space below the header.
+function startPage(pdf, { title, references, template, logo }) {
+  const page = pdf.addPage();
+  const right = page.width - MARGIN;
+
+  if (logo) {
+    const size = pdf.imageSize(logo);
+    const scale = Math.min(LOGO_WIDTH / size.width, LOGO_HEIGHT / size.height, 1);
+    page.image(logo, MARGIN, MARGIN, size.width * scale, size.height * scale);
+  }
+
+  page.text(title, right - 250, MARGIN + 18, { size: 20, font: 'bold', align: 'right', width: 250 });
+
+  references.forEach(([label, value], index) => {
+    page.text(`${label}: ${value}`, right - 250, MARGIN + 38 + index * 13, { size: 9, align: 'right', width: 250 });
+  });
+
+  drawFooter(page, template);
+
+  return { page, top: MARGIN + Math.max(LOGO_HEIGHT, 38 + references.length * 13) + 20 };
+}
+
+// Helper function to draw the seller and customer blocks side by side
+function drawParties(page, top, { store, template, customer, customerLabel }) {
+  const column = (page.width - MARGIN * 2) / 2;
+
+  page.text('From', MARGIN, top, { size: 9, font: 'bold', color: 0.4 });
+  const seller = [
+    store.name,
+    ...wrapText(store.address || '', 10, column - 20),
+    store.phone,
+    store.email,
+    ...wrapText(template.header_text || '', 9, column - 20)
+  ].filter(Boolean);
+
+  page.text(customerLabel, MARGIN + column, top, { size: 9, font: 'bold', color: 0.4 });
+  const buyer = [
+    customer.name,
+    customer.phone,
+    ...wrapText(customer.address || '', 10, column - 20)
+  ].filter(Boolean);
+
+  page.text(seller[0] || '', MARGIN, top + 15, { font: 'bold' });
+  page.text(buyer[0] || '', MARGIN + column, top + 15, { font: 'bold' });
+
+  const sellerEnd = drawLines(page, seller.slice(1), MARGIN, top + 28);
+  const buyerEnd = drawLines(page, buyer.slice(1), MARGIN + column, top + 28);
+
+  return Math.max(sellerEnd, buyerEnd) + 15;
+}
+
+// Helper function to draw an items table, continuing on new pages as needed.
+// columns are { label, width, align, value(item) }. Returns the page and top
+// below the table.
+function drawTable(start, columns, items, newPage) {
+  let { page, top } = start;
+  const bottom = page.height - MARGIN - 60;
+  const tableWidth = page.width - MARGIN * 2;
+  const fixed = columns.reduce((sum, column) => sum + (column.width || 0), 0);
+
+  const header = () => {
+    page.rect(MARGIN, top, tableWidth, ROW_HEIGHT + 2, { fill: 0.92 });
+    let x = MARGIN + 4;
+    columns.forEach(column => {
+      const width = column.width || tableWidth - fixed;
+      page.text(column.label, x, top + 12, { size: 9, font: 'bold', align: column.align, width: width - 8 });
+      x += width;
+    });
+    top += ROW_HEIGHT + 6;
+  };
+
+  header();
+
+  items.forEach(item => {
+    const flexible = tableWidth - fixed;
+    const cells = columns.map(column => {
+      const width = column.width || flexible;
+      return wrapText(String(column.value(item)), 9, width - 8);
+    });
+    const height = Math.max(...cells.map(lines => lines.length)) * 12 + 4;
+
+    if (top + height > bottom) {
+      ({ page, top } = newPage());
+      header();
+    }
+
+    let x = MARGIN + 4;
+    columns.forEach((column, index) => {
+      const width = column.width || flexible;
+      drawLines(page, cells[index], x, top + 9, { size: 9, align: column.align, width: width - 8 });
+      x += width;
+    });
+
+    top += height;
+    page.line(MARGIN, top - 2, MARGIN + tableWidth, top - 2, { color: 0.85 });
+  });
+
+  return { page, top: top + 10 };
+}
+
+// Render an invoice from the snapshot taken when it was issued
+const renderInvoice = (pdf, { invoice, template, logo }) => {
+  const snapshot = invoice.snapshot;
+  const currency = template.currency;
+  const references = [
+    ['Invoice', invoice.invoice_number],
+    ['Date', formatDate(invoice.issued_at)],
+    ['Order', snapshot.order_number]
+  ];
+
+  const newPage = () => startPage(pdf, { title: 'INVOICE', references, template, logo });
+  let { page, top } = newPage();
+
+  top = drawParties(page, top, {
+    store: snapshot.store,
+    template,
+    customer: snapshot.customer,
+    customerLabel: 'Bill to'
+  });
+
+  ({ page, top } = drawTable({ page, top }, [
+    { label: 'SKU', width: 90, value: item => item.sku },
+    { label: 'Description', value: item => item.name },
+    { label: 'Qty', width: 45, align: 'right', value: item => item.quantity },
+    { label: 'Unit price', width: 85, align: 'right', value: item => money(item.unit_price, currency) },
+    { label: 'Amount', width: 90, align: 'right', value: item => money(item.line_total, currency) }
+  ], snapshot.items, newPage));
+
+  const totals = [
+    ['Subtotal', snapshot.subtotal],
+    ...(Number(snapshot.discount_total) > 0 ? [['Discount', -snapshot.discount_total]] : []),
+    ['Shipping', snapshot.shipping_total]
+  ];
+
+  if (top + (totals.length + 2) * ROW_HEIGHT > page.height - MARGIN - 60) ({ page, top } = newPage());
+
+  const right = page.width - MARGIN;
+
+  totals.forEach(([label, value]) => {
+    page.text(label, right - 240, top, { size: 10 });
+    page.text(money(value, currency), right - 120, top, { size: 10, align: 'right', width: 116 });
+    top += ROW_HEIGHT;
+  });
+
+  page.line(right - 240, top - 10, right, top - 10);
+  page.text('Total', right - 240, top + 4, { size: 12, font: 'bold' });
+  page.text(money(snapshot.total, currency), right - 120, top + 4, { size: 12, font: 'bold', align: 'right', width: 116 });
+};
+
+// Render a packing slip: what to pick and where it goes, without prices
+const renderPackingSlip = (pdf, { order, store, customer, template, logo }) => {
+  const references = [
+    ['Order', order.order_id],
+    ['Date', formatDate(order.created_at)]
+  ];
+
+  const newPage = () => startPage(pdf, { title: 'PACKING SLIP', references, template, logo });
+  let { page, top } = newPage();
+
+  top = drawParties(page, top, { store, template, customer, customerLabel: 'Ship to' });
+
+  ({ page, top } = drawTable({ page, top }, [
+    { label: 'SKU', width: 110, value: item => item.sku },
+    { label: 'Item', value: item => item.name },
+    { label: 'Qty', width: 60, align: 'right', value: item => item.quantity },
+    { label: 'Packed', width: 60, align: 'center', value: () => '[   ]' }
+  ], order.items || [], newPage));
+
+  const count = (order.items || []).reduce((sum, item) => sum + item.quantity, 0);
+  page.text(`Total items: ${count}`, MARGIN, top + 4, { font: 'bold' });
+};
+
+module.exports = { DOCUMENT_TYPES, formatAddress, renderInvoice, renderPackingSlip };
@@ -0,0 +1,103 @@
+// utils/orderExport.js
+const { applySearch } = require('./orderSearch');
+
+const EXPORT_BATCH_SIZE = 500;
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const lineSummary = (items) => (items || [])
+  .map(item => `${item.sku} x${item.quantity}`)
+  .join('; ');
+
+// Columns that can be exported, with how to read each from an order. Item
+// columns read from a single line item, and selecting any of them writes one
+// row per line item instead of one per order.
+const ORDER_COLUMNS = {
+  id: order => order.id,
+  order_id: order => order.order_id,
+  created_at: order => order.created_at,
+  status: order => order.status,
+  customer_id: order => order.customer_id,
+  client: order => order.client,
+  store: order => (order.stores ? order.stores.name : null),
+  delivery_company: order => (order.delivery_companies ? order.delivery_companies.name : null),
+  tracking_number: order => order.tracking_number,
+  items: order => lineSummary(order.items),
+  item_count: order => (order.items || []).reduce((sum, item) => sum + item.quantity, 0),
+  subtotal: order => order.subtotal,
+  discount_total: order => order.discount_total,
+  shipping_total: order => order.shipping_total,
+  total: order => order.total,
+  inventory_status: order => order.inventory_status
+};
+
+const ITEM_COLUMNS = {
+  item_sku: item => item.sku,
+  item_name: item => item.name,
+  item_quantity: item => item.quantity,
+  item_unit_price: item => item.unit_price,
+  item_total: item => item.line_total
+};
+
+const EXPORT_COLUMNS = [...Object.keys(ORDER_COLUMNS), ...Object.keys(ITEM_COLUMNS)];
+
+const DEFAULT_EXPORT_COLUMNS = [
+  'order_id', 'created_at', 'status', 'client', 'store', 'delivery_company', 'items', 'total'
+];
+
+// Parse a comma-separated column list. Returns { columns } or { error }.
+const parseColumns = (value) => {
+  if (!value) return { columns: DEFAULT_EXPORT_COLUMNS };
+
+  const columns = String(value).split(',').map(column => column.trim()).filter(Boolean);
+  const unknown = columns.filter(column => !EXPORT_COLUMNS.includes(column));
+
+  if (columns.length === 0 || unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ') || value}. Columns are: ${EXPORT_COLUMNS.join(', ')}` };
+  }
+
+  return { columns };
+};
+
+// Turn an order into export rows: one row, or one per line item when item
+// columns are selected.
+const toExportRows = (order, columns) => {
+  const value = (column, item) => {
+    if (!ITEM_COLUMNS[column]) return ORDER_COLUMNS[column](order);
+    return item ? ITEM_COLUMNS[column](item) : null;
+  };
+
+  const perItem = columns.some(column => ITEM_COLUMNS[column]);
+  const items = order.items && order.items.length > 0 ? order.items : [null];
+
+  return perItem
+    ? items.map(item => columns.map(column => value(column, item)))
+    : [columns.map(column => value(column))];
+};
+
+// Read every order matching `buildQuery` and the list filters in pages,
+// handing each page to `onBatch`. Pages continue from the last row seen rather
+// than an offset, so orders created mid-export can't shift rows between pages.
+const forEachOrderBatch = async (buildQuery, filters, onBatch) => {
+  let cursor = null;
+
+  for (;;) {
+    const { data, error } = await applySearch(buildQuery(), filters, cursor).limit(EXPORT_BATCH_SIZE);
+
+    if (error) throw error;
+    if (data.length > 0) await onBatch(data);
+    if (data.length < EXPORT_BATCH_SIZE) return;
+
+    const last = data[data.length - 1];
+    cursor = { value: last[filters.sortBy.field], id: last.id };
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  parseColumns,
+  toExportRows,
+  forEachOrderBatch
+};
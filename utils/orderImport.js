@@ -0,0 +1,552 @@
+// utils/orderImport.js
+const crypto = require('crypto');
+const { createUserClient } = require('../config/supabase');
+const { signDbToken } = require('./dbToken');
+const { isSessionActive } = require('./sessions');
+const { isApiKeyActive } = require('./apiKeys');
+const { isImpersonationActive } = require('./impersonation');
+const { checkQuota, lockQuota } = require('./usage');
+const { priceOrder, totalMatches, isAmount } = require('./orderPricing');
+const { createOrder } = require('./orders');
+
+const MAX_IMPORT_ROWS = 5000;
+const PAGE_SIZE = 1000;
+const PROGRESS_EVERY = 25;
+
+// Keys are sent in the query string, so look them up a few at a time
+const KEY_BATCH_SIZE = 100;
+
+// A run that hasn't reported progress for this long is assumed to have died
+// with the server and can be resumed
+const STALE_RUN_MINUTES = 10;
+
+// Order fields a spreadsheet column can be mapped to. Rows sharing a
+// reference are grouped into one order with several lines.
+const IMPORT_FIELDS = ['reference', 'client', 'phone', 'store', 'delivery_company', 'sku', 'quantity', 'discount', 'total'];
+const REQUIRED_FIELDS = ['client', 'store', 'delivery_company', 'sku', 'quantity'];
+
+const normalizeName = (value) => String(value || '').trim().toLowerCase();
+
+// Guess a mapping from header names, e.g. "Delivery Company" -> delivery_company
+const suggestMapping = (headers) => {
+  const mapping = {};
+
+  IMPORT_FIELDS.forEach(field => {
+    const header = headers.find(h => normalizeName(h).replace(/[\s-]+/g, '_') === field);
+    if (header) mapping[field] = header;
+  });
+
+  return mapping;
+};
+
+// Helper function to check a { field: header } mapping. Returns an error message or null.
+const validateMapping = (mapping, headers) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'Mapping must be an object of field to column name';
+  }
+
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      return `Unknown field ${field}; fields are: ${IMPORT_FIELDS.join(', ')}`;
+    }
+    if (!headers.includes(header)) {
+      return `Column ${header} is not in the file`;
+    }
+  }
+
+  const missing = REQUIRED_FIELDS.filter(field => !mapping[field]);
+
+  if (missing.length > 0) {
+    return `Mapping is missing required fields: ${missing.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Helper function to read a discount cell: "10%" is a percentage, "5" a fixed amount
+function parseDiscount(value) {
+  if (!value) return null;
+
+  const text = String(value).replace(',', '.').trim();
+
+  if (text.endsWith('%')) {
+    return { type: 'percentage', value: Number(text.slice(0, -1)) };
+  }
+
+  return { type: 'fixed', value: Number(text) };
+}
+
+// Helper function to stable-hash the content of an order without a reference
+function contentKey(group) {
+  const content = JSON.stringify([
+    normalizeName(group.client),
+    normalizeName(group.store),
+    normalizeName(group.delivery_company),
+    [...group.items].sort((a, b) => a.sku.localeCompare(b.sku)).map(item => [item.sku, item.quantity]),
+    group.discount,
+    group.total
+  ]);
+
+  return `hash:${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+// Turn mapped rows into orders. Rows sharing a reference become one order;
+// rows without one are an order each. Every order carries an import_key so the
+// same order is never imported twice, even from a different file.
+const buildOrders = (rows, mapping) => {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const value = (field) => (mapping[field] ? String(row.data[mapping[field]] || '').trim() : '');
+    const reference = value('reference');
+    const groupId = reference ? `ref:${normalizeName(reference)}` : `row:${row.row_number}`;
+    const errors = [];
+    let group = groups.get(groupId);
+
+    // Order-level columns only need filling on the first row of an order
+    REQUIRED_FIELDS
+      .filter(field => !group || ['sku', 'quantity'].includes(field))
+      .forEach(field => {
+        if (!value(field)) errors.push(`${field} is required`);
+      });
+
+    const quantity = Number(value('quantity'));
+    if (value('quantity') && (!Number.isInteger(quantity) || quantity < 1)) {
+      errors.push('quantity must be a positive whole number');
+    }
+
+    const discount = parseDiscount(value('discount'));
+    if (discount && !isAmount(discount.value)) {
+      errors.push('discount must be an amount or a percentage such as 10%');
+    }
+
+    const total = value('total') ? value('total').replace(',', '.') : null;
+    if (total !== null && !isAmount(total)) {
+      errors.push('total must be a non-negative number');
+    }
+
+    if (!group) {
+      group = {
+        reference: reference || null,
+        client: value('client'),
+        phone: value('phone'),
+        store: value('store'),
+        delivery_company: value('delivery_company'),
+        discount,
+        total,
+        items: [],
+        rows: [],
+        errors: {}
+      };
+      groups.set(groupId, group);
+    } else {
+      ['client', 'store', 'delivery_company'].forEach(field => {
+        if (value(field) && normalizeName(value(field)) !== normalizeName(group[field])) {
+          errors.push(`${field} differs from earlier rows of order ${reference}`);
+        }
+      });
+      if (!group.discount) group.discount = discount;
+      if (group.total === null) group.total = total;
+    }
+
+    group.rows.push(row.row_number);
+    if (errors.length > 0) group.errors[row.row_number] = errors;
+    if (value('sku') && Number.isInteger(quantity) && quantity > 0) {
+      group.items.push({ sku: value('sku'), quantity });
+    }
+  });
+
+  // Identical orders without a reference are numbered, so a file may hold the
+  // same order twice on purpose and a re-upload still maps onto the same keys
+  const seen = new Map();
+
+  return [...groups.values()].map(group => {
+    if (group.reference) return { ...group, import_key: `ref:${normalizeName(group.reference)}` };
+
+    const key = contentKey(group);
+    const occurrence = (seen.get(key) || 0) + 1;
+    seen.set(key, occurrence);
+
+    return { ...group, import_key: occurrence > 1 ? `${key}:${occurrence}` : key };
+  });
+};
+
+// Helper function to add errors for an order to its first row
+function addGroupError(group, message) {
+  const row = group.rows[0];
+  group.errors[row] = [...(group.errors[row] || []), message];
+}
+
+// Helper function to index a tenant's stores or delivery companies by name
+async function loadNames(db, table, tenantId) {
+  const { data, error } = await db
+    .from(table)
+    .select('id, name')
+    .eq('tenant_id', tenantId);
+
+  if (error) throw error;
+
+  const byName = new Map();
+  data.forEach(record => {
+    const key = normalizeName(record.name);
+    byName.set(key, byName.has(key) ? null : record.id);
+  });
+
+  return byName;
+}
+
+// Resolve store and delivery company names to IDs, case-insensitively
+async function resolveNames(ctx, groups) {
+  const stores = await loadNames(ctx.db, 'stores', ctx.tenantId);
+  const deliveryCompanies = await loadNames(ctx.db, 'delivery_companies', ctx.tenantId);
+
+  groups.forEach(group => {
+    [
+      ['store', stores, 'store_id'],
+      ['delivery_company', deliveryCompanies, 'delivery_company_id']
+    ].forEach(([field, byName, idField]) => {
+      if (!group[field]) return;
+
+      const id = byName.get(normalizeName(group[field]));
+
+      if (id) {
+        group[idField] = id;
+      } else {
+        const label = field === 'store' ? 'Store' : 'Delivery company';
+        addGroupError(group, id === null
+          ? `${label} name ${group[field]} matches more than one record`
+          : `${label} ${group[field]} not found`);
+      }
+    });
+  });
+}
+
+// Helper function to find which import keys already have an order
+async function existingKeys(db, tenantId, keys) {
+  const found = new Set();
+
+  for (let i = 0; i < keys.length; i += KEY_BATCH_SIZE) {
+    const { data, error } = await db
+      .from('orders')
+      .select('import_key')
+      .eq('tenant_id', tenantId)
+      .in('import_key', keys.slice(i, i + KEY_BATCH_SIZE));
+
+    if (error) throw error;
+    data.forEach(order => found.add(order.import_key));
+  }
+
+  return found;
+}
+
+// Helper function to price an order without saving it
+async function checkPricing(ctx, group) {
+  const { data: deliveryCompany } = await ctx.db
+    .from('delivery_companies')
+    .select('shipping_fee')
+    .eq('id', group.delivery_company_id)
+    .eq('tenant_id', ctx.tenantId)
+    .maybeSingle();
+
+  const pricing = await priceOrder(ctx.db, {
+    tenantId: ctx.tenantId,
+    storeId: group.store_id,
+    items: group.items,
+    discount: group.discount,
+    shippingFee: deliveryCompany ? deliveryCompany.shipping_fee : 0
+  });
+
+  if (pricing.error) {
+    addGroupError(group, pricing.error);
+  } else if (group.total !== null && !totalMatches(group.total, pricing.total)) {
+    addGroupError(group, `total ${group.total} does not match the computed total of ${pricing.total}`);
+  }
+}
+
+// Helper function to load every row of an import in row order
+async function loadRows(db, importId) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await db
+      .from('order_import_rows')
+      .select('*')
+      .eq('import_id', importId)
+      .order('row_number')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+// Helper function to save row outcomes. Rows are written back whole in
+// batches, so thousands of rows don't mean thousands of requests.
+async function saveRows(db, rows, outcomes) {
+  const changed = rows
+    .filter(row => outcomes.has(row.row_number))
+    .map(row => ({ ...row, ...outcomes.get(row.row_number) }));
+
+  for (let i = 0; i < changed.length; i += PAGE_SIZE) {
+    const { error } = await db
+      .from('order_import_rows')
+      .upsert(changed.slice(i, i + PAGE_SIZE), { onConflict: 'import_id,row_number' });
+
+    if (error) throw error;
+  }
+
+  outcomes.clear();
+}
+
+// Helper function to give every row of an order the same outcome, pointing
+// rows without errors of their own at the row that has them
+function setOutcome(outcomes, group, status, extra = {}) {
+  const hasErrors = Object.keys(group.errors).length > 0;
+
+  group.rows.forEach(rowNumber => {
+    const errors = group.errors[rowNumber] ||
+      (hasErrors ? [`order ${group.reference} has errors on another row`] : null);
+
+    outcomes.set(rowNumber, { status, errors, ...extra });
+  });
+}
+
+// Dry run: check every row and record its errors without creating orders.
+// Returns a report with per-row errors.
+const validateImport = async (ctx, orderImport) => {
+  const rows = await loadRows(ctx.db, orderImport.id);
+  const groups = buildOrders(rows, orderImport.mapping);
+
+  await resolveNames(ctx, groups);
+
+  const duplicates = await existingKeys(ctx.db, ctx.tenantId, groups.map(group => group.import_key));
+  const report = { total_rows: rows.length, orders: 0, valid_rows: 0, invalid_rows: 0, duplicate_rows: 0, errors: [] };
+
+  const outcomes = new Map();
+
+  for (const group of groups) {
+    if (duplicates.has(group.import_key)) {
+      report.duplicate_rows += group.rows.length;
+      setOutcome(outcomes, group, 'duplicate');
+      continue;
+    }
+
+    if (group.store_id && group.delivery_company_id && group.items.length > 0) {
+      await checkPricing(ctx, group);
+    }
+
+    const hasErrors = Object.keys(group.errors).length > 0;
+
+    setOutcome(outcomes, group, hasErrors ? 'invalid' : 'valid');
+
+    if (hasErrors) {
+      report.invalid_rows += group.rows.length;
+      group.rows.forEach(rowNumber => report.errors.push({ row: rowNumber, errors: outcomes.get(rowNumber).errors }));
+    } else {
+      report.valid_rows += group.rows.length;
+      report.orders += 1;
+    }
+  }
+
+  await saveRows(ctx.db, rows, outcomes);
+
+  report.errors.sort((a, b) => a.row - b.row);
+
+  const quotaError = report.orders > 0 ? await checkQuota(ctx.tenant, 'monthly_orders', report.orders) : null;
+  report.quota = quotaError ? quotaError.message : null;
+
+  return report;
+};
+
+// The run outlives the request that started it, so it gets its own database
+// client, re-signed for each batch so the short-lived token never expires
+// mid-run. Signing doesn't depend on the caller still being signed in, so
+// runs check authorityError before each batch and stop once the session, API
+// key or impersonation that started them is gone.
+const jobContext = (req) => {
+  const ctx = {
+    user: req.user,
+    apiKey: req.apiKey,
+    impersonation: req.impersonation,
+    tenant: req.tenant,
+    tenantId: req.tenantId,
+    ip: req.ip,
+    headers: { 'user-agent': req.headers['user-agent'] }
+  };
+
+  const claims = req.apiKey
+    ? { api_key_id: req.apiKey.id, tenant_id: req.apiKey.tenant_id }
+    : req.impersonation ? { impersonator_id: req.impersonation.admin_id } : {};
+  const dbUserId = req.apiKey ? req.apiKey.created_by : req.user.id;
+
+  ctx.refreshDb = () => {
+    ctx.db = createUserClient(signDbToken(dbUserId, claims));
+  };
+  ctx.refreshDb();
+
+  // Returns an error message once the run may no longer act, or null
+  ctx.authorityError = async () => {
+    const active = req.apiKey ? await isApiKeyActive(req.apiKey.id)
+      : req.impersonation ? await isImpersonationActive(req.impersonation.id)
+        : await isSessionActive(req.sessionId, req.user.id);
+
+    return active ? null : 'The session or API key that started the import has ended; run it again to resume';
+  };
+
+  return ctx;
+};
+
+// Helper function to write run counters, which doubles as a heartbeat
+async function saveProgress(ctx, importId, changes) {
+  const { error } = await ctx.db
+    .from('order_imports')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', importId)
+    .eq('tenant_id', ctx.tenantId);
+
+  if (error) throw error;
+}
+
+// Helper function to create one order, treating a lost race on the unique
+// import_key as a duplicate rather than a failure
+async function importOrder(ctx, orderImport, group) {
+  try {
+    return await createOrder(ctx, {
+      client: group.client,
+      client_phone: group.phone || undefined,
+      store_id: group.store_id,
+      delivery_company_id: group.delivery_company_id,
+      items: group.items,
+      discount: group.discount || undefined,
+      total: group.total,
+      import_key: group.import_key,
+      import_id: orderImport.id
+    });
+  } catch (error) {
+    if (error.code === '23505') return { duplicate: true };
+    throw error;
+  }
+}
+
+// Create the orders of an import. Rows already imported by an earlier,
+// interrupted run are counted but not touched again, and orders whose
+// import_key already exists are skipped as duplicates.
+const runImport = async (ctx, orderImport) => {
+  const progress = { processed_rows: 0, imported_orders: 0, failed_rows: 0, skipped_rows: 0 };
+  const outcomes = new Map();
+  let rows = [];
+
+  // Helper function to persist row outcomes and counters together
+  const flush = async (changes = {}) => {
+    ctx.refreshDb();
+    await saveRows(ctx.db, rows, outcomes);
+    await saveProgress(ctx, orderImport.id, { ...progress, ...changes });
+  };
+
+  try {
+    rows = await loadRows(ctx.db, orderImport.id);
+
+    const imported = new Set(rows.filter(row => row.status === 'imported').map(row => row.row_number));
+    const groups = buildOrders(rows, orderImport.mapping);
+
+    await resolveNames(ctx, groups);
+
+    for (const [index, group] of groups.entries()) {
+      if (index % PROGRESS_EVERY === 0) {
+        if (index > 0) await flush();
+
+        const authorityError = await ctx.authorityError();
+
+        if (authorityError) {
+          await flush({ status: 'failed', error: authorityError, completed_at: new Date().toISOString() });
+          return;
+        }
+      }
+
+      if (group.rows.every(rowNumber => imported.has(rowNumber))) {
+        progress.processed_rows += group.rows.length;
+        progress.imported_orders += 1;
+        continue;
+      }
+
+      if (Object.keys(group.errors).length > 0) {
+        setOutcome(outcomes, group, 'failed');
+        progress.processed_rows += group.rows.length;
+        progress.failed_rows += group.rows.length;
+        continue;
+      }
+
+      const duplicates = await existingKeys(ctx.db, ctx.tenantId, [group.import_key]);
+      let result = { duplicate: true };
+
+      if (duplicates.size === 0) {
+        // Locked like orders created through the API, so they can't overrun the quota together
+        const release = await lockQuota(ctx.tenantId, 'monthly_orders');
+        if (!release) throw new Error('Monthly orders quota stayed locked');
+
+        try {
+          // Rows after a quota stop stay as they are so the run can resume after an upgrade
+          const quotaError = await checkQuota(ctx.tenant, 'monthly_orders');
+
+          if (quotaError) {
+            await flush({ status: 'failed', error: quotaError.message, completed_at: new Date().toISOString() });
+            return;
+          }
+
+          result = await importOrder(ctx, orderImport, group);
+        } finally {
+          await release();
+        }
+      }
+
+      if (result.duplicate) {
+        setOutcome(outcomes, group, 'duplicate');
+        progress.skipped_rows += group.rows.length;
+      } else if (result.error) {
+        group.errors[group.rows[0]] = [result.error.message];
+        setOutcome(outcomes, group, 'failed');
+        progress.failed_rows += group.rows.length;
+      } else {
+        setOutcome(outcomes, group, 'imported', { order_id: result.order.id });
+        progress.imported_orders += 1;
+      }
+
+      progress.processed_rows += group.rows.length;
+    }
+
+    await flush({ status: 'completed', error: null, completed_at: new Date().toISOString() });
+  } catch (error) {
+    console.error('Order import run error:', error);
+
+    await flush({
+      status: 'failed',
+      error: 'Import stopped unexpectedly, run it again to resume',
+      completed_at: new Date().toISOString()
+    }).catch(saveError => console.error('Order import progress error:', saveError));
+  }
+};
+
+// An import can be run when it hasn't started, or when an earlier run
+// stopped or died without finishing
+const canRun = (orderImport) => {
+  if (['uploaded', 'validated', 'failed'].includes(orderImport.status)) return true;
+  if (orderImport.status !== 'processing') return false;
+
+  const lastSeen = new Date(orderImport.updated_at || orderImport.started_at).getTime();
+  return Date.now() - lastSeen > STALE_RUN_MINUTES * 60 * 1000;
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  REQUIRED_FIELDS,
+  MAX_IMPORT_ROWS,
+  suggestMapping,
+  validateMapping,
+  buildOrders,
+  validateImport,
+  jobContext,
+  runImport,
+  canRun
+};
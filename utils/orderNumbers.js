@@ -0,0 +1,102 @@
+// utils/orderNumbers.js
+
+const MAX_ATTEMPTS = 10;
+
+// Every tenant starts from the same default, so order numbers are only
+// unique within a tenant: orders carries unique (tenant_id, order_id), and
+// lookups by order number must always be scoped to the tenant.
+const DEFAULT_SEQUENCE = { prefix: 'ORD-', padding: 6, next_value: 1 };
+
+// Helper function to check sequence settings. Returns an error message or null.
+const validateSequence = ({ prefix, padding, next_value }) => {
+  if (prefix !== undefined && (typeof prefix !== 'string' || !/^[A-Za-z0-9_\-/#.]{0,20}$/.test(prefix))) {
+    return 'Prefix must be up to 20 letters, digits or - _ / # . characters';
+  }
+
+  if (padding !== undefined && (!Number.isInteger(padding) || padding < 0 || padding > 12)) {
+    return 'Padding must be a whole number from 0 to 12';
+  }
+
+  if (next_value !== undefined && (!Number.isInteger(next_value) || next_value < 1)) {
+    return 'Next value must be a positive whole number';
+  }
+
+  return null;
+};
+
+const formatOrderNumber = (sequence, value) =>
+  `${sequence.prefix}${String(value).padStart(sequence.padding, '0')}`;
+
+// Helper function to load a sequence; a null store is the tenant default
+async function getSequence(db, tenantId, storeId) {
+  let query = db
+    .from('order_sequences')
+    .select('*')
+    .eq('tenant_id', tenantId);
+
+  query = storeId ? query.eq('store_id', storeId) : query.is('store_id', null);
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Helper function to create the tenant's default sequence, tolerating a concurrent insert
+async function ensureDefaultSequence(db, tenantId) {
+  const existing = await getSequence(db, tenantId, null);
+  if (existing) return existing;
+
+  const { data, error } = await db
+    .from('order_sequences')
+    .insert([{ ...DEFAULT_SEQUENCE, tenant_id: tenantId, store_id: null, created_at: new Date().toISOString() }])
+    .select()
+    .single();
+
+  if (!error) return data;
+
+  // Lost the race to the unique (tenant_id, store_id) constraint
+  const sequence = await getSequence(db, tenantId, null);
+  if (!sequence) throw error;
+  return sequence;
+}
+
+// Take the next number of a sequence row in table. The counter only moves
+// with compare-and-swap, so two concurrent requests can never be handed the
+// same number.
+const takeNumber = async (db, table, sequence) => {
+  let current = sequence;
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const { data, error } = await db
+      .from(table)
+      .update({ next_value: current.next_value + 1, updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .eq('next_value', current.next_value)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data) return formatOrderNumber(current, current.next_value);
+
+    const { data: fresh, error: readError } = await db
+      .from(table)
+      .select('*')
+      .eq('id', current.id)
+      .single();
+
+    if (readError) throw readError;
+    current = fresh;
+  }
+
+  throw new Error('Numbering is under heavy contention, please retry');
+};
+
+// Take the next order number for a store, falling back to the tenant-wide
+// sequence. A number whose order then fails to save is skipped, leaving a gap.
+const nextOrderNumber = async (db, tenantId, storeId) => {
+  const sequence = (storeId && await getSequence(db, tenantId, storeId)) || await ensureDefaultSequence(db, tenantId);
+  return takeNumber(db, 'order_sequences', sequence);
+};
+
+module.exports = { DEFAULT_SEQUENCE, validateSequence, formatOrderNumber, takeNumber, nextOrderNumber };
@@ -0,0 +1,180 @@
+// utils/orderPricing.js
+
+// Amounts are computed in cents so totals never drift from float rounding
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+const isAmount = (value) => value !== null && value !== '' && !isNaN(Number(value)) && Number(value) >= 0;
+
+// Helper function to validate requested order items
+function validateItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'Order must contain at least one item';
+  }
+
+  for (const item of items) {
+    if (!item || (!item.product_id && !item.sku)) {
+      return 'Each item needs a product_id or sku';
+    }
+
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      return 'Each item needs a positive whole quantity';
+    }
+  }
+
+  return null;
+}
+
+// Helper function to validate a { type, value } discount
+function validateDiscount(discount) {
+  if (discount === undefined || discount === null) return null;
+
+  if (!DISCOUNT_TYPES.includes(discount.type) || !isAmount(discount.value)) {
+    return `Discount must have a type (${DISCOUNT_TYPES.join(', ')}) and a non-negative value`;
+  }
+
+  if (discount.type === 'percentage' && Number(discount.value) > 100) {
+    return 'Percentage discount cannot exceed 100';
+  }
+
+  return null;
+}
+
+// Load the products referenced by the items, matching variant SKUs as well
+async function loadProducts(db, tenantId, items) {
+  const ids = [...new Set(items.filter(i => i.product_id).map(i => i.product_id))];
+  const skus = [...new Set(items.filter(i => !i.product_id).map(i => i.sku))];
+  const products = [];
+
+  if (ids.length > 0) {
+    const { data, error } = await db
+      .from('products')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .in('id', ids);
+
+    if (error) throw error;
+    products.push(...data);
+  }
+
+  if (skus.length > 0) {
+    const { data, error } = await db
+      .from('products')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .in('sku', skus);
+
+    if (error) throw error;
+    products.push(...data);
+
+    const variantSkus = skus.filter(sku => !data.some(p => p.sku === sku));
+
+    for (const sku of variantSkus) {
+      const { data: matches, error: variantError } = await db
+        .from('products')
+        .select('*')
+        .eq('tenant_id', tenantId)
+        .contains('variants', [{ sku }]);
+
+      if (variantError) throw variantError;
+      products.push(...matches);
+    }
+  }
+
+  return products;
+}
+
+// Helper function to find the product and variant an item refers to
+function resolveItem(item, products) {
+  if (item.product_id) {
+    const product = products.find(p => p.id === item.product_id);
+    if (!product) return {};
+
+    const sku = item.variant_sku || item.sku;
+    if (!sku || sku === product.sku) return { product };
+
+    const variant = (product.variants || []).find(v => v.sku === sku);
+    return variant ? { product, variant } : { product, missingVariant: sku };
+  }
+
+  const product = products.find(p => p.sku === item.sku);
+  if (product) return { product };
+
+  for (const candidate of products) {
+    const variant = (candidate.variants || []).find(v => v.sku === item.sku);
+    if (variant) return { product: candidate, variant };
+  }
+
+  return {};
+}
+
+// Price an order from the catalog. Returns { error } when the items can't be
+// priced, otherwise the line items and totals to store on the order.
+const priceOrder = async (db, { tenantId, storeId, items, discount, shippingFee }) => {
+  const itemsError = validateItems(items) || validateDiscount(discount);
+  if (itemsError) return { error: itemsError };
+
+  const products = await loadProducts(db, tenantId, items);
+  const lines = [];
+  let subtotal = 0;
+
+  for (const item of items) {
+    const { product, variant, missingVariant } = resolveItem(item, products);
+    const reference = item.product_id || item.sku;
+
+    if (!product) {
+      return { error: `Product not found: ${reference}` };
+    }
+
+    if (missingVariant) {
+      return { error: `Variant not found: ${missingVariant}` };
+    }
+
+    if (product.active === false) {
+      return { error: `Product is not available: ${product.sku}` };
+    }
+
+    if (product.store_id && product.store_id !== storeId) {
+      return { error: `Product ${product.sku} is not sold by this store` };
+    }
+
+    const unitPrice = toCents(variant && isAmount(variant.price) ? variant.price : product.price);
+    const lineTotal = unitPrice * item.quantity;
+    subtotal += lineTotal;
+
+    lines.push({
+      product_id: product.id,
+      sku: variant ? variant.sku : product.sku,
+      name: variant ? `${product.name} - ${variant.name || variant.sku}` : product.name,
+      unit_price: fromCents(unitPrice),
+      quantity: item.quantity,
+      line_total: fromCents(lineTotal)
+    });
+  }
+
+  let discountTotal = 0;
+  if (discount) {
+    discountTotal = discount.type === 'percentage'
+      ? Math.round(subtotal * Number(discount.value) / 100)
+      : toCents(discount.value);
+    discountTotal = Math.min(discountTotal, subtotal);
+  }
+
+  const shippingTotal = toCents(shippingFee || 0);
+
+  return {
+    items: lines,
+    discount: discount || null,
+    subtotal: fromCents(subtotal),
+    discount_total: fromCents(discountTotal),
+    shipping_total: fromCents(shippingTotal),
+    total: fromCents(subtotal - discountTotal + shippingTotal)
+  };
+};
+
+// Compare a client-supplied total with the computed one
+const totalMatches = (clientTotal, total) => toCents(clientTotal) === toCents(total);
+
+module.exports = { toCents, fromCents, isAmount, priceOrder, totalMatches };
@@ -0,0 +1,150 @@
+// utils/orderSearch.js
+const { isOrderStatus } = require('../config/orderStatuses');
+const { isAmount } = require('./orderPricing');
+const { normalizePhone } = require('./customers');
+
+const MAX_PAGE_SIZE = 200;
+
+// Query parameters that filter the order list. Presets save these.
+const FILTER_KEYS = [
+  'status', 'customer', 'client', 'phone', 'store', 'delivery_company',
+  'start_date', 'end_date', 'min_total', 'max_total', 'q', 'sort'
+];
+
+// Fields the list can be sorted by. They are never null, which keeps
+// cursor comparisons simple.
+const SORT_FIELDS = ['created_at', 'total', 'order_id', 'client', 'status'];
+const DEFAULT_SORT = '-created_at';
+
+// Helper function to quote a value inside a PostgREST logic filter
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// Parse "-total" style sort into { field, ascending }. Returns null if invalid.
+const parseSort = (value = DEFAULT_SORT) => {
+  const field = value.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(field)) return null;
+  return { key: value, field, ascending: !value.startsWith('-') };
+};
+
+// Cursors are opaque to clients: the sort they belong to plus the sort value
+// and ID of the last row of the previous page
+const encodeCursor = (sort, row) =>
+  Buffer.from(JSON.stringify({ s: sort.key, v: row[sort.field], id: row.id })).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { s, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (s !== sort.key || v === undefined || v === null || !id) return null;
+    return { value: v, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check and normalize list filters. Returns { filters } or { error }.
+const parseFilters = (params) => {
+  const filters = {};
+
+  FILTER_KEYS.forEach(key => {
+    if (params[key] !== undefined && params[key] !== '') filters[key] = String(params[key]).trim();
+  });
+
+  if (filters.status) {
+    filters.statuses = filters.status.split(',').map(status => status.trim()).filter(Boolean);
+    if (filters.statuses.some(status => !isOrderStatus(status))) return { error: 'Invalid status' };
+  }
+
+  if ((filters.start_date && isNaN(Date.parse(filters.start_date))) ||
+      (filters.end_date && isNaN(Date.parse(filters.end_date)))) {
+    return { error: 'Dates must be valid ISO dates' };
+  }
+
+  if ((filters.min_total && !isAmount(filters.min_total)) || (filters.max_total && !isAmount(filters.max_total))) {
+    return { error: 'Total range must use non-negative numbers' };
+  }
+
+  if (filters.phone && !normalizePhone(filters.phone)) {
+    return { error: 'Phone must contain digits' };
+  }
+
+  filters.sortBy = parseSort(filters.sort);
+
+  if (!filters.sortBy) {
+    return { error: `Sort must be one of: ${SORT_FIELDS.join(', ')}, optionally prefixed with -` };
+  }
+
+  return { filters };
+};
+
+// Phone numbers live on customers, so a phone filter becomes a customer filter
+const resolvePhoneFilter = async (db, tenantId, filters) => {
+  if (!filters.phone) return filters;
+
+  const { data, error } = await db
+    .from('customers')
+    .select('id')
+    .eq('tenant_id', tenantId)
+    .contains('phones', [normalizePhone(filters.phone)]);
+
+  if (error) throw error;
+  return { ...filters, customer_ids: data.map(customer => customer.id) };
+};
+
+// Apply filters, sort and an optional cursor to an orders query. Free text
+// and the cursor both need an or() filter, so they are combined into one.
+const applySearch = (query, filters, cursor = null) => {
+  const sort = filters.sortBy || parseSort();
+  const conditions = [];
+
+  if (filters.statuses) query = query.in('status', filters.statuses);
+  if (filters.customer) query = query.eq('customer_id', filters.customer);
+  if (filters.customer_ids) query = query.in('customer_id', filters.customer_ids);
+  if (filters.client) query = query.ilike('client', `%${filters.client}%`);
+  if (filters.store) query = query.eq('store_id', filters.store);
+  if (filters.delivery_company) query = query.eq('delivery_company_id', filters.delivery_company);
+  if (filters.start_date) query = query.gte('created_at', filters.start_date);
+  if (filters.end_date) query = query.lte('created_at', filters.end_date);
+  if (filters.min_total) query = query.gte('total', filters.min_total);
+  if (filters.max_total) query = query.lte('total', filters.max_total);
+
+  if (filters.q) {
+    // Commas, parentheses and quotes would break out of the or() filter
+    const term = filters.q.replace(/[,()"\\]/g, ' ');
+    conditions.push(`order_id.ilike.%${term}%,client.ilike.%${term}%,tracking_number.ilike.%${term}%`);
+  }
+
+  if (cursor) {
+    const op = sort.ascending ? 'gt' : 'lt';
+    conditions.push(
+      `${sort.field}.${op}.${quote(cursor.value)},and(${sort.field}.eq.${quote(cursor.value)},id.${op}.${cursor.id})`
+    );
+  }
+
+  if (conditions.length === 1) {
+    query = query.or(conditions[0]);
+  } else if (conditions.length > 1) {
+    query = query.or(`and(${conditions.map(condition => `or(${condition})`).join(',')})`);
+  }
+
+  return query
+    .order(sort.field, { ascending: sort.ascending })
+    .order('id', { ascending: sort.ascending });
+};
+
+// Page size from the query string, within bounds
+const pageSize = (limit, fallback = 50) => {
+  const size = parseInt(limit, 10);
+  return Number.isInteger(size) && size > 0 ? Math.min(size, MAX_PAGE_SIZE) : fallback;
+};
+
+module.exports = {
+  FILTER_KEYS,
+  SORT_FIELDS,
+  parseSort,
+  parseFilters,
+  resolvePhoneFilter,
+  applySearch,
+  encodeCursor,
+  decodeCursor,
+  pageSize
+};
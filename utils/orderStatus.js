@@ -0,0 +1,41 @@
+// utils/orderStatus.js
+
+// Record one step of an order's timeline
+const recordStatusChange = async (req, order, { from, to, reason }) => {
+  const { error } = await req.db
+    .from('order_status_history')
+    .insert([{
+      order_id: order.id,
+      tenant_id: order.tenant_id,
+      from_status: from,
+      to_status: to,
+      reason: reason || null,
+      changed_by: req.user.id,
+      created_at: new Date().toISOString()
+    }]);
+
+  if (error) throw error;
+};
+
+// Move an order to a new status. The update only applies while the order is
+// still in the status we checked, so concurrent transitions can't both win.
+// Returns the updated order, or null when the status changed underneath us.
+const transitionOrder = async (req, order, to, reason) => {
+  const { data, error } = await req.db
+    .from('orders')
+    .update({ status: to, updated_at: new Date().toISOString() })
+    .eq('id', order.id)
+    .eq('tenant_id', order.tenant_id)
+    .eq('status', order.status)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  await recordStatusChange(req, data, { from: order.status, to, reason });
+
+  return data;
+};
+
+module.exports = { recordStatusChange, transitionOrder };
@@ -0,0 +1,153 @@
+// utils/orders.js
+const { recordAudit } = require('./audit');
+const { recordStatusChange } = require('./orderStatus');
+const { priceOrder, totalMatches } = require('./orderPricing');
+const { reserveForOrder } = require('./inventory');
+const { resolveCustomer } = require('./customers');
+const { nextOrderNumber } = require('./orderNumbers');
+const { enqueueOrders } = require('./confirmations');
+
+const ORDER_NUMBER_ATTEMPTS = 3;
+
+// A unique (tenant_id, order_id) violation means the tenant already used the
+// number, e.g. for an order created before the sequence was configured
+const isOrderNumberTaken = (error) =>
+  error.code === '23505' && /order_id/.test(`${error.message} ${error.details || ''}`);
+
+// Find an order's customer: the one given by ID, or one matched or created
+// from the client name and phone. Returns null for an unknown ID.
+const orderCustomer = async (req, { customer_id, client, client_phone }) => {
+  if (customer_id) {
+    const { data } = await req.db
+      .from('customers')
+      .select('id, name')
+      .eq('id', customer_id)
+      .eq('tenant_id', req.tenantId)
+      .maybeSingle();
+
+    return data;
+  }
+
+  return resolveCustomer(req.db, {
+    tenantId: req.tenantId,
+    createdBy: req.user.id,
+    name: client,
+    phone: client_phone
+  });
+};
+
+// Create an order for the current tenant: check the store and delivery company,
+// price it from the catalog, reserve stock and queue it for confirmation.
+// Returns { order } or { error: { message, status } }.
+const createOrder = async (req, {
+  customer_id,
+  client,
+  client_phone,
+  store_id,
+  delivery_company_id,
+  items,
+  discount,
+  total,
+  ...extra
+}) => {
+  const { data: store } = await req.db
+    .from('stores')
+    .select('id')
+    .eq('id', store_id)
+    .eq('tenant_id', req.tenantId)
+    .maybeSingle();
+
+  if (!store) {
+    return { error: { message: 'Store not found', status: 404 } };
+  }
+
+  const { data: deliveryCompany } = await req.db
+    .from('delivery_companies')
+    .select('id, shipping_fee')
+    .eq('id', delivery_company_id)
+    .eq('tenant_id', req.tenantId)
+    .maybeSingle();
+
+  if (!deliveryCompany) {
+    return { error: { message: 'Delivery company not found', status: 404 } };
+  }
+
+  const pricing = await priceOrder(req.db, {
+    tenantId: req.tenantId,
+    storeId: store_id,
+    items,
+    discount,
+    shippingFee: deliveryCompany.shipping_fee
+  });
+
+  if (pricing.error) {
+    return { error: { message: pricing.error, status: 400 } };
+  }
+
+  // The total is always computed here; a client-sent total is only checked
+  if (total !== undefined && total !== null && !totalMatches(total, pricing.total)) {
+    return {
+      error: { message: `Order total does not match the computed total of ${pricing.total}`, status: 400 }
+    };
+  }
+
+  const customer = await orderCustomer(req, { customer_id, client, client_phone });
+
+  if (!customer) {
+    return { error: { message: 'Customer not found', status: 404 } };
+  }
+
+  // client keeps the customer's name so older reports and filters still work
+  const orderData = {
+    ...extra,
+    customer_id: customer.id,
+    client: customer.name,
+    delivery_company_id,
+    store_id,
+    status: 'pending',
+    ...pricing,
+    inventory_status: 'reserved',
+    tenant_id: req.tenantId,
+    created_by: req.user.id,
+    created_at: new Date().toISOString()
+  };
+
+  let data = null;
+
+  for (let attempt = 1; !data; attempt++) {
+    orderData.order_id = await nextOrderNumber(req.db, req.tenantId, store_id);
+
+    const { data: inserted, error } = await req.db
+      .from('orders')
+      .insert([orderData])
+      .select()
+      .single();
+
+    if (error && !(isOrderNumberTaken(error) && attempt < ORDER_NUMBER_ATTEMPTS)) throw error;
+    data = inserted;
+  }
+
+  // Stock is reserved against the saved order; without enough of it the order is dropped
+  const reservation = await reserveForOrder(req, data);
+
+  if (reservation.error) {
+    await req.db
+      .from('orders')
+      .delete()
+      .eq('id', data.id)
+      .eq('tenant_id', req.tenantId);
+
+    return { error: { message: reservation.error, status: 409 } };
+  }
+
+  await recordStatusChange(req, data, { from: null, to: data.status, reason: 'Order created' });
+
+  // New orders wait in the queue for an agent to confirm them by phone
+  await enqueueOrders(req.db, [data]);
+
+  await recordAudit(req, { action: 'create', resource: 'orders', resourceId: data.id, after: data });
+
+  return { order: data };
+};
+
+module.exports = { orderCustomer, createOrder };
@@ -0,0 +1,382 @@
+// utils/pdf.js
+const zlib = require('zlib');
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Glyph widths of the standard Helvetica fonts for characters 32-126, in
+// thousandths of the font size. Other characters are measured as a digit.
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Windows-1252 bytes for characters outside Latin-1
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+// The standard fonts only cover Western European text; anything else is
+// printed as a question mark
+const encodeText = (text) => Buffer.from([...String(text)].map(char => {
+  const code = char.codePointAt(0);
+  if (code >= 32 && code <= 126) return code;
+  if (code >= 0xa0 && code <= 0xff) return code;
+  return WIN_ANSI[char] || 0x3f;
+}));
+
+const textWidth = (text, size, font = 'regular') =>
+  [...encodeText(text)].reduce((sum, code) =>
+    sum + (code >= 32 && code <= 126 ? WIDTHS[font][code - 32] : 556), 0) * size / 1000;
+
+// Break text into lines no wider than width, splitting on spaces and
+// breaking words that are too long on their own
+const wrapText = (text, size, width, font = 'regular') => {
+  const lines = [];
+
+  String(text).split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+
+      if (textWidth(candidate, size, font) <= width) {
+        line = candidate;
+        return;
+      }
+
+      if (line) lines.push(line);
+      line = '';
+
+      for (const char of word) {
+        if (line && textWidth(line + char, size, font) > width) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    });
+
+    lines.push(line);
+  });
+
+  return lines;
+};
+
+const number = (value) => Number(value.toFixed(2)).toString();
+
+// Largest image readPng will decode, so a small upload that declares huge
+// dimensions can't inflate without bound
+const MAX_IMAGE_PIXELS = 4096 * 4096;
+
+// Helper function to read the size and pixel layout of a JPEG
+function readJpeg(buffer) {
+  for (let offset = 2; offset < buffer.length;) {
+    if (buffer[offset] !== 0xff) break;
+
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    // Start-of-frame markers, excluding DHT, JPG and DAC
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      const components = buffer[offset + 9];
+
+      return {
+        width: buffer.readUInt16BE(offset + 7),
+        height: buffer.readUInt16BE(offset + 5),
+        colorSpace: components === 1 ? '/DeviceGray' : components === 4 ? '/DeviceCMYK' : '/DeviceRGB',
+        filter: '/DCTDecode',
+        data: buffer,
+        extra: components === 4 ? '/Decode [1 0 1 0 1 0 1 0]' : ''
+      };
+    }
+
+    offset += 2 + length;
+  }
+
+  throw new Error('JPEG has no frame header');
+}
+
+// Helper function to undo PNG row filters, giving raw pixel rows
+function unfilterPng(data, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel;
+  const pixels = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const row = data.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? pixels[y * stride + x - bytesPerPixel] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? pixels[(y - 1) * stride + x - bytesPerPixel] : 0;
+      let predictor = 0;
+
+      if (filter === 1) predictor = left;
+      if (filter === 2) predictor = up;
+      if (filter === 3) predictor = (left + up) >> 1;
+      if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+        predictor = distances[0] <= distances[1] && distances[0] <= distances[2]
+          ? left
+          : distances[1] <= distances[2] ? up : upLeft;
+      }
+
+      pixels[y * stride + x] = (row[x] + predictor) & 0xff;
+    }
+  }
+
+  return pixels;
+}
+
+// Helper function to read a PNG. Opaque images are passed through as they
+// are; transparency is split out into a soft mask.
+function readPng(buffer) {
+  let header = null;
+  let palette = null;
+  const chunks = [];
+
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    }
+    if (type === 'PLTE') palette = data;
+    if (type === 'IDAT') chunks.push(data);
+    if (type === 'IEND') break;
+
+    offset += 12 + length;
+  }
+
+  if (!header || chunks.length === 0) throw new Error('PNG has no image data');
+
+  if (header.bitDepth !== 8 || header.interlace !== 0) {
+    throw new Error('Only 8-bit, non-interlaced PNG images are supported');
+  }
+
+  const { width, height, colorType } = header;
+  const compressed = Buffer.concat(chunks);
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+
+  if (!channels) throw new Error('Unsupported PNG color type');
+
+  if (width === 0 || height === 0 || width * height > MAX_IMAGE_PIXELS) {
+    throw new Error(`PNG images must be at most ${MAX_IMAGE_PIXELS} pixels`);
+  }
+
+  if (colorType === 0 || colorType === 2 || colorType === 3) {
+    const colors = colorType === 2 ? 3 : 1;
+
+    return {
+      width,
+      height,
+      colorSpace: colorType === 3
+        ? `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${palette.toString('hex')}>]`
+        : colorType === 2 ? '/DeviceRGB' : '/DeviceGray',
+      filter: '/FlateDecode',
+      data: compressed,
+      extra: `/DecodeParms << /Predictor 15 /Colors ${colors} /BitsPerComponent 8 /Columns ${width} >>`
+    };
+  }
+
+  // Each row is its pixels plus one filter type byte
+  let filtered;
+  try {
+    filtered = zlib.inflateSync(compressed, { maxOutputLength: (width * channels + 1) * height });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error('PNG has more image data than its size allows');
+    throw error;
+  }
+
+  const pixels = unfilterPng(filtered, width, height, channels);
+  const colors = channels - 1;
+  const color = Buffer.alloc(width * height * colors);
+  const alpha = Buffer.alloc(width * height);
+
+  for (let i = 0; i < width * height; i++) {
+    pixels.copy(color, i * colors, i * channels, i * channels + colors);
+    alpha[i] = pixels[i * channels + colors];
+  }
+
+  return {
+    width,
+    height,
+    colorSpace: colors === 3 ? '/DeviceRGB' : '/DeviceGray',
+    filter: '/FlateDecode',
+    data: zlib.deflateSync(color),
+    extra: '',
+    mask: zlib.deflateSync(alpha)
+  };
+}
+
+// Read a JPEG or PNG for embedding. Throws when the image can't be used.
+const readImage = (buffer) => {
+  if (buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))) return readJpeg(buffer);
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return readPng(buffer);
+  throw new Error('Images must be JPEG or PNG');
+};
+
+// Build a PDF in memory. Pages are drawn with a top-left origin in points;
+// text uses the built-in Helvetica fonts, so nothing has to be embedded.
+const createPdf = () => {
+  const pages = [];
+  const images = [];
+
+  const addImage = (buffer) => {
+    images.push(readImage(buffer));
+    return `Im${images.length}`;
+  };
+
+  // Pages are A4 unless given another size, such as a shipping label's
+  const addPage = ({ width = PAGE_WIDTH, height = PAGE_HEIGHT } = {}) => {
+    const ops = [];
+    const used = new Set();
+    const y = (top) => height - top;
+
+    const page = {
+      width,
+      height,
+
+      // Draw one line of text with its baseline at top; align is relative to width
+      text(value, x, top, { size = 10, font = 'regular', align = 'left', width = 0, color = 0 } = {}) {
+        const measured = textWidth(value, size, font);
+        let left = x;
+        if (align === 'right') left = x + width - measured;
+        if (align === 'center') left = x + (width - measured) / 2;
+
+        ops.push(`BT ${number(color)} g /${FONTS[font]} ${number(size)} Tf ${number(left)} ${number(y(top))} Td <${encodeText(value).toString('hex')}> Tj ET`);
+        return page;
+      },
+
+      line(x1, top1, x2, top2, { width = 0.5, color = 0 } = {}) {
+        ops.push(`${number(color)} G ${number(width)} w ${number(x1)} ${number(y(top1))} m ${number(x2)} ${number(y(top2))} l S`);
+        return page;
+      },
+
+      rect(x, top, width, height, { fill = 0 } = {}) {
+        ops.push(`${number(fill)} g ${number(x)} ${number(y(top + height))} ${number(width)} ${number(height)} re f`);
+        return page;
+      },
+
+      image(name, x, top, width, height) {
+        used.add(name);
+        ops.push(`q ${number(width)} 0 0 ${number(height)} ${number(x)} ${number(y(top + height))} cm /${name} Do Q`);
+        return page;
+      }
+    };
+
+    pages.push({ ops, used, width, height });
+    return page;
+  };
+
+  // Image dimensions, to scale a logo into a box
+  const imageSize = (name) => {
+    const image = images[Number(name.slice(2)) - 1];
+    return { width: image.width, height: image.height };
+  };
+
+  const toBuffer = () => {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalog = add(null);
+    const pageTree = add(null);
+    const regular = add(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'));
+    const bold = add(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'));
+
+    const stream = (dictionary, data) => Buffer.concat([
+      Buffer.from(`<< ${dictionary} /Length ${data.length} >>\nstream\n`),
+      data,
+      Buffer.from('\nendstream')
+    ]);
+
+    const imageIds = images.map(image => {
+      const mask = image.mask
+        ? add(stream(`/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`, image.mask))
+        : null;
+
+      return add(stream(
+        `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${image.colorSpace} ` +
+        `/BitsPerComponent 8 /Filter ${image.filter} ${image.extra}${mask ? ` /SMask ${mask} 0 R` : ''}`,
+        image.data
+      ));
+    });
+
+    const pageIds = pages.map(({ ops, used, width, height }) => {
+      const content = add(stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'))));
+      const xObjects = [...used].map(name => `/${name} ${imageIds[Number(name.slice(2)) - 1]} 0 R`).join(' ');
+
+      return add(Buffer.from(
+        `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${number(width)} ${number(height)}] ` +
+        `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> ` +
+        `/Contents ${content} 0 R >>`
+      ));
+    });
+
+    objects[catalog - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pageTree} 0 R >>`);
+    objects[pageTree - 1] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+    const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = parts[0].length;
+
+    objects.forEach((body, index) => {
+      const object = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+      offsets.push(length);
+      parts.push(object);
+      length += object.length;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+
+    parts.push(Buffer.from(xref));
+    return Buffer.concat(parts);
+  };
+
+  return { addPage, addImage, imageSize, toBuffer, pageCount: () => pages.length };
+};
+
+module.exports = { PAGE_WIDTH, PAGE_HEIGHT, textWidth, wrapText, readImage, createPdf };
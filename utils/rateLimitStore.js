@@ -0,0 +1,136 @@
+// utils/rateLimitStore.js
+const { supabaseAdmin } = require('../config/supabase');
+const config = require('../config/rateLimits');
+
+// Every store exposes the same async interface:
+//   get(key) -> record | null
+//   set(key, record, ttlMs)
+//   increment(key, ttlMs, { fields, extend }) -> { ...record, count, expiresAt }
+//   delete(key)
+//   list(prefix) -> [{ key, ...record }]
+
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const isExpired = (entry) => entry.expiresAt <= Date.now();
+
+  const sweep = setInterval(() => {
+    entries.forEach((entry, key) => {
+      if (isExpired(entry)) entries.delete(key);
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry || isExpired(entry)) return null;
+      return { ...entry.record };
+    },
+    async set(key, record, ttlMs) {
+      entries.set(key, { record: { ...record }, expiresAt: Date.now() + ttlMs });
+    },
+    // Add one to the record's count, starting a new record once it expires.
+    // extend pushes the expiry out to ttlMs from now instead of keeping it.
+    async increment(key, ttlMs, { fields = {}, extend = false } = {}) {
+      const now = Date.now();
+      const entry = entries.get(key);
+
+      if (!entry || isExpired(entry)) {
+        entries.set(key, { record: { ...fields, count: 1 }, expiresAt: now + ttlMs });
+      } else {
+        entry.record = { ...entry.record, ...fields, count: (entry.record.count || 0) + 1 };
+        if (extend) entry.expiresAt = Math.max(entry.expiresAt, now + ttlMs);
+      }
+
+      const { record, expiresAt } = entries.get(key);
+      return { ...record, expiresAt };
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list(prefix) {
+      const result = [];
+      entries.forEach((entry, key) => {
+        if (key.startsWith(prefix) && !isExpired(entry)) {
+          result.push({ key, ...entry.record });
+        }
+      });
+      return result;
+    }
+  };
+};
+
+// Shared store backed by the rate_limits table so limits hold across instances
+const createSupabaseStore = () => ({
+  async get(key) {
+    const { data, error } = await supabaseAdmin
+      .from('rate_limits')
+      .select('record, expires_at')
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data || new Date(data.expires_at) <= new Date()) return null;
+    return data.record;
+  },
+  async set(key, record, ttlMs) {
+    const { error } = await supabaseAdmin
+      .from('rate_limits')
+      .upsert({
+        key,
+        record,
+        expires_at: new Date(Date.now() + ttlMs).toISOString()
+      });
+
+    if (error) throw error;
+  },
+  // Concurrent requests must never read the same count, so the increment
+  // happens in one statement in the increment_rate_limit function (db/schema.sql)
+  async increment(key, ttlMs, { fields = {}, extend = false } = {}) {
+    const { data, error } = await supabaseAdmin
+      .rpc('increment_rate_limit', { p_key: key, p_ttl_ms: ttlMs, p_extend: extend, p_fields: fields })
+      .single();
+
+    if (error) throw error;
+    return { ...data.record, expiresAt: new Date(data.expires_at).getTime() };
+  },
+  async delete(key) {
+    const { error } = await supabaseAdmin
+      .from('rate_limits')
+      .delete()
+      .eq('key', key);
+
+    if (error) throw error;
+  },
+  async list(prefix) {
+    const { data, error } = await supabaseAdmin
+      .from('rate_limits')
+      .select('key, record')
+      .like('key', `${prefix}%`)
+      .gt('expires_at', new Date().toISOString());
+
+    if (error) throw error;
+    return data.map(row => ({ key: row.key, ...row.record }));
+  }
+});
+
+const stores = {
+  memory: createMemoryStore,
+  supabase: createSupabaseStore
+};
+
+let store;
+
+const getStore = () => {
+  if (!store) {
+    const factory = stores[config.store];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${config.store}`);
+    }
+    store = factory();
+  }
+  return store;
+};
+
+module.exports = { createMemoryStore, createSupabaseStore, getStore };
@@ -0,0 +1,343 @@
+// utils/remittances.js
+const { toCents, fromCents, isAmount } = require('./orderPricing');
+
+const PAGE_SIZE = 1000;
+
+// Order numbers are sent in the query string, so look them up a few at a time
+const LOOKUP_BATCH_SIZE = 100;
+
+// Balances list at most this many unpaid or short orders
+const MAX_LISTED_ORDERS = 500;
+
+// How a statement line compares with the order it pays for. Only matched,
+// short and over lines count as payment towards an order.
+const MATCH_STATUSES = ['matched', 'short', 'over', 'duplicate', 'unmatched', 'not_delivered'];
+const PAID_STATUSES = ['matched', 'short', 'over'];
+
+// Statement columns a remittance line can be read from, with the header names
+// couriers commonly use for them
+const STATEMENT_FIELDS = {
+  order: ['order', 'order_id', 'order_number', 'order_no', 'reference', 'tracking', 'tracking_number'],
+  amount: ['amount', 'collected', 'cod', 'cod_amount', 'cash'],
+  fee: ['fee', 'fees', 'delivery_fee', 'shipping_fee', 'commission']
+};
+const REQUIRED_STATEMENT_FIELDS = ['order', 'amount'];
+
+const normalizeHeader = (value) => String(value || '').trim().toLowerCase().replace(/[\s.-]+/g, '_');
+
+// Guess a statement mapping from header names, e.g. "COD Amount" -> amount
+const suggestStatementMapping = (headers) => {
+  const mapping = {};
+
+  Object.entries(STATEMENT_FIELDS).forEach(([field, names]) => {
+    const header = headers.find(h => names.includes(normalizeHeader(h)));
+    if (header) mapping[field] = header;
+  });
+
+  return mapping;
+};
+
+// Helper function to check a { field: header } statement mapping. Returns an error message or null.
+const validateStatementMapping = (mapping, headers) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'Mapping must be an object of field to column name';
+  }
+
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!STATEMENT_FIELDS[field]) {
+      return `Unknown field ${field}; fields are: ${Object.keys(STATEMENT_FIELDS).join(', ')}`;
+    }
+    if (!headers.includes(header)) {
+      return `Column ${header} is not in the file`;
+    }
+  }
+
+  const missing = REQUIRED_STATEMENT_FIELDS.filter(field => !mapping[field]);
+
+  if (missing.length > 0) {
+    return `Mapping is missing required fields: ${missing.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Helper function to read an amount cell, accepting a decimal comma
+const readAmount = (value) => String(value === undefined || value === null ? '' : value).replace(',', '.').trim();
+
+// Helper function to check remittance lines. Returns an error message or null.
+const validateLines = (lines) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return 'Remittance must contain at least one line';
+  }
+
+  for (const [index, line] of lines.entries()) {
+    const label = line && line.row_number ? `Row ${line.row_number}` : `Line ${index + 1}`;
+
+    if (!line || typeof line.order_ref !== 'string' || !line.order_ref.trim()) {
+      return `${label} needs an order_ref`;
+    }
+
+    if (!isAmount(line.amount)) {
+      return `${label} needs a non-negative amount`;
+    }
+
+    if (line.fee !== undefined && line.fee !== null && line.fee !== '' && !isAmount(line.fee)) {
+      return `${label} has an invalid fee`;
+    }
+  }
+
+  return null;
+};
+
+// Turn mapped statement rows into remittance lines. Returns { lines } or { error }.
+const readStatementLines = (rows, mapping) => {
+  const lines = rows.map(row => ({
+    row_number: row.row_number,
+    order_ref: row.data[mapping.order] || '',
+    amount: readAmount(row.data[mapping.amount]),
+    fee: mapping.fee ? readAmount(row.data[mapping.fee]) || '0' : '0'
+  }));
+
+  const error = validateLines(lines);
+  return error ? { error } : { lines };
+};
+
+// Helper function to read every row of a query page by page
+async function fetchAll(buildQuery) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery()
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+// Helper function to load the orders a statement refers to, keyed by
+// reference. Couriers refer to orders by our order number or by their own
+// tracking number, which is only unique within that courier; where a
+// reference is both, the order number wins.
+async function loadOrders(db, tenantId, refs, companyId) {
+  const byOrderNumber = new Map();
+  const byTracking = new Map();
+
+  for (let i = 0; i < refs.length; i += LOOKUP_BATCH_SIZE) {
+    const batch = refs.slice(i, i + LOOKUP_BATCH_SIZE);
+
+    for (const [column, orders] of [['order_id', byOrderNumber], ['tracking_number', byTracking]]) {
+      let query = db
+        .from('orders')
+        .select('id, order_id, tracking_number, status, total, delivery_company_id')
+        .eq('tenant_id', tenantId)
+        .in(column, batch);
+
+      if (column === 'tracking_number') query = query.eq('delivery_company_id', companyId);
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      data.forEach(order => orders.set(order[column], order));
+    }
+  }
+
+  return new Map([...byTracking, ...byOrderNumber]);
+}
+
+// Helper function to sum what earlier remittances already paid per order, in cents
+async function loadPriorPayments(db, tenantId, orderIds, remittance) {
+  const paid = new Map();
+
+  for (let i = 0; i < orderIds.length; i += LOOKUP_BATCH_SIZE) {
+    const { data, error } = await db
+      .from('cod_remittance_lines')
+      .select('order_id, amount')
+      .eq('tenant_id', tenantId)
+      .neq('remittance_id', remittance.id)
+      .lt('created_at', remittance.created_at)
+      .in('match_status', PAID_STATUSES)
+      .in('order_id', orderIds.slice(i, i + LOOKUP_BATCH_SIZE));
+
+    if (error) throw error;
+    data.forEach(line => paid.set(line.order_id, (paid.get(line.order_id) || 0) + toCents(line.amount)));
+  }
+
+  return paid;
+}
+
+// Match statement lines against the courier's delivered orders. Lines are
+// compared with what is still owed on the order, so a second payment for an
+// order that an earlier remittance settled is flagged as a duplicate, and so
+// is an order listed twice in the same statement. Only remittances created
+// before this one count as earlier, so rematching never flags both sides.
+const matchLines = async (db, { tenantId, remittance, lines }) => {
+  const refs = [...new Set(lines.map(line => line.order_ref.trim()))];
+  const orders = await loadOrders(db, tenantId, refs, remittance.delivery_company_id);
+  const orderIds = [...new Set([...orders.values()].map(order => order.id))];
+  const priorPayments = await loadPriorPayments(db, tenantId, orderIds, remittance);
+  const seen = new Set();
+
+  return lines.map(line => {
+    const order = orders.get(line.order_ref.trim());
+    const amount = toCents(line.amount);
+    const matched = {
+      order_ref: line.order_ref.trim(),
+      row_number: line.row_number || null,
+      amount: fromCents(amount),
+      fee: fromCents(toCents(line.fee || 0)),
+      order_id: null,
+      expected_amount: null,
+      difference: null
+    };
+
+    if (!order || order.delivery_company_id !== remittance.delivery_company_id) {
+      return { ...matched, match_status: 'unmatched' };
+    }
+
+    matched.order_id = order.id;
+
+    const expected = toCents(order.total) - (priorPayments.get(order.id) || 0);
+
+    if (seen.has(order.id) || expected <= 0) {
+      return { ...matched, match_status: 'duplicate' };
+    }
+
+    seen.add(order.id);
+
+    if (order.status !== 'delivered') {
+      return { ...matched, match_status: 'not_delivered' };
+    }
+
+    let matchStatus = 'matched';
+    if (amount < expected) matchStatus = 'short';
+    if (amount > expected) matchStatus = 'over';
+
+    return {
+      ...matched,
+      expected_amount: fromCents(expected),
+      difference: fromCents(amount - expected),
+      match_status: matchStatus
+    };
+  });
+};
+
+// Summarize matched lines. The courier pays out the cash it collected less
+// its fees; a stated amount that doesn't add up needs review, as does any
+// line that isn't an exact match.
+const summarizeLines = (lines, statedAmount) => {
+  const counts = {};
+  MATCH_STATUSES.forEach(status => { counts[status] = 0; });
+  lines.forEach(line => { counts[line.match_status] += 1; });
+
+  const collected = lines.reduce((sum, line) => sum + toCents(line.amount), 0);
+  const fees = lines.reduce((sum, line) => sum + toCents(line.fee), 0);
+  const amount = statedAmount !== undefined && statedAmount !== null && statedAmount !== ''
+    ? toCents(statedAmount)
+    : collected - fees;
+
+  const needsReview = counts.matched !== lines.length || amount !== collected - fees;
+
+  return {
+    amount: fromCents(amount),
+    collected_amount: fromCents(collected),
+    fee_amount: fromCents(fees),
+    line_count: lines.length,
+    match_counts: counts,
+    status: needsReview ? 'needs_review' : 'reconciled'
+  };
+};
+
+// Work out what a courier still owes: the cash on its delivered orders less
+// what its remittances paid towards them. Payments that couldn't be matched
+// to an order are reported separately rather than netted off.
+const companyBalance = async (db, tenantId, companyId) => {
+  const orders = await fetchAll(() => db
+    .from('orders')
+    .select('id, order_id, client, total, created_at')
+    .eq('tenant_id', tenantId)
+    .eq('delivery_company_id', companyId)
+    .eq('status', 'delivered'));
+
+  const lines = await fetchAll(() => db
+    .from('cod_remittance_lines')
+    .select('id, order_id, amount, fee, match_status')
+    .eq('tenant_id', tenantId)
+    .eq('delivery_company_id', companyId));
+
+  const paid = new Map();
+  let remitted = 0;
+  let fees = 0;
+  let unallocated = 0;
+
+  lines.forEach(line => {
+    fees += toCents(line.fee);
+
+    if (PAID_STATUSES.includes(line.match_status)) {
+      paid.set(line.order_id, (paid.get(line.order_id) || 0) + toCents(line.amount));
+    } else {
+      unallocated += toCents(line.amount);
+    }
+  });
+
+  const missing = [];
+  const short = [];
+  let collected = 0;
+  let outstanding = 0;
+  let overpaid = 0;
+
+  orders.forEach(order => {
+    const total = toCents(order.total);
+    const orderPaid = paid.get(order.id) || 0;
+    collected += total;
+    remitted += orderPaid;
+
+    if (orderPaid === 0) {
+      outstanding += total;
+      missing.push(order);
+    } else if (orderPaid < total) {
+      outstanding += total - orderPaid;
+      short.push({ ...order, paid: fromCents(orderPaid), owed: fromCents(total - orderPaid) });
+    } else {
+      overpaid += orderPaid - total;
+    }
+  });
+
+  // Payments for orders that are no longer delivered, such as returns
+  const delivered = new Set(orders.map(order => order.id));
+  paid.forEach((amount, orderId) => {
+    if (!delivered.has(orderId)) unallocated += amount;
+  });
+
+  return {
+    balance: {
+      delivered_orders: orders.length,
+      collected: fromCents(collected),
+      remitted: fromCents(remitted),
+      fees: fromCents(fees),
+      outstanding: fromCents(outstanding),
+      overpaid: fromCents(overpaid),
+      unallocated: fromCents(unallocated),
+      missing_orders: missing.length,
+      short_orders: short.length
+    },
+    missing_orders: missing.slice(0, MAX_LISTED_ORDERS),
+    short_orders: short.slice(0, MAX_LISTED_ORDERS)
+  };
+};
+
+module.exports = {
+  MATCH_STATUSES,
+  PAID_STATUSES,
+  STATEMENT_FIELDS,
+  suggestStatementMapping,
+  validateStatementMapping,
+  validateLines,
+  readStatementLines,
+  matchLines,
+  summarizeLines,
+  companyBalance
+};
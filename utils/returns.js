@@ -0,0 +1,171 @@
+// utils/returns.js
+const { toCents, fromCents } = require('./orderPricing');
+
+// requested -> approved -> received, or rejected/cancelled before receipt
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'cancelled'];
+
+// Returns that hold on to the order's items, so they can't be returned twice
+const ACTIVE_RETURN_STATUSES = ['requested', 'approved', 'received'];
+
+const RETURN_REASONS = ['refused', 'damaged', 'wrong_item', 'not_as_described', 'changed_mind', 'other'];
+
+// Received items are either put back on the shelf or written off
+const ITEM_CONDITIONS = ['resellable', 'damaged'];
+
+const REFUND_METHODS = ['cash', 'bank_transfer', 'card', 'store_credit', 'other'];
+
+// Orders a return can be opened for: delivered parcels sent back by the
+// customer, and refused parcels on their way back to the store
+const RETURNABLE_STATUSES = ['delivered', 'refused'];
+
+// Statuses that never bring in revenue. Cash on delivery is only collected
+// once a parcel is delivered.
+const UNPAID_STATUSES = ['cancelled', 'refused'];
+
+// Helper function to total quantities per SKU
+function quantitiesBySku(items) {
+  const totals = new Map();
+  (items || []).forEach(item => totals.set(item.sku, (totals.get(item.sku) || 0) + item.quantity));
+  return totals;
+}
+
+// Work out the items of a new return. Requested items are { sku, quantity,
+// reason }; without any, everything not already being returned is. Returns
+// { items } or { error }.
+const buildReturnItems = (order, existingReturns, requested) => {
+  const ordered = quantitiesBySku(order.items);
+  const returned = quantitiesBySku(existingReturns.flatMap(orderReturn => orderReturn.items));
+  const remaining = new Map([...ordered].map(([sku, quantity]) => [sku, quantity - (returned.get(sku) || 0)]));
+
+  const lines = requested === undefined
+    ? [...remaining].filter(([, quantity]) => quantity > 0).map(([sku, quantity]) => ({ sku, quantity }))
+    : requested;
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { error: requested === undefined ? 'Every item of this order is already being returned' : 'Items must be a non-empty array' };
+  }
+
+  const wanted = new Map();
+
+  for (const line of lines) {
+    if (!line || !ordered.has(line.sku)) {
+      return { error: `Item ${line && line.sku} is not part of this order` };
+    }
+
+    if (!Number.isInteger(line.quantity) || line.quantity < 1) {
+      return { error: 'Each item needs a positive whole quantity' };
+    }
+
+    if (line.reason !== undefined && !RETURN_REASONS.includes(line.reason)) {
+      return { error: `Item reason must be one of: ${RETURN_REASONS.join(', ')}` };
+    }
+
+    wanted.set(line.sku, (wanted.get(line.sku) || 0) + line.quantity);
+
+    if (wanted.get(line.sku) > remaining.get(line.sku)) {
+      return { error: `Only ${Math.max(remaining.get(line.sku), 0)} of ${line.sku} can still be returned` };
+    }
+  }
+
+  // A SKU listed twice becomes one item, keeping the first reason given
+  const items = [...wanted].map(([sku, quantity]) => {
+    const orderItem = order.items.find(item => item.sku === sku);
+    const line = lines.find(candidate => candidate.sku === sku && candidate.reason) || {};
+
+    return {
+      sku,
+      product_id: orderItem.product_id,
+      name: orderItem.name,
+      unit_price: orderItem.unit_price,
+      quantity,
+      reason: line.reason || null,
+      received_quantity: 0,
+      restocked_quantity: 0
+    };
+  });
+
+  return { items };
+};
+
+// Record what came back. Received items are { sku, quantity, condition };
+// without any, every item arrived resellable. Returns { items } or { error }.
+const receiveItems = (returnItems, received) => {
+  const lines = received === undefined
+    ? returnItems.map(item => ({ sku: item.sku, quantity: item.quantity, condition: 'resellable' }))
+    : received;
+
+  if (!Array.isArray(lines)) {
+    return { error: 'Items must be an array' };
+  }
+
+  const items = returnItems.map(item => ({ ...item, received_quantity: 0, restocked_quantity: 0 }));
+
+  for (const line of lines) {
+    const item = line && items.find(candidate => candidate.sku === line.sku);
+
+    if (!item) {
+      return { error: `Item ${line && line.sku} is not part of this return` };
+    }
+
+    if (!Number.isInteger(line.quantity) || line.quantity < 0) {
+      return { error: 'Each item needs a whole quantity of zero or more' };
+    }
+
+    const condition = line.condition || 'resellable';
+
+    if (!ITEM_CONDITIONS.includes(condition)) {
+      return { error: `Item condition must be one of: ${ITEM_CONDITIONS.join(', ')}` };
+    }
+
+    if (item.received_quantity + line.quantity > item.quantity) {
+      return { error: `Only ${item.quantity} of ${item.sku} were returned` };
+    }
+
+    item.received_quantity += line.quantity;
+    if (condition === 'resellable') item.restocked_quantity += line.quantity;
+  }
+
+  return { items };
+};
+
+// Value of the items on a return, at the price they were sold for
+const returnValue = (items) =>
+  fromCents(items.reduce((sum, item) => sum + toCents(item.unit_price) * item.quantity, 0));
+
+// Whether received returns cover every item of the order
+const isFullyReturned = (order, receivedReturns) => {
+  const received = new Map();
+
+  receivedReturns.flatMap(orderReturn => orderReturn.items).forEach(item => {
+    received.set(item.sku, (received.get(item.sku) || 0) + item.received_quantity);
+  });
+
+  return [...quantitiesBySku(order.items)].every(([sku, quantity]) => (received.get(sku) || 0) >= quantity);
+};
+
+// Revenue an order actually brings in: nothing if it was never paid for,
+// otherwise its total less what was refunded. Returned orders only keep
+// what's left after a partial refund; until a refund is recorded they count
+// as fully refunded, since a refused parcel coming back was never paid for.
+const orderRevenue = (order) => {
+  const refunded = toCents(order.refunded_total || 0);
+
+  if (UNPAID_STATUSES.includes(order.status)) return 0;
+  if (order.status === 'returned' && refunded === 0) return 0;
+
+  return fromCents(Math.max(toCents(order.total) - refunded, 0));
+};
+
+module.exports = {
+  RETURN_STATUSES,
+  ACTIVE_RETURN_STATUSES,
+  RETURN_REASONS,
+  ITEM_CONDITIONS,
+  REFUND_METHODS,
+  RETURNABLE_STATUSES,
+  buildReturnItems,
+  receiveItems,
+  returnValue,
+  isFullyReturned,
+  orderRevenue
+};
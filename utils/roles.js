@@ -0,0 +1,22 @@
+// utils/roles.js
+const { supabaseAdmin } = require('../config/supabase');
+const { BUILT_IN_ROLES } = require('../config/permissions');
+
+// Check that a role can be given to a member of a tenant. The platform
+// admin role is only assignable through PATCH /api/users/:id/role.
+const isTenantRole = async (tenantId, role) => {
+  if (!role || role === 'admin') return false;
+  if (BUILT_IN_ROLES.includes(role)) return true;
+  if (!tenantId) return false;
+
+  const { data } = await supabaseAdmin
+    .from('tenant_roles')
+    .select('id')
+    .eq('tenant_id', tenantId)
+    .eq('name', role)
+    .maybeSingle();
+
+  return !!data;
+};
+
+module.exports = { isTenantRole };
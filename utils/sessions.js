@@ -0,0 +1,170 @@
+// utils/sessions.js
+const { supabaseAdmin } = require('../config/supabase');
+const { getMfa } = require('./twoFactor');
+
+// Only refresh last_seen_at once a minute to keep writes down
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+const SESSION_FIELDS = 'id, device, user_agent, ip_address, created_at, last_seen_at';
+
+// Read the claims of a token Supabase has already verified
+const decodeToken = (token) => {
+  try {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return {};
+  }
+};
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const SYSTEMS = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token));
+  const system = SYSTEMS.find(([token]) => userAgent.includes(token));
+
+  if (!browser && !system) return userAgent.slice(0, 60);
+  return [browser && browser[1], system && system[1]].filter(Boolean).join(' on ');
+};
+
+// Record a session issued through the sign-in endpoints
+const registerSession = async (req, session) => {
+  const { session_id: id } = decodeToken(session.access_token);
+  if (!id) return;
+
+  const userAgent = req.headers['user-agent'] || null;
+
+  const { error } = await supabaseAdmin
+    .from('user_sessions')
+    .upsert({
+      id,
+      user_id: session.user.id,
+      device: describeDevice(userAgent),
+      user_agent: userAgent,
+      ip_address: req.ip,
+      created_at: new Date().toISOString(),
+      last_seen_at: new Date().toISOString()
+    }, { onConflict: 'id', ignoreDuplicates: true });
+
+  if (error) throw error;
+};
+
+// Check the session behind an access token, registering sessions we haven't
+// seen yet. Returns { session } or { error } when the token must be rejected.
+const trackSession = async (req, token, user) => {
+  const claims = decodeToken(token);
+  if (!claims.session_id) return { error: 'Invalid session' };
+
+  const { data: existing, error } = await supabaseAdmin
+    .from('user_sessions')
+    .select('*')
+    .eq('id', claims.session_id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (existing) {
+    if (existing.revoked_at || existing.user_id !== user.id) {
+      return { error: 'Session has been revoked' };
+    }
+
+    if (Date.now() - new Date(existing.last_seen_at).getTime() > LAST_SEEN_INTERVAL_MS) {
+      await supabaseAdmin
+        .from('user_sessions')
+        .update({ last_seen_at: new Date().toISOString(), ip_address: req.ip })
+        .eq('id', existing.id);
+    }
+
+    return { session: existing };
+  }
+
+  // Sessions opened outside our sign-in flow: honour forced logouts and
+  // never let them skip the second factor
+  const { data: profile } = await supabaseAdmin
+    .from('users')
+    .select('sessions_revoked_at')
+    .eq('id', user.id)
+    .maybeSingle();
+
+  if (profile && profile.sessions_revoked_at && claims.iat * 1000 < new Date(profile.sessions_revoked_at).getTime()) {
+    return { error: 'Session has been revoked' };
+  }
+
+  const mfa = await getMfa(user.id);
+  if (mfa && mfa.enabled) {
+    return { error: 'Two-factor verification required' };
+  }
+
+  const userAgent = req.headers['user-agent'] || null;
+  const session = {
+    id: claims.session_id,
+    user_id: user.id,
+    device: describeDevice(userAgent),
+    user_agent: userAgent,
+    ip_address: req.ip,
+    created_at: new Date().toISOString(),
+    last_seen_at: new Date().toISOString()
+  };
+
+  const { error: insertError } = await supabaseAdmin
+    .from('user_sessions')
+    .upsert(session, { onConflict: 'id', ignoreDuplicates: true });
+
+  if (insertError) throw insertError;
+
+  return { session };
+};
+
+// Check that a session tracked earlier still belongs to the user and hasn't been revoked
+const isSessionActive = async (sessionId, userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('user_sessions')
+    .select('user_id, revoked_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data && !data.revoked_at && data.user_id === userId;
+};
+
+const listSessions = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('user_sessions')
+    .select(SESSION_FIELDS)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .order('last_seen_at', { ascending: false });
+
+  if (error) throw error;
+  return data;
+};
+
+// Revoke a user's sessions, optionally only one or all but one
+const revokeSessions = async (userId, { only, except } = {}) => {
+  let query = supabaseAdmin
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (only) query = query.eq('id', only);
+  if (except) query = query.neq('id', except);
+
+  const { data, error } = await query.select('id');
+
+  if (error) throw error;
+  return data;
+};
+
+module.exports = {
+  SESSION_FIELDS,
+  decodeToken,
+  describeDevice,
+  registerSession,
+  trackSession,
+  isSessionActive,
+  listSessions,
+  revokeSessions
+};
@@ -0,0 +1,66 @@
+// utils/spreadsheet.js
+const crypto = require('crypto');
+const { parseCsv } = require('./csv');
+const { parseXlsx } = require('./xlsx');
+
+// Identifies an uploaded file, so the same file isn't processed twice
+const hashFile = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Parse an uploaded CSV or XLSX file into headers and data rows. Returns
+// { headers, rows: [{ row_number, data }] } or { error }.
+const readSpreadsheet = (buffer, { maxRows } = {}) => {
+  let table;
+
+  try {
+    // XLSX files are zip archives; legacy binary .xls files are not supported
+    if (buffer.subarray(0, 4).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0]))) {
+      return { error: 'Legacy .xls files are not supported, please save as .xlsx or .csv' };
+    }
+
+    table = buffer.subarray(0, 2).toString() === 'PK'
+      ? parseXlsx(buffer)
+      : parseCsv(buffer.toString('utf8'));
+  } catch (error) {
+    return { error: `Could not read file: ${error.message}` };
+  }
+
+  const headerIndex = table.findIndex(values => values.some(value => String(value).trim() !== ''));
+
+  if (headerIndex === -1) {
+    return { error: 'File is empty' };
+  }
+
+  // Blank or repeated headers still need a unique key to map from
+  const seen = new Set();
+  const headers = table[headerIndex].map((value, index) => {
+    let header = String(value).trim() || `column_${index + 1}`;
+    if (seen.has(header)) header = `${header}_${index + 1}`;
+    seen.add(header);
+    return header;
+  });
+
+  const rows = [];
+
+  table.slice(headerIndex + 1).forEach((values, index) => {
+    if (!values.some(value => String(value).trim() !== '')) return;
+
+    const data = {};
+    headers.forEach((header, column) => {
+      data[header] = values[column] !== undefined ? String(values[column]).trim() : '';
+    });
+
+    rows.push({ row_number: headerIndex + index + 2, data });
+  });
+
+  if (rows.length === 0) {
+    return { error: 'File has no data rows' };
+  }
+
+  if (maxRows && rows.length > maxRows) {
+    return { error: `File has ${rows.length} rows; the limit is ${maxRows}` };
+  }
+
+  return { headers, rows };
+};
+
+module.exports = { hashFile, readSpreadsheet };
@@ -0,0 +1,151 @@
+// utils/twoFactor.js
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { encrypt, decrypt, hashToken } = require('./encryption');
+const { verifyTotp } = require('./totp');
+
+// Roles a tenant can force onto two-factor authentication
+const MFA_ROLES = ['admin', 'manager'];
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase();
+
+const getMfa = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('user_mfa')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const isMfaRequired = (tenant, role) => !!(tenant && tenant.require_2fa) && MFA_ROLES.includes(role);
+
+// Check a profile against its tenant's 2FA policy
+const isMfaRequiredForUser = async (profile) => {
+  if (!profile || !profile.tenant_id || !MFA_ROLES.includes(profile.role)) return false;
+
+  const { data: tenant } = await supabaseAdmin
+    .from('tenants')
+    .select('require_2fa')
+    .eq('id', profile.tenant_id)
+    .maybeSingle();
+
+  return isMfaRequired(tenant, profile.role);
+};
+
+// Returns plaintext codes for the user and hashes for storage
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(code => hashToken(code)) };
+};
+
+// Check a TOTP code or a one-time recovery code against an enabled
+// enrollment. Used recovery codes are removed and TOTP steps can't repeat.
+const verifyMfaCode = async (mfa, { code, recovery_code }) => {
+  if (code) {
+    const step = verifyTotp(decrypt(mfa.secret), code, { afterStep: mfa.last_used_step ?? -1 });
+    if (step === null) return false;
+
+    const { error } = await supabaseAdmin
+      .from('user_mfa')
+      .update({ last_used_step: step, updated_at: new Date().toISOString() })
+      .eq('user_id', mfa.user_id);
+
+    if (error) throw error;
+    return true;
+  }
+
+  if (recovery_code) {
+    const hash = hashToken(normalizeRecoveryCode(recovery_code));
+    const remaining = (mfa.recovery_codes || []).filter(h => h !== hash);
+    if (remaining.length === (mfa.recovery_codes || []).length) return false;
+
+    const { error } = await supabaseAdmin
+      .from('user_mfa')
+      .update({ recovery_codes: remaining, updated_at: new Date().toISOString() })
+      .eq('user_id', mfa.user_id);
+
+    if (error) throw error;
+    return true;
+  }
+
+  return false;
+};
+
+// Park a signed-in session until the second factor is verified
+const createChallenge = async (userId, session) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const { error } = await supabaseAdmin
+    .from('mfa_challenges')
+    .insert([
+      {
+        token_hash: hashToken(token),
+        user_id: userId,
+        session: encrypt(JSON.stringify(session)),
+        attempts: 0,
+        expires_at: new Date(Date.now() + CHALLENGE_TTL_MS).toISOString(),
+        created_at: new Date().toISOString()
+      }
+    ]);
+
+  if (error) throw error;
+  return token;
+};
+
+const loadChallenge = async (token) => {
+  const { data: challenge } = await supabaseAdmin
+    .from('mfa_challenges')
+    .select('*')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (!challenge) return null;
+  if (new Date(challenge.expires_at) < new Date() || challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+    return null;
+  }
+
+  return challenge;
+};
+
+const recordChallengeFailure = async (challenge) => {
+  const { error } = await supabaseAdmin
+    .from('mfa_challenges')
+    .update({ attempts: challenge.attempts + 1 })
+    .eq('id', challenge.id);
+
+  if (error) throw error;
+};
+
+// Hand back the parked session and discard the challenge
+const completeChallenge = async (challenge) => {
+  const { error } = await supabaseAdmin
+    .from('mfa_challenges')
+    .delete()
+    .eq('id', challenge.id);
+
+  if (error) throw error;
+  return JSON.parse(decrypt(challenge.session));
+};
+
+module.exports = {
+  MFA_ROLES,
+  getMfa,
+  isMfaRequired,
+  isMfaRequiredForUser,
+  generateRecoveryCodes,
+  verifyMfaCode,
+  createChallenge,
+  loadChallenge,
+  recordChallengeFailure,
+  completeChallenge
+};
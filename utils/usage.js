@@ -0,0 +1,138 @@
+// utils/usage.js
+const { supabaseAdmin } = require('../config/supabase');
+const { QUOTA_LABELS, planId, getPlan } = require('../config/plans');
+const { getStore } = require('./rateLimitStore');
+
+// A lock is freed by its holder, or by expiring if the holder dies
+const QUOTA_LOCK_TTL_MS = 30 * 1000;
+const QUOTA_LOCK_ATTEMPTS = 20;
+const QUOTA_LOCK_WAIT_MS = 100;
+
+// Billing months start at midnight UTC, whatever the server's time zone
+const startOfMonth = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+};
+
+// Helper function to run a head-only count query
+async function count(query) {
+  const { count: total, error } = await query;
+  if (error) throw error;
+  return total || 0;
+}
+
+// Current consumption of one quota for a tenant
+const getUsage = async (tenantId, metric) => {
+  const monthStart = startOfMonth().toISOString();
+
+  switch (metric) {
+    case 'stores':
+      return count(supabaseAdmin
+        .from('stores')
+        .select('id', { count: 'exact', head: true })
+        .eq('tenant_id', tenantId));
+    case 'monthly_orders':
+      return count(supabaseAdmin
+        .from('orders')
+        .select('id', { count: 'exact', head: true })
+        .eq('tenant_id', tenantId)
+        .gte('created_at', monthStart));
+    case 'monthly_campaign_sends':
+      return count(supabaseAdmin
+        .from('campaigns')
+        .select('id', { count: 'exact', head: true })
+        .eq('tenant_id', tenantId)
+        .gte('sent_at', monthStart));
+    case 'monthly_chatbot_sessions':
+      return count(supabaseAdmin
+        .from('chatbot_sessions')
+        .select('id', { count: 'exact', head: true })
+        .eq('tenant_id', tenantId)
+        .gte('started_at', monthStart));
+    case 'seats': {
+      // Pending invitations hold a seat until they expire
+      const members = await count(supabaseAdmin
+        .from('users')
+        .select('id', { count: 'exact', head: true })
+        .eq('tenant_id', tenantId));
+      const invitations = await count(supabaseAdmin
+        .from('tenant_invitations')
+        .select('id', { count: 'exact', head: true })
+        .eq('tenant_id', tenantId)
+        .eq('status', 'pending')
+        .gt('expires_at', new Date().toISOString()));
+      return members + invitations;
+    }
+    default:
+      throw new Error(`Unknown quota: ${metric}`);
+  }
+};
+
+// Check whether a tenant can consume `amount` more of a quota.
+// Returns null when allowed, otherwise an error body with its status.
+const checkQuota = async (tenant, metric, amount = 1) => {
+  if (tenant.status && tenant.status !== 'active') {
+    return { message: 'Tenant subscription is not active', status: 403 };
+  }
+
+  const plan = getPlan(tenant.subscription);
+  const limit = plan.limits[metric];
+  if (limit === null || limit === undefined) return null;
+
+  if (limit === 0) {
+    return { message: `${QUOTA_LABELS[metric]} are not included in the ${plan.name} plan`, status: 403 };
+  }
+
+  const used = await getUsage(tenant.id, metric);
+
+  if (used + amount > limit) {
+    return {
+      message: `${QUOTA_LABELS[metric]} limit of ${limit} reached for the ${plan.name} plan`,
+      status: 402
+    };
+  }
+
+  return null;
+};
+
+// Take a tenant's lock on one quota, so that a quota check and the write it
+// allows finish before another request checks the same quota. The request
+// whose increment takes the count to 1 holds the lock. Returns a function
+// that frees it, or null if it stays taken.
+const lockQuota = async (tenantId, metric) => {
+  const key = `quota:${tenantId}:${metric}`;
+
+  for (let attempt = 0; attempt < QUOTA_LOCK_ATTEMPTS; attempt++) {
+    const { count: holders } = await getStore().increment(key, QUOTA_LOCK_TTL_MS);
+    if (holders === 1) return () => getStore().delete(key);
+
+    await new Promise(resolve => setTimeout(resolve, QUOTA_LOCK_WAIT_MS));
+  }
+
+  return null;
+};
+
+// Consumption against every limit of the tenant's plan
+const getUsageReport = async (tenant) => {
+  const plan = getPlan(tenant.subscription);
+  const usage = {};
+
+  for (const metric of Object.keys(QUOTA_LABELS)) {
+    const used = await getUsage(tenant.id, metric);
+    const limit = plan.limits[metric];
+
+    usage[metric] = {
+      used,
+      limit,
+      remaining: limit === null ? null : Math.max(limit - used, 0)
+    };
+  }
+
+  return {
+    plan: { id: planId(tenant.subscription), name: plan.name },
+    period: { start: startOfMonth(), end: new Date() },
+    usage
+  };
+};
+
+module.exports = { getUsage, checkQuota, lockQuota, getUsageReport };
@@ -0,0 +1,165 @@
+// utils/xlsx.js
+const { readZip, createZipStream } = require('./zip');
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  }
+  return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+});
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+// Concatenate every <t> run inside a string item, skipping phonetic hints
+const textOf = (xml) => {
+  const runs = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').match(/<t\b[^>]*>[\s\S]*?<\/t>|<t\b[^>]*\/>/g) || [];
+  return runs.map(run => decodeXml(run.replace(/^<t\b[^>]*>|<\/t>$|^<t\b[^>]*\/>$/g, ''))).join('');
+};
+
+// Column letters to a zero-based index: A -> 0, AA -> 26
+const columnIndex = (reference) => {
+  const letters = reference.replace(/\d+$/, '');
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+// Helper function to find the path of the first worksheet in the workbook
+function firstSheetPath(entries) {
+  const workbook = entries['xl/workbook.xml'];
+  const rels = entries['xl/_rels/workbook.xml.rels'];
+
+  if (workbook && rels) {
+    const sheet = workbook.toString('utf8').match(/<sheet\b[^>]*>/);
+    const relId = sheet && attribute(sheet[0], 'r:id');
+    const rel = relId && (rels.toString('utf8').match(/<Relationship\b[^>]*>/g) || [])
+      .find(tag => attribute(tag, 'Id') === relId);
+    const target = rel && attribute(rel, 'Target');
+
+    if (target) {
+      return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+    }
+  }
+
+  return 'xl/worksheets/sheet1.xml';
+}
+
+// Parse the first worksheet of an XLSX file into an array of rows, each an
+// array of strings. Formulas are read from their cached values.
+const parseXlsx = (buffer) => {
+  // Only the parts needed are inflated, the worksheet once its path is known
+  const entries = readZip(buffer, {
+    only: ['xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/sharedStrings.xml']
+  });
+  const sheetPath = firstSheetPath(entries);
+  const sheet = readZip(buffer, { only: [sheetPath] })[sheetPath];
+
+  if (!sheet) throw new Error('Workbook has no worksheet');
+
+  const sharedXml = entries['xl/sharedStrings.xml'];
+  const shared = sharedXml
+    ? (sharedXml.toString('utf8').match(/<si\b[^>]*>[\s\S]*?<\/si>/g) || []).map(textOf)
+    : [];
+
+  const rows = [];
+
+  (sheet.toString('utf8').match(/<row\b[^>]*>[\s\S]*?<\/row>|<row\b[^>]*\/>/g) || []).forEach(rowXml => {
+    const rowNumber = Number(attribute(rowXml.match(/<row\b[^>]*>/)[0], 'r')) || rows.length + 1;
+    const values = [];
+
+    (rowXml.match(/<c\b[^>]*\/>|<c\b[^>]*>[\s\S]*?<\/c>/g) || []).forEach(cellXml => {
+      const tag = cellXml.match(/<c\b[^>]*>/)[0];
+      const reference = attribute(tag, 'r');
+      const type = attribute(tag, 't');
+      const raw = cellXml.match(/<v>([\s\S]*?)<\/v>/);
+      let value = '';
+
+      if (type === 'inlineStr') {
+        value = textOf(cellXml);
+      } else if (raw && type === 's') {
+        value = shared[Number(raw[1])] || '';
+      } else if (raw) {
+        value = decodeXml(raw[1]);
+      }
+
+      values[reference ? columnIndex(reference) : values.length] = value;
+    });
+
+    // Keep row positions so reported row numbers match the spreadsheet
+    rows[rowNumber - 1] = Array.from(values, value => value || '');
+  });
+
+  return Array.from(rows, row => row || []);
+};
+
+// Control characters other than tab and newlines are not allowed in XML
+const escapeXml = (value) => String(value)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Helper function to write one worksheet row. Numbers stay numeric so
+// spreadsheets can sum them; everything else is an inline string.
+function rowXml(values) {
+  const cells = values.map(value => {
+    if (value === null || value === undefined || value === '') return '<c/>';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c><v>${value}</v></c>`;
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : value;
+    return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+  });
+
+  return `<row>${cells.join('')}</row>`;
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const CONTENT_TYPES = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '</Types>';
+
+const ROOT_RELS = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+  '</Relationships>';
+
+const WORKBOOK_RELS = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+  '</Relationships>';
+
+// Stream a single-sheet XLSX file to `output`. Rows are written as they
+// arrive with inline strings, so no shared string table builds up in memory.
+// Returns { writeRows(rows), end() }.
+const createXlsxStream = async (output, { sheetName = 'Sheet1', header } = {}) => {
+  const zip = createZipStream(output);
+
+  await zip.addFile('[Content_Types].xml', CONTENT_TYPES);
+  await zip.addFile('_rels/.rels', ROOT_RELS);
+  await zip.addFile('xl/workbook.xml', `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ` +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`);
+  await zip.addFile('xl/_rels/workbook.xml.rels', WORKBOOK_RELS);
+
+  const sheet = await zip.openEntry('xl/worksheets/sheet1.xml');
+  await sheet.write(`${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>` +
+    (header ? rowXml(header) : ''));
+
+  return {
+    writeRows: (rows) => sheet.write(rows.map(rowXml).join('')),
+    end: async () => {
+      await sheet.write('</sheetData></worksheet>');
+      await sheet.end();
+      await zip.end();
+    }
+  };
+};
+
+module.exports = { parseXlsx, createXlsxStream };
@@ -0,0 +1,272 @@
+// utils/zip.js
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// Pass the previous result to checksum data that arrives in chunks
+const crc32 = (buffer, previous = 0) => {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields used by the zip format
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Build a zip archive in memory from [{ name, data }] entries
+const createZip = (files, modified = new Date()) => {
+  const { time, date } = dosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    const compressed = zlib.deflateRawSync(content);
+    const fileName = Buffer.from(name, 'utf8');
+    const checksum = crc32(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, fileName, compressed);
+    centralParts.push(central, fileName);
+    offset += local.length + fileName.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+// Helper function to write to a stream, waiting for it to drain when its
+// buffer is full so a slow client never makes us hold the whole file
+function writeTo(output, chunk) {
+  return new Promise((resolve, reject) => {
+    if (output.destroyed) return reject(new Error('Output stream closed'));
+    if (output.write(chunk)) return resolve();
+
+    const onDrain = () => {
+      output.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      output.off('drain', onDrain);
+      reject(new Error('Output stream closed'));
+    };
+
+    output.once('drain', onDrain);
+    output.once('close', onClose);
+  });
+}
+
+// Write a zip archive to a stream one entry at a time. Entries are deflated
+// chunk by chunk as they are written, with their sizes and checksum in a
+// trailing data descriptor, so only the current chunk is ever in memory.
+const createZipStream = (output, modified = new Date()) => {
+  const { time, date } = dosDateTime(modified);
+  const centralParts = [];
+  let offset = 0;
+  let count = 0;
+
+  const write = async (chunk) => {
+    offset += chunk.length;
+    await writeTo(output, chunk);
+  };
+
+  // Start an entry; returns { write(data), end() }
+  const openEntry = async (name) => {
+    const fileName = Buffer.from(name, 'utf8');
+    const entryOffset = offset;
+    let checksum = 0;
+    let size = 0;
+    let compressedSize = 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0808, 6); // UTF-8 file names, sizes in data descriptor
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt16LE(fileName.length, 26);
+
+    await write(Buffer.concat([local, fileName]));
+
+    // Each chunk is flushed to a byte boundary without ending the deflate
+    // stream, so the chunks concatenate into one valid stream
+    const writeData = async (data) => {
+      const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+      if (content.length === 0) return;
+
+      const compressed = zlib.deflateRawSync(content, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      checksum = crc32(content, checksum);
+      size += content.length;
+      compressedSize += compressed.length;
+      await write(compressed);
+    };
+
+    const end = async () => {
+      const last = zlib.deflateRawSync(Buffer.alloc(0));
+      compressedSize += last.length;
+
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(checksum, 4);
+      descriptor.writeUInt32LE(compressedSize, 8);
+      descriptor.writeUInt32LE(size, 12);
+
+      await write(Buffer.concat([last, descriptor]));
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4);
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(0x0808, 8);
+      central.writeUInt16LE(8, 10);
+      central.writeUInt16LE(time, 12);
+      central.writeUInt16LE(date, 14);
+      central.writeUInt32LE(checksum, 16);
+      central.writeUInt32LE(compressedSize, 20);
+      central.writeUInt32LE(size, 24);
+      central.writeUInt16LE(fileName.length, 28);
+      central.writeUInt32LE(entryOffset, 42);
+
+      centralParts.push(central, fileName);
+      count += 1;
+    };
+
+    return { write: writeData, end };
+  };
+
+  // Write a small entry in one go
+  const addFile = async (name, data) => {
+    const entry = await openEntry(name);
+    await entry.write(data);
+    await entry.end();
+  };
+
+  const end = async () => {
+    const centralDirectory = Buffer.concat(centralParts);
+
+    const record = Buffer.alloc(22);
+    record.writeUInt32LE(0x06054b50, 0);
+    record.writeUInt16LE(count, 8);
+    record.writeUInt16LE(count, 10);
+    record.writeUInt32LE(centralDirectory.length, 12);
+    record.writeUInt32LE(offset, 16);
+
+    await writeTo(output, Buffer.concat([centralDirectory, record]));
+    output.end();
+  };
+
+  return { openEntry, addFile, end };
+};
+
+// Largest entry readZip will inflate, so a small archive can't expand into
+// gigabytes (a zip bomb)
+const MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+
+// Read entries of a zip archive into a { name: Buffer } map: all of them, or
+// only the names listed in `only`. Only stored and deflated entries are
+// supported, which covers Office documents. Entries larger than maxEntrySize
+// once inflated are refused, whatever size their header claims.
+const readZip = (buffer, { only = null, maxEntrySize = MAX_ENTRY_SIZE } = {}) => {
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+
+  if (endOffset === -1) throw new Error('Not a zip archive');
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = {};
+
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt zip directory');
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (only && !only.includes(name)) continue;
+
+    if (size > maxEntrySize) throw new Error(`Zip entry ${name} is too large`);
+
+    // The local header has its own name and extra field lengths
+    const dataStart = localOffset + 30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries[name] = data;
+    } else if (method === 8) {
+      try {
+        entries[name] = zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`Zip entry ${name} is larger than its header says`);
+        throw error;
+      }
+    } else {
+      throw new Error(`Unsupported zip compression method ${method}`);
+    }
+  }
+
+  return entries;
+};
+
+module.exports = { crc32, createZip, createZipStream, readZip, writeTo };